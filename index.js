@@ -1,5 +1,16 @@
 const express = require('express');
+const fs = require('fs');
+const crypto = require('crypto');
+const querystring = require('querystring');
 const cors = require('cors');
+const cookieParser = require('cookie-parser');
+const jwt = require('jsonwebtoken');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const ExcelJS = require('exceljs');
+const nodemailer = require('nodemailer');
+const { initializeApp, getApps, cert } = require('firebase-admin/app');
+const { getAuth } = require('firebase-admin/auth');
 const { MongoClient, ServerApiVersion, ObjectId } = require('mongodb');
 require('dotenv').config();
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
@@ -7,6 +18,17 @@ const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 const app = express();
 const port = process.env.PORT || 5000;
 
+// Seat hold windows (minutes)
+const BOOKING_HOLD_MINUTES = parseInt(process.env.BOOKING_HOLD_MINUTES) || 60; // vendor must respond within this
+const PAYMENT_WINDOW_MINUTES = parseInt(process.env.PAYMENT_WINDOW_MINUTES) || 30; // user must pay within this after acceptance
+const WAITLIST_OFFER_MINUTES = parseInt(process.env.WAITLIST_OFFER_MINUTES) || 30; // waitlisted user must book within this
+
+// Platform time zone - trip times sent without an offset are read in it, and daily buckets are cut in it
+const STATS_TIMEZONE = process.env.STATS_TIMEZONE || 'Asia/Dhaka';
+
+// Platform service fee charged on top of the ticket price (percent)
+const SERVICE_FEE_PERCENT = parseFloat(process.env.SERVICE_FEE_PERCENT) || 0;
+
 // Middleware Configuration
 
 
@@ -22,7 +44,26 @@ const corsOptions = {
 };
 
 app.use(cors(corsOptions));
-app.use(express.json()); // Parse JSON request bodies
+// Parse JSON request bodies - except the Stripe webhook, which needs the raw body
+const jsonParser = express.json();
+app.use((req, res, next) => {
+  if (req.originalUrl === '/api/webhooks/stripe') {
+    return next();
+  }
+  jsonParser(req, res, next);
+});
+app.use(cookieParser()); // Read JWT from httpOnly cookie
+
+// Query strings are parsed flat: no nested objects, no $-keys, first value wins on repeats
+// so ?price[$gt]=0 or ?type=a&type=b can never reach a Mongo filter as an operator/array
+app.set('query parser', queryString => {
+  const parsed = querystring.parse(queryString);
+  return Object.fromEntries(
+    Object.entries(parsed)
+      .filter(([key]) => !key.startsWith('$'))
+      .map(([key, value]) => [key, Array.isArray(value) ? value[0] : value])
+  );
+});
 
 // MONGODB CONNECTION
 
@@ -67,6 +108,9 @@ async function connectDB() {
     db = client.db('nexticket-db');
     console.log('✅ Successfully connected to MongoDB!');
     isConnecting = false;
+    prepareDatabase().catch(err => {
+      console.error('❌ Failed to prepare database:', err);
+    });
     return db;
   } catch (error) {
     isConnecting = false;
@@ -80,6 +124,146 @@ connectDB().catch(err => {
   console.error('Failed to connect to MongoDB on startup:', err);
 });
 
+// Indexes and one-off backfills - safe to run on every cold start
+async function prepareDatabase() {
+  const {
+    users,
+    tickets,
+    bookings,
+    transactions,
+    ledger,
+    payouts,
+    promoCodes,
+    promoRedemptions,
+    reviews,
+    auditLogs,
+    ticketRevisions,
+    campaigns,
+    adEvents,
+    waitlist,
+  } = getCollections();
+
+  await Promise.all([
+    tickets.createIndex(
+      { title: 'text', fromLocation: 'text', toLocation: 'text' },
+      { name: 'ticket_text_search' }
+    ),
+    tickets.createIndex({ verificationStatus: 1, departureAt: 1 }),
+    tickets.createIndex({ verificationStatus: 1, pricePerUnit: 1 }),
+    tickets.createIndex({ verificationStatus: 1, submittedAt: 1 }), // moderation queue
+    ticketRevisions.createIndex({ ticketId: 1, createdAt: -1 }),
+    campaigns.createIndex({ status: 1, startDate: 1, endDate: 1 }),
+    campaigns.createIndex({ vendorEmail: 1, createdAt: -1 }),
+    campaigns.createIndex({ ticketId: 1 }),
+    adEvents.createIndex({ createdAt: 1 }, { expireAfterSeconds: 2 * 24 * 60 * 60 }), // only today's dedupe matters
+    // One generated ticket per schedule departure
+    tickets.createIndex(
+      { scheduleId: 1, departureDate: 1, departureTime: 1 },
+      { unique: true, partialFilterExpression: { scheduleId: { $exists: true } } }
+    ),
+    bookings.createIndex({ holdStatus: 1, holdExpiresAt: 1 }),
+    bookings.createIndex({ paidAt: 1 }),
+    bookings.createIndex({ createdAt: 1 }),
+    bookings.createIndex({ vendorEmail: 1, createdAt: 1 }),
+    transactions.createIndex({ vendorEmail: 1, type: 1, createdAt: 1 }), // refund spike signal
+    users.createIndex({ role: 1, riskScore: -1 }),
+    ledger.createIndex({ key: 1 }, { unique: true }),
+    ledger.createIndex({ vendorEmail: 1, createdAt: -1 }),
+    ledger.createIndex({ bookingId: 1 }),
+    promoCodes.createIndex({ code: 1 }, { unique: true }),
+    promoRedemptions.createIndex({ bookingId: 1 }),
+    promoRedemptions.createIndex({ promoId: 1, userEmail: 1 }),
+    reviews.createIndex({ bookingId: 1 }, { unique: true }), // one review per booking
+    reviews.createIndex({ vendorEmail: 1, status: 1, createdAt: -1 }),
+    reviews.createIndex({ ticketId: 1, status: 1, createdAt: -1 }),
+    auditLogs.createIndex({ createdAt: -1 }),
+    auditLogs.createIndex({ actorEmail: 1, createdAt: -1 }),
+    auditLogs.createIndex({ targetType: 1, targetId: 1, createdAt: -1 }),
+    auditLogs.createIndex({ requestId: 1 }),
+    waitlist.createIndex({ ticketId: 1, status: 1, createdAt: 1 }),
+    waitlist.createIndex({ userEmail: 1, createdAt: -1 }),
+    waitlist.createIndex({ status: 1, offerExpiresAt: 1 }),
+    // One open waitlist entry per user and ticket
+    waitlist.createIndex(
+      { ticketId: 1, userEmail: 1 },
+      { unique: true, partialFilterExpression: { active: true } }
+    ),
+    // One pending payout request per vendor
+    payouts.createIndex(
+      { vendorEmail: 1 },
+      { unique: true, partialFilterExpression: { status: 'pending' } }
+    ),
+  ]);
+
+  // Tickets created before departureAt existed
+  const cursor = tickets.find(
+    { departureAt: { $exists: false } },
+    {
+      projection: {
+        departureDateTime: 1,
+        departureDate: 1,
+        departureTime: 1,
+        arrivalDateTime: 1,
+      },
+    }
+  );
+  for await (const ticket of cursor) {
+    await tickets.updateOne({ _id: ticket._id }, { $set: getTripTimes(ticket) });
+  }
+
+  // Departure date + time read in the server's zone before trip times used the platform zone -
+  // their bookings copied the same departureAt
+  const misread = tickets.find(
+    { departureDate: { $exists: true }, tripTimesZone: { $ne: STATS_TIMEZONE } },
+    {
+      projection: {
+        departureDateTime: 1,
+        departureDate: 1,
+        departureTime: 1,
+        arrivalDateTime: 1,
+      },
+    }
+  );
+  for await (const ticket of misread) {
+    const tripTimes = getTripTimes(ticket);
+    await tickets.updateOne({ _id: ticket._id }, { $set: tripTimes });
+    await bookings.updateMany(
+      { ticketId: ticket._id.toString() },
+      { $set: { departureAt: tripTimes.departureAt } }
+    );
+  }
+
+  // Bookings paid before the ledger existed
+  const unposted = bookings.find({
+    transactionId: { $exists: true },
+    ledgerPostedAt: { $exists: false },
+  });
+  for await (const booking of unposted) {
+    await postSaleEntry(booking);
+    const refunded = Math.max(booking.refundAmount || 0, booking.refundedAmount || 0);
+    if (booking.refundStatus !== 'failed' && refunded > 0) {
+      await postRefundEntry(booking, refunded);
+    }
+  }
+
+  // Tickets advertised before campaigns existed keep their spot for a week
+  const advertised = tickets.find(
+    { isAdvertised: true, verificationStatus: 'approved' },
+    { projection: { title: 1, vendorEmail: 1, departureAt: 1 } }
+  );
+  for await (const ticket of advertised) {
+    if (await campaigns.findOne({ ticketId: ticket._id.toString() })) continue;
+
+    const startDate = todayInPlatformZone();
+    const weekEnd = addDays(startDate, 6);
+    const departureDate = ticket.departureAt ? todayInPlatformZone(ticket.departureAt) : weekEnd;
+    const endDate = departureDate < weekEnd ? departureDate : weekEnd;
+    if (endDate >= startDate) {
+      await createCampaign(ticket, { startDate, endDate, createdBy: 'system' });
+    }
+  }
+}
+
 // MIDDLEWARE: Verify MongoDB Connection
 async function checkDBConnection(req, res, next) {
   try {
@@ -106,1072 +290,9725 @@ const getCollections = () => ({
   tickets: db.collection('tickets'),
   bookings: db.collection('bookings'),
   transactions: db.collection('transactions'),
+  notifications: db.collection('notifications'), // email outbox
+  ledger: db.collection('ledger'), // double-entry vendor accounting
+  payouts: db.collection('payouts'),
+  settings: db.collection('settings'), // platform-wide settings, one document per _id
+  schedules: db.collection('schedules'), // recurring departures, generated into tickets
+  promoCodes: db.collection('promoCodes'),
+  promoRedemptions: db.collection('promoRedemptions'), // one per booking that used a code
+  reviews: db.collection('reviews'),
+  auditLogs: db.collection('auditLogs'), // append-only record of mutations
+  ticketRevisions: db.collection('ticketRevisions'), // submissions, edits and reviews of each ticket
+  campaigns: db.collection('campaigns'), // homepage advertising
+  adSlots: db.collection('adSlots'), // advertising slots taken per day
+  adEvents: db.collection('adEvents'), // one impression/click per viewer, campaign and day
+  waitlist: db.collection('waitlist'), // users waiting for seats on sold-out tickets
 });
 
-// API ROUTES
-// Root route 
-app.get('/', (req, res) => {
-  res.json({
-    success: true,
-    message: '🚀 Ticket Booking Server is running!',
-    timestamp: new Date().toISOString(),
-  });
-});
-
-// USER ROUTES
-// Create or Update User (after Firebase authentication)
-app.post('/api/users', async (req, res) => {
-  try {
-    const user = req.body;
-    const { users } = getCollections();
-
-    // Check if user already exists
-    const existingUser = await users.findOne({ email: user.email });
-
-    if (existingUser) {
-      // Update existing user
-      const result = await users.updateOne(
-        { email: user.email },
-        {
-          $set: {
-            name: user.name,
-            photoURL: user.photoURL,
-            updatedAt: new Date(),
-          },
-        }
-      );
-      return res.json({
-        success: true,
-        message: 'User updated successfully',
-        data: result,
-      });
-    }
+// AUTH MIDDLEWARE
 
-    // Create new user with default role 'user'
-    const newUser = {
-      name: user.name,
-      email: user.email,
-      photoURL: user.photoURL,
-      role: 'user', // default role
-      isFraud: false, // default for vendors
-      createdAt: new Date(),
-    };
+// Cookie options for the JWT - cross-site cookie needs secure + sameSite none in production
+const cookieOptions = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'strict',
+};
 
-    const result = await users.insertOne(newUser);
-    res.status(201).json({
-      success: true,
-      message: 'User created successfully',
-      data: result,
-    });
-  } catch (error) {
-    console.error('Error in /api/users POST:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to save user',
-      error: error.message,
+// Firebase Admin verifies the ID token the client signed in with.
+// Initialised on first use so the server still starts without FIREBASE_SERVICE_ACCOUNT.
+function getFirebaseAuth() {
+  if (!getApps().length) {
+    initializeApp({
+      credential: cert(JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT)),
     });
   }
-});
-
-// Get User by Email
-app.get('/api/users/:email', async (req, res) => {
-  try {
-    const email = req.params.email;
-    const { users } = getCollections();
-
-    const user = await users.findOne({ email });
-
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found',
-      });
-    }
+  return getAuth();
+}
 
-    res.json({
-      success: true,
-      data: user,
-    });
-  } catch (error) {
-    console.error('Error in /api/users/:email GET:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch user',
-      error: error.message,
-    });
-  }
-});
+// JWT from the cookie or Authorization header
+function getRequestToken(req) {
+  const authHeader = req.headers.authorization;
+  return (
+    req.cookies?.token ||
+    (authHeader?.startsWith('Bearer ') ? authHeader.split(' ')[1] : null)
+  );
+}
 
-// Get All Users (Admin Only - we'll add JWT verification later)
-app.get('/api/users', async (req, res) => {
-  try {
-    const { users } = getCollections();
-    const allUsers = await users.find({}).toArray();
+// Verify JWT from cookie or Authorization header
+function verifyToken(req, res, next) {
+  const token = getRequestToken(req);
 
-    res.json({
-      success: true,
-      count: allUsers.length,
-      data: allUsers,
-    });
-  } catch (error) {
-    console.error('Error in /api/users GET:', error);
-    res.status(500).json({
+  if (!token) {
+    return res.status(401).json({
       success: false,
-      message: 'Failed to fetch users',
-      error: error.message,
+      message: 'Unauthorized access',
     });
   }
-});
-
-// Update User Role (Admin Only)
-app.patch('/api/users/:email/role', async (req, res) => {
-  try {
-    const { email } = req.params;
-    const { role } = req.body;
-    const { users } = getCollections();
 
-    // Validate role
-    if (!['user', 'vendor', 'admin'].includes(role)) {
-      return res.status(400).json({
+  jwt.verify(token, process.env.JWT_SECRET, (err, decoded) => {
+    if (err) {
+      return res.status(401).json({
         success: false,
-        message: 'Invalid role. Must be user, vendor, or admin',
+        message: 'Unauthorized access',
       });
     }
+    req.decoded = decoded; // { email }
+    next();
+  });
+}
 
-    const result = await users.updateOne(
-      { email },
-      { $set: { role, updatedAt: new Date() } }
-    );
+// Role guard - loads the user from DB so role changes apply immediately
+// Must be used after verifyToken
+function verifyRole(...roles) {
+  return async (req, res, next) => {
+    try {
+      const { users } = getCollections();
+      const user = await users.findOne({ email: req.decoded.email });
 
-    if (result.matchedCount === 0) {
-      return res.status(404).json({
+      if (!user || !roles.includes(user.role)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Forbidden access',
+        });
+      }
+
+      req.user = user;
+      next();
+    } catch (error) {
+      console.error('Error in verifyRole:', error);
+      res.status(500).json({
         success: false,
-        message: 'User not found',
+        message: 'Failed to verify role',
+        error: error.message,
       });
     }
+  };
+}
 
-    res.json({
-      success: true,
-      message: `User role updated to ${role}`,
-    });
-  } catch (error) {
-    console.error('Error in /api/users/:email/role PATCH:', error);
-    res.status(500).json({
+const verifyAdmin = verifyRole('admin');
+const verifyVendor = verifyRole('vendor');
+const verifyUser = verifyRole('user');
+
+// Suspended (fraud-flagged) vendors can't publish new listings
+// Must be used after verifyVendor
+function refuseSuspendedVendor(req, res, next) {
+  if (req.user?.isFraud) {
+    return res.status(403).json({
       success: false,
-      message: 'Failed to update user role',
-      error: error.message,
+      message: 'Your vendor account is suspended',
+      data: { suspension: req.user.suspension || null },
     });
   }
-});
+  next();
+}
 
-// Mark Vendor as Fraud (Admin Only)
-app.patch('/api/users/:email/fraud', async (req, res) => {
+// Only the owner of :email (or an admin) can access the route
+// Must be used after verifyToken
+async function verifyOwnerOrAdmin(req, res, next) {
   try {
-    const { email } = req.params;
-    const { users, tickets } = getCollections();
+    if (req.params.email === req.decoded.email) {
+      return next();
+    }
 
-    // Update user
-    const userResult = await users.updateOne(
-      { email, role: 'vendor' },
-      { $set: { isFraud: true, updatedAt: new Date() } }
-    );
+    const { users } = getCollections();
+    const user = await users.findOne({ email: req.decoded.email });
 
-    if (userResult.matchedCount === 0) {
-      return res.status(404).json({
+    if (user?.role !== 'admin') {
+      return res.status(403).json({
         success: false,
-        message: 'Vendor not found',
+        message: 'Forbidden access',
       });
     }
 
-    // Hide all tickets from this vendor
-    await tickets.updateMany(
-      { vendorEmail: email },
-      { $set: { verificationStatus: 'rejected' } }
-    );
-
-    res.json({
-      success: true,
-      message: 'Vendor marked as fraud and all tickets hidden',
-    });
+    req.user = user;
+    next();
   } catch (error) {
-    console.error('Error in /api/users/:email/fraud PATCH:', error);
+    console.error('Error in verifyOwnerOrAdmin:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to mark vendor as fraud',
+      message: 'Failed to verify access',
       error: error.message,
     });
   }
-});
+}
 
-// TEST ROUTE - Verify MongoDB Collections
-app.get('/api/test/collections', async (req, res) => {
-  try {
-    const collections = await db.listCollections().toArray();
-    res.json({
-      success: true,
-      message: 'Database collections fetched successfully',
-      collections: collections.map(col => col.name),
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch collections',
-      error: error.message,
-    });
-  }
-});
+// VALIDATION
+// Declarative schemas: { field: { type, required, min, max, minLength, maxLength, enum, pattern, items } }
+// Fields not in the schema are dropped, so clients can't write verificationStatus, vendorEmail, etc.
+
+const TRANSPORT_TYPES = ['Bus', 'Train', 'Launch', 'Flight'];
+const PRICING_RULE_TYPES = ['early_bird', 'last_minute', 'weekend', 'occupancy']; // see PRICING HELPERS
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/; // YYYY-MM-DD
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/; // HH:mm (24h)
+const LOCAL_DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d{1,3})?)?)?$/; // ISO without an offset
+
+// Seat map: rows x columns grid, classes cover row ranges (AC / Non-AC, cabin, deck)
+const seatLayoutSchema = {
+  rows: { type: 'integer', required: true, min: 1, max: 100 },
+  columns: { type: 'integer', required: true, min: 1, max: 10 },
+  classes: {
+    type: 'array',
+    maxItems: 10,
+    items: {
+      type: 'object',
+      fields: {
+        name: { type: 'string', required: true, maxLength: 30 },
+        fromRow: { type: 'integer', required: true, min: 1 },
+        toRow: { type: 'integer', required: true, min: 1 },
+        deck: { type: 'string', maxLength: 30 },
+        pricePerUnit: { type: 'number', min: 1, max: 1000000 },
+      },
+    },
+  },
+  blockedSeats: { type: 'array', maxItems: 1000, items: { type: 'string', maxLength: 5 } },
+};
 
+const ticketSchema = {
+  title: { type: 'string', required: true, minLength: 3, maxLength: 120 },
+  fromLocation: { type: 'string', required: true, maxLength: 80 },
+  toLocation: { type: 'string', required: true, maxLength: 80 },
+  transportType: { type: 'string', required: true, enum: TRANSPORT_TYPES },
+  pricePerUnit: { type: 'number', required: true, min: 1, max: 1000000 },
+  quantity: { type: 'integer', required: true, min: 1, max: 10000 },
+  departureDateTime: { type: 'date' },
+  departureDate: { type: 'string', pattern: DATE_PATTERN },
+  departureTime: { type: 'string', pattern: TIME_PATTERN },
+  arrivalDateTime: { type: 'date' },
+  perks: { type: 'array', maxItems: 20, items: { type: 'string', maxLength: 50 } },
+  image: { type: 'string', maxLength: 500 },
+  vendorName: { type: 'string', maxLength: 100 },
+  seatLayout: { type: 'object', fields: seatLayoutSchema },
+};
 
-// TICKET ROUTES
-// Add New Ticket (Vendor Only)
-app.post('/api/tickets', async (req, res) => {
-  try {
-    const ticketData = req.body;
-    const { tickets } = getCollections();
+// Editing a ticket: quantity changes also send the quantity the vendor's form was loaded with
+const ticketUpdateSchema = {
+  ...ticketSchema,
+  baseQuantity: { type: 'integer', min: 0, max: 10000 },
+};
 
-    // Create ticket with initial pending status
-    const newTicket = {
-      ...ticketData,
-      verificationStatus: 'pending', // Admin will approve/reject
-      isAdvertised: false, // Not advertised initially
-      createdAt: new Date(),
-    };
+// Recurring departures: ticket fields plus when the route runs
+const scheduleSchema = {
+  title: ticketSchema.title,
+  fromLocation: ticketSchema.fromLocation,
+  toLocation: ticketSchema.toLocation,
+  transportType: ticketSchema.transportType,
+  pricePerUnit: ticketSchema.pricePerUnit,
+  quantity: ticketSchema.quantity, // seat capacity of each departure
+  daysOfWeek: {
+    type: 'array',
+    required: true,
+    maxItems: 7,
+    items: { type: 'integer', min: 0, max: 6 }, // 0 = Sunday
+  },
+  departureTimes: {
+    type: 'array',
+    required: true,
+    maxItems: 24,
+    items: { type: 'string', pattern: TIME_PATTERN },
+  },
+  durationMinutes: { type: 'integer', min: 1, max: 10080 },
+  validFrom: { type: 'string', required: true, pattern: DATE_PATTERN },
+  validTo: { type: 'string', required: true, pattern: DATE_PATTERN },
+  perks: ticketSchema.perks,
+  image: ticketSchema.image,
+  vendorName: ticketSchema.vendorName,
+  seatLayout: ticketSchema.seatLayout,
+};
 
-    const result = await tickets.insertOne(newTicket);
-    
-    res.status(201).json({
-      success: true,
-      message: 'Ticket added successfully. Waiting for admin approval.',
-      data: result,
-    });
-  } catch (error) {
-    console.error('Error in /api/tickets POST:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to add ticket',
-      error: error.message,
-    });
-  }
-});
+// One date of a schedule: cancel it, or override its times, price or capacity
+const scheduleDateSchema = {
+  cancelled: { type: 'boolean' },
+  departureTimes: scheduleSchema.departureTimes,
+  pricePerUnit: ticketSchema.pricePerUnit,
+  quantity: ticketSchema.quantity,
+};
 
-// Get Advertised Tickets (For Homepage)
-app.get('/api/tickets/advertised', async (req, res) => {
-  try {
-    const { tickets } = getCollections();
+const scheduleVerificationSchema = {
+  verificationStatus: { type: 'string', required: true, enum: ['approved', 'rejected'] },
+};
 
-    const advertisedTickets = await tickets
-      .find({
-        verificationStatus: 'approved',
-        isAdvertised: true,
-      })
-      .limit(6)
-      .toArray();
+// A traveller saved on the user's profile
+const MAX_SAVED_TRAVELLERS = 20;
+const travellerSchema = {
+  name: { type: 'string', required: true, minLength: 2, maxLength: 100 },
+  age: { type: 'integer', min: 0, max: 120 },
+  gender: { type: 'string', enum: ['male', 'female', 'other'] },
+  idType: { type: 'string', enum: ['nid', 'passport', 'birth_certificate'] },
+  idNumber: { type: 'string', pattern: /^[A-Za-z0-9-]{4,30}$/ },
+  phone: { type: 'string', pattern: /^\+?[0-9]{7,15}$/ },
+};
 
-    console.log('📢 Advertised tickets found:', advertisedTickets.length); // Debug log
+// A passenger on a booking - fields can come from a saved traveller; what's required
+// depends on the transport type (checked by getPassengers)
+const passengerSchema = {
+  travellerId: { type: 'objectId' },
+  ...travellerSchema,
+  name: { type: 'string', minLength: 2, maxLength: 100 },
+};
 
-    res.json({
-      success: true,
-      data: advertisedTickets,
-    });
-  } catch (error) {
-    console.error('Error in /api/tickets/advertised GET:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch advertised tickets',
-      error: error.message,
-    });
-  }
-});
+// Either bookingQuantity or seatNumbers (for seat-map tickets) - checked in the route
+const bookingSchema = {
+  ticketId: { type: 'objectId', required: true },
+  bookingQuantity: { type: 'integer', min: 1, max: 50 },
+  seatNumbers: { type: 'array', maxItems: 50, items: { type: 'string', maxLength: 5 } },
+  passengers: { type: 'array', maxItems: 50, items: { type: 'object', fields: passengerSchema } },
+  userName: { type: 'string', maxLength: 100 },
+  promoCode: { type: 'string', maxLength: 30 },
+};
 
-// Get Latest Tickets (For Homepage)
-app.get('/api/tickets/latest', async (req, res) => {
-  try {
-    const { tickets } = getCollections();
+// Optional reason for rejecting or cancelling a booking - kept in statusHistory and emailed to the passenger
+const bookingReasonSchema = {
+  reason: { type: 'string', maxLength: 500 },
+};
 
-    const latestTickets = await tickets
-      .find({ verificationStatus: 'approved' })
+// Joining needs fewer free seats than quantity - checked in the route
+const waitlistSchema = {
+  ticketId: { type: 'objectId', required: true },
+  quantity: { type: 'integer', required: true, min: 1, max: 10 },
+};
+
+// Seats come from the offer, so only the passenger details are sent
+const waitlistAcceptSchema = {
+  passengers: bookingSchema.passengers,
+  userName: bookingSchema.userName,
+};
+
+// Vendor pricing rules - which threshold a type needs is checked by checkPricingRules
+const pricingRulesSchema = {
+  pricingRules: {
+    type: 'array',
+    required: true,
+    maxItems: 20,
+    items: {
+      type: 'object',
+      fields: {
+        name: { type: 'string', required: true, maxLength: 60 },
+        type: { type: 'string', required: true, enum: PRICING_RULE_TYPES },
+        percent: { type: 'number', required: true, min: -90, max: 200 },
+        minDaysBefore: { type: 'integer', min: 1, max: 365 },
+        maxHoursBefore: { type: 'integer', min: 1, max: 720 },
+        weekdays: { type: 'array', maxItems: 7, items: { type: 'integer', min: 0, max: 6 } },
+        minOccupancy: { type: 'number', min: 1, max: 100 },
+        transportTypes: { type: 'array', maxItems: 4, items: { type: 'string', enum: TRANSPORT_TYPES } },
+      },
+    },
+  },
+};
+
+// Vendor refund tiers - a cancellation gets the percent of the tier with the most notice it still meets
+const refundPolicySchema = {
+  refundPolicy: {
+    type: 'array',
+    required: true,
+    maxItems: 10,
+    items: {
+      type: 'object',
+      fields: {
+        minHoursBeforeDeparture: { type: 'integer', required: true, min: 0, max: 8760 },
+        refundPercent: { type: 'number', required: true, min: 0, max: 100 },
+      },
+    },
+  },
+};
+
+const promoCodeSchema = {
+  code: { type: 'string', required: true, pattern: /^[A-Za-z0-9_-]{3,30}$/ },
+  discountType: { type: 'string', required: true, enum: ['percent', 'flat'] },
+  value: { type: 'number', required: true, min: 1, max: 1000000 },
+  maxDiscount: { type: 'number', min: 1, max: 1000000 }, // cap for percent codes
+  minSpend: { type: 'number', min: 0, max: 10000000 },
+  startsAt: { type: 'date' },
+  expiresAt: { type: 'date' },
+  maxUses: { type: 'integer', min: 1, max: 1000000 },
+  perUserLimit: { type: 'integer', min: 1, max: 1000 },
+  routes: {
+    type: 'array',
+    maxItems: 50,
+    items: {
+      type: 'object',
+      fields: {
+        fromLocation: { type: 'string', required: true, maxLength: 80 },
+        toLocation: { type: 'string', required: true, maxLength: 80 },
+      },
+    },
+  },
+  ticketIds: { type: 'array', maxItems: 100, items: { type: 'objectId' } },
+  active: { type: 'boolean' },
+};
+
+const userSchema = {
+  name: { type: 'string', maxLength: 100 },
+  photoURL: { type: 'string', maxLength: 500 },
+};
+
+const checkInSchema = {
+  token: { type: 'string', required: true, maxLength: 2000 },
+};
+
+const notificationPreferencesSchema = {
+  bookings: { type: 'boolean' },
+  moderation: { type: 'boolean' },
+};
+
+const PAYOUT_STATUSES = ['pending', 'paid', 'rejected'];
+
+const payoutRequestSchema = {
+  amount: { type: 'number', required: true, min: 1, max: 10000000 },
+  method: { type: 'string', required: true, enum: ['bank', 'bkash', 'nagad', 'rocket'] },
+  accountDetails: { type: 'string', required: true, maxLength: 200 },
+  note: { type: 'string', maxLength: 500 },
+};
+
+const payoutApprovalSchema = {
+  reference: { type: 'string', maxLength: 200 }, // bank or bKash transaction reference
+};
+
+const payoutRejectionSchema = {
+  reason: { type: 'string', maxLength: 1000 },
+};
+
+// Platform commission: a default plus optional per-transport-type rates (percent)
+const commissionSchema = {
+  defaultPercent: { type: 'number', required: true, min: 0, max: 100 },
+  byTransportType: {
+    type: 'object',
+    fields: Object.fromEntries(
+      TRANSPORT_TYPES.map(type => [type, { type: 'number', min: 0, max: 100 }])
+    ),
+  },
+};
+
+const vendorCommissionSchema = {
+  commissionPercent: { type: 'number', min: 0, max: 100 },
+};
+
+const reviewSchema = {
+  bookingId: { type: 'objectId', required: true },
+  rating: { type: 'integer', required: true, min: 1, max: 5 },
+  comment: { type: 'string', maxLength: 2000 },
+};
+
+const reviewReplySchema = {
+  reply: { type: 'string', required: true, minLength: 1, maxLength: 2000 },
+};
+
+const reviewModerationSchema = {
+  status: { type: 'string', required: true, enum: ['published', 'hidden'] },
+  reason: { type: 'string', maxLength: 500 },
+};
+
+// Suspension without expiresAt lasts until an admin reinstates the vendor
+const suspensionSchema = {
+  reason: { type: 'string', required: true, minLength: 3, maxLength: 1000 },
+  expiresAt: { type: 'date' },
+};
+
+const appealSchema = {
+  message: { type: 'string', required: true, minLength: 10, maxLength: 2000 },
+};
+
+const appealDecisionSchema = {
+  decision: { type: 'string', required: true, enum: ['accepted', 'rejected'] },
+  response: { type: 'string', maxLength: 1000 },
+};
+
+// Optional note on an admin or vendor action (reinstating a vendor, resubmitting a ticket)
+const actionNoteSchema = {
+  note: { type: 'string', maxLength: 1000 },
+};
+
+// Reject needs a reason (checked in the route); note is internal to admins
+const ticketVerificationSchema = {
+  verificationStatus: { type: 'string', required: true, enum: ['approved', 'rejected'] },
+  reason: { type: 'string', maxLength: 1000 },
+  note: { type: 'string', maxLength: 2000 },
+};
+
+// priority is only taken from admins
+const campaignSchema = {
+  ticketId: { type: 'objectId', required: true },
+  startDate: { type: 'string', required: true, pattern: DATE_PATTERN },
+  endDate: { type: 'string', required: true, pattern: DATE_PATTERN },
+  priority: { type: 'integer', min: 0, max: 100 },
+};
+
+// days is capped at MAX_CAMPAIGN_DAYS and at departure in the route
+const advertiseSchema = {
+  isAdvertised: { type: 'boolean', required: true },
+  days: { type: 'integer', min: 1 },
+};
+
+const campaignUpdateSchema = {
+  priority: { type: 'integer', required: true, min: 0, max: 100 },
+};
+
+const adImpressionSchema = {
+  campaignIds: { type: 'array', required: true, maxItems: 50, items: { type: 'objectId' } },
+};
+
+const advertisingSettingsSchema = {
+  slots: { type: 'integer', required: true, min: 1, max: 50 },
+  dailyPrice: { type: 'number', required: true, min: 0, max: 1000000 }, // BDT per campaign day
+};
+
+const roleSchema = {
+  role: { type: 'string', required: true, enum: ['user', 'vendor', 'admin'] },
+};
+
+// Check one value against its rule - returns { value } (coerced) or { error }
+function validateField(value, rule) {
+  switch (rule.type) {
+    case 'string': {
+      if (typeof value !== 'string') return { error: 'must be a string' };
+      const trimmed = value.trim();
+      if (rule.minLength && trimmed.length < rule.minLength) {
+        return { error: `must be at least ${rule.minLength} characters` };
+      }
+      if (rule.maxLength && trimmed.length > rule.maxLength) {
+        return { error: `must be at most ${rule.maxLength} characters` };
+      }
+      if (rule.pattern && !rule.pattern.test(trimmed)) {
+        return { error: 'has an invalid format' };
+      }
+      if (rule.enum) {
+        // Match case-insensitively but always store the canonical value
+        const match = rule.enum.find(
+          option => option.toLowerCase() === trimmed.toLowerCase()
+        );
+        if (!match) return { error: `must be one of: ${rule.enum.join(', ')}` };
+        return { value: match };
+      }
+      return { value: trimmed };
+    }
+    case 'number':
+    case 'integer': {
+      // Form inputs often arrive as numeric strings
+      const number =
+        typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number)) {
+        return { error: 'must be a number' };
+      }
+      if (rule.type === 'integer' && !Number.isInteger(number)) {
+        return { error: 'must be a whole number' };
+      }
+      if (rule.min !== undefined && number < rule.min) {
+        return { error: `must be at least ${rule.min}` };
+      }
+      if (rule.max !== undefined && number > rule.max) {
+        return { error: `must be at most ${rule.max}` };
+      }
+      return { value: number };
+    }
+    case 'boolean': {
+      if (value === true || value === 'true') return { value: true };
+      if (value === false || value === 'false') return { value: false };
+      return { error: 'must be true or false' };
+    }
+    case 'date': {
+      const date =
+        typeof value === 'string' || typeof value === 'number'
+          ? parsePlatformDate(value)
+          : null;
+      if (!date || isNaN(date)) return { error: 'must be a valid date' };
+      return { value: date };
+    }
+    case 'objectId': {
+      if (typeof value !== 'string' || !ObjectId.isValid(value)) {
+        return { error: 'must be a valid ID' };
+      }
+      return { value };
+    }
+    case 'array': {
+      if (!Array.isArray(value)) return { error: 'must be a list' };
+      if (rule.maxItems && value.length > rule.maxItems) {
+        return { error: `must have at most ${rule.maxItems} items` };
+      }
+      const items = [];
+      for (const item of value) {
+        const result = validateField(item, rule.items);
+        if (result.error) return { error: `items ${result.error}` };
+        items.push(result.value);
+      }
+      return { value: items };
+    }
+    case 'object': {
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        return { error: 'must be an object' };
+      }
+      const { value: fields, errors } = validate(rule.fields, value);
+      if (errors.length) return { error: errors.map(e => e.message).join(', ') };
+      return { value: fields };
+    }
+    default:
+      return { error: 'has an unsupported type' };
+  }
+}
+
+// Validate data against a schema - partial skips required checks (for PATCH)
+// Returns { value, errors } where value only holds schema fields
+function validate(schema, data, { partial = false } = {}) {
+  const value = {};
+  const errors = [];
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const input = data?.[field];
+
+    if (input === undefined || input === null || input === '') {
+      if (rule.required && !partial) {
+        errors.push({ field, message: `${field} is required` });
+      }
+      continue;
+    }
+
+    const result = validateField(input, rule);
+    if (result.error) {
+      errors.push({ field, message: `${field} ${result.error}` });
+    } else {
+      value[field] = result.value;
+    }
+  }
+
+  return { value, errors };
+}
+
+// Middleware: validate req.body and replace it with the cleaned value
+function validateBody(schema, options) {
+  return (req, res, next) => {
+    const { value, errors } = validate(schema, req.body, options);
+
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors,
+      });
+    }
+
+    req.body = value;
+    next();
+  };
+}
+
+// Remove Mongo operator keys ($where, $gt, ...) and dotted paths from any object
+function stripOperators(value) {
+  if (Array.isArray(value)) {
+    return value.map(stripOperators);
+  }
+  if (value && typeof value === 'object' && !Buffer.isBuffer(value)) {
+    return Object.fromEntries(
+      Object.entries(value)
+        .filter(([key]) => !key.startsWith('$') && !key.includes('.'))
+        .map(([key, child]) => [key, stripOperators(child)])
+    );
+  }
+  return value;
+}
+
+app.use((req, res, next) => {
+  if (req.body) {
+    req.body = stripOperators(req.body);
+  }
+  next();
+});
+
+// PAGINATION HELPERS
+// Cursor (keyset) pagination for every list endpoint:
+//   ?limit=20&cursor=<pagination.nextCursor>&fields=title,pricePerUnit
+// Responses use one envelope: { success, data, pagination: { limit, hasMore, nextCursor } }
+const DEFAULT_PAGE_LIMIT = 20;
+const MAX_PAGE_LIMIT = 100;
+
+// Opaque cursor holding the last item's sort value and _id
+function encodeCursor(doc, sortField) {
+  const value = doc[sortField] ?? null;
+  return Buffer.from(
+    JSON.stringify({
+      f: sortField,
+      v: value instanceof Date ? value.toISOString() : value,
+      d: value instanceof Date,
+      id: doc._id.toString(),
+    })
+  ).toString('base64url');
+}
+
+// Returns null for a malformed cursor or one made for a different sort
+function decodeCursor(cursor, sortField) {
+  try {
+    const { f, v, d, id } = JSON.parse(
+      Buffer.from(cursor, 'base64url').toString()
+    );
+    if (f !== sortField || !ObjectId.isValid(id)) {
+      return null;
+    }
+    return { value: d ? new Date(v) : v, id: new ObjectId(id) };
+  } catch {
+    return null;
+  }
+}
+
+// Filter for documents after the cursor in (sortField, _id) order
+// Mongo sorts missing/null values first, so they need their own branches
+function afterCursor(sortField, direction, { value, id }) {
+  const sameValue = {
+    [sortField]: value,
+    _id: { [direction === 1 ? '$gt' : '$lt']: id },
+  };
+
+  if (value === null) {
+    return direction === 1
+      ? { $or: [sameValue, { [sortField]: { $ne: null } }] }
+      : sameValue;
+  }
+
+  const beyond = {
+    [sortField]: { [direction === 1 ? '$gt' : '$lt']: value },
+  };
+  return direction === 1
+    ? { $or: [beyond, sameValue] }
+    : { $or: [beyond, sameValue, { [sortField]: null }] };
+}
+
+// ?fields=a,b -> inclusion projection; fields hidden by the default projection stay hidden
+function buildProjection(fields, defaultProjection, sortField) {
+  if (!fields) {
+    return defaultProjection;
+  }
+
+  const requested = String(fields)
+    .split(',')
+    .map(field => field.trim())
+    .filter(field => /^[A-Za-z0-9_]+$/.test(field) && defaultProjection[field] !== 0);
+
+  if (!requested.length) {
+    return defaultProjection;
+  }
+
+  return Object.fromEntries(
+    [...requested, sortField].map(field => [field, 1])
+  );
+}
+
+// One page of a find with the standard envelope - returns null for an invalid cursor.
+// `sort` is a single field; _id is added as tiebreaker. Passing ?page=N switches to
+// offset paging with totals (kept for older clients and text-relevance sorting).
+async function findPage(collection, query, params, { sort = { createdAt: -1 }, projection = {} } = {}) {
+  const [sortField, direction] = Object.entries(sort)[0];
+  const limit = Math.min(
+    Math.max(parseInt(params.limit) || DEFAULT_PAGE_LIMIT, 1),
+    MAX_PAGE_LIMIT
+  );
+  const findOptions = {
+    projection: buildProjection(params.fields, projection, sortField),
+  };
+  const fullSort = typeof direction === 'number' ? { ...sort, _id: direction } : sort;
+
+  if (params.page) {
+    const page = Math.max(parseInt(params.page) || 1, 1);
+    const [data, total] = await Promise.all([
+      collection
+        .find(query, findOptions)
+        .sort(fullSort)
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .toArray(),
+      collection.countDocuments(query),
+    ]);
+
+    return {
+      data,
+      pagination: {
+        limit,
+        hasMore: page * limit < total,
+        nextCursor: null,
+        page,
+        totalPages: Math.ceil(total / limit),
+        total,
+      },
+    };
+  }
+
+  let filter = query;
+  if (params.cursor) {
+    const cursor = decodeCursor(params.cursor, sortField);
+    if (!cursor) {
+      return null;
+    }
+    filter = { $and: [query, afterCursor(sortField, direction, cursor)] };
+  }
+
+  // One extra document tells us whether there is another page
+  const docs = await collection
+    .find(filter, findOptions)
+    .sort(fullSort)
+    .limit(limit + 1)
+    .toArray();
+  const hasMore = docs.length > limit;
+  const data = hasMore ? docs.slice(0, limit) : docs;
+
+  return {
+    data,
+    pagination: {
+      limit,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(data[data.length - 1], sortField) : null,
+    },
+  };
+}
+
+function sendInvalidCursor(res) {
+  return res.status(400).json({
+    success: false,
+    message: 'Invalid pagination cursor',
+  });
+}
+
+// NOTIFICATIONS
+// Emails are rendered from templates into the `notifications` outbox, then delivered
+// by processOutbox with retries. Transport is picked by NOTIFICATION_TRANSPORT:
+// 'smtp' (SMTP_* settings), 'file' (JSON lines in NOTIFICATION_FILE) or 'console' (default).
+
+const MAX_NOTIFICATION_ATTEMPTS = 5;
+
+// Per-user switches stored on users.notificationPreferences - everything on by default
+const DEFAULT_NOTIFICATION_PREFERENCES = {
+  bookings: true, // booking requests and status changes
+  moderation: true, // ticket approval results
+};
+
+// Each template belongs to a preference category and renders subject + text
+const NOTIFICATION_TEMPLATES = {
+  booking_requested: {
+    category: 'bookings',
+    render: ({ booking }) => ({
+      subject: `New booking request for ${booking.ticketTitle}`,
+      text:
+        `${booking.userName || booking.userEmail} requested ${booking.bookingQuantity} seat(s) ` +
+        `on ${booking.ticketTitle} (${booking.fromLocation} to ${booking.toLocation}).\n` +
+        'Please accept or reject it from your vendor dashboard before the hold expires.',
+    }),
+  },
+  booking_accepted: {
+    category: 'bookings',
+    render: ({ booking }) => ({
+      subject: `Your booking for ${booking.ticketTitle} was accepted`,
+      text:
+        `Good news! ${booking.vendorName || 'The vendor'} accepted your booking for ` +
+        `${booking.ticketTitle}. Please complete payment of ${booking.totalPrice} BDT ` +
+        `within ${PAYMENT_WINDOW_MINUTES} minutes to keep your seats.`,
+    }),
+  },
+  booking_rejected: {
+    category: 'bookings',
+    render: ({ booking, reason }) => ({
+      subject: `Your booking for ${booking.ticketTitle} was rejected`,
+      text:
+        `Sorry, your booking request for ${booking.ticketTitle} was rejected.` +
+        (reason ? `\nReason: ${reason}` : ''),
+    }),
+  },
+  ticket_approved: {
+    category: 'moderation',
+    render: ({ ticket }) => ({
+      subject: `Your ticket "${ticket.title}" was approved`,
+      text: `Your ticket "${ticket.title}" is now live and visible to passengers.`,
+    }),
+  },
+  ticket_rejected: {
+    category: 'moderation',
+    render: ({ ticket, reason }) => ({
+      subject: `Your ticket "${ticket.title}" was rejected`,
+      text:
+        `Your ticket "${ticket.title}" was not approved by the admin team.` +
+        (reason ? `\nReason: ${reason}\nYou can edit the ticket and resubmit it for review.` : ''),
+    }),
+  },
+  booking_cancelled: {
+    category: 'bookings',
+    render: ({ booking, reason, refundAmount }) => ({
+      subject: `Your booking for ${booking.ticketTitle} was cancelled`,
+      text:
+        `Your booking for ${booking.ticketTitle} was cancelled.` +
+        (reason ? `\nReason: ${reason}` : '') +
+        (refundAmount > 0 ? `\nA full refund of ${refundAmount} BDT is on its way.` : ''),
+    }),
+  },
+  vendor_suspended: {
+    category: 'moderation',
+    render: ({ suspension }) => ({
+      subject: 'Your vendor account was suspended',
+      text:
+        `Your vendor account was suspended.\nReason: ${suspension.reason}\n` +
+        (suspension.expiresAt ? `The suspension ends on ${suspension.expiresAt.toUTCString()}.\n` : '') +
+        'Your tickets are hidden and upcoming bookings were cancelled and refunded. ' +
+        'You can appeal from your vendor dashboard.',
+    }),
+  },
+  vendor_reinstated: {
+    category: 'moderation',
+    render: ({ note }) => ({
+      subject: 'Your vendor account was reinstated',
+      text:
+        'Your vendor account is active again and your tickets are back in their previous state.' +
+        (note ? `\nNote: ${note}` : ''),
+    }),
+  },
+  appeal_rejected: {
+    category: 'moderation',
+    render: ({ response }) => ({
+      subject: 'Your suspension appeal was rejected',
+      text: 'Your appeal against the suspension was reviewed and rejected.' + (response ? `\nResponse: ${response}` : ''),
+    }),
+  },
+  waitlist_offer: {
+    category: 'bookings',
+    render: ({ entry, ticket, seatNumbers, offerExpiresAt }) => ({
+      subject: `Seats are available on ${ticket.title}`,
+      text:
+        `${entry.quantity} seat(s) on ${ticket.title} are being held for you` +
+        (seatNumbers.length ? ` (seats ${seatNumbers.join(', ')})` : '') +
+        `.\nBook them from your waitlist before ${offerExpiresAt.toUTCString()} or they go to the next person in line.`,
+    }),
+  },
+};
+
+// Transports share one shape: async send({ to, subject, text })
+function createNotificationTransport() {
+  switch (process.env.NOTIFICATION_TRANSPORT) {
+    case 'smtp': {
+      const mailer = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: {
+          user: process.env.SMTP_USER,
+          pass: process.env.SMTP_PASS,
+        },
+      });
+      return {
+        send: message =>
+          mailer.sendMail({ from: process.env.SMTP_FROM, ...message }),
+      };
+    }
+    case 'file':
+      return {
+        send: message =>
+          fs.promises.appendFile(
+            process.env.NOTIFICATION_FILE || 'notifications.log',
+            JSON.stringify({ ...message, sentAt: new Date() }) + '\n'
+          ),
+      };
+    default:
+      return {
+        send: async message => {
+          console.log('📧 Notification:', message.to, '-', message.subject); // Debug log
+        },
+      };
+  }
+}
+
+const notificationTransport = createNotificationTransport();
+
+// Render a template into the outbox unless the recipient opted out.
+// Never throws - a notification problem must not fail the request that caused it.
+async function queueNotification(event, to, data) {
+  try {
+    const { users, notifications } = getCollections();
+    const template = NOTIFICATION_TEMPLATES[event];
+
+    const recipient = await users.findOne(
+      { email: to },
+      { projection: { notificationPreferences: 1 } }
+    );
+    const preferences = {
+      ...DEFAULT_NOTIFICATION_PREFERENCES,
+      ...recipient?.notificationPreferences,
+    };
+    if (!preferences[template.category]) {
+      return;
+    }
+
+    await notifications.insertOne({
+      event,
+      to,
+      ...template.render(data),
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: new Date(),
+      createdAt: new Date(),
+    });
+
+    // Deliver right away; the sweep picks up anything that fails
+    processOutbox().catch(err => {
+      console.error('Failed to process notification outbox:', err);
+    });
+  } catch (error) {
+    console.error(`Failed to queue ${event} notification:`, error);
+  }
+}
+
+// Deliver due outbox messages one at a time, with exponential backoff on failure
+async function processOutbox() {
+  const { notifications } = getCollections();
+  const staleLock = new Date(Date.now() - 5 * 60 * 1000);
+
+  for (;;) {
+    const now = new Date();
+
+    // Claim the next due message (or one a crashed worker left in 'sending')
+    const message = await notifications.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'pending', nextAttemptAt: { $lte: now } },
+          { status: 'sending', lockedAt: { $lte: staleLock } },
+        ],
+      },
+      { $set: { status: 'sending', lockedAt: now } },
+      { sort: { nextAttemptAt: 1 } }
+    );
+
+    if (!message) {
+      return;
+    }
+
+    try {
+      await notificationTransport.send({
+        to: message.to,
+        subject: message.subject,
+        text: message.text,
+      });
+      await notifications.updateOne(
+        { _id: message._id },
+        { $set: { status: 'sent', sentAt: new Date() }, $inc: { attempts: 1 } }
+      );
+    } catch (error) {
+      const attempts = message.attempts + 1;
+      await notifications.updateOne(
+        { _id: message._id },
+        {
+          $set: {
+            status: attempts >= MAX_NOTIFICATION_ATTEMPTS ? 'failed' : 'pending',
+            attempts,
+            lastError: error.message,
+            nextAttemptAt: new Date(Date.now() + 2 ** attempts * 60 * 1000),
+          },
+        }
+      );
+    }
+  }
+}
+
+// Retry failed deliveries every minute
+setInterval(() => {
+  if (!db) return;
+  processOutbox().catch(err => {
+    console.error('Failed to process notification outbox:', err);
+  });
+}, 60 * 1000).unref();
+
+// REALTIME EVENTS
+// Server-Sent Events push channel. Clients subscribe to channels:
+//   ticket:<id>   - seat availability and verification changes for one ticket
+//   user:<email>  - status changes of the user's bookings (and, for vendors, their booking requests)
+// Subscribers live in this process's memory, so every instance only pushes to its own clients.
+
+const SSE_HEARTBEAT_MS = 25 * 1000; // keeps proxies from closing idle streams
+
+const eventSubscribers = new Map(); // channel -> Set of open responses
+
+function hasSubscribers(channel) {
+  return eventSubscribers.has(channel);
+}
+
+// Send one SSE message to a single client
+function writeEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Send one SSE message to every client on the channel
+function publishEvent(channel, event, data) {
+  const subscribers = eventSubscribers.get(channel);
+  if (!subscribers) return;
+
+  for (const res of subscribers) {
+    writeEvent(res, event, data);
+  }
+}
+
+// Turn the response into an event stream on the given channels until the client disconnects
+function openEventStream(req, res, channels) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // disable nginx buffering
+  });
+  res.write('retry: 5000\n\n');
+
+  for (const channel of channels) {
+    if (!eventSubscribers.has(channel)) {
+      eventSubscribers.set(channel, new Set());
+    }
+    eventSubscribers.get(channel).add(res);
+  }
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), SSE_HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    for (const channel of channels) {
+      const subscribers = eventSubscribers.get(channel);
+      subscribers?.delete(res);
+      if (subscribers && !subscribers.size) {
+        eventSubscribers.delete(channel);
+      }
+    }
+  });
+}
+
+// Current seat availability of a ticket, as sent to subscribers
+async function getTicketAvailability(ticketId) {
+  const { tickets } = getCollections();
+
+  const ticket = await tickets.findOne(
+    { _id: new ObjectId(ticketId) },
+    { projection: { quantity: 1, verificationStatus: 1, 'seats.seatNumber': 1, 'seats.status': 1 } }
+  );
+  if (!ticket) return null;
+
+  return {
+    ticketId: ticket._id.toString(),
+    quantity: ticket.quantity,
+    soldOut: ticket.quantity <= 0,
+    verificationStatus: ticket.verificationStatus,
+    seats: ticket.seats?.map(({ seatNumber, status }) => ({ seatNumber, status })),
+  };
+}
+
+// Push fresh availability to a ticket's subscribers (skips the read when nobody listens).
+// Never throws - a push problem must not fail the inventory change that caused it.
+async function publishTicketAvailability(ticketId) {
+  const channel = `ticket:${ticketId}`;
+  if (!hasSubscribers(channel)) return;
+
+  try {
+    const availability = await getTicketAvailability(ticketId);
+    if (availability) {
+      publishEvent(channel, 'availability', availability);
+    }
+  } catch (error) {
+    console.error('Failed to publish ticket availability:', error);
+  }
+}
+
+// Tell the passenger and the vendor that a booking changed
+function publishBookingUpdate(booking, changes = {}) {
+  const data = {
+    bookingId: booking._id.toString(),
+    ticketId: booking.ticketId,
+    ticketTitle: booking.ticketTitle,
+    status: booking.status,
+    ...changes,
+    updatedAt: new Date(),
+  };
+  publishEvent(`user:${booking.userEmail}`, 'booking', data);
+  publishEvent(`user:${booking.vendorEmail}`, 'booking', data);
+}
+
+// AUDIT LOG
+// Every successful POST/PUT/PATCH/DELETE under /api by a logged-in user is appended to `auditLogs` with
+// the actor, target, IP and request id. Routes describe their change with setAudit(res, ...) to record an
+// action name and a before/after diff; other routes fall back to the route path and the request body.
+// Anonymous requests (ad clicks, unhandled webhook events) are only logged when the route calls setAudit.
+// Entries are only ever inserted - no route updates or deletes them.
+
+const AUDITED_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+// Not mutations: token issue/clear and price quotes
+const AUDIT_SKIPPED_PATHS = ['/api/jwt', '/api/logout', '/api/bookings/quote'];
+// Fields masked at any depth of a logged body or snapshot - credentials, payout accounts and passenger ID details
+const AUDIT_REDACTED_FIELDS = [
+  'token',
+  'idToken',
+  'accountDetails',
+  'idType',
+  'idNumber',
+  'phone',
+  'age',
+  'gender',
+];
+// Snapshot kept when a ticket is deleted
+const TICKET_AUDIT_FIELDS = [
+  'title',
+  'vendorEmail',
+  'fromLocation',
+  'toLocation',
+  'transportType',
+  'pricePerUnit',
+  'quantity',
+  'departureAt',
+  'verificationStatus',
+];
+
+// Behind the hosting platform's proxy - req.ip is the client's address
+app.set('trust proxy', 1);
+
+// Every request gets an id (the caller's X-Request-Id if sane) echoed back in the response
+app.use((req, res, next) => {
+  const incoming = req.get('x-request-id');
+  req.id = incoming && /^[\w.-]{1,100}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.setHeader('X-Request-Id', req.id);
+  next();
+});
+
+// Describe a route's change for the audit log - written once the response succeeds
+function setAudit(res, action, { targetType, targetId, before = null, after = null, actor = null }) {
+  res.locals.audit = { action, targetType, targetId: String(targetId), before, after, actor };
+}
+
+// The given fields of a document - the "before" side of a change
+function pickFields(doc, fields) {
+  return Object.fromEntries(fields.map(field => [field, doc?.[field] ?? null]));
+}
+
+// Fields whose value differs between two snapshots - { field: { from, to } }
+function auditDiff(before, after) {
+  if (!before || !after) return null;
+
+  const changes = {};
+  for (const field of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+      changes[field] = { from: before[field] ?? null, to: after[field] ?? null };
+    }
+  }
+  return changes;
+}
+
+// Copy of a value with redacted fields masked, including inside arrays (e.g. booking passengers[])
+function redactAuditValue(value) {
+  if (Array.isArray(value)) return value.map(redactAuditValue);
+  if (!value || typeof value !== 'object' || value instanceof Date || value instanceof ObjectId) {
+    return value;
+  }
+  return Object.fromEntries(
+    Object.entries(value).map(([key, field]) => [
+      key,
+      AUDIT_REDACTED_FIELDS.includes(key) ? '[redacted]' : redactAuditValue(field),
+    ])
+  );
+}
+
+function redactAuditBody(body) {
+  if (!body || typeof body !== 'object' || Buffer.isBuffer(body)) return null;
+  return redactAuditValue(body);
+}
+
+async function recordAudit(req, res) {
+  const { auditLogs } = getCollections();
+  const audit = res.locals.audit || {};
+  const route = req.route?.path || req.path;
+
+  // targetType is the collection name; without a description it comes from the URL (/api/tickets/:id -> tickets)
+  const idParam = req.params?.id ?? req.params?.email;
+  const targetType = audit.targetType || route.split('/')[2];
+  const targetId = audit.targetId || (idParam ? String(idParam) : null);
+  const before = redactAuditValue(audit.before || null);
+  const after = audit.action ? redactAuditValue(audit.after) : redactAuditBody(req.body);
+
+  await auditLogs.insertOne({
+    action: audit.action || `${req.method} ${route}`,
+    actorEmail: audit.actor || req.decoded?.email || null,
+    actorRole: audit.actor ? 'system' : req.user?.role || null,
+    targetType,
+    targetId,
+    before,
+    after: after || null,
+    changes: auditDiff(before, audit.action ? after : null),
+    method: req.method,
+    path: req.originalUrl.split('?')[0],
+    statusCode: res.statusCode,
+    ip: req.ip,
+    userAgent: req.get('user-agent') || null,
+    requestId: req.id,
+    createdAt: new Date(),
+  });
+}
+
+// Log successful mutations when the response finishes - a logging problem never fails the request
+app.use((req, res, next) => {
+  if (
+    !AUDITED_METHODS.includes(req.method) ||
+    !req.path.startsWith('/api/') ||
+    AUDIT_SKIPPED_PATHS.includes(req.path)
+  ) {
+    return next();
+  }
+
+  res.on('finish', () => {
+    if (res.statusCode >= 400 || !db) return;
+    if (!req.decoded && !res.locals.audit) return;
+    recordAudit(req, res).catch(err => {
+      console.error('Failed to write audit log:', err);
+    });
+  });
+  next();
+});
+
+// API ROUTES
+// Root route 
+app.get('/', (req, res) => {
+  res.json({
+    success: true,
+    message: '🚀 Ticket Booking Server is running!',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+// AUTH ROUTES
+// Issue JWT (after Firebase authentication)
+// Body: { idToken } - the Firebase ID token; the email is taken from the verified token, never from the body
+app.post('/api/jwt', async (req, res) => {
+  try {
+    const { idToken } = req.body ?? {};
+
+    if (typeof idToken !== 'string' || !idToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'idToken is required',
+      });
+    }
+
+    // A missing or broken service account is a server problem (500), not a bad login
+    const firebaseAuth = getFirebaseAuth();
+
+    // Only a token Firebase rejects (auth/* codes) is a bad login
+    let email;
+    try {
+      ({ email } = await firebaseAuth.verifyIdToken(idToken));
+    } catch (error) {
+      if (!error.code?.startsWith('auth/')) {
+        throw error;
+      }
+      return res.status(401).json({
+        success: false,
+        message: 'Unauthorized access',
+      });
+    }
+
+    if (!email) {
+      return res.status(401).json({
+        success: false,
+        message: 'Unauthorized access',
+      });
+    }
+
+    const token = jwt.sign({ email }, process.env.JWT_SECRET, {
+      expiresIn: '7d',
+    });
+
+    res.cookie('token', token, cookieOptions).json({
+      success: true,
+      token,
+    });
+  } catch (error) {
+    console.error('Error in /api/jwt POST:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to issue token',
+      error: error.message,
+    });
+  }
+});
+
+// Logout - clear JWT cookie
+app.post('/api/logout', (req, res) => {
+  res.clearCookie('token', { ...cookieOptions, maxAge: 0 }).json({
+    success: true,
+    message: 'Logged out successfully',
+  });
+});
+
+// USER ROUTES
+// Create or Update User (after Firebase authentication)
+app.post('/api/users', verifyToken, validateBody(userSchema), async (req, res) => {
+  try {
+    // Email always comes from the token, never from the body
+    const user = { ...req.body, email: req.decoded.email };
+    const { users } = getCollections();
+
+    // Check if user already exists
+    const existingUser = await users.findOne({ email: user.email });
+
+    if (existingUser) {
+      // Update existing user
+      const result = await users.updateOne(
+        { email: user.email },
+        {
+          $set: {
+            name: user.name,
+            photoURL: user.photoURL,
+            updatedAt: new Date(),
+          },
+        }
+      );
+      return res.json({
+        success: true,
+        message: 'User updated successfully',
+        data: result,
+      });
+    }
+
+    // Create new user with default role 'user'
+    const newUser = {
+      name: user.name,
+      email: user.email,
+      photoURL: user.photoURL,
+      role: 'user', // default role
+      isFraud: false, // default for vendors
+      createdAt: new Date(),
+    };
+
+    const result = await users.insertOne(newUser);
+    res.status(201).json({
+      success: true,
+      message: 'User created successfully',
+      data: result,
+    });
+  } catch (error) {
+    console.error('Error in /api/users POST:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save user',
+      error: error.message,
+    });
+  }
+});
+
+// Get User by Email
+app.get('/api/users/:email', verifyToken, verifyOwnerOrAdmin, async (req, res) => {
+  try {
+    const email = req.params.email;
+    const { users } = getCollections();
+
+    const user = await users.findOne({ email });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: user,
+    });
+  } catch (error) {
+    console.error('Error in /api/users/:email GET:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch user',
+      error: error.message,
+    });
+  }
+});
+
+// Get All Users (Admin Only)
+app.get('/api/users', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const { role } = req.query; // optional filter
+    const { users } = getCollections();
+
+    const query = role ? { role: String(role) } : {};
+    const page = await findPage(users, query, req.query);
+
+    if (!page) {
+      return sendInvalidCursor(res);
+    }
+
+    res.json({
+      success: true,
+      ...page,
+    });
+  } catch (error) {
+    console.error('Error in /api/users GET:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch users',
+      error: error.message,
+    });
+  }
+});
+
+// Update User Role (Admin Only)
+app.patch('/api/users/:email/role', verifyToken, verifyAdmin, validateBody(roleSchema), async (req, res) => {
+  try {
+    const { email } = req.params;
+    const { role } = req.body;
+    const { users } = getCollections();
+
+    const previous = await users.findOneAndUpdate(
+      { email },
+      { $set: { role, updatedAt: new Date() } },
+      { projection: { role: 1 } }
+    );
+
+    if (!previous) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    setAudit(res, 'user.role', {
+      targetType: 'users',
+      targetId: email,
+      before: { role: previous.role },
+      after: { role },
+    });
+
+    res.json({
+      success: true,
+      message: `User role updated to ${role}`,
+    });
+  } catch (error) {
+    console.error('Error in /api/users/:email/role PATCH:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update user role',
+      error: error.message,
+    });
+  }
+});
+
+// Suspend Vendor as Fraud (Admin Only)
+// Body: { reason, expiresAt? } - hides their listings and cancels + refunds upcoming bookings
+app.patch('/api/users/:email/fraud', verifyToken, verifyAdmin, validateBody(suspensionSchema), async (req, res) => {
+  try {
+    const { email } = req.params;
+    const { reason, expiresAt = null } = req.body;
+    const { users } = getCollections();
+
+    if (expiresAt && expiresAt <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: [{ field: 'expiresAt', message: 'expiresAt must be in the future' }],
+      });
+    }
+
+    const suspension = {
+      reason,
+      suspendedBy: req.decoded.email,
+      suspendedAt: new Date(),
+      expiresAt,
+      appeal: null,
+    };
+
+    // Only an active vendor can be suspended - a second call can't overwrite the first suspension
+    const vendor = await users.findOneAndUpdate(
+      { email, role: 'vendor', isFraud: { $ne: true } },
+      { $set: { isFraud: true, suspension, updatedAt: new Date() } }
+    );
+
+    if (!vendor) {
+      const existing = await users.findOne({ email, role: 'vendor' });
+      return res.status(existing ? 409 : 404).json({
+        success: false,
+        message: existing ? 'Vendor is already suspended' : 'Vendor not found',
+      });
+    }
+
+    // Hide all tickets and schedules from this vendor (their status is kept for reinstating)
+    await setVendorListingsHidden(email, true);
+
+    const bookingsResult = await cancelSuspendedVendorBookings(email, req.decoded.email);
+
+    await queueNotification('vendor_suspended', email, { suspension });
+
+    setAudit(res, 'vendor.suspend', {
+      targetType: 'users',
+      targetId: email,
+      before: { isFraud: vendor.isFraud || false },
+      after: { isFraud: true, suspension, ...bookingsResult },
+    });
+
+    res.json({
+      success: true,
+      message: 'Vendor suspended, tickets hidden and upcoming bookings cancelled',
+      data: { suspension, ...bookingsResult },
+    });
+  } catch (error) {
+    console.error('Error in /api/users/:email/fraud PATCH:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark vendor as fraud',
+      error: error.message,
+    });
+  }
+});
+
+// Reinstate Suspended Vendor (Admin Only) - restores the tickets they had before the suspension
+app.patch('/api/users/:email/reinstate', verifyToken, verifyAdmin, validateBody(actionNoteSchema), async (req, res) => {
+  try {
+    const { email } = req.params;
+    const { note = null } = req.body;
+    const { users } = getCollections();
+
+    const vendor = await users.findOne({ email, role: 'vendor' });
+
+    if (!vendor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vendor not found',
+      });
+    }
+
+    const reinstated = vendor.isFraud && (await reinstateVendor(vendor, req.decoded.email, note));
+
+    if (!reinstated) {
+      return res.status(409).json({
+        success: false,
+        message: 'Vendor is not suspended',
+      });
+    }
+
+    setAudit(res, 'vendor.reinstate', {
+      targetType: 'users',
+      targetId: email,
+      before: { isFraud: true, suspension: vendor.suspension || null },
+      after: { isFraud: false, note },
+    });
+
+    res.json({
+      success: true,
+      message: 'Vendor reinstated and tickets restored',
+    });
+  } catch (error) {
+    console.error('Error in /api/users/:email/reinstate PATCH:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reinstate vendor',
+      error: error.message,
+    });
+  }
+});
+
+// Appeal Own Suspension (Vendor Only) - one pending appeal per suspension
+app.post('/api/users/:email/appeal', verifyToken, verifyVendor, validateBody(appealSchema), async (req, res) => {
+  try {
+    const { email } = req.params;
+    const { users } = getCollections();
+
+    if (email !== req.decoded.email) {
+      return res.status(403).json({
+        success: false,
+        message: 'Forbidden access',
+      });
+    }
+
+    if (!req.user.isFraud) {
+      return res.status(409).json({
+        success: false,
+        message: 'Your account is not suspended',
+      });
+    }
+
+    const appeal = {
+      message: req.body.message,
+      status: 'pending',
+      submittedAt: new Date(),
+    };
+
+    // A rejected appeal can't be re-submitted for the same suspension
+    const result = await users.updateOne(
+      { email, isFraud: true, suspension: { $exists: true }, 'suspension.appeal': null },
+      { $set: { 'suspension.appeal': appeal, updatedAt: new Date() } }
+    );
+
+    if (result.modifiedCount !== 1) {
+      return res.status(409).json({
+        success: false,
+        message: 'An appeal was already submitted for this suspension',
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Appeal submitted successfully',
+      data: appeal,
+    });
+  } catch (error) {
+    console.error('Error in /api/users/:email/appeal POST:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to submit appeal',
+      error: error.message,
+    });
+  }
+});
+
+// Decide a Suspension Appeal (Admin Only) - Body: { decision: 'accepted'|'rejected', response? }
+// Accepting reinstates the vendor
+app.patch('/api/users/:email/appeal', verifyToken, verifyAdmin, validateBody(appealDecisionSchema), async (req, res) => {
+  try {
+    const { email } = req.params;
+    const { decision, response = null } = req.body;
+    const { users } = getCollections();
+
+    const vendor = await users.findOneAndUpdate(
+      { email, role: 'vendor', isFraud: true, 'suspension.appeal.status': 'pending' },
+      {
+        $set: {
+          'suspension.appeal.status': decision,
+          'suspension.appeal.response': response,
+          'suspension.appeal.decidedBy': req.decoded.email,
+          'suspension.appeal.decidedAt': new Date(),
+          updatedAt: new Date(),
+        },
+      },
+      { returnDocument: 'after' }
+    );
+
+    if (!vendor) {
+      return res.status(404).json({
+        success: false,
+        message: 'No pending appeal for this vendor',
+      });
+    }
+
+    if (decision === 'accepted') {
+      await reinstateVendor(vendor, req.decoded.email, response);
+    } else {
+      await queueNotification('appeal_rejected', email, { response });
+    }
+
+    setAudit(res, 'vendor.appeal_decision', {
+      targetType: 'users',
+      targetId: email,
+      before: { appealStatus: 'pending' },
+      after: { appealStatus: decision, response },
+    });
+
+    res.json({
+      success: true,
+      message: decision === 'accepted' ? 'Appeal accepted and vendor reinstated' : 'Appeal rejected',
+    });
+  } catch (error) {
+    console.error('Error in /api/users/:email/appeal PATCH:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to decide appeal',
+      error: error.message,
+    });
+  }
+});
+
+// Get Vendor Risk Signals (Admin Only) - computed live
+app.get('/api/users/:email/risk', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const { email } = req.params;
+    const { users } = getCollections();
+
+    const vendor = await users.findOne({ email, role: 'vendor' });
+
+    if (!vendor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vendor not found',
+      });
+    }
+
+    const { score, signals } = await assessVendorRisk(email);
+
+    await users.updateOne(
+      { _id: vendor._id },
+      { $set: { riskScore: score, riskSignals: signals, riskCheckedAt: new Date() } }
+    );
+
+    res.json({
+      success: true,
+      data: {
+        email,
+        isFraud: vendor.isFraud || false,
+        suspension: vendor.suspension || null,
+        riskScore: score,
+        riskSignals: signals,
+      },
+    });
+  } catch (error) {
+    console.error('Error in /api/users/:email/risk GET:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to assess vendor risk',
+      error: error.message,
+    });
+  }
+});
+
+// Get Vendor's Refund Policy (Logged-in Users)
+app.get('/api/users/:email/refund-policy', verifyToken, async (req, res) => {
+  try {
+    const { email } = req.params;
+    const { users } = getCollections();
+
+    const vendor = await users.findOne(
+      { email, role: 'vendor' },
+      { projection: { refundPolicy: 1 } }
+    );
+
+    if (!vendor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vendor not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: vendor.refundPolicy || DEFAULT_REFUND_POLICY,
+    });
+  } catch (error) {
+    console.error('Error in /api/users/:email/refund-policy GET:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch refund policy',
+      error: error.message,
+    });
+  }
+});
+
+// Update Own Refund Policy (Vendor Only)
+app.patch('/api/users/:email/refund-policy', verifyToken, verifyVendor, validateBody(refundPolicySchema), async (req, res) => {
+  try {
+    const { email } = req.params;
+    const { refundPolicy } = req.body;
+    const { users } = getCollections();
+
+    if (email !== req.decoded.email) {
+      return res.status(403).json({
+        success: false,
+        message: 'Forbidden access',
+      });
+    }
+
+    const previous = await users.findOneAndUpdate(
+      { email },
+      { $set: { refundPolicy, updatedAt: new Date() } },
+      { projection: { refundPolicy: 1 } }
+    );
+
+    setAudit(res, 'vendor.refund_policy', {
+      targetType: 'users',
+      targetId: email,
+      before: { refundPolicy: previous?.refundPolicy || DEFAULT_REFUND_POLICY },
+      after: { refundPolicy },
+    });
+
+    res.json({
+      success: true,
+      message: 'Refund policy updated successfully',
+      data: refundPolicy,
+    });
+  } catch (error) {
+    console.error('Error in /api/users/:email/refund-policy PATCH:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update refund policy',
+      error: error.message,
+    });
+  }
+});
+
+// Get Vendor's Pricing Rules (Vendor Owner or Admin)
+app.get('/api/users/:email/pricing-rules', verifyToken, verifyOwnerOrAdmin, async (req, res) => {
+  try {
+    const { email } = req.params;
+
+    res.json({
+      success: true,
+      data: await getPricingRules(email),
+    });
+  } catch (error) {
+    console.error('Error in /api/users/:email/pricing-rules GET:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch pricing rules',
+      error: error.message,
+    });
+  }
+});
+
+// Replace Own Pricing Rules (Vendor Only) - applies to bookings made from now on
+app.put('/api/users/:email/pricing-rules', verifyToken, verifyVendor, validateBody(pricingRulesSchema), async (req, res) => {
+  try {
+    const { email } = req.params;
+    const { pricingRules } = req.body;
+    const { users } = getCollections();
+
+    if (email !== req.decoded.email) {
+      return res.status(403).json({
+        success: false,
+        message: 'Forbidden access',
+      });
+    }
+
+    // Each rule type needs its own threshold
+    const requiredField = {
+      early_bird: 'minDaysBefore',
+      last_minute: 'maxHoursBefore',
+      occupancy: 'minOccupancy',
+    };
+    const errors = pricingRules
+      .map((rule, index) => ({ rule, index, field: requiredField[rule.type] }))
+      .filter(({ rule, field }) => field && rule[field] === undefined)
+      .map(({ rule, index, field }) => ({
+        field: `pricingRules[${index}].${field}`,
+        message: `${field} is required for ${rule.type} rules`,
+      }));
+
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors,
+      });
+    }
+
+    await users.updateOne(
+      { email },
+      { $set: { pricingRules, updatedAt: new Date() } }
+    );
+
+    res.json({
+      success: true,
+      message: 'Pricing rules updated successfully',
+      data: pricingRules,
+    });
+  } catch (error) {
+    console.error('Error in /api/users/:email/pricing-rules PUT:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update pricing rules',
+      error: error.message,
+    });
+  }
+});
+
+// Set Vendor Commission Override (Admin Only) - omit commissionPercent to use the platform rates
+app.patch('/api/users/:email/commission', verifyToken, verifyAdmin, validateBody(vendorCommissionSchema), async (req, res) => {
+  try {
+    const { email } = req.params;
+    const { commissionPercent } = req.body;
+    const { users } = getCollections();
+
+    const update =
+      commissionPercent === undefined
+        ? { $unset: { commissionPercent: '' }, $set: { updatedAt: new Date() } }
+        : { $set: { commissionPercent, updatedAt: new Date() } };
+
+    const previous = await users.findOneAndUpdate({ email, role: 'vendor' }, update, {
+      projection: { commissionPercent: 1 },
+    });
+
+    if (!previous) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vendor not found',
+      });
+    }
+
+    setAudit(res, 'vendor.commission', {
+      targetType: 'users',
+      targetId: email,
+      before: { commissionPercent: previous.commissionPercent ?? null },
+      after: { commissionPercent: commissionPercent ?? null },
+    });
+
+    res.json({
+      success: true,
+      message: 'Vendor commission updated successfully',
+      data: { commissionPercent: commissionPercent ?? null },
+    });
+  } catch (error) {
+    console.error('Error in /api/users/:email/commission PATCH:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update vendor commission',
+      error: error.message,
+    });
+  }
+});
+
+// Update Own Notification Preferences (Owner Only)
+app.patch(
+  '/api/users/:email/notification-preferences',
+  verifyToken,
+  validateBody(notificationPreferencesSchema, { partial: true }),
+  async (req, res) => {
+    try {
+      const { email } = req.params;
+      const { users } = getCollections();
+
+      if (email !== req.decoded.email) {
+        return res.status(403).json({
+          success: false,
+          message: 'Forbidden access',
+        });
+      }
+
+      const updates = {};
+      for (const key of Object.keys(DEFAULT_NOTIFICATION_PREFERENCES)) {
+        if (req.body?.[key] !== undefined) {
+          updates[`notificationPreferences.${key}`] = req.body[key];
+        }
+      }
+
+      const user = await users.findOneAndUpdate(
+        { email },
+        { $set: { ...updates, updatedAt: new Date() } },
+        { returnDocument: 'after', projection: { notificationPreferences: 1 } }
+      );
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found',
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Notification preferences updated successfully',
+        data: {
+          ...DEFAULT_NOTIFICATION_PREFERENCES,
+          ...user.notificationPreferences,
+        },
+      });
+    } catch (error) {
+      console.error('Error in /api/users/:email/notification-preferences PATCH:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update notification preferences',
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Get Saved Travellers (Owner or Admin)
+app.get('/api/users/:email/travellers', verifyToken, verifyOwnerOrAdmin, async (req, res) => {
+  try {
+    const { email } = req.params;
+    const { users } = getCollections();
+
+    const user = await users.findOne({ email }, { projection: { savedTravellers: 1 } });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: user.savedTravellers || [],
+    });
+  } catch (error) {
+    console.error('Error in /api/users/:email/travellers GET:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch saved travellers',
+      error: error.message,
+    });
+  }
+});
+
+// Save a Traveller (Owner Only) - reuse them in bookings with passengers: [{ travellerId }]
+app.post('/api/users/:email/travellers', verifyToken, validateBody(travellerSchema), async (req, res) => {
+  try {
+    const { email } = req.params;
+    const { users } = getCollections();
+
+    if (email !== req.decoded.email) {
+      return res.status(403).json({
+        success: false,
+        message: 'Forbidden access',
+      });
+    }
+
+    const traveller = { _id: new ObjectId(), ...req.body, createdAt: new Date() };
+
+    // The list is capped - the last allowed position must still be empty
+    const result = await users.updateOne(
+      { email, [`savedTravellers.${MAX_SAVED_TRAVELLERS - 1}`]: { $exists: false } },
+      { $push: { savedTravellers: traveller }, $set: { updatedAt: new Date() } }
+    );
+
+    if (result.matchedCount === 0) {
+      return res.status(409).json({
+        success: false,
+        message: `You can save up to ${MAX_SAVED_TRAVELLERS} travellers`,
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Traveller saved successfully',
+      data: traveller,
+    });
+  } catch (error) {
+    console.error('Error in /api/users/:email/travellers POST:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save traveller',
+      error: error.message,
+    });
+  }
+});
+
+// Update a Saved Traveller (Owner Only)
+app.patch(
+  '/api/users/:email/travellers/:travellerId',
+  verifyToken,
+  validateBody(travellerSchema, { partial: true }),
+  async (req, res) => {
+    try {
+      const { email, travellerId } = req.params;
+      const { users } = getCollections();
+
+      if (email !== req.decoded.email) {
+        return res.status(403).json({
+          success: false,
+          message: 'Forbidden access',
+        });
+      }
+
+      if (!ObjectId.isValid(travellerId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid traveller ID',
+        });
+      }
+
+      if (Object.keys(req.body).length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'No valid fields to update',
+        });
+      }
+
+      const updates = Object.fromEntries(
+        Object.entries(req.body).map(([field, value]) => [`savedTravellers.$.${field}`, value])
+      );
+
+      const result = await users.updateOne(
+        { email, 'savedTravellers._id': new ObjectId(travellerId) },
+        { $set: { ...updates, updatedAt: new Date() } }
+      );
+
+      if (result.matchedCount === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'Traveller not found',
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Traveller updated successfully',
+      });
+    } catch (error) {
+      console.error('Error in /api/users/:email/travellers/:travellerId PATCH:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update traveller',
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Remove a Saved Traveller (Owner Only)
+app.delete('/api/users/:email/travellers/:travellerId', verifyToken, async (req, res) => {
+  try {
+    const { email, travellerId } = req.params;
+    const { users } = getCollections();
+
+    if (email !== req.decoded.email) {
+      return res.status(403).json({
+        success: false,
+        message: 'Forbidden access',
+      });
+    }
+
+    if (!ObjectId.isValid(travellerId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid traveller ID',
+      });
+    }
+
+    const result = await users.updateOne(
+      { email, 'savedTravellers._id': new ObjectId(travellerId) },
+      { $pull: { savedTravellers: { _id: new ObjectId(travellerId) } }, $set: { updatedAt: new Date() } }
+    );
+
+    if (result.matchedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Traveller not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Traveller removed successfully',
+    });
+  } catch (error) {
+    console.error('Error in /api/users/:email/travellers/:travellerId DELETE:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove traveller',
+      error: error.message,
+    });
+  }
+});
+
+// TEST ROUTE - Verify MongoDB Collections (Admin Only)
+app.get('/api/test/collections', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const collections = await db.listCollections().toArray();
+    res.json({
+      success: true,
+      message: 'Database collections fetched successfully',
+      collections: collections.map(col => col.name),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch collections',
+      error: error.message,
+    });
+  }
+});
+
+
+// SEARCH HELPERS
+// Location search: city aliases, then typo-tolerant matching against known locations
+
+// Each group is one city; any spelling in the group finds the others
+const CITY_ALIASES = [
+  ['Chittagong', 'Chattogram', 'Ctg'],
+  ['Dhaka', 'Dacca', 'Dhk'],
+  ["Cox's Bazar", 'Coxs Bazar', 'Cox Bazar'],
+  ['Sylhet', 'Syl'],
+  ['Rajshahi', 'Raj'],
+  ['Khulna', 'Khl'],
+  ['Barishal', 'Barisal', 'Bsl'],
+  ['Mymensingh', 'Mymensing'],
+  ['Comilla', 'Cumilla'],
+  ['Jessore', 'Jashore'],
+  ['Bogra', 'Bogura'],
+];
+
+// Escape regex metacharacters so user input is matched literally
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Edit distance between two strings (insert/delete/substitute/swap neighbours)
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) =>
+    Array.from({ length: b.length + 1 }, (_, j) => (i === 0 ? j : j === 0 ? i : 0))
+  );
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      // Swapped letters ("dhaak") count as one typo
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return d[a.length][b.length];
+}
+
+// Short words tolerate fewer typos
+function allowedTypos(term) {
+  if (term.length <= 3) return 0;
+  if (term.length <= 6) return 1;
+  return 2;
+}
+
+// All spellings for a search term - its alias group, or just the term
+function expandCityAliases(term) {
+  const lower = term.toLowerCase();
+  const group = CITY_ALIASES.find(names =>
+    names.some(name => name.toLowerCase() === lower)
+  );
+  return group || [term];
+}
+
+// Known values of a location field that match the search term (partial, alias or typo)
+// Looks at approved tickets unless another collection (schedules) is passed
+async function matchLocations(field, input, collection = getCollections().tickets) {
+  const terms = expandCityAliases(input.trim()).map(t => t.toLowerCase());
+  const knownLocations = await collection.distinct(field, {
+    verificationStatus: 'approved',
+  });
+
+  return knownLocations.filter(location => {
+    if (typeof location !== 'string') return false;
+    const candidate = location.toLowerCase();
+    return terms.some(
+      term =>
+        candidate.includes(term) ||
+        editDistance(candidate, term) <= allowedTypos(term)
+    );
+  });
+}
+
+// Parse a YYYY-MM-DD or ISO date (platform zone unless it has an offset); date-only `end` values include the whole day
+function parseDateParam(value, { end = false } = {}) {
+  if (!value) return null;
+  const date = parsePlatformDate(String(value));
+  if (isNaN(date)) return null;
+  if (end && DATE_PATTERN.test(value)) {
+    return parsePlatformDate(addDays(value, 1));
+  }
+  return date;
+}
+
+// Build the Mongo filter for the public ticket search
+async function buildTicketSearchQuery(params) {
+  const {
+    search,
+    fromLocation,
+    toLocation,
+    transportType,
+    departureFrom,
+    departureTo,
+    minPrice,
+    maxPrice,
+    perks,
+    minSeats,
+  } = params;
+
+  // Only approved tickets
+  const query = { verificationStatus: 'approved' };
+
+  // Free text over title and route (text index)
+  if (search) {
+    query.$text = { $search: String(search).slice(0, 100) };
+  }
+
+  // Route search with aliases and typo tolerance
+  if (fromLocation) {
+    query.fromLocation = { $in: await matchLocations('fromLocation', fromLocation) };
+  }
+  if (toLocation) {
+    query.toLocation = { $in: await matchLocations('toLocation', toLocation) };
+  }
+
+  // Filter by transport type (stored in canonical form, e.g. 'Bus')
+  if (transportType) {
+    query.transportType =
+      TRANSPORT_TYPES.find(
+        type => type.toLowerCase() === transportType.toLowerCase()
+      ) || transportType;
+  }
+
+  // Departure date range
+  const from = parseDateParam(departureFrom);
+  const to = parseDateParam(departureTo, { end: true });
+  if (from || to) {
+    query.departureAt = {};
+    if (from) query.departureAt.$gte = from;
+    if (to) query.departureAt.$lt = to;
+  }
+
+  // Price range
+  const min = parseFloat(minPrice);
+  const max = parseFloat(maxPrice);
+  if (Number.isFinite(min) || Number.isFinite(max)) {
+    query.pricePerUnit = {};
+    if (Number.isFinite(min)) query.pricePerUnit.$gte = min;
+    if (Number.isFinite(max)) query.pricePerUnit.$lte = max;
+  }
+
+  // Perks / amenities - comma separated, ticket must have all of them
+  if (perks) {
+    const perkList = perks.split(',').map(p => p.trim()).filter(Boolean);
+    if (perkList.length) {
+      query.perks = {
+        $all: perkList.map(p => new RegExp(`^${escapeRegex(p)}$`, 'i')),
+      };
+    }
+  }
+
+  // Remaining seats
+  const seats = parseInt(minSeats);
+  if (Number.isInteger(seats) && seats > 0) {
+    query.quantity = { $gte: seats };
+  }
+
+  return query;
+}
+
+// Sort options for the public ticket search
+const TICKET_SORTS = {
+  'price-low': { pricePerUnit: 1 },
+  'price-high': { pricePerUnit: -1 },
+  'departure-early': { departureAt: 1 },
+  'departure-late': { departureAt: -1 },
+  'duration-short': { durationMinutes: 1 },
+  'duration-long': { durationMinutes: -1 },
+};
+
+// Normalised trip times stored on each ticket for range filters and sorting
+function getTripTimes(ticket) {
+  const departureAt = getDepartureDate(ticket);
+  const arrivalAt = ticket.arrivalDateTime ? parsePlatformDate(ticket.arrivalDateTime) : null;
+  const durationMinutes =
+    departureAt && arrivalAt && arrivalAt > departureAt
+      ? Math.round((arrivalAt - departureAt) / (60 * 1000))
+      : null;
+  // The zone is kept so times computed before it was applied can be found and fixed
+  return { departureAt, durationMinutes, tripTimesZone: STATS_TIMEZONE };
+}
+
+// SCHEDULE HELPERS
+// A schedule describes a recurring departure (days of week x departure times within a validity period).
+// Bookable departures are ordinary ticket documents generated on demand - one per date and time,
+// tagged with scheduleId - so each date has its own inventory and the booking flow is unchanged.
+// Per-date changes live in schedule.exceptions['YYYY-MM-DD']: { cancelled, departureTimes, pricePerUnit, quantity }
+
+const MAX_SCHEDULE_DAYS = 62; // longest range generated in one call
+const ACTIVE_BOOKING_STATUSES = ['pending', 'accepted', 'paid', 'boarded'];
+
+// Fields copied from a schedule onto each departure it generates
+const SCHEDULE_TICKET_FIELDS = [
+  'title', 'fromLocation', 'toLocation', 'transportType', 'perks', 'image', 'vendorName', 'seatLayout',
+];
+
+// Rules the schema can't express - returns a field error or null
+function checkSchedule(schedule) {
+  if (!schedule.daysOfWeek.length) {
+    return { field: 'daysOfWeek', message: 'daysOfWeek must list at least one day (0 = Sunday ... 6 = Saturday)' };
+  }
+  if (!schedule.departureTimes.length) {
+    return { field: 'departureTimes', message: 'departureTimes must list at least one time' };
+  }
+  if (schedule.validFrom > schedule.validTo) {
+    return { field: 'validTo', message: 'validTo must not be before validFrom' };
+  }
+  if (schedule.seatLayout) {
+    const layoutError = checkSeatLayout(schedule.seatLayout);
+    if (layoutError) return { field: 'seatLayout', message: layoutError };
+  }
+  return null;
+}
+
+// YYYY-MM-DD arithmetic without time zone surprises
+function addDays(date, days) {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + days);
+  return next.toISOString().slice(0, 10);
+}
+
+function getWeekday(date) {
+  return new Date(`${date}T00:00:00Z`).getUTCDay(); // 0 = Sunday
+}
+
+// The ticket document for one departure of a schedule
+function buildScheduledDeparture(schedule, date, departureTime) {
+  const exception = schedule.exceptions?.[date];
+  const departure = {
+    ...Object.fromEntries(
+      SCHEDULE_TICKET_FIELDS.filter(field => schedule[field] !== undefined).map(field => [
+        field,
+        schedule[field],
+      ])
+    ),
+    pricePerUnit: exception?.pricePerUnit ?? schedule.pricePerUnit,
+    quantity: exception?.quantity ?? schedule.quantity,
+    departureDate: date,
+    departureTime,
+  };
+
+  if (schedule.durationMinutes) {
+    const departureAt = getDepartureDate(departure);
+    departure.arrivalDateTime = new Date(
+      departureAt.getTime() + schedule.durationMinutes * 60 * 1000
+    );
+  }
+
+  if (schedule.seatLayout) {
+    departure.seats = buildSeats(schedule.seatLayout);
+    departure.quantity = departure.seats.length;
+  }
+  departure.capacity = departure.quantity;
+
+  return {
+    ...departure,
+    ...getTripTimes(departure),
+    scheduleId: schedule._id.toString(),
+    vendorEmail: schedule.vendorEmail,
+    verificationStatus: schedule.verificationStatus, // departures follow the schedule's approval
+    // Generated while the vendor is suspended - hidden now, restored with the schedule on reinstatement
+    ...(schedule.preSuspensionStatus && { preSuspensionStatus: schedule.preSuspensionStatus }),
+    isAdvertised: false,
+    createdAt: new Date(),
+  };
+}
+
+// Make sure the schedule's future departures between two dates exist (inclusive, capped at MAX_SCHEDULE_DAYS).
+// Existing departures are left alone, so their inventory is never reset.
+async function generateDepartures(schedule, fromDate, toDate) {
+  const { tickets } = getCollections();
+
+  // Only approved schedules run - a pending schedule's departures would land in the ticket moderation queue.
+  // A suspended vendor's schedule keeps generating under its hidden status, as it was approved before.
+  if ((schedule.preSuspensionStatus ?? schedule.verificationStatus) !== 'approved') return;
+
+  const start = fromDate > schedule.validFrom ? fromDate : schedule.validFrom;
+  const lastDay = addDays(start, MAX_SCHEDULE_DAYS - 1);
+  let end = toDate < schedule.validTo ? toDate : schedule.validTo;
+  if (end > lastDay) end = lastDay;
+
+  const now = new Date();
+  const operations = [];
+
+  for (let date = start; date <= end; date = addDays(date, 1)) {
+    const exception = schedule.exceptions?.[date];
+    if (!schedule.daysOfWeek.includes(getWeekday(date)) || exception?.cancelled) {
+      continue;
+    }
+
+    for (const departureTime of exception?.departureTimes || schedule.departureTimes) {
+      const departure = buildScheduledDeparture(schedule, date, departureTime);
+      if (departure.departureAt <= now) continue;
+
+      operations.push({
+        updateOne: {
+          filter: { scheduleId: departure.scheduleId, departureDate: date, departureTime },
+          update: { $setOnInsert: departure },
+          upsert: true,
+        },
+      });
+    }
+  }
+
+  if (!operations.length) return;
+
+  try {
+    await tickets.bulkWrite(operations, { ordered: false });
+  } catch (error) {
+    // Another request generated the same departure at the same moment - the unique index kept one
+    if (error.code !== 11000 && !error.writeErrors?.every(e => e.code === 11000)) {
+      throw error;
+    }
+  }
+}
+
+// Generate departures on a travel date for approved schedules matching a search
+async function generateDeparturesForSearch(params, date) {
+  const { schedules } = getCollections();
+
+  const query = {
+    verificationStatus: 'approved',
+    validFrom: { $lte: date },
+    validTo: { $gte: date },
+    daysOfWeek: getWeekday(date),
+  };
+
+  if (params.fromLocation) {
+    query.fromLocation = { $in: await matchLocations('fromLocation', params.fromLocation, schedules) };
+  }
+  if (params.toLocation) {
+    query.toLocation = { $in: await matchLocations('toLocation', params.toLocation, schedules) };
+  }
+  if (params.transportType) {
+    query.transportType =
+      TRANSPORT_TYPES.find(type => type.toLowerCase() === params.transportType.toLowerCase()) ||
+      params.transportType;
+  }
+
+  const cursor = schedules.find(query).limit(MAX_PAGE_LIMIT);
+  for await (const schedule of cursor) {
+    await generateDepartures(schedule, date, date);
+  }
+}
+
+// After a schedule or date changes: drop generated future departures nobody has booked
+// (they regenerate from the new settings on demand) and apply `safeUpdates` to booked ones.
+// Returns the number of booked departures that were kept.
+async function refreshScheduledDepartures(schedule, filter = {}, safeUpdates = {}) {
+  const { tickets, bookings } = getCollections();
+
+  const departures = await tickets
+    .find(
+      { scheduleId: schedule._id.toString(), departureAt: { $gt: new Date() }, ...filter },
+      { projection: { _id: 1 } }
+    )
+    .toArray();
+  if (!departures.length) return 0;
+
+  const bookedIds = await bookings.distinct('ticketId', {
+    ticketId: { $in: departures.map(d => d._id.toString()) },
+    status: { $in: ACTIVE_BOOKING_STATUSES },
+  });
+  const booked = departures.filter(d => bookedIds.includes(d._id.toString()));
+  const unbooked = departures.filter(d => !bookedIds.includes(d._id.toString()));
+
+  if (unbooked.length) {
+    await tickets.deleteMany({ _id: { $in: unbooked.map(d => d._id) } });
+  }
+  if (booked.length && Object.keys(safeUpdates).length) {
+    await tickets.updateMany(
+      { _id: { $in: booked.map(d => d._id) } },
+      { $set: { ...safeUpdates, updatedAt: new Date() } }
+    );
+  }
+  return booked.length;
+}
+
+// MODERATION HELPERS
+// Pending tickets form a first-in-first-out queue ordered by submittedAt. An admin claims a ticket
+// before reviewing it so two admins don't review the same item; claims run out after TICKET_CLAIM_MINUTES.
+// Every submission, edit and review is kept in `ticketRevisions`.
+
+const TICKET_CLAIM_MINUTES = 30;
+
+// Editing any of these on an approved ticket sends it back to the queue
+const REVIEWED_TICKET_FIELDS = [
+  'pricePerUnit',
+  'fromLocation',
+  'toLocation',
+  'transportType',
+  'departureDateTime',
+  'departureDate',
+  'departureTime',
+  'arrivalDateTime',
+];
+
+// Editing any of these on an approved schedule sends it back for review - new departures wait with it
+const REVIEWED_SCHEDULE_FIELDS = [
+  'pricePerUnit',
+  'fromLocation',
+  'toLocation',
+  'transportType',
+  'daysOfWeek',
+  'departureTimes',
+  'durationMinutes',
+];
+
+// Does an edit need another review? Only for approved tickets and schedules, including ones hidden by a
+// suspension that would otherwise come back approved on reinstatement
+function needsReReview(listing, changes, reviewedFields) {
+  const approved =
+    listing.verificationStatus === 'approved' || listing.preSuspensionStatus === 'approved';
+  return approved && Object.keys(changes).some(field => reviewedFields.includes(field));
+}
+
+// Status fields that send an edited listing back to the queue (or to it once a suspension is lifted)
+function reviewStatusUpdate(listing) {
+  return listing.preSuspensionStatus
+    ? { preSuspensionStatus: 'pending', submittedAt: new Date() }
+    : { verificationStatus: 'pending', submittedAt: new Date() };
+}
+
+// Filter for tickets the admin may review: unclaimed, claimed by them, or the claim ran out
+function claimableBy(adminEmail, now = new Date()) {
+  return {
+    $or: [{ claimedBy: null }, { claimedBy: adminEmail }, { claimExpiresAt: { $lte: now } }],
+  };
+}
+
+// Append one entry to a ticket's history - type 'submitted' | 'edited' | 'resubmitted' | 'approved' | 'rejected'
+async function recordTicketRevision(ticketId, type, { by, changes = null, reason = null, note = null }) {
+  const { ticketRevisions } = getCollections();
+
+  await ticketRevisions.insertOne({
+    ticketId: ticketId.toString(),
+    type,
+    by,
+    changes,
+    reason,
+    note,
+    createdAt: new Date(),
+  });
+}
+
+// ADVERTISING HELPERS
+// Homepage ads are campaigns: one ticket shown from startDate to endDate (YYYY-MM-DD, inclusive, in the
+// platform time zone). Each day has a fixed number of slots; a campaign takes one slot on every day it runs
+// through a conditional counter in `adSlots` ({ _id: date, count }), so two campaigns can never race past the limit.
+// Admin campaigns are confirmed at once. Vendors buy campaigns at dailyPrice per day: the slots are held
+// for PAYMENT_WINDOW_MINUTES while they pay through Stripe, and released if they don't.
+// Campaign status: pending_payment -> confirmed -> expired, or cancelled
+
+const DEFAULT_AD_SLOTS = parseInt(process.env.AD_SLOTS) || 6;
+const DEFAULT_AD_DAILY_PRICE = parseFloat(process.env.AD_DAILY_PRICE) || 500; // BDT
+const MAX_CAMPAIGN_DAYS = 60;
+const CAMPAIGN_STATUSES = ['pending_payment', 'confirmed', 'cancelled', 'expired'];
+
+// Today's date in the platform time zone, as YYYY-MM-DD
+function todayInPlatformZone(now = new Date()) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone: STATS_TIMEZONE }).format(now);
+}
+
+// Every date from start to end, inclusive
+function dateRange(startDate, endDate) {
+  const dates = [];
+  for (let date = startDate; date <= endDate; date = addDays(date, 1)) {
+    dates.push(date);
+  }
+  return dates;
+}
+
+// Slot count and vendor price - settings document { _id: 'advertising' }, else env defaults
+async function getAdvertisingSettings() {
+  const { settings } = getCollections();
+  const stored = await settings.findOne({ _id: 'advertising' });
+
+  return {
+    slots: stored?.slots ?? DEFAULT_AD_SLOTS,
+    dailyPrice: stored?.dailyPrice ?? DEFAULT_AD_DAILY_PRICE,
+  };
+}
+
+// Rules the schema can't express - returns a field error or null
+function checkCampaignDates(startDate, endDate, ticket) {
+  const today = todayInPlatformZone();
+
+  if (startDate < today) {
+    return { field: 'startDate', message: 'startDate cannot be in the past' };
+  }
+  if (endDate < startDate) {
+    return { field: 'endDate', message: 'endDate must be on or after startDate' };
+  }
+  if (dateRange(startDate, endDate).length > MAX_CAMPAIGN_DAYS) {
+    return { field: 'endDate', message: `A campaign can run at most ${MAX_CAMPAIGN_DAYS} days` };
+  }
+  if (ticket.departureAt && endDate > todayInPlatformZone(ticket.departureAt)) {
+    return { field: 'endDate', message: 'endDate must be on or before the departure date' };
+  }
+  return null;
+}
+
+async function releaseAdSlots(dates) {
+  const { adSlots } = getCollections();
+
+  if (dates.length) {
+    await adSlots.updateMany({ _id: { $in: dates } }, { $inc: { count: -1 } });
+  }
+}
+
+// Take one slot on every day - all or nothing. Returns { reserved, fullDate }.
+async function reserveAdSlots(dates, slots) {
+  const { adSlots } = getCollections();
+  const taken = [];
+
+  for (const date of dates) {
+    try {
+      // A full day doesn't match the filter, so the upsert collides with it on _id
+      await adSlots.updateOne(
+        { _id: date, count: { $lt: slots } },
+        { $inc: { count: 1 } },
+        { upsert: true }
+      );
+      taken.push(date);
+    } catch (error) {
+      await releaseAdSlots(taken);
+      if (error.code === 11000) {
+        return { reserved: false, fullDate: date };
+      }
+      throw error;
+    }
+  }
+  return { reserved: true, fullDate: null };
+}
+
+// Days of a campaign still to come (from today) - past days keep their slot
+function remainingCampaignDates(campaign) {
+  const today = todayInPlatformZone();
+  return dateRange(campaign.startDate > today ? campaign.startDate : today, campaign.endDate);
+}
+
+// Reserve slots and insert the campaign. Returns { campaign } or { error } when a day is full.
+async function createCampaign(ticket, { startDate, endDate, priority = 0, createdBy, paidBy = null }) {
+  const { campaigns } = getCollections();
+  const { slots, dailyPrice } = await getAdvertisingSettings();
+  const dates = dateRange(startDate, endDate);
+
+  await releaseUnpaidCampaigns(); // the sweeper may not run between requests on serverless
+
+  const { reserved, fullDate } = await reserveAdSlots(dates, slots);
+  if (!reserved) {
+    return { error: `All ${slots} advertising slots are taken on ${fullDate}` };
+  }
+
+  const campaign = {
+    ticketId: ticket._id.toString(),
+    ticketTitle: ticket.title,
+    vendorEmail: ticket.vendorEmail,
+    startDate,
+    endDate,
+    priority,
+    status: paidBy ? 'pending_payment' : 'confirmed',
+    price: paidBy ? roundMoney(dates.length * dailyPrice) : 0,
+    holdExpiresAt: paidBy ? new Date(Date.now() + PAYMENT_WINDOW_MINUTES * 60 * 1000) : null,
+    confirmedAt: paidBy ? null : new Date(),
+    impressions: 0,
+    clicks: 0,
+    createdBy,
+    createdAt: new Date(),
+  };
+
+  try {
+    const result = await campaigns.insertOne(campaign);
+    campaign._id = result.insertedId;
+  } catch (error) {
+    await releaseAdSlots(dates);
+    throw error;
+  }
+
+  return { campaign };
+}
+
+// Move a campaign out of pending_payment/confirmed and free its remaining days (compare-and-set)
+async function endCampaign(campaign, status, set = {}) {
+  const { campaigns } = getCollections();
+
+  const ended = await campaigns.findOneAndUpdate(
+    { _id: campaign._id, status: campaign.status },
+    { $set: { ...set, status, endedAt: new Date() } },
+    { returnDocument: 'after' }
+  );
+
+  if (ended) {
+    await releaseAdSlots(remainingCampaignDates(campaign));
+  }
+  return ended;
+}
+
+// Give back the slots of campaigns not paid within the payment window
+async function releaseUnpaidCampaigns() {
+  const { campaigns } = getCollections();
+
+  const unpaid = await campaigns
+    .find({ status: 'pending_payment', holdExpiresAt: { $lte: new Date() } })
+    .toArray();
+  for (const campaign of unpaid) {
+    await endCampaign(campaign, 'cancelled', { cancelReason: 'payment_window_expired' });
+  }
+}
+
+// Release unpaid campaigns, expire finished ones and keep tickets' isAdvertised flag in step
+async function refreshCampaigns() {
+  const { campaigns, tickets } = getCollections();
+  const today = todayInPlatformZone();
+
+  await releaseUnpaidCampaigns();
+
+  await campaigns.updateMany(
+    { status: 'confirmed', endDate: { $lt: today } },
+    { $set: { status: 'expired', endedAt: new Date() } }
+  );
+
+  const liveTicketIds = (
+    await campaigns.distinct('ticketId', {
+      status: 'confirmed',
+      startDate: { $lte: today },
+      endDate: { $gte: today },
+    })
+  ).map(id => new ObjectId(id));
+
+  await tickets.updateMany(
+    { _id: { $in: liveTicketIds }, isAdvertised: { $ne: true } },
+    { $set: { isAdvertised: true, advertisedAt: new Date() } }
+  );
+  await tickets.updateMany(
+    { _id: { $nin: liveTicketIds }, isAdvertised: true },
+    { $set: { isAdvertised: false, advertisedAt: null } }
+  );
+}
+
+// Who is seeing an ad: the logged-in user, else a hash of the client's IP (never stored in clear).
+// Changing the user agent or clearing cookies doesn't make a new anonymous viewer.
+function getAdViewer(req) {
+  const token = getRequestToken(req);
+  if (token) {
+    try {
+      const { email } = jwt.verify(token, process.env.JWT_SECRET);
+      return { email, key: `user:${email}` };
+    } catch (error) {
+      // Expired or bad token - count as anonymous
+    }
+  }
+  const ipHash = crypto.createHash('sha256').update(String(req.ip)).digest('hex').slice(0, 32);
+  return { email: null, key: `ip:${ipHash}` };
+}
+
+// Count an impression or click once per viewer, campaign and day - repeats and the owning vendor's
+// own views are ignored, so the metrics vendors pay against can't be inflated by reloading or scripting.
+// Returns how many of the campaigns counted.
+async function recordAdEvents(campaignList, type, viewer) {
+  const { adEvents, campaigns } = getCollections();
+  const today = todayInPlatformZone();
+  const counted = [];
+
+  for (const campaign of campaignList) {
+    if (viewer.email && viewer.email === campaign.vendorEmail) continue;
+    try {
+      await adEvents.insertOne({
+        _id: `${campaign._id}:${type}:${today}:${viewer.key}`,
+        campaignId: campaign._id.toString(),
+        type,
+        date: today,
+        createdAt: new Date(),
+      });
+      counted.push(campaign._id);
+    } catch (error) {
+      if (error.code !== 11000) throw error; // already counted today
+    }
+  }
+
+  if (counted.length) {
+    await campaigns.updateMany(
+      { _id: { $in: counted } },
+      { $inc: { [`${type}s`]: 1, [`daily.${today}.${type}s`]: 1 } }
+    );
+  }
+  return counted.length;
+}
+
+// Refund the days a paid campaign won't run (days already started count as used)
+async function refundUnusedCampaignDays(campaign) {
+  const { transactions } = getCollections();
+  const tomorrow = addDays(todayInPlatformZone(), 1);
+  const totalDays = dateRange(campaign.startDate, campaign.endDate).length;
+  const unusedDays = dateRange(
+    campaign.startDate > tomorrow ? campaign.startDate : tomorrow,
+    campaign.endDate
+  ).length;
+  const amount = roundMoney((campaign.price * unusedDays) / totalDays);
+
+  if (!campaign.paymentIntentId || amount <= 0) {
+    return 0;
+  }
+
+  const refund = await stripe.refunds.create(
+    {
+      payment_intent: campaign.paymentIntentId,
+      amount: Math.round(amount * 100), // Convert to paisa
+      metadata: { campaignId: campaign._id.toString(), reason: 'campaign_cancelled' },
+    },
+    { idempotencyKey: `campaign-refund-${campaign._id}` }
+  );
+
+  await transactions.updateOne(
+    { transactionId: refund.id, type: 'advertising_refund' },
+    {
+      $setOnInsert: {
+        transactionId: refund.id,
+        type: 'advertising_refund',
+        campaignId: campaign._id.toString(),
+        userEmail: campaign.vendorEmail,
+        amount,
+        currency: 'bdt',
+        paymentDate: new Date(),
+        createdAt: new Date(),
+      },
+    },
+    { upsert: true }
+  );
+  await postLedgerEntry({
+    key: `campaign-refund:${campaign._id}`,
+    type: 'advertising_refund',
+    campaignId: campaign._id.toString(),
+    gross: amount,
+    lines: [
+      { account: PLATFORM_ACCOUNTS.advertising, debit: amount },
+      { account: PLATFORM_ACCOUNTS.cash, credit: amount },
+    ],
+  });
+
+  return amount;
+}
+
+// payment_intent.succeeded for a campaign - confirm it, or refund if its slots are gone
+async function handleCampaignPaymentSucceeded(paymentIntent) {
+  const { campaigns, transactions } = getCollections();
+  const { campaignId } = paymentIntent.metadata;
+
+  const campaign = ObjectId.isValid(campaignId)
+    ? await campaigns.findOne({ _id: new ObjectId(campaignId) })
+    : null;
+
+  if (!campaign) {
+    console.warn('⚠️ Campaign not found for PaymentIntent:', paymentIntent.id);
+    return;
+  }
+
+  const paidSet = {
+    status: 'confirmed',
+    confirmedAt: new Date(),
+    paidAt: new Date(),
+    paymentIntentId: paymentIntent.id,
+    holdExpiresAt: null,
+  };
+
+  let confirmed =
+    campaign.status === 'confirmed' && campaign.paymentIntentId === paymentIntent.id
+      ? campaign // earlier delivery of this event
+      : await campaigns.findOneAndUpdate(
+          { _id: campaign._id, status: 'pending_payment' },
+          { $set: paidSet },
+          { returnDocument: 'after' }
+        );
+
+  // Payment window ran out first - take the slots again if they're still free
+  if (!confirmed && campaign.cancelReason === 'payment_window_expired') {
+    const dates = remainingCampaignDates(campaign);
+    const { slots } = await getAdvertisingSettings();
+
+    if (dates.length && (await reserveAdSlots(dates, slots)).reserved) {
+      confirmed = await campaigns.findOneAndUpdate(
+        { _id: campaign._id, status: 'cancelled' },
+        { $set: paidSet, $unset: { cancelReason: '', endedAt: '' } },
+        { returnDocument: 'after' }
+      );
+      if (!confirmed) {
+        await releaseAdSlots(dates);
+      }
+    }
+  }
+
+  if (!confirmed) {
+    console.warn('⚠️ Paid campaign could not be confirmed, refunding:', campaign._id);
+    await stripe.refunds.create(
+      { payment_intent: paymentIntent.id },
+      { idempotencyKey: `unavailable-refund-${paymentIntent.id}` }
+    );
+    await campaigns.updateOne(
+      { _id: campaign._id },
+      { $set: { paymentIntentId: paymentIntent.id, paymentStatus: 'refunded' } }
+    );
+    return;
+  }
+
+  const amount = paymentIntent.amount_received / 100; // paisa to BDT
+  await transactions.updateOne(
+    { transactionId: paymentIntent.id, type: 'advertising' },
+    {
+      $setOnInsert: {
+        transactionId: paymentIntent.id,
+        type: 'advertising',
+        campaignId: campaign._id.toString(),
+        ticketId: campaign.ticketId,
+        ticketTitle: campaign.ticketTitle,
+        userEmail: campaign.vendorEmail, // the vendor is the paying customer here
+        amount,
+        currency: paymentIntent.currency,
+        paymentDate: new Date(paymentIntent.created * 1000),
+        createdAt: new Date(),
+      },
+    },
+    { upsert: true }
+  );
+  await postLedgerEntry({
+    key: `campaign:${campaign._id}`,
+    type: 'advertising',
+    campaignId: campaign._id.toString(),
+    gross: amount,
+    lines: [
+      { account: PLATFORM_ACCOUNTS.cash, debit: amount },
+      { account: PLATFORM_ACCOUNTS.advertising, credit: amount },
+    ],
+  });
+  console.log('📢 Campaign paid via webhook:', campaign._id); // Debug log
+}
+
+// TICKET ROUTES
+// Add New Ticket (Vendor Only)
+app.post('/api/tickets', verifyToken, verifyVendor, refuseSuspendedVendor, validateBody(ticketSchema), async (req, res) => {
+  try {
+    const ticketData = req.body;
+    const { tickets } = getCollections();
+
+    // Departure can be sent as departureDateTime or departureDate + departureTime
+    const departure = getDepartureDate(ticketData);
+    if (!departure || isNaN(departure) || departure <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: [
+          {
+            field: 'departureDateTime',
+            message: 'departureDateTime must be a valid future date and time',
+          },
+        ],
+      });
+    }
+
+    // Seat map replaces the plain quantity with one entry per seat
+    if (ticketData.seatLayout) {
+      const layoutError = checkSeatLayout(ticketData.seatLayout);
+      if (layoutError) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: [{ field: 'seatLayout', message: layoutError }],
+        });
+      }
+      ticketData.seats = buildSeats(ticketData.seatLayout);
+      ticketData.quantity = ticketData.seats.length;
+    }
+
+    // Create ticket with initial pending status
+    // Vendor identity comes from the token, never from the body
+    const newTicket = {
+      ...ticketData,
+      ...getTripTimes(ticketData), // departureAt, durationMinutes for search
+      capacity: ticketData.quantity, // quantity counts down as seats sell
+      vendorEmail: req.decoded.email,
+      vendorName: ticketData.vendorName || req.user.name,
+      verificationStatus: 'pending', // Admin will approve/reject
+      isAdvertised: false, // Not advertised initially
+      submittedAt: new Date(), // position in the moderation queue
+      createdAt: new Date(),
+    };
+
+    const result = await tickets.insertOne(newTicket);
+    await recordTicketRevision(result.insertedId, 'submitted', { by: req.decoded.email });
+
+    res.status(201).json({
+      success: true,
+      message: 'Ticket added successfully. Waiting for admin approval.',
+      data: result,
+    });
+  } catch (error) {
+    console.error('Error in /api/tickets POST:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add ticket',
+      error: error.message,
+    });
+  }
+});
+
+// Get Advertised Tickets (For Homepage) - today's campaigns by priority, one ticket per slot
+// Each ticket carries campaignId and its position; the client reports them being shown with
+// POST /api/campaigns/impressions and clicks with POST /api/campaigns/:id/click
+app.get('/api/tickets/advertised', async (req, res) => {
+  try {
+    const { tickets, campaigns } = getCollections();
+    const today = todayInPlatformZone();
+    const { slots } = await getAdvertisingSettings();
+
+    const liveCampaigns = await campaigns
+      .find({ status: 'confirmed', startDate: { $lte: today }, endDate: { $gte: today } })
+      .sort({ priority: -1, confirmedAt: 1 })
+      .toArray();
+
+    const campaignTickets = await tickets
+      .find(
+        {
+          _id: { $in: liveCampaigns.map(campaign => new ObjectId(campaign.ticketId)) },
+          verificationStatus: 'approved',
+        },
+        { projection: { seats: 0 } } // seat map is served by /api/tickets/:id/seats
+      )
+      .toArray();
+    const ticketsById = new Map(campaignTickets.map(ticket => [ticket._id.toString(), ticket]));
+
+    // Highest priority campaign per ticket, up to the slot count
+    const shown = [];
+    for (const campaign of liveCampaigns) {
+      if (shown.length === slots) break;
+      if (ticketsById.has(campaign.ticketId) && !shown.some(c => c.ticketId === campaign.ticketId)) {
+        shown.push(campaign);
+      }
+    }
+
+    const advertisedTickets = shown.map((campaign, index) => ({
+      ...ticketsById.get(campaign.ticketId),
+      campaignId: campaign._id,
+      position: index + 1,
+    }));
+
+    console.log('📢 Advertised tickets found:', advertisedTickets.length); // Debug log
+
+    res.json({
+      success: true,
+      data: advertisedTickets,
+    });
+  } catch (error) {
+    console.error('Error in /api/tickets/advertised GET:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch advertised tickets',
+      error: error.message,
+    });
+  }
+});
+
+// Get Latest Tickets (For Homepage)
+app.get('/api/tickets/latest', async (req, res) => {
+  try {
+    const { tickets } = getCollections();
+
+    const latestTickets = await tickets
+      .find({ verificationStatus: 'approved' }, { projection: { seats: 0 } })
       .sort({ createdAt: -1 })
       .limit(8)
       .toArray();
 
-    console.log('🆕 Latest tickets found:', latestTickets.length); // Debug log
+    console.log('🆕 Latest tickets found:', latestTickets.length); // Debug log
+
+    res.json({
+      success: true,
+      data: latestTickets,
+    });
+  } catch (error) {
+    console.error('Error in /api/tickets/latest GET:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch latest tickets',
+      error: error.message,
+    });
+  }
+});
+
+// Get Pending Tickets (Admin Only) - the moderation queue, oldest submission first
+// Optional ?claim=mine|unclaimed to show your claimed tickets or the ones still free
+app.get('/api/tickets/pending', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const { claim } = req.query;
+    const { tickets } = getCollections();
+
+    const query = { verificationStatus: 'pending' };
+    if (claim === 'mine') {
+      query.claimedBy = req.decoded.email;
+      query.claimExpiresAt = { $gt: new Date() };
+    } else if (claim === 'unclaimed') {
+      query.$or = [{ claimedBy: null }, { claimExpiresAt: { $lte: new Date() } }];
+    }
+
+    const page = await findPage(tickets, query, req.query, {
+      sort: { submittedAt: 1 },
+      projection: { seats: 0 },
+    });
+
+    if (!page) {
+      return sendInvalidCursor(res);
+    }
+
+    console.log('📋 Pending tickets found:', page.data.length); // Debug log
+
+    res.json({
+      success: true,
+      ...page,
+    });
+  } catch (error) {
+    console.error('❌ Error in /api/tickets/pending GET:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch pending tickets',
+      error: error.message,
+    });
+  }
+});
+
+// Get ALL Tickets (Admin Only - including pending, approved, rejected)
+app.get('/api/tickets/all-admin', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const { tickets } = getCollections();
+
+    // No filter - get everything, optionally narrowed by ?verificationStatus=
+    const { verificationStatus } = req.query;
+    const query = verificationStatus
+      ? { verificationStatus: String(verificationStatus) }
+      : {};
+
+    const page = await findPage(tickets, query, req.query, {
+      projection: { seats: 0 },
+    });
+
+    if (!page) {
+      return sendInvalidCursor(res);
+    }
+
+    console.log('📊 All tickets (admin view):', page.data.length); // Debug log
+
+    res.json({
+      success: true,
+      ...page,
+    });
+  } catch (error) {
+    console.error('❌ Error in /api/tickets/all-admin GET:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch all tickets',
+      error: error.message,
+    });
+  }
+});
+
+// Get Vendor's Tickets (Vendor Owner or Admin)
+app.get('/api/tickets/vendor/:email', verifyToken, verifyOwnerOrAdmin, async (req, res) => {
+  try {
+    const { email } = req.params;
+    const { tickets } = getCollections();
+
+    const page = await findPage(tickets, { vendorEmail: email }, req.query, {
+      projection: { seats: 0 },
+    });
+
+    if (!page) {
+      return sendInvalidCursor(res);
+    }
+
+    res.json({
+      success: true,
+      ...page,
+    });
+  } catch (error) {
+    console.error('Error in /api/tickets/vendor/:email GET:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch vendor tickets',
+      error: error.message,
+    });
+  }
+});
+
+// Get All Approved Tickets (Public/Protected)
+// Supports search, filter, sort, pagination
+app.get('/api/tickets', async (req, res) => {
+  try {
+    const { tickets } = getCollections();
+    
+    // Filters are read by buildTicketSearchQuery, paging by findPage
+    const { sortBy, travelDate } = req.query; // see TICKET_SORTS
+
+    // A travel date searches that day, including departures of recurring schedules
+    let searchParams = req.query;
+    if (travelDate) {
+      if (!DATE_PATTERN.test(travelDate)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid travelDate. Use YYYY-MM-DD',
+        });
+      }
+
+      await generateDeparturesForSearch(req.query, travelDate);
+      searchParams = { ...req.query, departureFrom: travelDate, departureTo: travelDate };
+    }
+
+    const query = await buildTicketSearchQuery(searchParams);
+
+    let page;
+    if (TICKET_SORTS[sortBy] || !query.$text) {
+      page = await findPage(tickets, query, req.query, {
+        sort: TICKET_SORTS[sortBy] || { createdAt: -1 }, // Default: newest first
+        projection: { seats: 0 },
+      });
+    } else {
+      // Best text match first - relevance can't be keyset-paged, so use page numbers
+      page = await findPage(
+        tickets,
+        query,
+        { ...req.query, page: req.query.page || 1 },
+        {
+          sort: { score: { $meta: 'textScore' } },
+          projection: { seats: 0, score: { $meta: 'textScore' } },
+        }
+      );
+    }
+
+    if (!page) {
+      return sendInvalidCursor(res);
+    }
+
+    page.data = await attachVendorRatings(page.data);
+
+    res.json({
+      success: true,
+      ...page,
+    });
+  } catch (error) {
+    console.error('Error in /api/tickets GET:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch tickets',
+      error: error.message,
+    });
+  }
+});
+
+// Get Single Ticket by ID (Logged-in Users)
+app.get('/api/tickets/:id', verifyToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { tickets } = getCollections();
+
+    // Validate ObjectId
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid ticket ID',
+      });
+    }
+
+    // Make sure seats from stale holds show as available
+    await releaseExpiredHolds();
+
+    const ticket = await tickets.findOne(
+      { _id: new ObjectId(id) },
+      { projection: { seats: 0 } } // seat map is served by /api/tickets/:id/seats
+    );
+
+    if (!ticket) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ticket not found',
+      });
+    }
+
+    const [ticketWithRating] = await attachVendorRatings([ticket]);
+
+    res.json({
+      success: true,
+      data: ticketWithRating,
+    });
+  } catch (error) {
+    console.error('Error in /api/tickets/:id GET:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch ticket',
+      error: error.message,
+    });
+  }
+});
+
+// Update Ticket (Vendor Only)
+app.patch('/api/tickets/:id', verifyToken, verifyVendor, validateBody(ticketUpdateSchema, { partial: true }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { baseQuantity, ...updateData } = req.body;
+    const { tickets } = getCollections();
+
+    // Validate ObjectId
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid ticket ID',
+      });
+    }
+
+    // Vendors can only update their own tickets
+    const ticket = await tickets.findOne({ _id: new ObjectId(id) });
+
+    if (!ticket) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ticket not found',
+      });
+    }
+
+    if (ticket.vendorEmail !== req.decoded.email) {
+      return res.status(403).json({
+        success: false,
+        message: 'Forbidden access',
+      });
+    }
+
+    // Schema already dropped fields that shouldn't be updated directly
+    // (_id, verificationStatus, isAdvertised, vendorEmail)
+    if (Object.keys(updateData).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No valid fields to update',
+      });
+    }
+
+    // Seat maps change through their own endpoint and own the seat count
+    if (updateData.seatLayout) {
+      return res.status(400).json({
+        success: false,
+        message: 'Use PUT /api/tickets/:id/seat-layout to change the seat map',
+      });
+    }
+    if (ticket.seats?.length && updateData.quantity !== undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Quantity is set by the seat map for this ticket',
+      });
+    }
+
+    // Quantity is live inventory that holds and releases change concurrently. A new value is only
+    // applied to the quantity the vendor's form showed (baseQuantity) - a stale form is refused
+    if (updateData.quantity !== undefined && baseQuantity === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: [{ field: 'baseQuantity', message: 'baseQuantity is required when changing quantity' }],
+      });
+    }
+    const seatChange = updateData.quantity === undefined ? 0 : updateData.quantity - baseQuantity;
+    if (seatChange && ticket.quantity !== baseQuantity) {
+      return res.status(409).json({
+        success: false,
+        message: 'Seats were booked or released since you loaded this ticket - reload it and try again',
+        data: { quantity: ticket.quantity },
+      });
+    }
+    if (!seatChange) {
+      delete updateData.quantity;
+    }
+
+    // Keep the normalised search fields in step with edited times
+    const timeFields = ['departureDateTime', 'departureDate', 'departureTime', 'arrivalDateTime'];
+    if (timeFields.some(field => updateData[field] !== undefined)) {
+      Object.assign(updateData, getTripTimes({ ...ticket, ...updateData }));
+    }
+
+    // Approved tickets go back to the moderation queue when price, route or times change
+    const changes = auditDiff(pickFields(ticket, Object.keys(updateData)), updateData);
+    const needsReview = needsReReview(ticket, changes, REVIEWED_TICKET_FIELDS);
+    if (needsReview) {
+      Object.assign(updateData, reviewStatusUpdate(ticket), {
+        claimedBy: null,
+        claimExpiresAt: null,
+      });
+    }
+
+    const { quantity, ...fields } = updateData;
+    const filter = { _id: new ObjectId(id) };
+    const update = {
+      $set: {
+        ...fields,
+        updatedAt: new Date(),
+      },
+    };
+    if (seatChange) {
+      // Seats added or removed by the vendor change the capacity too -
+      // compare-and-set so a booking landing since the check above is not overwritten
+      update.$inc = { quantity: seatChange, ...(ticket.capacity && { capacity: seatChange }) };
+      filter.quantity = baseQuantity;
+    }
+
+    const result = await tickets.updateOne(filter, update);
+
+    if (result.matchedCount === 0) {
+      if (seatChange) {
+        return res.status(409).json({
+          success: false,
+          message: 'Seats were booked or released since you loaded this ticket - reload it and try again',
+        });
+      }
+      return res.status(404).json({
+        success: false,
+        message: 'Ticket not found',
+      });
+    }
+
+    if (seatChange) {
+      await publishTicketAvailability(id);
+    }
+
+    // Seats added by the vendor go to the waitlist first
+    if (seatChange > 0) {
+      await offerWaitlistSeats(id);
+    }
+
+    if (Object.keys(changes).length) {
+      await recordTicketRevision(id, 'edited', { by: req.decoded.email, changes });
+    }
+
+    setAudit(res, 'ticket.update', {
+      targetType: 'tickets',
+      targetId: id,
+      before: pickFields(ticket, Object.keys(updateData)),
+      after: updateData,
+    });
+
+    res.json({
+      success: true,
+      message: needsReview
+        ? 'Ticket updated and sent back for admin review'
+        : 'Ticket updated successfully',
+      data: result,
+    });
+  } catch (error) {
+    console.error('Error in /api/tickets/:id PATCH:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update ticket',
+      error: error.message,
+    });
+  }
+});
+
+// Delete Ticket (Vendor Only)
+app.delete('/api/tickets/:id', verifyToken, verifyVendor, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { tickets, bookings, waitlist } = getCollections();
+
+    // Validate ObjectId
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid ticket ID',
+      });
+    }
+
+    // Vendors can only delete their own tickets
+    const ticket = await tickets.findOne({ _id: new ObjectId(id) });
+
+    if (!ticket) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ticket not found',
+      });
+    }
+
+    if (ticket.vendorEmail !== req.decoded.email) {
+      return res.status(403).json({
+        success: false,
+        message: 'Forbidden access',
+      });
+    }
+
+    // Held or paid seats would leave passengers with a booking for a trip that no longer exists.
+    // Holds that ran out don't count.
+    await releaseExpiredHolds();
+    const activeBookings = await bookings.countDocuments({
+      ticketId: id,
+      status: { $in: ACTIVE_BOOKING_STATUSES },
+    });
+
+    if (activeBookings > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `This ticket has ${activeBookings} active booking(s) and cannot be deleted`,
+      });
+    }
+
+    await tickets.deleteOne({ _id: new ObjectId(id) });
+
+    // Nobody can be offered seats on a deleted ticket
+    await waitlist.updateMany(
+      { ticketId: id, active: true },
+      { $set: { status: 'cancelled', cancelledAt: new Date(), updatedAt: new Date() }, $unset: { active: '' } }
+    );
+
+    setAudit(res, 'ticket.delete', {
+      targetType: 'tickets',
+      targetId: id,
+      before: pickFields(ticket, TICKET_AUDIT_FIELDS),
+    });
+
+    res.json({
+      success: true,
+      message: 'Ticket deleted successfully',
+    });
+  } catch (error) {
+    console.error('Error in /api/tickets/:id DELETE:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete ticket',
+      error: error.message,
+    });
+  }
+});
+
+// Get Live Seat Availability (Logged-in Users)
+app.get('/api/tickets/:id/seats', verifyToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { tickets } = getCollections();
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid ticket ID',
+      });
+    }
+
+    // Make sure seats from stale holds show as available
+    await releaseExpiredHolds();
+
+    const ticket = await tickets.findOne(
+      { _id: new ObjectId(id) },
+      { projection: { seatLayout: 1, seats: 1, quantity: 1 } }
+    );
+
+    if (!ticket) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ticket not found',
+      });
+    }
+
+    // Never expose which booking holds a seat
+    const seats = (ticket.seats || []).map(({ bookingId, ...seat }) => seat);
+
+    res.json({
+      success: true,
+      data: {
+        seatLayout: ticket.seatLayout || null,
+        availableCount: ticket.quantity,
+        seats,
+      },
+    });
+  } catch (error) {
+    console.error('Error in /api/tickets/:id/seats GET:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch seats',
+      error: error.message,
+    });
+  }
+});
+
+// Set or Replace Seat Layout (Vendor Only)
+app.put('/api/tickets/:id/seat-layout', verifyToken, verifyVendor, validateBody(seatLayoutSchema), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const seatLayout = req.body;
+    const { tickets, bookings } = getCollections();
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid ticket ID',
+      });
+    }
+
+    const layoutError = checkSeatLayout(seatLayout);
+    if (layoutError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: [{ field: 'seatLayout', message: layoutError }],
+      });
+    }
+
+    // Vendors can only change their own tickets
+    const ticket = await tickets.findOne({ _id: new ObjectId(id) });
+
+    if (!ticket) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ticket not found',
+      });
+    }
+
+    if (ticket.vendorEmail !== req.decoded.email) {
+      return res.status(403).json({
+        success: false,
+        message: 'Forbidden access',
+      });
+    }
+
+    // Existing bookings would lose their seats
+    const activeBookings = await bookings.countDocuments({
+      ticketId: id,
+      status: { $in: ['pending', 'accepted', 'paid'] },
+    });
+
+    if (activeBookings > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Cannot change the seat map while the ticket has active bookings',
+      });
+    }
+
+    const seats = buildSeats(seatLayout);
+
+    // No seat may have been taken between the check and the update
+    const result = await tickets.updateOne(
+      { _id: ticket._id, 'seats.status': { $nin: ['held', 'sold'] } },
+      {
+        $set: {
+          seatLayout,
+          seats,
+          quantity: seats.length,
+          capacity: seats.length,
+          updatedAt: new Date(),
+        },
+      }
+    );
+
+    if (result.matchedCount === 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Cannot change the seat map while seats are booked',
+      });
+    }
+
+    await publishTicketAvailability(id);
+
+    res.json({
+      success: true,
+      message: 'Seat layout saved successfully',
+      data: { seatLayout, totalSeats: seats.length },
+    });
+  } catch (error) {
+    console.error('Error in /api/tickets/:id/seat-layout PUT:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save seat layout',
+      error: error.message,
+    });
+  }
+});
+
+// Verify Ticket (Admin Only) - Approve or Reject
+// Body: { verificationStatus, reason (required to reject, shown to the vendor), note (internal) }
+app.patch('/api/tickets/:id/verify', verifyToken, verifyAdmin, validateBody(ticketVerificationSchema), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { verificationStatus, reason = null, note = null } = req.body;
+    const { tickets } = getCollections();
+
+    // Validate ObjectId
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid ticket ID',
+      });
+    }
+
+    if (verificationStatus === 'rejected' && !reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: [{ field: 'reason', message: 'reason is required when rejecting' }],
+      });
+    }
+
+    // Tickets of suspended vendors stay hidden until the vendor is reinstated,
+    // and a ticket claimed by another admin is theirs to review
+    const verifiedAt = new Date();
+    const previous = await tickets.findOneAndUpdate(
+      {
+        _id: new ObjectId(id),
+        preSuspensionStatus: { $exists: false },
+        ...claimableBy(req.decoded.email, verifiedAt),
+      },
+      { 
+        $set: { 
+          verificationStatus,
+          verifiedAt,
+          verifiedBy: req.decoded.email,
+          rejectionReason: verificationStatus === 'rejected' ? reason : null,
+          moderationNote: note,
+          claimedBy: null,
+          claimExpiresAt: null,
+        }
+      },
+      { projection: { seats: 0 } }
+    );
+
+    if (!previous) {
+      const existing = await tickets.findOne(
+        { _id: new ObjectId(id) },
+        { projection: { claimedBy: 1, preSuspensionStatus: 1 } }
+      );
+
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          message: 'Ticket not found',
+        });
+      }
+
+      return res.status(409).json({
+        success: false,
+        message: existing.preSuspensionStatus
+          ? 'The vendor of this ticket is suspended'
+          : `Ticket is being reviewed by ${existing.claimedBy}`,
+      });
+    }
+
+    const ticket = {
+      ...previous,
+      verificationStatus,
+      verifiedAt,
+      rejectionReason: verificationStatus === 'rejected' ? reason : null,
+    };
+    await recordTicketRevision(id, verificationStatus, { by: req.decoded.email, reason, note });
+    setAudit(res, 'ticket.verify', {
+      targetType: 'tickets',
+      targetId: id,
+      before: { verificationStatus: previous.verificationStatus },
+      after: { verificationStatus, reason },
+    });
+
+    await queueNotification(`ticket_${verificationStatus}`, ticket.vendorEmail, {
+      ticket,
+      reason,
+    });
+    await publishTicketAvailability(id);
+
+    // Seats added while an edit was in review go to the waitlist once it is approved again
+    if (verificationStatus === 'approved') {
+      await offerWaitlistSeats(id);
+    }
+
+    // The internal note isn't part of the vendor-facing ticket
+    delete ticket.moderationNote;
+
+    res.json({
+      success: true,
+      message: `Ticket ${verificationStatus} successfully`,
+      data: ticket,
+    });
+  } catch (error) {
+    console.error('Error in /api/tickets/:id/verify PATCH:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify ticket',
+      error: error.message,
+    });
+  }
+});
+
+// Claim a Pending Ticket for Review (Admin Only) - held for TICKET_CLAIM_MINUTES, claim again to extend
+app.patch('/api/tickets/:id/claim', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { tickets } = getCollections();
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid ticket ID',
+      });
+    }
+
+    const now = new Date();
+    const claimExpiresAt = new Date(now.getTime() + TICKET_CLAIM_MINUTES * 60 * 1000);
+    const ticket = await tickets.findOneAndUpdate(
+      { _id: new ObjectId(id), verificationStatus: 'pending', ...claimableBy(req.decoded.email, now) },
+      { $set: { claimedBy: req.decoded.email, claimedAt: now, claimExpiresAt } },
+      { returnDocument: 'after', projection: { seats: 0 } }
+    );
+
+    if (!ticket) {
+      const existing = await tickets.findOne(
+        { _id: new ObjectId(id) },
+        { projection: { verificationStatus: 1, claimedBy: 1 } }
+      );
+
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          message: 'Ticket not found',
+        });
+      }
+
+      return res.status(409).json({
+        success: false,
+        message:
+          existing.verificationStatus !== 'pending'
+            ? `Ticket is already ${existing.verificationStatus}`
+            : `Ticket is being reviewed by ${existing.claimedBy}`,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Ticket claimed for review',
+      data: ticket,
+    });
+  } catch (error) {
+    console.error('Error in /api/tickets/:id/claim PATCH:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to claim ticket',
+      error: error.message,
+    });
+  }
+});
+
+// Release a Claimed Ticket (Admin Only) - back to the queue unreviewed
+app.delete('/api/tickets/:id/claim', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { tickets } = getCollections();
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid ticket ID',
+      });
+    }
+
+    const result = await tickets.updateOne(
+      { _id: new ObjectId(id), claimedBy: req.decoded.email },
+      { $set: { claimedBy: null, claimExpiresAt: null } }
+    );
+
+    if (result.matchedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'You have no claim on this ticket',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Ticket released back to the queue',
+    });
+  } catch (error) {
+    console.error('Error in /api/tickets/:id/claim DELETE:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to release ticket',
+      error: error.message,
+    });
+  }
+});
+
+// Resubmit a Rejected Ticket (Vendor Only) - edit it first, then send it back to the queue
+app.post('/api/tickets/:id/resubmit', verifyToken, verifyVendor, refuseSuspendedVendor, validateBody(actionNoteSchema), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { note = null } = req.body;
+    const { tickets } = getCollections();
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid ticket ID',
+      });
+    }
+
+    const ticket = await tickets.findOne(
+      { _id: new ObjectId(id) },
+      { projection: { vendorEmail: 1, verificationStatus: 1, preSuspensionStatus: 1 } }
+    );
+
+    if (!ticket) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ticket not found',
+      });
+    }
+
+    if (ticket.vendorEmail !== req.decoded.email) {
+      return res.status(403).json({
+        success: false,
+        message: 'Forbidden access',
+      });
+    }
+
+    const result = await tickets.updateOne(
+      { _id: ticket._id, verificationStatus: 'rejected', preSuspensionStatus: { $exists: false } },
+      {
+        $set: {
+          verificationStatus: 'pending',
+          submittedAt: new Date(),
+          resubmissionNote: note,
+          claimedBy: null,
+          claimExpiresAt: null,
+          updatedAt: new Date(),
+        },
+        $inc: { resubmissionCount: 1 },
+      }
+    );
+
+    if (result.modifiedCount !== 1) {
+      return res.status(409).json({
+        success: false,
+        message: 'Only rejected tickets can be resubmitted',
+      });
+    }
+
+    await recordTicketRevision(id, 'resubmitted', { by: req.decoded.email, note });
+
+    res.json({
+      success: true,
+      message: 'Ticket resubmitted for admin review',
+    });
+  } catch (error) {
+    console.error('Error in /api/tickets/:id/resubmit POST:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resubmit ticket',
+      error: error.message,
+    });
+  }
+});
+
+// Get Ticket Revision History (Vendor Owner or Admin) - newest first
+// Internal admin notes are only shown to admins
+app.get('/api/tickets/:id/revisions', verifyToken, verifyRole('vendor', 'admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { tickets, ticketRevisions } = getCollections();
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid ticket ID',
+      });
+    }
+
+    const isAdmin = req.user.role === 'admin';
+    const ticket = await tickets.findOne(
+      { _id: new ObjectId(id) },
+      { projection: { vendorEmail: 1 } }
+    );
+
+    if (!ticket) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ticket not found',
+      });
+    }
+
+    if (!isAdmin && ticket.vendorEmail !== req.decoded.email) {
+      return res.status(403).json({
+        success: false,
+        message: 'Forbidden access',
+      });
+    }
+
+    const page = await findPage(ticketRevisions, { ticketId: id }, req.query, {
+      projection: isAdmin ? {} : { note: 0 },
+    });
+
+    if (!page) {
+      return sendInvalidCursor(res);
+    }
+
+    res.json({ success: true, ...page });
+  } catch (error) {
+    console.error('Error in /api/tickets/:id/revisions GET:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch ticket revisions',
+      error: error.message,
+    });
+  }
+});
+
+// Toggle Advertise (Admin Only) - shortcut for admin campaigns
+// Body: { isAdvertised: true, days? } starts a campaign today for `days` days (default 7, capped at departure);
+// { isAdvertised: false } cancels the ticket's running and upcoming campaigns
+app.patch('/api/tickets/:id/advertise', verifyToken, verifyAdmin, validateBody(advertiseSchema), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { isAdvertised } = req.body;
+    const { tickets, campaigns } = getCollections();
+
+    // Validate ObjectId
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid ticket ID',
+      });
+    }
+
+    const ticket = await tickets.findOne(
+      { _id: new ObjectId(id), verificationStatus: 'approved' }, // Only approved tickets can be advertised
+      { projection: { seats: 0 } }
+    );
+
+    if (!ticket) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ticket not found or not approved',
+      });
+    }
+
+    if (!isAdvertised) {
+      const running = await campaigns
+        .find({ ticketId: id, status: { $in: ['pending_payment', 'confirmed'] } })
+        .toArray();
+
+      let refunded = 0;
+      for (const campaign of running) {
+        const ended = await endCampaign(campaign, 'cancelled', {
+          cancelReason: 'admin',
+          cancelledBy: req.decoded.email,
+        });
+        if (ended && campaign.paidAt) {
+          refunded += await refundUnusedCampaignDays(campaign);
+        }
+      }
+      await tickets.updateOne(
+        { _id: ticket._id },
+        { $set: { isAdvertised: false, advertisedAt: null } }
+      );
+
+      setAudit(res, 'ticket.advertise', {
+        targetType: 'tickets',
+        targetId: id,
+        before: { isAdvertised: ticket.isAdvertised || false },
+        after: { isAdvertised: false, cancelledCampaigns: running.length },
+      });
+
+      return res.json({
+        success: true,
+        message: 'Ticket unadvertised successfully',
+        data: { cancelledCampaigns: running.length, refunded },
+      });
+    }
+
+    const days = Math.min(req.body.days || 7, MAX_CAMPAIGN_DAYS);
+    const startDate = todayInPlatformZone();
+    let endDate = addDays(startDate, days - 1);
+    if (ticket.departureAt) {
+      const departureDate = todayInPlatformZone(ticket.departureAt);
+      endDate = departureDate < endDate ? departureDate : endDate;
+    }
+
+    const dateError = checkCampaignDates(startDate, endDate, ticket);
+    if (dateError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: [dateError],
+      });
+    }
+
+    const { campaign, error } = await createCampaign(ticket, {
+      startDate,
+      endDate,
+      createdBy: req.decoded.email,
+    });
+
+    if (error) {
+      return res.status(409).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    await tickets.updateOne(
+      { _id: ticket._id },
+      { $set: { isAdvertised: true, advertisedAt: new Date() } }
+    );
+
+    setAudit(res, 'ticket.advertise', {
+      targetType: 'tickets',
+      targetId: id,
+      before: { isAdvertised: ticket.isAdvertised || false },
+      after: { isAdvertised: true, campaignId: campaign._id.toString() },
+    });
+
+    res.json({
+      success: true,
+      message: 'Ticket advertised successfully',
+      data: campaign,
+    });
+  } catch (error) {
+    console.error('Error in /api/tickets/:id/advertise PATCH:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update advertisement status',
+      error: error.message,
+    });
+  }
+});
+
+// ADVERTISING ROUTES
+// Create Campaign (Vendor or Admin)
+// Vendors advertise their own approved tickets and pay through POST /api/campaigns/:id/payment-intent;
+// admin campaigns are free, confirmed at once and may set a priority
+app.post('/api/campaigns', verifyToken, verifyRole('vendor', 'admin'), refuseSuspendedVendor, validateBody(campaignSchema), async (req, res) => {
+  try {
+    const { ticketId, startDate, endDate, priority = 0 } = req.body;
+    const { tickets } = getCollections();
+    const isAdmin = req.user.role === 'admin';
+
+    const ticket = await tickets.findOne(
+      { _id: new ObjectId(ticketId), verificationStatus: 'approved' },
+      { projection: { seats: 0 } }
+    );
+
+    if (!ticket) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ticket not found or not approved',
+      });
+    }
+
+    if (!isAdmin && ticket.vendorEmail !== req.decoded.email) {
+      return res.status(403).json({
+        success: false,
+        message: 'Forbidden access',
+      });
+    }
+
+    const dateError = checkCampaignDates(startDate, endDate, ticket);
+    if (dateError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: [dateError],
+      });
+    }
+
+    const { campaign, error } = await createCampaign(ticket, {
+      startDate,
+      endDate,
+      priority: isAdmin ? priority : 0,
+      createdBy: req.decoded.email,
+      paidBy: isAdmin ? null : req.decoded.email,
+    });
+
+    if (error) {
+      return res.status(409).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: isAdmin
+        ? 'Campaign created successfully'
+        : `Campaign reserved. Pay ${campaign.price} BDT within ${PAYMENT_WINDOW_MINUTES} minutes to confirm it.`,
+      data: campaign,
+    });
+  } catch (error) {
+    console.error('Error in /api/campaigns POST:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create campaign',
+      error: error.message,
+    });
+  }
+});
+
+// Get All Campaigns (Admin Only) - optional ?status= and ?ticketId=
+app.get('/api/campaigns', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const { status, ticketId } = req.query;
+    const { campaigns } = getCollections();
+
+    const query = {};
+    if (status) query.status = String(status);
+    if (ticketId) query.ticketId = String(ticketId);
+
+    const page = await findPage(campaigns, query, req.query);
+
+    if (!page) {
+      return sendInvalidCursor(res);
+    }
+
+    res.json({ success: true, ...page });
+  } catch (error) {
+    console.error('Error in /api/campaigns GET:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch campaigns',
+      error: error.message,
+    });
+  }
+});
+
+// Get Vendor's Campaigns (Vendor Owner or Admin) - with impressions, clicks and click-through rate
+app.get('/api/campaigns/vendor/:email', verifyToken, verifyOwnerOrAdmin, async (req, res) => {
+  try {
+    const { email } = req.params;
+    const { campaigns } = getCollections();
+
+    const page = await findPage(campaigns, { vendorEmail: email }, req.query);
+
+    if (!page) {
+      return sendInvalidCursor(res);
+    }
+
+    page.data = page.data.map(campaign => ({
+      ...campaign,
+      clickThroughRate: campaign.impressions
+        ? Math.round((campaign.clicks / campaign.impressions) * 10000) / 100
+        : 0,
+    }));
+
+    res.json({ success: true, ...page });
+  } catch (error) {
+    console.error('Error in /api/campaigns/vendor/:email GET:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch vendor campaigns',
+      error: error.message,
+    });
+  }
+});
+
+// Change Campaign Priority (Admin Only) - higher priority is shown first
+app.patch('/api/campaigns/:id', verifyToken, verifyAdmin, validateBody(campaignUpdateSchema), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { priority } = req.body;
+    const { campaigns } = getCollections();
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid campaign ID',
+      });
+    }
+
+    const previous = await campaigns.findOneAndUpdate(
+      { _id: new ObjectId(id), status: { $in: ['pending_payment', 'confirmed'] } },
+      { $set: { priority, updatedAt: new Date() } }
+    );
+
+    if (!previous) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found or already ended',
+      });
+    }
+
+    setAudit(res, 'campaign.priority', {
+      targetType: 'campaigns',
+      targetId: id,
+      before: { priority: previous.priority },
+      after: { priority },
+    });
+
+    res.json({
+      success: true,
+      message: 'Campaign priority updated successfully',
+    });
+  } catch (error) {
+    console.error('Error in /api/campaigns/:id PATCH:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update campaign',
+      error: error.message,
+    });
+  }
+});
+
+// Cancel Campaign (Vendor Owner before payment, or Admin) - paid campaigns refund the days not yet started
+app.delete('/api/campaigns/:id', verifyToken, verifyRole('vendor', 'admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { campaigns } = getCollections();
+    const isAdmin = req.user.role === 'admin';
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid campaign ID',
+      });
+    }
+
+    const campaign = await campaigns.findOne({ _id: new ObjectId(id) });
+
+    if (!campaign || (!isAdmin && campaign.vendorEmail !== req.decoded.email)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found',
+      });
+    }
+
+    if (!isAdmin && campaign.status !== 'pending_payment') {
+      return res.status(409).json({
+        success: false,
+        message: 'Paid campaigns can only be cancelled by an admin',
+      });
+    }
+
+    const ended = ['pending_payment', 'confirmed'].includes(campaign.status)
+      ? await endCampaign(campaign, 'cancelled', {
+          cancelReason: isAdmin ? 'admin' : 'vendor',
+          cancelledBy: req.decoded.email,
+        })
+      : null;
+
+    if (!ended) {
+      return res.status(409).json({
+        success: false,
+        message: `Campaign is already ${campaign.status}`,
+      });
+    }
+
+    const refunded = campaign.paidAt ? await refundUnusedCampaignDays(campaign) : 0;
+    await refreshCampaigns();
+
+    res.json({
+      success: true,
+      message: refunded ? `Campaign cancelled and ${refunded} BDT refunded` : 'Campaign cancelled successfully',
+      data: { refunded },
+    });
+  } catch (error) {
+    console.error('Error in /api/campaigns/:id DELETE:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel campaign',
+      error: error.message,
+    });
+  }
+});
+
+// Pay for a Campaign (Vendor Only) - confirmed by the Stripe webhook
+app.post('/api/campaigns/:id/payment-intent', verifyToken, verifyVendor, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { campaigns } = getCollections();
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid campaign ID',
+      });
+    }
+
+    const campaign = await campaigns.findOne({
+      _id: new ObjectId(id),
+      vendorEmail: req.decoded.email,
+      status: 'pending_payment',
+    });
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found or no longer awaiting payment',
+      });
+    }
+
+    const amount = Math.round(campaign.price * 100); // Convert to paisa
+
+    // Client retried - hand back the intent that is still open
+    if (campaign.paymentIntentId) {
+      const existingIntent = await stripe.paymentIntents.retrieve(campaign.paymentIntentId);
+
+      if (!['succeeded', 'canceled'].includes(existingIntent.status)) {
+        return res.json({
+          success: true,
+          clientSecret: existingIntent.client_secret,
+          amount: campaign.price,
+        });
+      }
+    }
+
+    const paymentIntent = await stripe.paymentIntents.create(
+      {
+        amount,
+        currency: 'bdt',
+        automatic_payment_methods: {
+          enabled: true,
+        },
+        metadata: {
+          campaignId: campaign._id.toString(),
+          ticketId: campaign.ticketId,
+          vendorEmail: campaign.vendorEmail,
+        },
+      },
+      {
+        idempotencyKey: `campaign-intent-${campaign._id}-${campaign.paymentIntentId || 'first'}`,
+      }
+    );
+
+    await campaigns.updateOne(
+      { _id: campaign._id },
+      { $set: { paymentIntentId: paymentIntent.id } }
+    );
+
+    res.json({
+      success: true,
+      clientSecret: paymentIntent.client_secret,
+      amount: campaign.price,
+    });
+  } catch (error) {
+    console.error('Error in /api/campaigns/:id/payment-intent POST:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create payment intent',
+      error: error.message,
+    });
+  }
+});
+
+// Track Ad Impressions (Public) - the homepage ads the client showed; counted once per viewer and day
+app.post('/api/campaigns/impressions', validateBody(adImpressionSchema), async (req, res) => {
+  try {
+    const { campaignIds } = req.body;
+    const { campaigns } = getCollections();
+    const today = todayInPlatformZone();
+
+    const running = await campaigns
+      .find(
+        {
+          _id: { $in: campaignIds.map(id => new ObjectId(id)) },
+          status: 'confirmed',
+          startDate: { $lte: today },
+          endDate: { $gte: today },
+        },
+        { projection: { vendorEmail: 1 } }
+      )
+      .toArray();
+
+    const counted = await recordAdEvents(running, 'impression', getAdViewer(req));
+
+    res.json({
+      success: true,
+      data: { counted },
+    });
+  } catch (error) {
+    console.error('Error in /api/campaigns/impressions POST:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record impressions',
+      error: error.message,
+    });
+  }
+});
+
+// Track an Ad Click (Public) - returns the ticket to open; counted once per viewer and day
+app.post('/api/campaigns/:id/click', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { campaigns } = getCollections();
+    const today = todayInPlatformZone();
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid campaign ID',
+      });
+    }
+
+    const campaign = await campaigns.findOne(
+      { _id: new ObjectId(id), status: 'confirmed', startDate: { $lte: today }, endDate: { $gte: today } },
+      { projection: { ticketId: 1, vendorEmail: 1 } }
+    );
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not running',
+      });
+    }
+
+    await recordAdEvents([campaign], 'click', getAdViewer(req));
+
+    res.json({
+      success: true,
+      data: { ticketId: campaign.ticketId },
+    });
+  } catch (error) {
+    console.error('Error in /api/campaigns/:id/click POST:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record click',
+      error: error.message,
+    });
+  }
+});
+
+// Get Advertising Settings (Logged-in Users) - slot count and vendor price per day
+app.get('/api/advertising/settings', verifyToken, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await getAdvertisingSettings(),
+    });
+  } catch (error) {
+    console.error('Error in /api/advertising/settings GET:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch advertising settings',
+      error: error.message,
+    });
+  }
+});
+
+// Update Advertising Settings (Admin Only) - fewer slots never cancels booked campaigns, it only limits new ones
+app.put('/api/advertising/settings', verifyToken, verifyAdmin, validateBody(advertisingSettingsSchema), async (req, res) => {
+  try {
+    const { slots, dailyPrice } = req.body;
+    const { settings } = getCollections();
+
+    const previous = await settings.findOneAndUpdate(
+      { _id: 'advertising' },
+      { $set: { slots, dailyPrice, updatedBy: req.decoded.email, updatedAt: new Date() } },
+      { upsert: true }
+    );
+
+    setAudit(res, 'settings.advertising', {
+      targetType: 'settings',
+      targetId: 'advertising',
+      before: previous && pickFields(previous, ['slots', 'dailyPrice']),
+      after: { slots, dailyPrice },
+    });
+
+    res.json({
+      success: true,
+      message: 'Advertising settings updated successfully',
+      data: { slots, dailyPrice },
+    });
+  } catch (error) {
+    console.error('Error in /api/advertising/settings PUT:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update advertising settings',
+      error: error.message,
+    });
+  }
+});
+
+// SCHEDULE ROUTES
+// Create Schedule (Vendor Only) - departures become bookable once an admin approves it
+app.post('/api/schedules', verifyToken, verifyVendor, refuseSuspendedVendor, validateBody(scheduleSchema), async (req, res) => {
+  try {
+    const scheduleData = req.body;
+    const { schedules } = getCollections();
+
+    const scheduleError = checkSchedule(scheduleData);
+    if (scheduleError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: [scheduleError],
+      });
+    }
+
+    const newSchedule = {
+      ...scheduleData,
+      daysOfWeek: [...new Set(scheduleData.daysOfWeek)].sort(),
+      departureTimes: [...new Set(scheduleData.departureTimes)].sort(),
+      exceptions: {},
+      vendorEmail: req.decoded.email,
+      vendorName: scheduleData.vendorName || req.user.name,
+      verificationStatus: 'pending', // Admin will approve/reject
+      createdAt: new Date(),
+    };
+
+    const result = await schedules.insertOne(newSchedule);
+
+    res.status(201).json({
+      success: true,
+      message: 'Schedule added successfully. Waiting for admin approval.',
+      data: result,
+    });
+  } catch (error) {
+    console.error('Error in /api/schedules POST:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add schedule',
+      error: error.message,
+    });
+  }
+});
+
+// Get All Schedules (Admin Only) - optional ?verificationStatus=pending|approved|rejected
+app.get('/api/schedules', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const { schedules } = getCollections();
+
+    const query = {};
+    if (['pending', 'approved', 'rejected'].includes(req.query.verificationStatus)) {
+      query.verificationStatus = req.query.verificationStatus;
+    }
+
+    const page = await findPage(schedules, query, req.query);
+
+    if (!page) {
+      return sendInvalidCursor(res);
+    }
+
+    res.json({ success: true, ...page });
+  } catch (error) {
+    console.error('Error in /api/schedules GET:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch schedules',
+      error: error.message,
+    });
+  }
+});
+
+// Get Vendor's Schedules (Vendor Owner or Admin)
+app.get('/api/schedules/vendor/:email', verifyToken, verifyOwnerOrAdmin, async (req, res) => {
+  try {
+    const { email } = req.params;
+    const { schedules } = getCollections();
+
+    const page = await findPage(schedules, { vendorEmail: email }, req.query);
+
+    if (!page) {
+      return sendInvalidCursor(res);
+    }
+
+    res.json({ success: true, ...page });
+  } catch (error) {
+    console.error('Error in /api/schedules/vendor/:email GET:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch schedules',
+      error: error.message,
+    });
+  }
+});
+
+// Get Departures of a Schedule (Logged-in Users) - ?from=&to= (YYYY-MM-DD, default next 7 days)
+// Generates missing departures in the range, so every listed departure can be booked
+app.get('/api/schedules/:id/departures', verifyToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { schedules, tickets } = getCollections();
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid schedule ID',
+      });
+    }
+
+    const today = todayInPlatformZone();
+    const from = req.query.from || today;
+    const to = req.query.to || addDays(from, 6);
+
+    if (!DATE_PATTERN.test(from) || !DATE_PATTERN.test(to) || from > to) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date range. Use from / to as YYYY-MM-DD with from before to',
+      });
+    }
+
+    const schedule = await schedules.findOne({ _id: new ObjectId(id) });
+
+    // Unapproved schedules are only visible to their vendor
+    if (
+      !schedule ||
+      (schedule.verificationStatus !== 'approved' &&
+        schedule.vendorEmail !== req.decoded.email)
+    ) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schedule not found',
+      });
+    }
+
+    // Long ranges are cut to MAX_SCHEDULE_DAYS
+    const lastDay = addDays(from, MAX_SCHEDULE_DAYS - 1);
+    const end = to < lastDay ? to : lastDay;
+
+    await generateDepartures(schedule, from, end);
+
+    const departures = await tickets
+      .find(
+        { scheduleId: id, departureDate: { $gte: from, $lte: end } },
+        { projection: { seats: 0 } }
+      )
+      .sort({ departureAt: 1 })
+      .toArray();
+
+    res.json({
+      success: true,
+      data: departures,
+    });
+  } catch (error) {
+    console.error('Error in /api/schedules/:id/departures GET:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch departures',
+      error: error.message,
+    });
+  }
+});
+
+// Update Schedule (Vendor Only) - applies to departures generated from now on.
+// Unbooked future departures are regenerated; booked ones only take title, price, perks and image.
+app.patch('/api/schedules/:id', verifyToken, verifyVendor, validateBody(scheduleSchema, { partial: true }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const updateData = req.body;
+    const { schedules } = getCollections();
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid schedule ID',
+      });
+    }
+
+    const schedule = await schedules.findOne({ _id: new ObjectId(id) });
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schedule not found',
+      });
+    }
+
+    if (schedule.vendorEmail !== req.decoded.email) {
+      return res.status(403).json({
+        success: false,
+        message: 'Forbidden access',
+      });
+    }
+
+    if (Object.keys(updateData).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No valid fields to update',
+      });
+    }
+
+    const scheduleError = checkSchedule({ ...schedule, ...updateData });
+    if (scheduleError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: [scheduleError],
+      });
+    }
+
+    if (updateData.daysOfWeek) {
+      updateData.daysOfWeek = [...new Set(updateData.daysOfWeek)].sort();
+    }
+    if (updateData.departureTimes) {
+      updateData.departureTimes = [...new Set(updateData.departureTimes)].sort();
+    }
+
+    // Approved schedules go back for review when price, route or times change; departures generated
+    // from now on follow the schedule's status, booked ones keep their reviewed route, times and price
+    const changes = auditDiff(pickFields(schedule, Object.keys(updateData)), updateData);
+    const needsReview = needsReReview(schedule, changes, REVIEWED_SCHEDULE_FIELDS);
+
+    const updated = await schedules.findOneAndUpdate(
+      { _id: schedule._id },
+      {
+        $set: {
+          ...updateData,
+          ...(needsReview && reviewStatusUpdate(schedule)),
+          updatedAt: new Date(),
+        },
+      },
+      { returnDocument: 'after' }
+    );
+
+    const safeUpdates = Object.fromEntries(
+      ['title', 'pricePerUnit', 'perks', 'image', 'vendorName']
+        .filter(field => updateData[field] !== undefined)
+        .filter(field => !needsReview || !REVIEWED_SCHEDULE_FIELDS.includes(field))
+        .map(field => [field, updateData[field]])
+    );
+    const keptDepartures = await refreshScheduledDepartures(updated, {}, safeUpdates);
+
+    setAudit(res, 'schedule.update', {
+      targetType: 'schedules',
+      targetId: id,
+      before: pickFields(schedule, Object.keys(updateData)),
+      after: updateData,
+    });
+
+    res.json({
+      success: true,
+      message: needsReview
+        ? 'Schedule updated and sent back for admin review'
+        : 'Schedule updated successfully',
+      data: { schedule: updated, keptDepartures },
+    });
+  } catch (error) {
+    console.error('Error in /api/schedules/:id PATCH:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update schedule',
+      error: error.message,
+    });
+  }
+});
+
+// Cancel or Modify One Date (Vendor Only)
+// Body: { cancelled } or any of { departureTimes, pricePerUnit, quantity }; send {} to restore the date.
+// Departures with active bookings can only change price - reject or wait out their bookings first.
+app.patch('/api/schedules/:id/dates/:date', verifyToken, verifyVendor, validateBody(scheduleDateSchema, { partial: true }), async (req, res) => {
+  try {
+    const { id, date } = req.params;
+    const exception = req.body;
+    const { schedules, tickets, bookings } = getCollections();
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid schedule ID',
+      });
+    }
+
+    const schedule = await schedules.findOne({ _id: new ObjectId(id) });
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schedule not found',
+      });
+    }
+
+    if (schedule.vendorEmail !== req.decoded.email) {
+      return res.status(403).json({
+        success: false,
+        message: 'Forbidden access',
+      });
+    }
+
+    if (
+      !DATE_PATTERN.test(date) ||
+      date < schedule.validFrom ||
+      date > schedule.validTo ||
+      !schedule.daysOfWeek.includes(getWeekday(date))
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: 'This schedule does not run on that date',
+      });
+    }
+
+    if (schedule.seatLayout && exception.quantity !== undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Quantity is set by the seat map for this schedule',
+      });
+    }
+
+    // Anything beyond a price change would pull the rug from under booked passengers
+    const changesInventory = Object.keys(exception).some(field => field !== 'pricePerUnit');
+    if (changesInventory) {
+      const departureIds = (
+        await tickets
+          .find({ scheduleId: id, departureDate: date }, { projection: { _id: 1 } })
+          .toArray()
+      ).map(d => d._id.toString());
+
+      const activeBookings = await bookings.countDocuments({
+        ticketId: { $in: departureIds },
+        status: { $in: ACTIVE_BOOKING_STATUSES },
+      });
+
+      if (activeBookings > 0) {
+        return res.status(409).json({
+          success: false,
+          message: `This date has ${activeBookings} active booking(s). Only the price can be changed.`,
+        });
+      }
+    }
+
+    const exceptionKey = `exceptions.${date}`;
+    const update = Object.keys(exception).length
+      ? { $set: { [exceptionKey]: exception, updatedAt: new Date() } }
+      : { $unset: { [exceptionKey]: '' }, $set: { updatedAt: new Date() } };
+
+    const updated = await schedules.findOneAndUpdate({ _id: schedule._id }, update, {
+      returnDocument: 'after',
+    });
+
+    await refreshScheduledDepartures(
+      updated,
+      { departureDate: date },
+      exception.pricePerUnit !== undefined ? { pricePerUnit: exception.pricePerUnit } : {}
+    );
+
+    res.json({
+      success: true,
+      message: exception.cancelled
+        ? `Departures on ${date} cancelled successfully`
+        : `Departures on ${date} updated successfully`,
+      data: updated.exceptions?.[date] || null,
+    });
+  } catch (error) {
+    console.error('Error in /api/schedules/:id/dates/:date PATCH:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update date',
+      error: error.message,
+    });
+  }
+});
+
+// Verify Schedule (Admin Only) - Approve or Reject; generated departures follow
+app.patch('/api/schedules/:id/verify', verifyToken, verifyAdmin, validateBody(scheduleVerificationSchema), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { verificationStatus } = req.body;
+    const { schedules, tickets } = getCollections();
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid schedule ID',
+      });
+    }
+
+    // A suspended vendor's schedule keeps its hidden status until reinstatement restores it
+    const verifiedAt = new Date();
+    const previous = await schedules.findOneAndUpdate(
+      { _id: new ObjectId(id), preSuspensionStatus: { $exists: false } },
+      { $set: { verificationStatus, verifiedAt } }
+    );
+
+    if (!previous) {
+      const existing = await schedules.findOne(
+        { _id: new ObjectId(id) },
+        { projection: { _id: 1 } }
+      );
+
+      return res.status(existing ? 409 : 404).json({
+        success: false,
+        message: existing ? 'The vendor of this schedule is suspended' : 'Schedule not found',
+      });
+    }
+
+    const schedule = { ...previous, verificationStatus, verifiedAt };
+    setAudit(res, 'schedule.verify', {
+      targetType: 'schedules',
+      targetId: id,
+      before: { verificationStatus: previous.verificationStatus },
+      after: { verificationStatus },
+    });
+
+    await tickets.updateMany(
+      { scheduleId: id, preSuspensionStatus: { $exists: false } },
+      { $set: { verificationStatus, verifiedAt: new Date() } }
+    );
+
+    await queueNotification(`ticket_${verificationStatus}`, schedule.vendorEmail, {
+      ticket: schedule,
+    });
+
+    res.json({
+      success: true,
+      message: `Schedule ${verificationStatus} successfully`,
+      data: schedule,
+    });
+  } catch (error) {
+    console.error('Error in /api/schedules/:id/verify PATCH:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify schedule',
+      error: error.message,
+    });
+  }
+});
+
+// BOOKING STATE MACHINE
+// pending -> accepted -> paid -> (boarded) -> completed, with rejected/cancelled/expired/refunded side exits
+const BOOKING_TRANSITIONS = {
+  pending: ['accepted', 'rejected', 'cancelled', 'expired'],
+  accepted: ['paid', 'cancelled', 'expired'],
+  paid: ['boarded', 'completed', 'cancelled', 'refunded'],
+  boarded: ['completed', 'refunded'], // checked in at the counter
+  completed: ['refunded'],
+  expired: ['paid'], // payment that lands after the hold ran out, if seats are still free
+  rejected: [],
+  cancelled: [],
+  refunded: [],
+};
+
+function canTransitionBooking(from, to) {
+  return (BOOKING_TRANSITIONS[from] || []).includes(to);
+}
+
+// Compare-and-set: only moves the booking if it is still in the status we read,
+// and records who changed what in statusHistory. Returns false if someone got there first.
+async function transitionBooking(booking, to, { by, note = null, filter = {}, set = {} }) {
+  const { bookings } = getCollections();
+  const from = booking.status;
+
+  if (!canTransitionBooking(from, to)) {
+    return false;
+  }
+
+  const result = await bookings.updateOne(
+    { _id: booking._id, status: from, ...filter },
+    {
+      $set: { ...set, status: to, updatedAt: new Date() },
+      $push: { statusHistory: { from, to, by, note, at: new Date() } },
+    }
+  );
+
+  if (result.modifiedCount !== 1) {
+    return false;
+  }
+
+  publishBookingUpdate(booking, { status: to, previousStatus: from });
+  return true;
+}
+
+// Standard 409 for a transition the state machine doesn't allow
+function sendIllegalTransition(res, booking, to) {
+  return res.status(409).json({
+    success: false,
+    message: `Cannot change booking from ${booking.status} to ${to}`,
+  });
+}
+
+// Standard 409 when the compare-and-set lost a race
+function sendStaleBooking(res) {
+  return res.status(409).json({
+    success: false,
+    message: 'Booking status changed. Please refresh and try again.',
+  });
+}
+
+// SEAT INVENTORY HELPERS
+// Ticket `quantity` is the number of seats still available.
+// A booking holds its seats from creation: holdStatus 'held' -> 'sold' (paid) or 'released' (rejected/expired)
+// Tickets with a seat map also track each seat: seats[].status 'available' | 'held' | 'sold' plus the bookingId
+
+// Atomically take seats from a ticket - only succeeds if enough remain.
+// With a seat map every requested seat must still be available; the check and the take
+// are one document update, so two users can never get the same seat.
+async function reserveSeats(ticketId, quantity, { bookingId, seatNumbers = [] } = {}) {
+  const { tickets } = getCollections();
+  const filter = {
+    _id: new ObjectId(ticketId),
+    verificationStatus: 'approved',
+    quantity: { $gte: quantity },
+  };
+  const update = { $inc: { quantity: -quantity } };
+  const options = {};
+
+  if (seatNumbers.length) {
+    filter.seats = {
+      $all: seatNumbers.map(seatNumber => ({
+        $elemMatch: { seatNumber, status: 'available' },
+      })),
+    };
+    update.$set = {
+      'seats.$[seat].status': 'held',
+      'seats.$[seat].bookingId': bookingId.toString(),
+    };
+    options.arrayFilters = [{ 'seat.seatNumber': { $in: seatNumbers } }];
+  }
+
+  const result = await tickets.updateOne(filter, update, options);
+  if (result.modifiedCount !== 1) {
+    return false;
+  }
+
+  await publishTicketAvailability(ticketId.toString());
+  return true;
+}
+
+// Put a booking's seats back on sale - the count and any seat-map seats it held or bought -
+// and offer them to the ticket's waitlist
+async function returnSeats(booking, { offerWaitlist = true } = {}) {
+  const { tickets } = getCollections();
+  const update = { $inc: { quantity: booking.bookingQuantity } };
+  const options = {};
+
+  if (booking.seatNumbers?.length) {
+    update.$set = {
+      'seats.$[seat].status': 'available',
+      'seats.$[seat].bookingId': null,
+    };
+    options.arrayFilters = [{ 'seat.bookingId': booking._id.toString() }];
+  }
+
+  await tickets.updateOne(
+    { _id: new ObjectId(booking.ticketId) },
+    update,
+    options
+  );
+  await publishTicketAvailability(booking.ticketId);
+
+  if (offerWaitlist) {
+    await offerWaitlistSeats(booking.ticketId);
+  }
+}
+
+// Held seat-map seats become sold once the booking is paid
+async function markSeatsSold(booking) {
+  const { tickets } = getCollections();
+
+  if (!booking.seatNumbers?.length) {
+    return;
+  }
+
+  await tickets.updateOne(
+    { _id: new ObjectId(booking.ticketId) },
+    { $set: { 'seats.$[seat].status': 'sold' } },
+    { arrayFilters: [{ 'seat.bookingId': booking._id.toString() }] }
+  );
+  await publishTicketAvailability(booking.ticketId);
+}
+
+// Layout rules the schema can't express - returns an error message or null
+function checkSeatLayout(seatLayout) {
+  const badClass = (seatLayout.classes || []).find(
+    c => c.fromRow > c.toRow || c.toRow > seatLayout.rows
+  );
+  if (badClass) {
+    return `Class ${badClass.name} must cover rows between 1 and ${seatLayout.rows}`;
+  }
+  return null;
+}
+
+// Expand a vendor's seat layout into individual seats: rows x columns, numbered 1A, 1B, ...
+// Classes cover row ranges (e.g. AC rows 1-5 on the upper deck) and may set their own price
+function buildSeats(seatLayout) {
+  const seats = [];
+  const blocked = new Set(seatLayout.blockedSeats || []);
+
+  for (let row = 1; row <= seatLayout.rows; row++) {
+    for (let column = 1; column <= seatLayout.columns; column++) {
+      const seatNumber = `${row}${String.fromCharCode(64 + column)}`;
+      if (blocked.has(seatNumber)) continue;
+
+      const seatClass = (seatLayout.classes || []).find(
+        c => row >= c.fromRow && row <= c.toRow
+      );
+
+      seats.push({
+        seatNumber,
+        row,
+        column,
+        seatClass: seatClass?.name || null,
+        deck: seatClass?.deck || null,
+        price: seatClass?.pricePerUnit ?? null,
+        status: 'available',
+        bookingId: null,
+      });
+    }
+  }
+
+  return seats;
+}
+
+// Seats a booking request asks for - seat-map tickets are booked by seat number, others by count.
+// Returns { error } or { hasSeatMap, seatNumbers, bookingQuantity }
+function getSeatRequest(ticket, bookingData) {
+  const hasSeatMap = Boolean(ticket.seats?.length);
+  const seatNumbers = [...new Set(bookingData.seatNumbers || [])];
+
+  if (hasSeatMap && seatNumbers.length === 0) {
+    return { error: { field: 'seatNumbers', message: 'seatNumbers is required for this ticket' } };
+  }
+  if (!hasSeatMap && !bookingData.bookingQuantity) {
+    return { error: { field: 'bookingQuantity', message: 'bookingQuantity is required' } };
+  }
+  if (hasSeatMap) {
+    const knownSeats = new Set(ticket.seats.map(seat => seat.seatNumber));
+    const unknownSeats = seatNumbers.filter(seat => !knownSeats.has(seat));
+    if (unknownSeats.length) {
+      return { error: { field: 'seatNumbers', message: `Unknown seats: ${unknownSeats.join(', ')}` } };
+    }
+  }
+
+  return {
+    hasSeatMap,
+    seatNumbers: hasSeatMap ? seatNumbers : [],
+    bookingQuantity: hasSeatMap ? seatNumbers.length : bookingData.bookingQuantity,
+  };
+}
+
+// Which passenger details each transport type needs. Flights and trains need every traveller with an ID
+// and a contact phone on the first passenger; buses and launches only need names, and only if passengers are sent.
+const PASSENGER_RULES = {
+  Flight: { required: true, fields: ['name', 'age', 'gender', 'idType', 'idNumber'], leadPhone: true },
+  Train: { required: true, fields: ['name', 'age', 'gender', 'idNumber'], leadPhone: true },
+  Bus: { required: false, fields: ['name'], leadPhone: false },
+  Launch: { required: false, fields: ['name'], leadPhone: false },
+};
+
+// Passengers of a booking request: saved travellers filled in by travellerId, checked against the
+// ticket's transport type and matched to the seats in order.
+// Returns { error } or { passengers }
+function getPassengers(ticket, bookingData, { seatNumbers, bookingQuantity }, savedTravellers = []) {
+  const rules = PASSENGER_RULES[ticket.transportType] || PASSENGER_RULES.Bus;
+  const requested = bookingData.passengers || [];
+
+  if (requested.length === 0) {
+    return rules.required
+      ? { error: { field: 'passengers', message: `passengers are required for ${ticket.transportType} tickets` } }
+      : { passengers: [] };
+  }
+  if (requested.length !== bookingQuantity) {
+    return {
+      error: { field: 'passengers', message: `passengers must list exactly ${bookingQuantity} traveller(s)` },
+    };
+  }
+
+  const passengers = [];
+  for (const [index, passenger] of requested.entries()) {
+    let saved = {};
+    if (passenger.travellerId) {
+      const match = savedTravellers.find(t => t._id.toString() === passenger.travellerId);
+      if (!match) {
+        return { error: { field: `passengers[${index}].travellerId`, message: 'Saved traveller not found' } };
+      }
+      const { _id, createdAt, ...savedDetails } = match;
+      saved = savedDetails;
+    }
+
+    const details = { ...saved, ...passenger };
+    const missing = rules.fields.find(field => details[field] === undefined);
+    if (missing) {
+      return {
+        error: {
+          field: `passengers[${index}].${missing}`,
+          message: `${missing} is required for ${ticket.transportType} tickets`,
+        },
+      };
+    }
+
+    passengers.push({ ...details, seatNumber: seatNumbers[index] || null });
+  }
+
+  if (rules.leadPhone && !passengers[0].phone) {
+    return {
+      error: { field: 'passengers[0].phone', message: `A contact phone is required for ${ticket.transportType} tickets` },
+    };
+  }
+
+  const idNumbers = passengers.map(p => p.idNumber).filter(Boolean);
+  if (new Set(idNumbers).size !== idNumbers.length) {
+    return { error: { field: 'passengers', message: 'Each passenger needs their own ID number' } };
+  }
+
+  return { passengers };
+}
+
+// Names to show for a booking - its passengers, or the buyer for bookings without passenger details
+function getPassengerNames(booking) {
+  return booking.passengers?.length
+    ? booking.passengers.map(passenger => passenger.name)
+    : [booking.userName || booking.userEmail];
+}
+
+// The new booking for seats already reserved under bookingId - the booking always belongs to the
+// logged-in user, vendor and price come from the ticket
+function buildBooking(ticket, user, { bookingId, bookingData, seatNumbers, bookingQuantity, passengers, priceBreakdown }) {
+  return {
+    ...bookingData,
+    _id: bookingId,
+    seatNumbers,
+    passengers,
+    ticketId: ticket._id.toString(),
+    // Trip details are copied from the ticket for display in booking lists
+    ticketTitle: ticket.title,
+    ticketImage: ticket.image,
+    fromLocation: ticket.fromLocation,
+    toLocation: ticket.toLocation,
+    transportType: ticket.transportType,
+    departureDateTime: ticket.departureDateTime,
+    departureDate: ticket.departureDate,
+    departureTime: ticket.departureTime,
+    vendorName: ticket.vendorName,
+    bookingQuantity,
+    unitPrice: priceBreakdown.unitPrice,
+    totalPrice: priceBreakdown.total,
+    priceBreakdown,
+    userEmail: user.email,
+    userName: bookingData.userName || user.name,
+    vendorEmail: ticket.vendorEmail,
+    departureAt: getDepartureDate(ticket),
+    status: 'pending',
+    statusHistory: [
+      { from: null, to: 'pending', by: user.email, note: null, at: new Date() },
+    ],
+    holdStatus: 'held',
+    holdExpiresAt: new Date(Date.now() + BOOKING_HOLD_MINUTES * 60 * 1000),
+    createdAt: new Date(),
+  };
+}
+
+// Give a booking's held seats back to the ticket (runs at most once per booking)
+async function releaseHold(bookingId, filter = {}) {
+  const { bookings } = getCollections();
+
+  const booking = await bookings.findOneAndUpdate(
+    { _id: new ObjectId(bookingId), holdStatus: 'held', ...filter },
+    { $set: { holdStatus: 'released', holdReleasedAt: new Date() } }
+  );
+
+  if (!booking) {
+    return false;
+  }
+
+  await returnSeats(booking);
+  await releasePromoCode(booking);
+  return true;
+}
+
+// Release every hold that ran out before payment
+async function releaseExpiredHolds() {
+  const { bookings } = getCollections();
+
+  const now = new Date();
+
+  const expiredBookings = await bookings
+    .find(
+      { holdStatus: 'held', holdExpiresAt: { $lte: now } },
+      { projection: { _id: 1, status: 1, ticketId: 1, ticketTitle: 1, userEmail: 1, vendorEmail: 1 } }
+    )
+    .toArray();
+
+  for (const booking of expiredBookings) {
+    // Re-check expiry so a hold extended in the meantime (vendor accepted) is kept
+    const released = await releaseHold(booking._id, {
+      holdExpiresAt: { $lte: now },
+    });
+    if (released) {
+      await transitionBooking(booking, 'expired', {
+        by: 'system',
+        note: 'Seat hold expired before payment',
+        set: { expiredAt: new Date() },
+      });
+    }
+  }
+
+  if (expiredBookings.length) {
+    console.log('⌛ Expired seat holds released:', expiredBookings.length); // Debug log
+  }
+  return expiredBookings.length;
+}
+
+// Paid and boarded bookings become completed once the trip has departed
+async function completeDepartedBookings() {
+  const { bookings } = getCollections();
+  const now = new Date();
+  let completed = 0;
+
+  for (const from of ['paid', 'boarded']) {
+    const result = await bookings.updateMany(
+      { status: from, departureAt: { $lte: now } },
+      {
+        $set: { status: 'completed', completedAt: now, updatedAt: now },
+        $push: {
+          statusHistory: {
+            from,
+            to: 'completed',
+            by: 'system',
+            note: 'Trip departed',
+            at: now,
+          },
+        },
+      }
+    );
+    completed += result.modifiedCount;
+  }
+  return completed;
+}
+
+// WAITLIST HELPERS
+// Users wait for a sold-out ticket with the number of seats they want: status 'waiting' -> 'offered' -> 'booked',
+// or 'expired' / 'cancelled'. Whenever seats go back on sale they are offered to the oldest waiting entries:
+// the seats are held for the user under a booking id reserved for the offer, and accepting it creates that booking.
+// Open entries (waiting or offered) carry active: true for the one-per-user-and-ticket index.
+
+// The seats an offer holds, in the shape returnSeats expects
+function getOfferHold(entry) {
+  return {
+    _id: entry.offerBookingId,
+    ticketId: entry.ticketId,
+    bookingQuantity: entry.quantity,
+    seatNumbers: entry.offeredSeats,
+  };
+}
+
+// Place of a waiting entry in its ticket's line (1 = next to be offered)
+async function getWaitlistPosition(entry) {
+  const { waitlist } = getCollections();
+  return waitlist.countDocuments({
+    ticketId: entry.ticketId,
+    status: 'waiting',
+    createdAt: { $lte: entry.createdAt },
+  });
+}
+
+// Hold free seats for the oldest waiting entries of a ticket. Entries that want more seats than are
+// free keep their place while later, smaller ones are offered.
+// Never throws - a waitlist problem must not fail the inventory change that freed the seats.
+async function offerWaitlistSeats(ticketId) {
+  try {
+    const { tickets, waitlist } = getCollections();
+
+    const waiting = await waitlist
+      .find({ ticketId: ticketId.toString(), status: 'waiting' })
+      .sort({ createdAt: 1 })
+      .toArray();
+    let offered = 0;
+
+    for (const entry of waiting) {
+      const ticket = await tickets.findOne(
+        { _id: new ObjectId(ticketId), verificationStatus: 'approved' },
+        { projection: { title: 1, quantity: 1, seats: 1, departureAt: 1 } }
+      );
+      if (!ticket || ticket.quantity <= 0) break;
+      if (ticket.departureAt && ticket.departureAt <= new Date()) break;
+      if (entry.quantity > ticket.quantity) continue;
+
+      // Seat-map tickets are offered the first free seats
+      const seatNumbers = (ticket.seats || [])
+        .filter(seat => seat.status === 'available')
+        .slice(0, entry.quantity)
+        .map(seat => seat.seatNumber);
+      if (ticket.seats?.length && seatNumbers.length < entry.quantity) continue;
+
+      const bookingId = new ObjectId();
+      if (!(await reserveSeats(ticket._id, entry.quantity, { bookingId, seatNumbers }))) continue;
+
+      const offerExpiresAt = new Date(Date.now() + WAITLIST_OFFER_MINUTES * 60 * 1000);
+      const result = await waitlist.updateOne(
+        { _id: entry._id, status: 'waiting' },
+        {
+          $set: {
+            status: 'offered',
+            offerBookingId: bookingId,
+            offeredSeats: seatNumbers,
+            offeredAt: new Date(),
+            offerExpiresAt,
+            updatedAt: new Date(),
+          },
+        }
+      );
+
+      // The user left the waitlist in the meantime
+      if (result.modifiedCount !== 1) {
+        await returnSeats(
+          { _id: bookingId, ticketId: entry.ticketId, bookingQuantity: entry.quantity, seatNumbers },
+          { offerWaitlist: false }
+        );
+        continue;
+      }
+
+      await queueNotification('waitlist_offer', entry.userEmail, { entry, ticket, seatNumbers, offerExpiresAt });
+      publishEvent(`user:${entry.userEmail}`, 'waitlist', {
+        waitlistId: entry._id.toString(),
+        ticketId: entry.ticketId,
+        status: 'offered',
+        seatNumbers,
+        offerExpiresAt,
+      });
+      offered++;
+    }
+
+    return offered;
+  } catch (error) {
+    console.error('Failed to offer waitlist seats:', error);
+    return 0;
+  }
+}
+
+// End offers that ran out (their seats go to the next in line) and entries whose trip has departed
+async function expireWaitlistOffers() {
+  const { waitlist } = getCollections();
+  const now = new Date();
+
+  await waitlist.updateMany(
+    { status: 'waiting', departureAt: { $lte: now } },
+    { $set: { status: 'expired', updatedAt: now }, $unset: { active: '' } }
+  );
+
+  const expiredOffers = await waitlist
+    .find({ status: 'offered', offerExpiresAt: { $lte: now } }, { projection: { _id: 1 } })
+    .toArray();
+
+  for (const { _id } of expiredOffers) {
+    const entry = await waitlist.findOneAndUpdate(
+      { _id, status: 'offered', offerExpiresAt: { $lte: now } },
+      { $set: { status: 'expired', updatedAt: now }, $unset: { active: '' } }
+    );
+    if (entry) {
+      await returnSeats(getOfferHold(entry));
+    }
+  }
+
+  return expiredOffers.length;
+}
+
+// Sweep expired holds, departed trips, ended suspensions, campaigns and waitlist offers every minute
+// (routes also sweep lazily for serverless)
+setInterval(() => {
+  if (!db) return;
+  releaseExpiredHolds()
+    .then(expireWaitlistOffers)
+    .then(completeDepartedBookings)
+    .then(reinstateExpiredSuspensions)
+    .then(refreshCampaigns)
+    .catch(err => {
+      console.error('Failed to run booking sweep:', err);
+    });
+}, 60 * 1000).unref();
+
+// PRICING HELPERS
+// Prices are always computed on the server from the ticket - never trusted from the client.
+// Fare = seat/unit prices, then the vendor's pricing rules, then a promo code, then the service fee.
+
+// Vendor pricing rules (stored on users.pricingRules), percent > 0 is a surcharge, < 0 a discount:
+//   early_bird   - departure is at least minDaysBefore days away
+//   last_minute  - departure is within maxHoursBefore hours
+//   weekend      - departure falls on one of `weekdays` in the platform time zone (default Friday and Saturday)
+//   occupancy    - at least minOccupancy percent of the seats are taken
+// Different types stack; within a type only the strongest matching tier applies
+// (longest notice, shortest notice, highest occupancy).
+const DEFAULT_WEEKEND_DAYS = [5, 6];
+
+// How specific a matching rule is - the highest wins within its type
+const PRICING_RULE_RANK = {
+  early_bird: rule => rule.minDaysBefore,
+  last_minute: rule => -rule.maxHoursBefore,
+  weekend: () => 0,
+  occupancy: rule => rule.minOccupancy,
+};
+
+function pricingRuleMatches(rule, ticket, now) {
+  if (rule.transportTypes?.length && !rule.transportTypes.includes(ticket.transportType)) {
+    return false;
+  }
+
+  const departure = getDepartureDate(ticket);
+  const hoursBefore = departure ? (departure - now) / (60 * 60 * 1000) : null;
+
+  switch (rule.type) {
+    case 'early_bird':
+      return hoursBefore !== null && hoursBefore >= rule.minDaysBefore * 24;
+    case 'last_minute':
+      return hoursBefore !== null && hoursBefore <= rule.maxHoursBefore;
+    case 'weekend':
+      return (
+        departure !== null &&
+        (rule.weekdays || DEFAULT_WEEKEND_DAYS).includes(getWeekday(todayInPlatformZone(departure)))
+      );
+    case 'occupancy': {
+      const capacity = ticket.seats?.length || ticket.capacity;
+      if (!capacity) return false;
+      return ((capacity - ticket.quantity) / capacity) * 100 >= rule.minOccupancy;
+    }
+    default:
+      return false;
+  }
+}
+
+// The rules that apply to a ticket right now - one per type
+function selectPricingRules(rules, ticket, now = new Date()) {
+  const best = {};
+  for (const rule of rules) {
+    if (!pricingRuleMatches(rule, ticket, now)) continue;
+    const current = best[rule.type];
+    if (!current || PRICING_RULE_RANK[rule.type](rule) > PRICING_RULE_RANK[rule.type](current)) {
+      best[rule.type] = rule;
+    }
+  }
+  return Object.values(best);
+}
+
+async function getPricingRules(vendorEmail) {
+  const { users } = getCollections();
+  const vendor = await users.findOne(
+    { email: vendorEmail },
+    { projection: { pricingRules: 1 } }
+  );
+  return vendor?.pricingRules || [];
+}
+
+// Promo discount on an amount - returns { amount } or { error }
+function getPromoDiscount(promo, amount) {
+  if (promo.minSpend && amount < promo.minSpend) {
+    return { error: `Promo code ${promo.code} needs a minimum spend of ${promo.minSpend} BDT` };
+  }
+
+  let discount =
+    promo.discountType === 'percent'
+      ? Math.round(amount * promo.value) / 100
+      : promo.value;
+  if (promo.maxDiscount) discount = Math.min(discount, promo.maxDiscount);
+
+  return { amount: Math.min(discount, amount) };
+}
+
+// Line-item price breakdown for booking `quantity` seats of a ticket (amounts in BDT)
+// Seat-map seats use their class price when the vendor set one.
+// Options: rules (vendor pricing rules), promo (a loaded promo code), now (pricing time).
+// If the promo can't be used on this amount the breakdown carries a promoError instead of a discount.
+function calculateBookingPrice(ticket, quantity, seatNumbers = [], { rules = [], promo = null, now = new Date() } = {}) {
+  const unitPrice = Number(ticket.pricePerUnit);
+
+  const seats = seatNumbers.map(seatNumber => {
+    const seat = ticket.seats?.find(s => s.seatNumber === seatNumber);
+    return {
+      seatNumber,
+      seatClass: seat?.seatClass || null,
+      price: seat?.price ?? unitPrice,
+    };
+  });
+
+  const baseFare = seats.length
+    ? seats.reduce((sum, seat) => sum + seat.price, 0)
+    : unitPrice * quantity;
+  const lineItems = [{ type: 'fare', label: 'Fare', amount: baseFare }];
+
+  const adjustments = selectPricingRules(rules, ticket, now).map(rule => ({
+    type: 'rule',
+    ruleType: rule.type,
+    label: rule.name,
+    percent: rule.percent,
+    amount: Math.round(baseFare * rule.percent) / 100,
+  }));
+  lineItems.push(...adjustments);
+
+  let fare = Math.max(0, baseFare + adjustments.reduce((sum, a) => sum + a.amount, 0));
+
+  let discount = null;
+  let promoError;
+  if (promo) {
+    const result = getPromoDiscount(promo, fare);
+    if (result.error) {
+      promoError = result.error;
+    } else {
+      discount = {
+        code: promo.code,
+        promoId: promo._id.toString(),
+        amount: result.amount,
+        fundedBy: promo.vendorEmail ? 'vendor' : 'platform',
+      };
+      fare -= result.amount;
+      lineItems.push({ type: 'promo', label: `Promo ${promo.code}`, amount: -result.amount });
+    }
+  }
+
+  const subtotal = Math.round(fare * 100) / 100;
+  const serviceFee = Math.round(subtotal * SERVICE_FEE_PERCENT) / 100;
+  if (serviceFee) {
+    lineItems.push({ type: 'fee', label: 'Service fee', amount: serviceFee });
+  }
+
+  return {
+    unitPrice,
+    quantity,
+    seats,
+    baseFare,
+    lineItems,
+    discount,
+    subtotal,
+    serviceFee,
+    total: Math.round((subtotal + serviceFee) * 100) / 100,
+    ...(promoError && { promoError }),
+  };
+}
+
+// PROMO CODE HELPERS
+// Codes are created by vendors (their own tickets, vendor pays the discount) or admins (any ticket,
+// platform pays). A booking redeems its code when created; the use is given back if the booking
+// ends without payment (rejected, expired, cancelled before paying).
+
+// Rules the schema can't express - returns a field error or null
+function checkPromoCode(promo) {
+  if (promo.discountType === 'percent' && promo.value > 100) {
+    return { field: 'value', message: 'value must be at most 100 for percent codes' };
+  }
+  if (promo.startsAt && promo.expiresAt && promo.expiresAt <= promo.startsAt) {
+    return { field: 'expiresAt', message: 'expiresAt must be after startsAt' };
+  }
+  return null;
+}
+
+// Look up a code and check it can be used by this user on this ticket - returns { promo } or { error }
+async function findUsablePromoCode(code, ticket, userEmail) {
+  const { promoCodes, promoRedemptions } = getCollections();
+  const now = new Date();
+
+  const promo = await promoCodes.findOne({ code: String(code).trim().toUpperCase() });
+
+  if (!promo || !promo.active) {
+    return { error: 'Invalid promo code' };
+  }
+  if ((promo.startsAt && promo.startsAt > now) || (promo.expiresAt && promo.expiresAt <= now)) {
+    return { error: 'This promo code is not valid right now' };
+  }
+  if (promo.maxUses && promo.usedCount >= promo.maxUses) {
+    return { error: 'This promo code has been fully used' };
+  }
+  if (promo.vendorEmail && promo.vendorEmail !== ticket.vendorEmail) {
+    return { error: 'This promo code does not apply to this ticket' };
+  }
+  if (promo.ticketIds?.length && !promo.ticketIds.includes(ticket._id.toString())) {
+    return { error: 'This promo code does not apply to this ticket' };
+  }
+  if (
+    promo.routes?.length &&
+    !promo.routes.some(
+      route =>
+        route.fromLocation.toLowerCase() === ticket.fromLocation?.toLowerCase() &&
+        route.toLocation.toLowerCase() === ticket.toLocation?.toLowerCase()
+    )
+  ) {
+    return { error: 'This promo code does not apply to this route' };
+  }
+
+  if (promo.perUserLimit) {
+    const used = await promoRedemptions.countDocuments({
+      promoId: promo._id.toString(),
+      userEmail,
+      releasedAt: null,
+    });
+    if (used >= promo.perUserLimit) {
+      return { error: 'You have already used this promo code' };
+    }
+  }
+
+  return { promo };
+}
+
+// Take one use of a code for a booking - checks the limits again atomically. Returns true on success.
+async function redeemPromoCode(promo, bookingId, userEmail) {
+  const { promoCodes, promoRedemptions } = getCollections();
+
+  const taken = await promoCodes.updateOne(
+    {
+      _id: promo._id,
+      active: true,
+      $or: [{ maxUses: null }, { $expr: { $lt: ['$usedCount', '$maxUses'] } }],
+    },
+    { $inc: { usedCount: 1 } }
+  );
+  if (taken.modifiedCount !== 1) {
+    return false;
+  }
+
+  await promoRedemptions.insertOne({
+    promoId: promo._id.toString(),
+    code: promo.code,
+    userEmail,
+    bookingId: bookingId.toString(),
+    releasedAt: null,
+    createdAt: new Date(),
+  });
+
+  // Two bookings raced past the per-user check - the later one gives its use back
+  if (promo.perUserLimit) {
+    const used = await promoRedemptions.countDocuments({
+      promoId: promo._id.toString(),
+      userEmail,
+      releasedAt: null,
+    });
+    if (used > promo.perUserLimit) {
+      await releaseRedemption(bookingId, promo._id);
+      return false;
+    }
+  }
+
+  return true;
+}
+
+// Mark a booking's redemption released and return the use to the code (runs at most once)
+async function releaseRedemption(bookingId, promoId) {
+  const { promoCodes, promoRedemptions } = getCollections();
+
+  const released = await promoRedemptions.updateOne(
+    { bookingId: bookingId.toString(), releasedAt: null },
+    { $set: { releasedAt: new Date() } }
+  );
+  if (released.modifiedCount === 1) {
+    await promoCodes.updateOne({ _id: new ObjectId(promoId) }, { $inc: { usedCount: -1 } });
+  }
+}
+
+// Give back the promo use of a booking that ended without payment
+async function releasePromoCode(booking) {
+  const promoId = booking.priceBreakdown?.discount?.promoId;
+  if (promoId) {
+    await releaseRedemption(booking._id, promoId);
+  }
+}
+
+// Standard 400 for a promo code that can't be used
+function sendPromoError(res, message) {
+  return res.status(400).json({
+    success: false,
+    message,
+    errors: [{ field: 'promoCode', message }],
+  });
+}
+
+// REFUND POLICY HELPERS
+// Tiers are matched from the longest notice down: first tier whose cutoff is met wins
+const DEFAULT_REFUND_POLICY = [
+  { minHoursBeforeDeparture: 48, refundPercent: 100 },
+  { minHoursBeforeDeparture: 12, refundPercent: 50 },
+];
+
+// Milliseconds the platform zone is ahead of UTC at an instant
+function platformZoneOffset(date) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: STATS_TIMEZONE,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+    })
+      .formatToParts(date)
+      .map(part => [part.type, Number(part.value)])
+  );
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - (date.getTime() - date.getUTCMilliseconds());
+}
+
+// Read a date or date-time the way a Dhaka passenger means it: ISO values without an offset
+// ('2025-03-01', '2025-03-01T08:30') are wall-clock time in the platform zone, not in the
+// server's zone (UTC on Vercel). Values with Z or an offset, and Date objects, are instants already.
+function parsePlatformDate(value) {
+  if (typeof value !== 'string' || !LOCAL_DATE_TIME_PATTERN.test(value.trim())) {
+    return new Date(value);
+  }
+  const [date, time = '00:00'] = value.trim().split('T');
+  const asUtc = new Date(`${date}T${time}Z`);
+  if (isNaN(asUtc)) return asUtc;
+  // The offset is looked up again at the first guess so a daylight-saving change is respected
+  const offset = platformZoneOffset(new Date(asUtc - platformZoneOffset(asUtc)));
+  return new Date(asUtc - offset);
+}
+
+// Tickets store either departureDateTime or separate departureDate + departureTime
+function getDepartureDate(ticket) {
+  if (ticket?.departureDateTime) {
+    return parsePlatformDate(ticket.departureDateTime);
+  }
+  if (ticket?.departureDate) {
+    return parsePlatformDate(`${ticket.departureDate}T${ticket.departureTime || '00:00'}`);
+  }
+  return null;
+}
+
+function getRefundPercent(policy, hoursBeforeDeparture) {
+  const tier = [...policy]
+    .sort((a, b) => b.minHoursBeforeDeparture - a.minHoursBeforeDeparture)
+    .find(t => hoursBeforeDeparture >= t.minHoursBeforeDeparture);
+  return tier ? tier.refundPercent : 0;
+}
+
+// Refund a cancelled booking through Stripe and record it
+// Idempotency key makes retries after a failure safe
+async function issueCancellationRefund(booking) {
+  const { bookings } = getCollections();
+  // Bookings paid before the webhook existed only stored the intent as transactionId
+  const paymentIntentId = booking.paymentIntentId || booking.transactionId;
+
+  try {
+    const refund = await stripe.refunds.create(
+      {
+        payment_intent: paymentIntentId,
+        amount: Math.round(booking.refundAmount * 100), // Convert to paisa
+        metadata: { bookingId: booking._id.toString(), reason: 'cancellation' },
+      },
+      { idempotencyKey: `cancel-refund-${booking._id}` }
+    );
+
+    await bookings.updateOne(
+      { _id: booking._id },
+      {
+        $set: {
+          refundStatus: 'refunded',
+          refundId: refund.id,
+          paymentStatus:
+            booking.refundPercent === 100 ? 'refunded' : 'partially_refunded',
+          refundedAt: new Date(),
+        },
+      }
+    );
+    await saveRefundTransaction(
+      { ...booking, paymentIntentId },
+      refund.id,
+      booking.refundAmount
+    );
+
+    return {
+      refundId: refund.id,
+      refundPercent: booking.refundPercent,
+      refundAmount: booking.refundAmount,
+    };
+  } catch (error) {
+    await bookings.updateOne(
+      { _id: booking._id },
+      { $set: { refundStatus: 'failed', refundError: error.message } }
+    );
+    throw error;
+  }
+}
+
+// LEDGER HELPERS
+// Double-entry ledger of what the platform owes each vendor. Every entry's lines balance
+// (total debits = total credits) across these accounts:
+//   platform:cash          - money held by the platform (Stripe balance)
+//   vendor:<email>         - payable to the vendor (credit balance = what we owe them)
+//   platform:commission    - platform commission earned on ticket sales
+//   platform:service-fees  - service fee charged to passengers
+//   platform:promotions    - discounts from platform promo codes (the vendor is paid the undiscounted fare)
+//   platform:advertising   - campaigns bought by vendors (no vendor account involved - they pay by card)
+// Entries are append-only and keyed (sale:<bookingId>, refund:<bookingId>:<total>, payout:<id>)
+// so webhook retries never post twice.
+
+const DEFAULT_COMMISSION_PERCENT = parseFloat(process.env.DEFAULT_COMMISSION_PERCENT) || 10;
+
+const PLATFORM_ACCOUNTS = {
+  cash: 'platform:cash',
+  commission: 'platform:commission',
+  serviceFees: 'platform:service-fees',
+  promotions: 'platform:promotions',
+  advertising: 'platform:advertising',
+};
+
+function vendorAccount(email) {
+  return `vendor:${email}`;
+}
+
+// Money is kept in BDT with paisa precision
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+// Commission for a sale: vendor override, then transport type rate, then platform default
+async function getCommissionPercent(vendorEmail, transportType) {
+  const { users, settings } = getCollections();
+
+  const [vendor, commission] = await Promise.all([
+    users.findOne({ email: vendorEmail }, { projection: { commissionPercent: 1 } }),
+    settings.findOne({ _id: 'commission' }),
+  ]);
+
+  return (
+    vendor?.commissionPercent ??
+    commission?.byTransportType?.[transportType] ??
+    commission?.defaultPercent ??
+    DEFAULT_COMMISSION_PERCENT
+  );
+}
+
+// Insert a balanced entry - returns false if an entry with the same key already exists
+async function postLedgerEntry(entry) {
+  const { ledger } = getCollections();
+  const lines = entry.lines.filter(line => line.debit || line.credit);
+
+  const debits = roundMoney(lines.reduce((sum, line) => sum + (line.debit || 0), 0));
+  const credits = roundMoney(lines.reduce((sum, line) => sum + (line.credit || 0), 0));
+  if (debits !== credits) {
+    throw new Error(`Unbalanced ledger entry ${entry.key}: ${debits} != ${credits}`);
+  }
+
+  try {
+    await ledger.insertOne({ ...entry, lines, createdAt: new Date() });
+    return true;
+  } catch (error) {
+    if (error.code === 11000) return false; // already posted
+    throw error;
+  }
+}
+
+// Paid booking: cash in, split between the vendor, commission and the service fee
+async function postSaleEntry(booking) {
+  const { bookings } = getCollections();
+  const total = booking.totalPrice;
+  const serviceFee = booking.priceBreakdown?.serviceFee || 0;
+  const discount = booking.priceBreakdown?.discount;
+  const platformDiscount = discount?.fundedBy === 'platform' ? discount.amount : 0;
+  const ticketAmount = roundMoney(total - serviceFee + platformDiscount);
+  const commissionPercent = await getCommissionPercent(
+    booking.vendorEmail,
+    booking.transportType
+  );
+  const commission = roundMoney((ticketAmount * commissionPercent) / 100);
+  const vendorAmount = roundMoney(ticketAmount - commission);
+
+  const posted = await postLedgerEntry({
+    key: `sale:${booking._id}`,
+    type: 'sale',
+    vendorEmail: booking.vendorEmail,
+    bookingId: booking._id.toString(),
+    ticketTitle: booking.ticketTitle,
+    gross: total,
+    commissionPercent,
+    commission,
+    platformDiscount,
+    vendorAmount, // change to the vendor's balance
+    lines: [
+      { account: PLATFORM_ACCOUNTS.cash, debit: total },
+      { account: PLATFORM_ACCOUNTS.promotions, debit: platformDiscount },
+      { account: vendorAccount(booking.vendorEmail), credit: vendorAmount },
+      { account: PLATFORM_ACCOUNTS.commission, credit: commission },
+      { account: PLATFORM_ACCOUNTS.serviceFees, credit: serviceFee },
+    ],
+  });
+
+  await bookings.updateOne(
+    { _id: booking._id },
+    { $set: { ledgerPostedAt: new Date() } }
+  );
+  return posted;
+}
+
+// Refund of a paid booking - `refundedTotal` is cumulative, so only the part not yet posted
+// is reversed, in the same proportions as the sale
+async function postRefundEntry(booking, refundedTotal) {
+  const { ledger } = getCollections();
+  const bookingId = booking._id.toString();
+
+  // Bookings paid before the ledger existed get their sale posted first
+  if (booking.paidAt || booking.transactionId) {
+    await postSaleEntry(booking);
+  }
+
+  const entries = await ledger.find({ bookingId }).toArray();
+  const sale = entries.find(entry => entry.type === 'sale');
+  if (!sale) {
+    return false; // never paid (e.g. refunded because seats were gone) - nothing owed
+  }
+
+  const alreadyRefunded = entries
+    .filter(entry => entry.type === 'refund')
+    .reduce((sum, entry) => sum + entry.gross, 0);
+
+  const amount = roundMoney(Math.min(refundedTotal, sale.gross) - alreadyRefunded);
+  if (amount <= 0) {
+    return false;
+  }
+
+  const share = amount / sale.gross;
+  const vendorPart = roundMoney(sale.vendorAmount * share);
+  const commissionPart = roundMoney(sale.commission * share);
+  const promotionPart = roundMoney((sale.platformDiscount || 0) * share);
+  const feePart = roundMoney(amount + promotionPart - vendorPart - commissionPart);
+
+  return postLedgerEntry({
+    key: `refund:${bookingId}:${roundMoney(refundedTotal)}`,
+    type: 'refund',
+    vendorEmail: booking.vendorEmail,
+    bookingId,
+    ticketTitle: booking.ticketTitle,
+    gross: amount,
+    commissionPercent: sale.commissionPercent,
+    commission: -commissionPart,
+    vendorAmount: -vendorPart,
+    lines: [
+      { account: vendorAccount(booking.vendorEmail), debit: vendorPart },
+      { account: PLATFORM_ACCOUNTS.commission, debit: commissionPart },
+      { account: PLATFORM_ACCOUNTS.serviceFees, debit: feePart },
+      { account: PLATFORM_ACCOUNTS.cash, credit: amount },
+      { account: PLATFORM_ACCOUNTS.promotions, credit: promotionPart },
+    ],
+  });
+}
+
+// Vendor balance from the ledger, less any payout still waiting for approval
+async function getVendorBalance(vendorEmail) {
+  const { ledger, payouts } = getCollections();
+
+  const [totals, pending] = await Promise.all([
+    ledger
+      .aggregate([
+        { $match: { vendorEmail } },
+        {
+          $group: {
+            _id: '$type',
+            gross: { $sum: '$gross' },
+            commission: { $sum: '$commission' },
+            vendorAmount: { $sum: '$vendorAmount' },
+          },
+        },
+      ])
+      .toArray(),
+    payouts.findOne({ vendorEmail, status: 'pending' }, { projection: { amount: 1 } }),
+  ]);
+
+  const byType = Object.fromEntries(totals.map(row => [row._id, row]));
+  const balance = roundMoney(totals.reduce((sum, row) => sum + row.vendorAmount, 0));
+  const pendingPayout = pending?.amount || 0;
+
+  return {
+    sales: roundMoney(byType.sale?.gross || 0),
+    refunds: roundMoney(byType.refund?.gross || 0),
+    commission: roundMoney(totals.reduce((sum, row) => sum + (row.commission || 0), 0)),
+    paidOut: roundMoney(Math.abs(byType.payout?.vendorAmount || 0)),
+    balance,
+    pendingPayout,
+    available: roundMoney(balance - pendingPayout),
+  };
+}
+
+// VENDOR RISK HELPERS
+// Automatic risk signals help admins spot vendors worth a closer look. They never suspend anyone
+// on their own - suspension is an admin decision with a reason, optional expiry and an appeal.
+
+const RISK_WINDOW_DAYS = 90;
+const RISK_THRESHOLDS = {
+  minBookings: 10, // rates are only meaningful with some volume
+  rejectionRate: 50, // percent of requests the vendor rejected
+  cancellationRate: 30, // percent of bookings cancelled
+  refundSpikeFactor: 3, // refunds this week vs. the weekly average of the 4 weeks before
+  minRefunds: 3,
+  priceOutlierFactor: 3, // price vs. other vendors' average on the same route
+  lowRating: 2.5,
+  minRatings: 5,
+};
+const RISK_SEVERITY_SCORE = { low: 1, medium: 2, high: 3 };
+
+// Compute a vendor's current risk signals - returns { score, signals: [{ type, severity, message, value }] }
+async function assessVendorRisk(vendorEmail) {
+  const { bookings, tickets, transactions, users } = getCollections();
+  const now = new Date();
+  const day = 24 * 60 * 60 * 1000;
+  const signals = [];
+
+  const [[bookingStats], refunds, vendorTickets, duplicates, vendor] = await Promise.all([
+    bookings
+      .aggregate([
+        { $match: { vendorEmail, createdAt: { $gte: new Date(now - RISK_WINDOW_DAYS * day) } } },
+        {
+          $group: {
+            _id: null,
+            total: { $sum: 1 },
+            rejected: { $sum: { $cond: [{ $eq: ['$status', 'rejected'] }, 1, 0] } },
+            cancelled: { $sum: { $cond: [{ $eq: ['$status', 'cancelled'] }, 1, 0] } },
+          },
+        },
+      ])
+      .toArray(),
+    transactions
+      .aggregate([
+        { $match: { vendorEmail, type: 'refund', createdAt: { $gte: new Date(now - 35 * day) } } },
+        {
+          $group: {
+            _id: null,
+            lastWeek: { $sum: { $cond: [{ $gte: ['$createdAt', new Date(now - 7 * day)] }, 1, 0] } },
+            before: { $sum: { $cond: [{ $lt: ['$createdAt', new Date(now - 7 * day)] }, 1, 0] } },
+          },
+        },
+      ])
+      .toArray(),
+    tickets
+      .find(
+        { vendorEmail, verificationStatus: 'approved', departureAt: { $gt: now } },
+        { projection: { title: 1, fromLocation: 1, toLocation: 1, transportType: 1, pricePerUnit: 1 } }
+      )
+      .limit(500)
+      .toArray(),
+    tickets
+      .aggregate([
+        { $match: { vendorEmail, verificationStatus: { $ne: 'rejected' }, departureAt: { $gt: now } } },
+        {
+          $group: {
+            _id: { title: '$title', fromLocation: '$fromLocation', toLocation: '$toLocation', departureAt: '$departureAt' },
+            count: { $sum: 1 },
+          },
+        },
+        { $match: { count: { $gt: 1 } } },
+      ])
+      .toArray(),
+    users.findOne({ email: vendorEmail }, { projection: { ratingAverage: 1, ratingCount: 1 } }),
+  ]);
+
+  const rate = (part, whole) => Math.round((part / whole) * 100);
+
+  if (bookingStats?.total >= RISK_THRESHOLDS.minBookings) {
+    const rejectionRate = rate(bookingStats.rejected, bookingStats.total);
+    if (rejectionRate >= RISK_THRESHOLDS.rejectionRate) {
+      signals.push({
+        type: 'high_rejection_rate',
+        severity: 'medium',
+        message: `Rejected ${rejectionRate}% of booking requests in the last ${RISK_WINDOW_DAYS} days`,
+        value: rejectionRate,
+      });
+    }
+
+    const cancellationRate = rate(bookingStats.cancelled, bookingStats.total);
+    if (cancellationRate >= RISK_THRESHOLDS.cancellationRate) {
+      signals.push({
+        type: 'high_cancellation_rate',
+        severity: 'medium',
+        message: `${cancellationRate}% of bookings were cancelled in the last ${RISK_WINDOW_DAYS} days`,
+        value: cancellationRate,
+      });
+    }
+  }
+
+  const refundCounts = refunds[0];
+  if (refundCounts?.lastWeek >= RISK_THRESHOLDS.minRefunds) {
+    const weeklyAverage = refundCounts.before / 4;
+    if (refundCounts.lastWeek >= Math.max(weeklyAverage, 1) * RISK_THRESHOLDS.refundSpikeFactor) {
+      signals.push({
+        type: 'refund_spike',
+        severity: 'high',
+        message: `${refundCounts.lastWeek} refunds this week (usually ${weeklyAverage.toFixed(1)} a week)`,
+        value: refundCounts.lastWeek,
+      });
+    }
+  }
+
+  // Compare prices with other vendors on the same routes
+  if (vendorTickets.length) {
+    const routeAverages = await tickets
+      .aggregate([
+        {
+          $match: {
+            vendorEmail: { $ne: vendorEmail },
+            verificationStatus: 'approved',
+            $or: vendorTickets.map(t => ({
+              fromLocation: t.fromLocation,
+              toLocation: t.toLocation,
+              transportType: t.transportType,
+            })),
+          },
+        },
+        {
+          $group: {
+            _id: { fromLocation: '$fromLocation', toLocation: '$toLocation', transportType: '$transportType' },
+            averagePrice: { $avg: '$pricePerUnit' },
+          },
+        },
+      ])
+      .toArray();
+
+    const averageFor = ticket =>
+      routeAverages.find(
+        r =>
+          r._id.fromLocation === ticket.fromLocation &&
+          r._id.toLocation === ticket.toLocation &&
+          r._id.transportType === ticket.transportType
+      )?.averagePrice;
+
+    const outliers = vendorTickets.filter(ticket => {
+      const average = averageFor(ticket);
+      return (
+        average &&
+        (ticket.pricePerUnit > average * RISK_THRESHOLDS.priceOutlierFactor ||
+          ticket.pricePerUnit < average / RISK_THRESHOLDS.priceOutlierFactor)
+      );
+    });
+
+    if (outliers.length) {
+      signals.push({
+        type: 'price_outliers',
+        severity: 'medium',
+        message: `${outliers.length} ticket(s) priced far from the route average`,
+        value: outliers.map(t => t._id.toString()),
+      });
+    }
+  }
+
+  if (duplicates.length) {
+    signals.push({
+      type: 'duplicate_listings',
+      severity: 'low',
+      message: `${duplicates.length} departure(s) listed more than once`,
+      value: duplicates.length,
+    });
+  }
+
+  if (vendor?.ratingCount >= RISK_THRESHOLDS.minRatings && vendor.ratingAverage < RISK_THRESHOLDS.lowRating) {
+    signals.push({
+      type: 'low_rating',
+      severity: 'low',
+      message: `Average rating ${vendor.ratingAverage} from ${vendor.ratingCount} reviews`,
+      value: vendor.ratingAverage,
+    });
+  }
+
+  return {
+    score: signals.reduce((sum, signal) => sum + RISK_SEVERITY_SCORE[signal.severity], 0),
+    signals,
+  };
+}
+
+// Store fresh risk signals on every vendor (riskScore, riskSignals, riskCheckedAt)
+async function refreshVendorRisk() {
+  const { users } = getCollections();
+
+  const vendors = users.find({ role: 'vendor' }, { projection: { email: 1 } });
+  for await (const vendor of vendors) {
+    const { score, signals } = await assessVendorRisk(vendor.email);
+    await users.updateOne(
+      { _id: vendor._id },
+      { $set: { riskScore: score, riskSignals: signals, riskCheckedAt: new Date() } }
+    );
+  }
+}
+
+// Re-check vendor risk every hour
+setInterval(() => {
+  if (!db) return;
+  refreshVendorRisk().catch(err => {
+    console.error('Failed to refresh vendor risk:', err);
+  });
+}, 60 * 60 * 1000).unref();
+
+// VENDOR SUSPENSION HELPERS
+// A suspended vendor has isFraud: true and a `suspension` { reason, suspendedBy, suspendedAt, expiresAt, appeal }.
+// Their listings are hidden with their previous status remembered, so reinstating restores exactly what was live.
+
+// Hide (suspend) or restore (reinstate) all of a vendor's tickets and schedules
+async function setVendorListingsHidden(vendorEmail, hidden) {
+  const { tickets, schedules } = getCollections();
+
+  const update = hidden
+    ? {
+        filter: { vendorEmail, preSuspensionStatus: { $exists: false } },
+        pipeline: [{ $set: { preSuspensionStatus: '$verificationStatus', verificationStatus: 'rejected' } }],
+      }
+    : {
+        filter: { vendorEmail, preSuspensionStatus: { $exists: true } },
+        pipeline: [{ $set: { verificationStatus: '$preSuspensionStatus' } }, { $unset: 'preSuspensionStatus' }],
+      };
+
+  await Promise.all([
+    tickets.updateMany(update.filter, update.pipeline),
+    schedules.updateMany(update.filter, update.pipeline),
+  ]);
+}
+
+// Cancel a suspended vendor's upcoming bookings: unpaid ones release their seats, paid ones are refunded in full.
+// Passengers are told either way. Returns { cancelled, refunded, refundsFailed }.
+async function cancelSuspendedVendorBookings(vendorEmail, by) {
+  const { bookings } = getCollections();
+  const now = new Date();
+  const reason = 'The operator of this trip has been suspended';
+  const result = { cancelled: 0, refunded: 0, refundsFailed: 0 };
+
+  const outstanding = bookings.find({
+    vendorEmail,
+    status: { $in: ['pending', 'accepted', 'paid'] },
+    $or: [{ departureAt: { $gt: now } }, { departureAt: null }],
+  });
+
+  for await (const booking of outstanding) {
+    const isPaid = booking.status === 'paid';
+    const cancelled = await transitionBooking(booking, 'cancelled', {
+      by,
+      note: reason,
+      filter: isPaid ? { holdStatus: 'sold' } : {},
+      set: {
+        cancelledAt: new Date(),
+        cancellationReason: reason,
+        refundPercent: isPaid ? 100 : 0,
+        refundAmount: isPaid ? booking.totalPrice : 0,
+        ...(isPaid && {
+          holdStatus: 'released',
+          holdReleasedAt: new Date(),
+          refundStatus: 'pending',
+        }),
+      },
+    });
+    if (!cancelled) continue; // changed meanwhile
+
+    result.cancelled++;
+
+    if (!isPaid) {
+      await releaseHold(booking._id);
+    } else {
+      await returnSeats(booking);
+      try {
+        await issueCancellationRefund({ ...booking, refundPercent: 100, refundAmount: booking.totalPrice });
+        result.refunded++;
+      } catch (error) {
+        // Recorded as refundStatus 'failed' - the passenger's cancel request retries it
+        console.error('Failed to refund booking of suspended vendor:', booking._id, error);
+        result.refundsFailed++;
+      }
+    }
+
+    await queueNotification('booking_cancelled', booking.userEmail, {
+      booking,
+      reason,
+      refundAmount: isPaid ? booking.totalPrice : 0,
+    });
+  }
+
+  return result;
+}
+
+// Lift a suspension: restore listings and keep the closed suspension in suspensionHistory
+async function reinstateVendor(vendor, by, note = null) {
+  const { users } = getCollections();
+
+  const result = await users.updateOne(
+    { _id: vendor._id, isFraud: true },
+    {
+      $set: { isFraud: false, updatedAt: new Date() },
+      $unset: { suspension: '' },
+      $push: {
+        suspensionHistory: {
+          ...vendor.suspension,
+          liftedBy: by,
+          liftedAt: new Date(),
+          liftNote: note,
+        },
+      },
+    }
+  );
+  if (result.modifiedCount !== 1) {
+    return false;
+  }
+
+  await setVendorListingsHidden(vendor.email, false);
+  await queueNotification('vendor_reinstated', vendor.email, { note });
+  return true;
+}
+
+// Reinstate vendors whose suspension has run out
+async function reinstateExpiredSuspensions() {
+  const { users } = getCollections();
+
+  const expired = await users
+    .find({ isFraud: true, 'suspension.expiresAt': { $lte: new Date() } })
+    .toArray();
+
+  for (const vendor of expired) {
+    await reinstateVendor(vendor, 'system', 'Suspension period ended');
+  }
+  return expired.length;
+}
+
+// BOOKING ROUTES
+// Get Price Quote (Logged-in Users) - the breakdown a booking would get right now, nothing is reserved
+app.post('/api/bookings/quote', verifyToken, validateBody(bookingSchema), async (req, res) => {
+  try {
+    const bookingData = req.body;
+    const { tickets } = getCollections();
+
+    const ticket = await tickets.findOne({
+      _id: new ObjectId(bookingData.ticketId),
+      verificationStatus: 'approved',
+    });
+
+    if (!ticket) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ticket not found',
+      });
+    }
+
+    const seatRequest = getSeatRequest(ticket, bookingData);
+    if (seatRequest.error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: [seatRequest.error],
+      });
+    }
+
+    let promo = null;
+    if (bookingData.promoCode) {
+      const result = await findUsablePromoCode(bookingData.promoCode, ticket, req.decoded.email);
+      if (result.error) {
+        return sendPromoError(res, result.error);
+      }
+      promo = result.promo;
+    }
+
+    const priceBreakdown = calculateBookingPrice(
+      ticket,
+      seatRequest.bookingQuantity,
+      seatRequest.seatNumbers,
+      { rules: await getPricingRules(ticket.vendorEmail), promo }
+    );
+    if (priceBreakdown.promoError) {
+      return sendPromoError(res, priceBreakdown.promoError);
+    }
+
+    res.json({
+      success: true,
+      data: priceBreakdown,
+    });
+  } catch (error) {
+    console.error('Error in /api/bookings/quote POST:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to calculate price',
+      error: error.message,
+    });
+  }
+});
+
+// Create Booking (User Only) - places a time-limited hold on the seats
+app.post('/api/bookings', verifyToken, verifyUser, validateBody(bookingSchema), async (req, res) => {
+  try {
+    const bookingData = req.body;
+    const { bookings, tickets } = getCollections();
+
+    console.log('📝 Creating booking for ticket:', bookingData.ticketId); // Debug log - no passenger details
+
+    // Free up seats from stale holds before checking availability
+    await releaseExpiredHolds();
+
+    const ticket = await tickets.findOne({
+      _id: new ObjectId(bookingData.ticketId),
+      verificationStatus: 'approved',
+    });
+
+    if (!ticket) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ticket not found',
+      });
+    }
+
+    const seatRequest = getSeatRequest(ticket, bookingData);
+    if (seatRequest.error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: [seatRequest.error],
+      });
+    }
+    const { hasSeatMap, seatNumbers, bookingQuantity } = seatRequest;
+
+    const passengerRequest = getPassengers(ticket, bookingData, seatRequest, req.user.savedTravellers);
+    if (passengerRequest.error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: [passengerRequest.error],
+      });
+    }
+
+    // Price first, so a bad promo code is refused before any seat is taken
+    let promo = null;
+    if (bookingData.promoCode) {
+      const result = await findUsablePromoCode(bookingData.promoCode, ticket, req.decoded.email);
+      if (result.error) {
+        return sendPromoError(res, result.error);
+      }
+      promo = result.promo;
+    }
+
+    const priceBreakdown = calculateBookingPrice(ticket, bookingQuantity, seatNumbers, {
+      rules: await getPricingRules(ticket.vendorEmail),
+      promo,
+    });
+    if (priceBreakdown.promoError) {
+      return sendPromoError(res, priceBreakdown.promoError);
+    }
+
+    const bookingId = new ObjectId();
+
+    const reserved = await reserveSeats(ticket._id, bookingQuantity, {
+      bookingId,
+      seatNumbers,
+    });
+
+    if (!reserved) {
+      return res.status(409).json({
+        success: false,
+        message: hasSeatMap
+          ? 'One or more selected seats are no longer available'
+          : 'Not enough seats available',
+      });
+    }
+
+    // The last use of the code may have gone while we were reserving
+    if (promo && !(await redeemPromoCode(promo, bookingId, req.decoded.email))) {
+      await returnSeats({ _id: bookingId, ticketId: ticket._id.toString(), bookingQuantity, seatNumbers });
+      return sendPromoError(res, 'This promo code has been fully used');
+    }
+
+    const newBooking = buildBooking(ticket, req.user, {
+      bookingId,
+      bookingData,
+      seatNumbers,
+      bookingQuantity,
+      passengers: passengerRequest.passengers,
+      priceBreakdown,
+    });
+
+    let result;
+    try {
+      result = await bookings.insertOne(newBooking);
+    } catch (error) {
+      // Booking was not saved - give the seats and promo use back
+      await returnSeats(newBooking);
+      await releasePromoCode(newBooking);
+      throw error;
+    }
+
+    console.log('✅ Booking created with ID:', result.insertedId); // Debug log
+
+    await queueNotification('booking_requested', newBooking.vendorEmail, {
+      booking: newBooking,
+    });
+    publishBookingUpdate(newBooking);
+
+    res.status(201).json({
+      success: true,
+      message: 'Booking created successfully',
+      data: result,
+    });
+  } catch (error) {
+    console.error('❌ Error in /api/bookings POST:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create booking',
+      error: error.message,
+    });
+  }
+});
+
+// Get User's Bookings (Owner or Admin)
+app.get('/api/bookings/user/:email', verifyToken, verifyOwnerOrAdmin, async (req, res) => {
+  try {
+    const { email } = req.params;
+    const { bookings } = getCollections();
+
+    const page = await findPage(bookings, { userEmail: email }, req.query);
+
+    if (!page) {
+      return sendInvalidCursor(res);
+    }
+
+    res.json({
+      success: true,
+      ...page,
+    });
+  } catch (error) {
+    console.error('Error in /api/bookings/user/:email GET:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch user bookings',
+      error: error.message,
+    });
+  }
+});
+
+// Get Vendor's Booking Requests (Vendor Owner or Admin)
+app.get('/api/bookings/vendor/:email', verifyToken, verifyOwnerOrAdmin, async (req, res) => {
+  try {
+    const { email } = req.params;
+    const { status } = req.query; // optional, e.g. 'cancelled'
+    const { bookings } = getCollections();
+
+    const query = { vendorEmail: email };
+    if (status) {
+      query.status = String(status);
+    }
+
+    const page = await findPage(bookings, query, req.query);
+
+    if (!page) {
+      return sendInvalidCursor(res);
+    }
+
+    // Let vendors see how many passengers cancelled and what was refunded
+    const [cancellations] = await bookings
+      .aggregate([
+        { $match: { vendorEmail: email, status: 'cancelled' } },
+        {
+          $group: {
+            _id: null,
+            cancelledCount: { $sum: 1 },
+            refundedTotal: { $sum: { $ifNull: ['$refundAmount', 0] } },
+          },
+        },
+      ])
+      .toArray();
+
+    // Vendors see who is travelling on each booking
+    page.data = page.data.map(booking => ({
+      ...booking,
+      passengerNames: getPassengerNames(booking),
+    }));
+
+    res.json({
+      success: true,
+      ...page,
+      cancelledCount: cancellations?.cancelledCount || 0,
+      refundedTotal: cancellations?.refundedTotal || 0,
+    });
+  } catch (error) {
+    console.error('Error in /api/bookings/vendor/:email GET:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch vendor bookings',
+      error: error.message,
+    });
+  }
+});
+
+// Accept Booking (Vendor Only)
+app.patch('/api/bookings/:id/accept', verifyToken, verifyVendor, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { bookings } = getCollections();
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid booking ID',
+      });
+    }
+
+    // Vendors can only accept their own booking requests
+    const booking = await bookings.findOne({
+      _id: new ObjectId(id),
+      vendorEmail: req.decoded.email,
+    });
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found',
+      });
+    }
+
+    if (!canTransitionBooking(booking.status, 'accepted')) {
+      return sendIllegalTransition(res, booking, 'accepted');
+    }
+
+    // Requests made before seat holds existed take their seats now
+    const isLegacy = !booking.holdStatus;
+    if (isLegacy) {
+      const reserved = await reserveSeats(
+        booking.ticketId,
+        booking.bookingQuantity
+      );
+
+      if (!reserved) {
+        return res.status(409).json({
+          success: false,
+          message: 'Not enough seats available',
+        });
+      }
+    }
+
+    // Seats must still be held; the user gets a full payment window from acceptance
+    const accepted = await transitionBooking(booking, 'accepted', {
+      by: req.decoded.email,
+      filter: isLegacy
+        ? { holdStatus: { $exists: false } }
+        : { holdStatus: 'held' },
+      set: {
+        acceptedAt: new Date(),
+        holdStatus: 'held',
+        holdExpiresAt: new Date(
+          Date.now() + PAYMENT_WINDOW_MINUTES * 60 * 1000
+        ),
+      },
+    });
+
+    if (!accepted) {
+      if (isLegacy) {
+        await returnSeats(booking);
+      }
+      return sendStaleBooking(res);
+    }
+
+    await queueNotification('booking_accepted', booking.userEmail, { booking });
+
+    setAudit(res, 'booking.accept', {
+      targetType: 'bookings',
+      targetId: id,
+      before: { status: booking.status },
+      after: { status: 'accepted' },
+    });
+
+    res.json({
+      success: true,
+      message: 'Booking accepted successfully',
+    });
+  } catch (error) {
+    console.error('Error in /api/bookings/:id/accept PATCH:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to accept booking',
+      error: error.message,
+    });
+  }
+});
+
+// Reject Booking (Vendor Only)
+app.patch('/api/bookings/:id/reject', verifyToken, verifyVendor, validateBody(bookingReasonSchema), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason = null } = req.body;
+    const { bookings } = getCollections();
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid booking ID',
+      });
+    }
+
+    // Vendors can only reject their own booking requests
+    const booking = await bookings.findOne({
+      _id: new ObjectId(id),
+      vendorEmail: req.decoded.email,
+    });
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found',
+      });
+    }
+
+    if (!canTransitionBooking(booking.status, 'rejected')) {
+      return sendIllegalTransition(res, booking, 'rejected');
+    }
+
+    const rejected = await transitionBooking(booking, 'rejected', {
+      by: req.decoded.email,
+      note: reason,
+      set: { rejectedAt: new Date() },
+    });
+
+    if (!rejected) {
+      return sendStaleBooking(res);
+    }
+
+    // Rejected seats go back on sale
+    await releaseHold(booking._id);
+
+    await queueNotification('booking_rejected', booking.userEmail, {
+      booking,
+      reason,
+    });
+
+    setAudit(res, 'booking.reject', {
+      targetType: 'bookings',
+      targetId: id,
+      before: { status: booking.status },
+      after: { status: 'rejected', reason },
+    });
+
+    res.json({
+      success: true,
+      message: 'Booking rejected successfully',
+    });
+  } catch (error) {
+    console.error('Error in /api/bookings/:id/reject PATCH:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reject booking',
+      error: error.message,
+    });
+  }
+});
+
+// Cancel Booking (User Only) - refund follows the vendor's refund policy
+app.patch('/api/bookings/:id/cancel', verifyToken, verifyUser, validateBody(bookingReasonSchema), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason = null } = req.body;
+    const { bookings, tickets, users } = getCollections();
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid booking ID',
+      });
+    }
+
+    // Users can only cancel their own bookings
+    const booking = await bookings.findOne({
+      _id: new ObjectId(id),
+      userEmail: req.decoded.email,
+    });
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found',
+      });
+    }
+
+    // Already cancelled but Stripe refund failed last time - try it again
+    if (booking.status === 'cancelled' && booking.refundStatus === 'failed') {
+      const refund = await issueCancellationRefund(booking);
+      return res.json({
+        success: true,
+        message: 'Refund issued successfully',
+        data: refund,
+      });
+    }
+
+    if (!canTransitionBooking(booking.status, 'cancelled')) {
+      return sendIllegalTransition(res, booking, 'cancelled');
+    }
+
+    // Unpaid booking - just give the held seats back
+    if (booking.status !== 'paid') {
+      const cancelled = await transitionBooking(booking, 'cancelled', {
+        by: req.decoded.email,
+        note: reason,
+        set: {
+          cancelledAt: new Date(),
+          cancellationReason: reason,
+          refundAmount: 0,
+        },
+      });
+
+      if (!cancelled) {
+        return sendStaleBooking(res);
+      }
+
+      await releaseHold(booking._id);
+
+      return res.json({
+        success: true,
+        message: 'Booking cancelled successfully',
+        data: { refundPercent: 0, refundAmount: 0 },
+      });
+    }
+
+    const ticket = await tickets.findOne({
+      _id: new ObjectId(booking.ticketId),
+    });
+    const departure = getDepartureDate(ticket || booking);
+
+    if (departure && departure <= new Date()) {
+      return res.status(409).json({
+        success: false,
+        message: 'Cannot cancel after departure',
+      });
+    }
+
+    // Work out the refund from the vendor's policy
+    const vendor = await users.findOne({ email: booking.vendorEmail });
+    const hoursBeforeDeparture = departure
+      ? (departure - new Date()) / (60 * 60 * 1000)
+      : Infinity;
+    const refundPercent = getRefundPercent(
+      vendor?.refundPolicy || DEFAULT_REFUND_POLICY,
+      hoursBeforeDeparture
+    );
+    const refundAmount = Math.floor(booking.totalPrice * refundPercent) / 100;
+
+    // Claim the cancellation first so two requests can't both refund
+    const cancelled = await transitionBooking(booking, 'cancelled', {
+      by: req.decoded.email,
+      note: reason,
+      filter: { holdStatus: 'sold' },
+      set: {
+        holdStatus: 'released',
+        holdReleasedAt: new Date(),
+        cancelledAt: new Date(),
+        cancellationReason: reason,
+        refundPercent,
+        refundAmount,
+        refundStatus: refundAmount > 0 ? 'pending' : 'none',
+      },
+    });
+
+    if (!cancelled) {
+      return sendStaleBooking(res);
+    }
+
+    // Seats go back on sale
+    await returnSeats(booking);
+
+    if (refundAmount === 0) {
+      return res.json({
+        success: true,
+        message: 'Booking cancelled. No refund applies this close to departure.',
+        data: { refundPercent, refundAmount },
+      });
+    }
+
+    const refund = await issueCancellationRefund({
+      ...booking,
+      refundPercent,
+      refundAmount,
+    });
+
+    res.json({
+      success: true,
+      message: 'Booking cancelled and refund issued successfully',
+      data: refund,
+    });
+  } catch (error) {
+    console.error('Error in /api/bookings/:id/cancel PATCH:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel booking',
+      error: error.message,
+    });
+  }
+});
+
+// WAITLIST ROUTES
+// Join Waitlist (User Only) - only when fewer seats are free than the user wants
+app.post('/api/waitlist', verifyToken, verifyUser, validateBody(waitlistSchema), async (req, res) => {
+  try {
+    const { ticketId, quantity } = req.body;
+    const { tickets, waitlist } = getCollections();
+
+    // Stale holds and offers may free enough seats to book directly
+    await releaseExpiredHolds();
+    await expireWaitlistOffers();
+
+    const ticket = await tickets.findOne(
+      { _id: new ObjectId(ticketId), verificationStatus: 'approved' },
+      { projection: { title: 1, quantity: 1, departureAt: 1 } }
+    );
+
+    if (!ticket) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ticket not found',
+      });
+    }
+
+    if (ticket.departureAt && ticket.departureAt <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'This trip has already departed',
+      });
+    }
+
+    if (ticket.quantity >= quantity) {
+      return res.status(409).json({
+        success: false,
+        message: 'Enough seats are available - book them directly',
+      });
+    }
+
+    const entry = {
+      ticketId,
+      ticketTitle: ticket.title,
+      userEmail: req.decoded.email,
+      userName: req.user.name,
+      quantity,
+      status: 'waiting',
+      active: true,
+      departureAt: ticket.departureAt || null,
+      createdAt: new Date(),
+    };
+
+    try {
+      await waitlist.insertOne(entry);
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: 'You are already on the waitlist for this ticket',
+        });
+      }
+      throw error;
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Added to the waitlist',
+      data: { ...entry, position: await getWaitlistPosition(entry) },
+    });
+  } catch (error) {
+    console.error('Error in /api/waitlist POST:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to join waitlist',
+      error: error.message,
+    });
+  }
+});
+
+// Get User's Waitlist Entries (Owner or Admin) - waiting entries include their position
+app.get('/api/waitlist/user/:email', verifyToken, verifyOwnerOrAdmin, async (req, res) => {
+  try {
+    const { email } = req.params;
+    const { status } = req.query; // optional, e.g. 'offered'
+    const { waitlist } = getCollections();
+
+    const query = { userEmail: email };
+    if (status) {
+      query.status = String(status);
+    }
+
+    const page = await findPage(waitlist, query, req.query, {
+      projection: { active: 0, offerBookingId: 0 },
+    });
+
+    if (!page) {
+      return sendInvalidCursor(res);
+    }
+
+    for (const entry of page.data) {
+      if (entry.status === 'waiting') {
+        entry.position = await getWaitlistPosition(entry);
+      }
+    }
+
+    res.json({
+      success: true,
+      ...page,
+    });
+  } catch (error) {
+    console.error('Error in /api/waitlist/user/:email GET:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch waitlist',
+      error: error.message,
+    });
+  }
+});
+
+// Get Ticket's Waitlist (Vendor Owner or Admin) - open entries in offer order
+app.get('/api/waitlist/ticket/:id', verifyToken, verifyRole('vendor', 'admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { tickets, waitlist } = getCollections();
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid ticket ID',
+      });
+    }
+
+    const ticket = await tickets.findOne(
+      { _id: new ObjectId(id) },
+      { projection: { vendorEmail: 1 } }
+    );
+
+    if (!ticket) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ticket not found',
+      });
+    }
+
+    if (req.user.role !== 'admin' && ticket.vendorEmail !== req.decoded.email) {
+      return res.status(403).json({
+        success: false,
+        message: 'Forbidden access',
+      });
+    }
+
+    const page = await findPage(waitlist, { ticketId: id, active: true }, req.query, {
+      sort: { createdAt: 1 },
+      projection: { active: 0, offerBookingId: 0 },
+    });
+
+    if (!page) {
+      return sendInvalidCursor(res);
+    }
+
+    res.json({
+      success: true,
+      ...page,
+    });
+  } catch (error) {
+    console.error('Error in /api/waitlist/ticket/:id GET:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch ticket waitlist',
+      error: error.message,
+    });
+  }
+});
+
+// Accept Waitlist Offer (Owner Only) - turns the held seats into a pending booking
+// Body: { passengers?, userName? } - passengers follow the same rules as POST /api/bookings
+app.post('/api/waitlist/:id/accept', verifyToken, verifyUser, validateBody(waitlistAcceptSchema), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { bookings, tickets, waitlist } = getCollections();
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid waitlist ID',
+      });
+    }
+
+    await expireWaitlistOffers();
+
+    const entry = await waitlist.findOne({
+      _id: new ObjectId(id),
+      userEmail: req.decoded.email,
+    });
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Waitlist entry not found',
+      });
+    }
+
+    if (entry.status !== 'offered') {
+      return res.status(409).json({
+        success: false,
+        message: entry.status === 'expired'
+          ? 'This offer has expired'
+          : `Cannot book a waitlist entry that is ${entry.status}`,
+      });
+    }
+
+    const ticket = await tickets.findOne({
+      _id: new ObjectId(entry.ticketId),
+      verificationStatus: 'approved',
+    });
+
+    if (!ticket) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ticket not found',
+      });
+    }
+
+    const seatRequest = {
+      seatNumbers: entry.offeredSeats,
+      bookingQuantity: entry.quantity,
+    };
+
+    const passengerRequest = getPassengers(ticket, req.body, seatRequest, req.user.savedTravellers);
+    if (passengerRequest.error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: [passengerRequest.error],
+      });
+    }
+
+    const priceBreakdown = calculateBookingPrice(ticket, entry.quantity, entry.offeredSeats, {
+      rules: await getPricingRules(ticket.vendorEmail),
+    });
+
+    // Compare-and-set so the offer is booked once, and not after it expired
+    const booked = await waitlist.findOneAndUpdate(
+      { _id: entry._id, status: 'offered', offerExpiresAt: { $gt: new Date() } },
+      {
+        $set: { status: 'booked', bookingId: entry.offerBookingId.toString(), bookedAt: new Date() },
+        $unset: { active: '' },
+      }
+    );
+
+    if (!booked) {
+      return res.status(409).json({
+        success: false,
+        message: 'This offer has expired',
+      });
+    }
+
+    // The offer's seats are already held under its booking id
+    const newBooking = buildBooking(ticket, req.user, {
+      bookingId: entry.offerBookingId,
+      bookingData: { ...req.body, waitlistId: id },
+      ...seatRequest,
+      passengers: passengerRequest.passengers,
+      priceBreakdown,
+    });
+
+    let result;
+    try {
+      result = await bookings.insertOne(newBooking);
+    } catch (error) {
+      // Booking was not saved - the offer stays open until it expires
+      await waitlist.updateOne(
+        { _id: entry._id, status: 'booked' },
+        { $set: { status: 'offered', active: true }, $unset: { bookingId: '', bookedAt: '' } }
+      );
+      throw error;
+    }
+
+    await queueNotification('booking_requested', newBooking.vendorEmail, {
+      booking: newBooking,
+    });
+    publishBookingUpdate(newBooking);
+
+    res.status(201).json({
+      success: true,
+      message: 'Booking created successfully',
+      data: result,
+    });
+  } catch (error) {
+    console.error('Error in /api/waitlist/:id/accept POST:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to book waitlist offer',
+      error: error.message,
+    });
+  }
+});
+
+// Leave Waitlist (Owner Only) - also declines an open offer, passing its seats to the next in line
+app.delete('/api/waitlist/:id', verifyToken, verifyUser, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { waitlist } = getCollections();
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid waitlist ID',
+      });
+    }
+
+    const entry = await waitlist.findOneAndUpdate(
+      { _id: new ObjectId(id), userEmail: req.decoded.email, active: true },
+      {
+        $set: { status: 'cancelled', cancelledAt: new Date(), updatedAt: new Date() },
+        $unset: { active: '' },
+      }
+    );
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'No open waitlist entry found',
+      });
+    }
+
+    if (entry.status === 'offered') {
+      await returnSeats(getOfferHold(entry));
+    }
+
+    res.json({
+      success: true,
+      message: entry.status === 'offered'
+        ? 'Offer declined and removed from the waitlist'
+        : 'Removed from the waitlist',
+    });
+  } catch (error) {
+    console.error('Error in /api/waitlist/:id DELETE:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to leave waitlist',
+      error: error.message,
+    });
+  }
+});
+
+// PROMO CODE ROUTES
+// Create Promo Code (Vendor or Admin) - vendor codes only work on the vendor's own tickets
+app.post('/api/promo-codes', verifyToken, verifyRole('vendor', 'admin'), validateBody(promoCodeSchema), async (req, res) => {
+  try {
+    const promoData = req.body;
+    const { promoCodes, tickets } = getCollections();
+    const isVendor = req.user.role === 'vendor';
+
+    const promoError = checkPromoCode(promoData);
+    if (promoError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: [promoError],
+      });
+    }
+
+    if (isVendor && promoData.ticketIds?.length) {
+      const ownTickets = await tickets.countDocuments({
+        _id: { $in: promoData.ticketIds.map(id => new ObjectId(id)) },
+        vendorEmail: req.decoded.email,
+      });
+      if (ownTickets !== new Set(promoData.ticketIds).size) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: [{ field: 'ticketIds', message: 'ticketIds must be your own tickets' }],
+        });
+      }
+    }
+
+    const newPromo = {
+      ...promoData,
+      code: promoData.code.toUpperCase(),
+      active: promoData.active ?? true,
+      maxUses: promoData.maxUses ?? null,
+      usedCount: 0,
+      vendorEmail: isVendor ? req.decoded.email : null, // null = platform-wide, platform pays the discount
+      createdBy: req.decoded.email,
+      createdAt: new Date(),
+    };
+
+    try {
+      const result = await promoCodes.insertOne(newPromo);
+
+      res.status(201).json({
+        success: true,
+        message: 'Promo code created successfully',
+        data: { _id: result.insertedId, ...newPromo },
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      res.status(409).json({
+        success: false,
+        message: 'A promo code with this code already exists',
+      });
+    }
+  } catch (error) {
+    console.error('Error in /api/promo-codes POST:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create promo code',
+      error: error.message,
+    });
+  }
+});
+
+// Get Promo Codes (Vendor or Admin) - vendors see their own, admins see all
+app.get('/api/promo-codes', verifyToken, verifyRole('vendor', 'admin'), async (req, res) => {
+  try {
+    const { promoCodes } = getCollections();
+
+    const query = req.user.role === 'vendor' ? { vendorEmail: req.decoded.email } : {};
+
+    const page = await findPage(promoCodes, query, req.query);
+
+    if (!page) {
+      return sendInvalidCursor(res);
+    }
+
+    res.json({ success: true, ...page });
+  } catch (error) {
+    console.error('Error in /api/promo-codes GET:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch promo codes',
+      error: error.message,
+    });
+  }
+});
+
+// Update Promo Code (Owner Vendor or Admin) - the code itself can't change; set active: false to retire it
+app.patch('/api/promo-codes/:id', verifyToken, verifyRole('vendor', 'admin'), validateBody(promoCodeSchema, { partial: true }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { code, ...updateData } = req.body;
+    const { promoCodes } = getCollections();
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid promo code ID',
+      });
+    }
+
+    const promo = await promoCodes.findOne({ _id: new ObjectId(id) });
+
+    if (!promo) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promo code not found',
+      });
+    }
+
+    if (req.user.role === 'vendor' && promo.vendorEmail !== req.decoded.email) {
+      return res.status(403).json({
+        success: false,
+        message: 'Forbidden access',
+      });
+    }
+
+    if (Object.keys(updateData).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No valid fields to update',
+      });
+    }
+
+    const promoError = checkPromoCode({ ...promo, ...updateData });
+    if (promoError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: [promoError],
+      });
+    }
+
+    const updated = await promoCodes.findOneAndUpdate(
+      { _id: promo._id },
+      { $set: { ...updateData, updatedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+
+    res.json({
+      success: true,
+      message: 'Promo code updated successfully',
+      data: updated,
+    });
+  } catch (error) {
+    console.error('Error in /api/promo-codes/:id PATCH:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update promo code',
+      error: error.message,
+    });
+  }
+});
+
+// E-TICKET ROUTES
+// Paid bookings get a PDF e-ticket whose QR code carries a signed boarding token.
+// Vendors scan it at the counter to check the passenger in.
+
+// Boarding token: signed with its own secret so a login JWT can never pass as a ticket
+function signBoardingToken(booking) {
+  return jwt.sign(
+    {
+      typ: 'boarding',
+      bookingId: booking._id.toString(),
+      ticketId: booking.ticketId,
+      vendorEmail: booking.vendorEmail,
+    },
+    process.env.TICKET_QR_SECRET
+  );
+}
+
+function formatDeparture(booking) {
+  const departure = getDepartureDate(booking);
+  return departure
+    ? departure.toLocaleString('en-GB', {
+        timeZone: 'Asia/Dhaka',
+        dateStyle: 'medium',
+        timeStyle: 'short',
+      })
+    : 'N/A';
+}
+
+// Download E-Ticket PDF (Booking Owner Only)
+app.get('/api/bookings/:id/e-ticket', verifyToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { bookings } = getCollections();
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid booking ID',
+      });
+    }
+
+    const booking = await bookings.findOne({
+      _id: new ObjectId(id),
+      userEmail: req.decoded.email,
+    });
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found',
+      });
+    }
+
+    if (!['paid', 'boarded', 'completed'].includes(booking.status)) {
+      return res.status(409).json({
+        success: false,
+        message: 'E-ticket is available once the booking is paid',
+      });
+    }
+
+    const qrImage = await QRCode.toBuffer(signBoardingToken(booking), {
+      errorCorrectionLevel: 'M',
+      width: 220,
+    });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename="nexticket-${booking._id}.pdf"`
+    );
+
+    const doc = new PDFDocument({ size: 'A5', margin: 40 });
+    doc.pipe(res);
+
+    doc.fontSize(20).text('NexTicket E-Ticket', { align: 'center' });
+    doc.moveDown();
+
+    const rows = [
+      ['Booking ID', booking._id.toString()],
+      ['Passengers', getPassengerNames(booking).join(', ')],
+      ['Trip', booking.ticketTitle || 'N/A'],
+      ['Route', `${booking.fromLocation || '?'} to ${booking.toLocation || '?'}`],
+      ['Transport', booking.transportType || 'N/A'],
+      ['Departure', formatDeparture(booking)],
+      [
+        'Seats',
+        booking.seatNumbers?.length
+          ? booking.seatNumbers.join(', ')
+          : `${booking.bookingQuantity} seat(s)`,
+      ],
+      ['Amount Paid', `${booking.totalPrice} BDT`],
+    ];
+
+    doc.fontSize(11);
+    for (const [label, value] of rows) {
+      doc.font('Helvetica-Bold').text(`${label}: `, { continued: true });
+      doc.font('Helvetica').text(String(value));
+    }
+
+    doc.moveDown();
+    doc.image(qrImage, { fit: [180, 180], align: 'center' });
+    doc.moveDown(0.5);
+    doc
+      .fontSize(9)
+      .text('Show this QR code at the counter to board.', { align: 'center' });
+
+    doc.end();
+  } catch (error) {
+    console.error('Error in /api/bookings/:id/e-ticket GET:', error);
+    // Headers may already be out if the PDF stream failed midway
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate e-ticket',
+      error: error.message,
+    });
+  }
+});
+
+// Scan QR / Check In Passenger (Vendor Only)
+app.post('/api/bookings/check-in', verifyToken, verifyVendor, validateBody(checkInSchema), async (req, res) => {
+  try {
+    const { token } = req.body;
+    const { bookings } = getCollections();
+
+    let payload;
+    try {
+      payload = jwt.verify(token, process.env.TICKET_QR_SECRET);
+    } catch {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or tampered e-ticket',
+      });
+    }
+
+    if (payload.typ !== 'boarding' || !ObjectId.isValid(payload.bookingId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or tampered e-ticket',
+      });
+    }
+
+    const booking = await bookings.findOne({
+      _id: new ObjectId(payload.bookingId),
+    });
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found',
+      });
+    }
+
+    // A vendor can only board passengers for their own trips
+    if (booking.vendorEmail !== req.decoded.email) {
+      return res.status(403).json({
+        success: false,
+        message: 'This e-ticket belongs to another vendor',
+      });
+    }
+
+    if (booking.status === 'boarded') {
+      return res.status(409).json({
+        success: false,
+        message: 'Passenger already checked in',
+        data: { boardedAt: booking.boardedAt },
+      });
+    }
+
+    if (!canTransitionBooking(booking.status, 'boarded')) {
+      return sendIllegalTransition(res, booking, 'boarded');
+    }
+
+    const boarded = await transitionBooking(booking, 'boarded', {
+      by: req.decoded.email,
+      note: 'Checked in at counter',
+      set: { boardedAt: new Date() },
+    });
+
+    // Lost the race to another scan of the same ticket
+    if (!boarded) {
+      return res.status(409).json({
+        success: false,
+        message: 'Passenger already checked in',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Passenger checked in successfully',
+      data: {
+        bookingId: booking._id,
+        passenger: booking.userName || booking.userEmail,
+        passengers: booking.passengers || [],
+        seatNumbers: booking.seatNumbers || [],
+        bookingQuantity: booking.bookingQuantity,
+        ticketTitle: booking.ticketTitle,
+      },
+    });
+  } catch (error) {
+    console.error('Error in /api/bookings/check-in POST:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check in passenger',
+      error: error.message,
+    });
+  }
+});
+
+// REVIEW HELPERS
+// One review per completed booking. Published reviews feed the vendor's average rating,
+// which is kept on the vendor's user document (ratingAverage, ratingCount) and shown on tickets.
+
+const REVIEW_STATUSES = ['published', 'hidden'];
+
+// Recompute a vendor's rating from their published reviews
+async function refreshVendorRating(vendorEmail) {
+  const { reviews, users } = getCollections();
+
+  const [summary] = await reviews
+    .aggregate([
+      { $match: { vendorEmail, status: 'published' } },
+      { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } },
+    ])
+    .toArray();
+
+  await users.updateOne(
+    { email: vendorEmail },
+    {
+      $set: {
+        ratingAverage: summary ? Math.round(summary.average * 10) / 10 : null,
+        ratingCount: summary?.count || 0,
+      },
+    }
+  );
+}
+
+// Add vendorRating { average, count } to each ticket (one users query for the whole list)
+async function attachVendorRatings(ticketList) {
+  const { users } = getCollections();
+  const vendorEmails = [...new Set(ticketList.map(ticket => ticket.vendorEmail))];
+
+  const vendors = await users
+    .find(
+      { email: { $in: vendorEmails } },
+      { projection: { email: 1, ratingAverage: 1, ratingCount: 1 } }
+    )
+    .toArray();
+  const ratings = new Map(vendors.map(vendor => [vendor.email, vendor]));
+
+  return ticketList.map(ticket => ({
+    ...ticket,
+    vendorRating: {
+      average: ratings.get(ticket.vendorEmail)?.ratingAverage ?? null,
+      count: ratings.get(ticket.vendorEmail)?.ratingCount || 0,
+    },
+  }));
+}
+
+// VENDOR RISK ROUTES
+// Get Vendors by Risk (Admin Only) - highest riskScore first (refreshed hourly)
+// Optional ?suspended=true|false and ?appeal=pending for the appeal queue
+app.get('/api/risk/vendors', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const { suspended, appeal } = req.query;
+    const { users } = getCollections();
+
+    const query = { role: 'vendor' };
+    if (suspended === 'true' || suspended === 'false') {
+      query.isFraud = suspended === 'true' ? true : { $ne: true };
+    }
+    if (appeal) {
+      query['suspension.appeal.status'] = String(appeal);
+    }
+
+    const page = await findPage(users, query, req.query, {
+      sort: { riskScore: -1 },
+      projection: {
+        email: 1,
+        name: 1,
+        isFraud: 1,
+        suspension: 1,
+        riskScore: 1,
+        riskSignals: 1,
+        riskCheckedAt: 1,
+      },
+    });
+
+    if (!page) {
+      return sendInvalidCursor(res);
+    }
+
+    res.json({ success: true, ...page });
+  } catch (error) {
+    console.error('Error in /api/risk/vendors GET:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch vendor risk',
+      error: error.message,
+    });
+  }
+});
+
+// AUDIT LOG ROUTES
+// Search the Audit Log (Admin Only) - newest first
+// Filters: ?actor=&targetType=&targetId=&action=&requestId=&from=&to= (YYYY-MM-DD or ISO)
+app.get('/api/audit-logs', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const { actor, targetType, targetId, action, requestId, from, to } = req.query;
+    const { auditLogs } = getCollections();
+
+    const query = {};
+    if (actor) query.actorEmail = String(actor);
+    if (targetType) query.targetType = String(targetType);
+    if (targetId) query.targetId = String(targetId);
+    if (action) query.action = String(action);
+    if (requestId) query.requestId = String(requestId);
+
+    const fromDate = parseDateParam(from);
+    const toDate = parseDateParam(to, { end: true });
+    if ((from && !fromDate) || (to && !toDate)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date range. Use YYYY-MM-DD or an ISO date.',
+      });
+    }
+    if (fromDate || toDate) {
+      query.createdAt = {};
+      if (fromDate) query.createdAt.$gte = fromDate;
+      if (toDate) query.createdAt.$lt = toDate;
+    }
+
+    const page = await findPage(auditLogs, query, req.query);
+
+    if (!page) {
+      return sendInvalidCursor(res);
+    }
+
+    res.json({ success: true, ...page });
+  } catch (error) {
+    console.error('Error in /api/audit-logs GET:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch audit log',
+      error: error.message,
+    });
+  }
+});
+
+// REVIEW ROUTES
+// Leave a Review (User Only) - once per completed booking
+app.post('/api/reviews', verifyToken, verifyUser, validateBody(reviewSchema), async (req, res) => {
+  try {
+    const { bookingId, rating, comment } = req.body;
+    const { bookings, reviews } = getCollections();
+
+    const booking = await bookings.findOne({
+      _id: new ObjectId(bookingId),
+      userEmail: req.decoded.email,
+    });
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found',
+      });
+    }
+
+    if (booking.status !== 'completed') {
+      return res.status(409).json({
+        success: false,
+        message: 'You can review a trip once it is completed',
+      });
+    }
+
+    const review = {
+      bookingId,
+      ticketId: booking.ticketId,
+      ticketTitle: booking.ticketTitle,
+      fromLocation: booking.fromLocation,
+      toLocation: booking.toLocation,
+      vendorEmail: booking.vendorEmail,
+      userEmail: req.decoded.email,
+      userName: req.user.name,
+      rating,
+      comment: comment || null,
+      status: 'published',
+      vendorReply: null,
+      reportCount: 0,
+      createdAt: new Date(),
+    };
+
+    try {
+      const result = await reviews.insertOne(review);
+      await refreshVendorRating(booking.vendorEmail);
+
+      res.status(201).json({
+        success: true,
+        message: 'Review added successfully',
+        data: { _id: result.insertedId, ...review },
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      res.status(409).json({
+        success: false,
+        message: 'You have already reviewed this booking',
+      });
+    }
+  } catch (error) {
+    console.error('Error in /api/reviews POST:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add review',
+      error: error.message,
+    });
+  }
+});
+
+// Get Vendor's Reviews (Public) - published only, with the rating summary
+app.get('/api/reviews/vendor/:email', async (req, res) => {
+  try {
+    const { email } = req.params;
+    const { reviews, users } = getCollections();
+
+    const [page, vendor] = await Promise.all([
+      findPage(reviews, { vendorEmail: email, status: 'published' }, req.query, {
+        projection: { userEmail: 0, reportCount: 0, reportedBy: 0 },
+      }),
+      users.findOne({ email, role: 'vendor' }, { projection: { ratingAverage: 1, ratingCount: 1 } }),
+    ]);
+
+    if (!page) {
+      return sendInvalidCursor(res);
+    }
 
     res.json({
       success: true,
-      data: latestTickets,
+      rating: {
+        average: vendor?.ratingAverage ?? null,
+        count: vendor?.ratingCount || 0,
+      },
+      ...page,
     });
   } catch (error) {
-    console.error('Error in /api/tickets/latest GET:', error);
+    console.error('Error in /api/reviews/vendor/:email GET:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to fetch latest tickets',
+      message: 'Failed to fetch reviews',
+      error: error.message,
+    });
+  }
+});
+
+// Get Trip Reviews (Public) - published reviews of one ticket
+app.get('/api/reviews/ticket/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reviews } = getCollections();
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid ticket ID',
+      });
+    }
+
+    const page = await findPage(reviews, { ticketId: id, status: 'published' }, req.query, {
+      projection: { userEmail: 0, reportCount: 0, reportedBy: 0 },
+    });
+
+    if (!page) {
+      return sendInvalidCursor(res);
+    }
+
+    res.json({ success: true, ...page });
+  } catch (error) {
+    console.error('Error in /api/reviews/ticket/:id GET:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch reviews',
+      error: error.message,
+    });
+  }
+});
+
+// Get All Reviews for Moderation (Admin Only) - ?status=published|hidden, ?reported=true
+app.get('/api/reviews', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const { reviews } = getCollections();
+
+    const query = {};
+    if (REVIEW_STATUSES.includes(req.query.status)) {
+      query.status = req.query.status;
+    }
+    if (req.query.reported === 'true') {
+      query.reportCount = { $gt: 0 };
+    }
+
+    const page = await findPage(reviews, query, req.query);
+
+    if (!page) {
+      return sendInvalidCursor(res);
+    }
+
+    res.json({ success: true, ...page });
+  } catch (error) {
+    console.error('Error in /api/reviews GET:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch reviews',
+      error: error.message,
+    });
+  }
+});
+
+// Reply to a Review (Vendor Only) - one reply per review, can be edited
+app.patch('/api/reviews/:id/reply', verifyToken, verifyVendor, validateBody(reviewReplySchema), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reply } = req.body;
+    const { reviews } = getCollections();
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid review ID',
+      });
+    }
+
+    // Vendors can only reply to reviews of their own trips
+    const review = await reviews.findOneAndUpdate(
+      { _id: new ObjectId(id), vendorEmail: req.decoded.email },
+      { $set: { vendorReply: { text: reply, repliedAt: new Date() } } },
+      { returnDocument: 'after' }
+    );
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Reply saved successfully',
+      data: review,
+    });
+  } catch (error) {
+    console.error('Error in /api/reviews/:id/reply PATCH:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save reply',
+      error: error.message,
+    });
+  }
+});
+
+// Report a Review as Abusive (Logged-in Users) - counted once per user
+app.post('/api/reviews/:id/report', verifyToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reviews } = getCollections();
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid review ID',
+      });
+    }
+
+    const result = await reviews.updateOne(
+      { _id: new ObjectId(id), reportedBy: { $ne: req.decoded.email } },
+      { $addToSet: { reportedBy: req.decoded.email }, $inc: { reportCount: 1 } }
+    );
+
+    if (result.matchedCount === 0 && !(await reviews.countDocuments({ _id: new ObjectId(id) }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Review reported. Our team will take a look.',
+    });
+  } catch (error) {
+    console.error('Error in /api/reviews/:id/report POST:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to report review',
+      error: error.message,
+    });
+  }
+});
+
+// Hide or Restore a Review (Admin Only) - hidden reviews don't count towards the rating
+app.patch('/api/reviews/:id/moderate', verifyToken, verifyAdmin, validateBody(reviewModerationSchema), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, reason } = req.body;
+    const { reviews } = getCollections();
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid review ID',
+      });
+    }
+
+    const moderation = {
+      status,
+      moderationReason: reason || null,
+      moderatedBy: req.decoded.email,
+      moderatedAt: new Date(),
+    };
+    const previous = await reviews.findOneAndUpdate(
+      { _id: new ObjectId(id) },
+      { $set: moderation }
+    );
+
+    if (!previous) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found',
+      });
+    }
+
+    const review = { ...previous, ...moderation };
+    setAudit(res, 'review.moderate', {
+      targetType: 'reviews',
+      targetId: id,
+      before: pickFields(previous, ['status', 'moderationReason']),
+      after: pickFields(review, ['status', 'moderationReason']),
+    });
+
+    await refreshVendorRating(review.vendorEmail);
+
+    res.json({
+      success: true,
+      message: `Review ${status === 'hidden' ? 'hidden' : 'published'} successfully`,
+      data: review,
+    });
+  } catch (error) {
+    console.error('Error in /api/reviews/:id/moderate PATCH:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to moderate review',
+      error: error.message,
+    });
+  }
+});
+
+// EVENT STREAM ROUTES
+// Subscribe with EventSource(url, { withCredentials: true }) - the JWT cookie authenticates the stream
+
+// Live Seat Availability Stream (Logged-in Users)
+app.get('/api/events/tickets/:id', verifyToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid ticket ID',
+      });
+    }
+
+    const { tickets } = getCollections();
+    const ticket = await tickets.findOne(
+      { _id: new ObjectId(id) },
+      { projection: { verificationStatus: 1, vendorEmail: 1 } }
+    );
+
+    // Unapproved tickets are only visible to their vendor
+    if (
+      !ticket ||
+      (ticket.verificationStatus !== 'approved' &&
+        ticket.vendorEmail !== req.decoded.email)
+    ) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ticket not found',
+      });
+    }
+
+    const availability = await getTicketAvailability(id);
+
+    // Start with the current state, then push changes
+    openEventStream(req, res, [`ticket:${id}`]);
+    writeEvent(res, 'availability', availability);
+  } catch (error) {
+    console.error('Error in /api/events/tickets/:id GET:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to open availability stream',
       error: error.message,
     });
   }
 });
 
-// Get Pending Tickets (Admin Only)
-app.get('/api/tickets/pending', async (req, res) => {
-  try {
-    const { tickets } = getCollections();
+// Own Booking Updates Stream (Logged-in Users)
+// Passengers get their bookings; vendors also get requests for their tickets
+app.get('/api/events/bookings', verifyToken, (req, res) => {
+  openEventStream(req, res, [`user:${req.decoded.email}`]);
+});
+
+// ANALYTICS HELPERS
+// Stats are computed in MongoDB aggregation pipelines - bookings are never loaded into memory
+
+// Bookings whose seats are sold (completed trips and boarded passengers were paid too)
+const PAID_BOOKING_STATUSES = ['paid', 'boarded', 'completed'];
+
+const STATS_GROUPINGS = ['day', 'week', 'month'];
+const DEFAULT_STATS_DAYS = 30;
+
+// Parse from / to / groupBy / top query params shared by the stats routes
+// Returns { error } or { from, to, groupBy, top }; the range defaults to the last 30 days
+function parseStatsParams(query) {
+  const to = query.to ? parseDateParam(query.to, { end: true }) : new Date();
+  const from = query.from
+    ? parseDateParam(query.from)
+    : new Date(to.getTime() - DEFAULT_STATS_DAYS * 24 * 60 * 60 * 1000);
+
+  if (!from || !to || from >= to) {
+    return { error: 'Invalid date range. Use from / to as YYYY-MM-DD with from before to' };
+  }
+
+  const groupBy = query.groupBy || 'day';
+  if (!STATS_GROUPINGS.includes(groupBy)) {
+    return { error: `Invalid groupBy. Must be one of: ${STATS_GROUPINGS.join(', ')}` };
+  }
+
+  const top = query.top === undefined ? 10 : parseInt(query.top);
+  if (!Number.isInteger(top) || top < 1 || top > MAX_PAGE_LIMIT) {
+    return { error: `Invalid top. Must be between 1 and ${MAX_PAGE_LIMIT}` };
+  }
+
+  return { from, to, groupBy, top };
+}
+
+// Stages selecting bookings that were paid within [from, to), stamped with `soldAt`.
+// Bookings paid before paidAt was recorded fall back to their creation time.
+function paidBookingsStages(match, from, to) {
+  const range = { $gte: from, $lt: to };
+  return [
+    {
+      $match: {
+        ...match,
+        $or: [
+          { paidAt: range },
+          {
+            paidAt: { $exists: false },
+            status: { $in: [...PAID_BOOKING_STATUSES, 'refunded'] },
+            createdAt: range,
+          },
+        ],
+      },
+    },
+    { $addFields: { soldAt: { $ifNull: ['$paidAt', '$createdAt'] } } },
+  ];
+}
+
+// Sales figures for a $group stage: gross paid, refunded, and seats still sold
+const SALES_ACCUMULATORS = {
+  grossRevenue: { $sum: '$totalPrice' },
+  refunds: {
+    $sum: {
+      $max: [{ $ifNull: ['$refundAmount', 0] }, { $ifNull: ['$refundedAmount', 0] }],
+    },
+  },
+  bookings: { $sum: 1 },
+  ticketsSold: {
+    $sum: {
+      $cond: [{ $in: ['$status', PAID_BOOKING_STATUSES] }, '$bookingQuantity', 0],
+    },
+  },
+};
+
+// Add netRevenue to grouped sales rows
+const SALES_PROJECTION = {
+  $addFields: { netRevenue: { $subtract: ['$grossRevenue', '$refunds'] } },
+};
+
+// Group sales by a key expression, highest revenue first
+function salesBreakdown(key, limit) {
+  const stages = [
+    { $group: { _id: key, ...SALES_ACCUMULATORS } },
+    SALES_PROJECTION,
+    { $sort: { grossRevenue: -1, _id: 1 } },
+  ];
+  return limit ? [...stages, { $limit: limit }] : stages;
+}
+
+// Sales time series bucketed by day / week / month
+function salesSeries(groupBy) {
+  return [
+    {
+      $group: {
+        _id: {
+          $dateTrunc: { date: '$soldAt', unit: groupBy, timezone: STATS_TIMEZONE },
+        },
+        ...SALES_ACCUMULATORS,
+      },
+    },
+    SALES_PROJECTION,
+    { $sort: { _id: 1 } },
+    { $project: { _id: 0, period: '$_id', grossRevenue: 1, refunds: 1, netRevenue: 1, bookings: 1, ticketsSold: 1 } },
+  ];
+}
+
+// Whether a booking ever reached `status` - from its history, or its current status for old bookings
+function reachedStatus(status, laterStatuses) {
+  return {
+    $or: [
+      { $in: ['$status', [status, ...laterStatuses]] },
+      { $in: [status, { $ifNull: ['$statusHistory.to', []] }] },
+    ],
+  };
+}
+
+// requested -> accepted -> paid counts for bookings requested within [from, to)
+async function getBookingFunnel(match, from, to) {
+  const { bookings } = getCollections();
+
+  const [funnel] = await bookings
+    .aggregate([
+      { $match: { ...match, createdAt: { $gte: from, $lt: to } } },
+      {
+        $group: {
+          _id: null,
+          requested: { $sum: 1 },
+          accepted: {
+            $sum: {
+              $cond: [
+                reachedStatus('accepted', ['paid', 'boarded', 'completed', 'refunded']),
+                1,
+                0,
+              ],
+            },
+          },
+          paid: {
+            $sum: {
+              $cond: [reachedStatus('paid', ['boarded', 'completed', 'refunded']), 1, 0],
+            },
+          },
+          rejected: { $sum: { $cond: [{ $eq: ['$status', 'rejected'] }, 1, 0] } },
+          expired: { $sum: { $cond: [{ $eq: ['$status', 'expired'] }, 1, 0] } },
+          cancelled: { $sum: { $cond: [{ $eq: ['$status', 'cancelled'] }, 1, 0] } },
+        },
+      },
+      { $project: { _id: 0 } },
+    ])
+    .toArray();
+
+  const counts = funnel || { requested: 0, accepted: 0, paid: 0, rejected: 0, expired: 0, cancelled: 0 };
+  const rate = (part, whole) => (whole ? Math.round((part / whole) * 10000) / 100 : 0);
+
+  return {
+    ...counts,
+    acceptanceRate: rate(counts.accepted, counts.requested), // percent
+    paymentRate: rate(counts.paid, counts.accepted),
+    conversionRate: rate(counts.paid, counts.requested),
+  };
+}
+
+// EXPORT HELPERS
+// Bookkeeping exports are streamed row by row from a Mongo cursor, so large exports use constant memory.
+// Each export lists its columns as { header, key, width, value(doc) }.
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+// Date range of an export: bookings by creation, ledger entries and transactions by when they were recorded
+const VENDOR_EXPORTS = {
+  bookings: {
+    collection: 'bookings',
+    dateField: 'createdAt',
+    columns: [
+      { header: 'Booking ID', key: 'bookingId', width: 26, value: b => b._id.toString() },
+      { header: 'Created At', key: 'createdAt', width: 22, value: b => b.createdAt },
+      { header: 'Ticket', key: 'ticketTitle', width: 30, value: b => b.ticketTitle },
+      { header: 'From', key: 'fromLocation', width: 16, value: b => b.fromLocation },
+      { header: 'To', key: 'toLocation', width: 16, value: b => b.toLocation },
+      { header: 'Departure', key: 'departureAt', width: 22, value: b => b.departureAt },
+      { header: 'Passengers', key: 'passengers', width: 30, value: b => getPassengerNames(b).join(', ') },
+      { header: 'Passenger Email', key: 'userEmail', width: 28, value: b => b.userEmail },
+      { header: 'Seats', key: 'seats', width: 16, value: b => b.seatNumbers?.join(' ') || b.bookingQuantity },
+      { header: 'Status', key: 'status', width: 12, value: b => b.status },
+      { header: 'Total (BDT)', key: 'totalPrice', width: 12, value: b => b.totalPrice },
+      { header: 'Refunded (BDT)', key: 'refunded', width: 14, value: b => Math.max(b.refundAmount || 0, b.refundedAmount || 0) },
+      { header: 'Paid At', key: 'paidAt', width: 22, value: b => b.paidAt },
+      { header: 'Payment ID', key: 'transactionId', width: 30, value: b => b.transactionId },
+    ],
+  },
+  // Vendor statement from the ledger: sales less commission, refunds and payouts
+  payouts: {
+    collection: 'ledger',
+    dateField: 'createdAt',
+    columns: [
+      { header: 'Date', key: 'createdAt', width: 22, value: e => e.createdAt },
+      { header: 'Type', key: 'type', width: 10, value: e => e.type },
+      { header: 'Booking ID', key: 'bookingId', width: 26, value: e => e.bookingId },
+      { header: 'Payout ID', key: 'payoutId', width: 26, value: e => e.payoutId },
+      { header: 'Ticket', key: 'ticketTitle', width: 30, value: e => e.ticketTitle },
+      { header: 'Gross (BDT)', key: 'gross', width: 12, value: e => e.gross },
+      { header: 'Commission %', key: 'commissionPercent', width: 13, value: e => e.commissionPercent },
+      { header: 'Commission (BDT)', key: 'commission', width: 16, value: e => e.commission },
+      { header: 'Vendor Amount (BDT)', key: 'vendorAmount', width: 18, value: e => e.vendorAmount },
+    ],
+  },
+  transactions: {
+    collection: 'transactions',
+    dateField: 'createdAt',
+    columns: [
+      { header: 'Date', key: 'createdAt', width: 22, value: t => t.paymentDate || t.createdAt },
+      { header: 'Type', key: 'type', width: 10, value: t => t.type },
+      { header: 'Transaction ID', key: 'transactionId', width: 30, value: t => t.transactionId },
+      { header: 'Booking ID', key: 'bookingId', width: 26, value: t => t.bookingId },
+      { header: 'Ticket', key: 'ticketTitle', width: 30, value: t => t.ticketTitle },
+      { header: 'Passenger Email', key: 'userEmail', width: 28, value: t => t.userEmail },
+      // Refunds reduce what the vendor is owed
+      { header: 'Amount (BDT)', key: 'amount', width: 14, value: t => (t.type === 'refund' ? -t.amount : t.amount) },
+    ],
+  },
+};
 
-    const pendingTickets = await tickets
-      .find({ verificationStatus: 'pending' })
-      .sort({ createdAt: -1 })
-      .toArray();
+// One CSV cell: quoted when needed, and text that a spreadsheet would run as a formula is neutralised
+function toCsvCell(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value !== 'string') return String(value);
 
-    console.log('📋 Pending tickets found:', pendingTickets.length); // Debug log
-    console.log('First ticket:', pendingTickets[0]); // Show first ticket
+  const text = /^[=+\-@]/.test(value) ? `'${value}` : value;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
 
-    res.json({
-      success: true,
-      count: pendingTickets.length,
-      data: pendingTickets,
-    });
-  } catch (error) {
-    console.error('❌ Error in /api/tickets/pending GET:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch pending tickets',
-      error: error.message,
-    });
+// Write a chunk, waiting for the client to catch up when the socket buffer is full
+async function writeChunk(res, chunk) {
+  if (!res.write(chunk)) {
+    await new Promise(resolve => res.once('drain', resolve));
   }
-});
-
-// Get ALL Tickets (Admin Only - including pending, approved, rejected)
-app.get('/api/tickets/all-admin', async (req, res) => {
-  try {
-    const { tickets } = getCollections();
+}
 
-    const allTickets = await tickets
-      .find({})  // No filter - get everything
-      .sort({ createdAt: -1 })
-      .toArray();
+async function streamCsv(res, cursor, columns) {
+  await writeChunk(res, columns.map(c => toCsvCell(c.header)).join(',') + '\r\n');
+  for await (const doc of cursor) {
+    if (res.destroyed) break; // client went away
+    await writeChunk(res, columns.map(c => toCsvCell(c.value(doc))).join(',') + '\r\n');
+  }
+  res.end();
+}
 
-    console.log('📊 All tickets (admin view):', allTickets.length); // Debug log
+async function streamXlsx(res, cursor, columns, sheetName) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res });
+  const sheet = workbook.addWorksheet(sheetName);
+  sheet.columns = columns.map(({ header, key, width }) => ({ header, key, width }));
 
-    res.json({
-      success: true,
-      count: allTickets.length,
-      data: allTickets,
-    });
-  } catch (error) {
-    console.error('❌ Error in /api/tickets/all-admin GET:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch all tickets',
-      error: error.message,
-    });
+  for await (const doc of cursor) {
+    if (res.destroyed) break;
+    sheet.addRow(Object.fromEntries(columns.map(c => [c.key, c.value(doc) ?? null]))).commit();
   }
-});
+  sheet.commit();
+  await workbook.commit(); // ends the response
+}
 
-// Get Vendor's Tickets
-app.get('/api/tickets/vendor/:email', async (req, res) => {
+// STATS ROUTES
+// Get Vendor Stats (Vendor Owner or Admin)
+app.get('/api/stats/vendor/:email', verifyToken, verifyOwnerOrAdmin, async (req, res) => {
   try {
     const { email } = req.params;
-    const { tickets } = getCollections();
+    const { bookings, tickets } = getCollections();
 
-    const vendorTickets = await tickets
-      .find({ vendorEmail: email })
-      .sort({ createdAt: -1 })
+    // Revenue and seats of the vendor's paid bookings (completed trips were paid too), summed in MongoDB
+    const [sales] = await bookings
+      .aggregate([
+        { $match: { vendorEmail: email, status: { $in: PAID_BOOKING_STATUSES } } },
+        {
+          $group: {
+            _id: null,
+            totalRevenue: { $sum: '$totalPrice' },
+            totalTicketsSold: { $sum: '$bookingQuantity' },
+          },
+        },
+      ])
       .toArray();
+    const { totalRevenue = 0, totalTicketsSold = 0 } = sales || {};
 
-    res.json({
-      success: true,
-      count: vendorTickets.length,
-      data: vendorTickets,
-    });
-  } catch (error) {
-    console.error('Error in /api/tickets/vendor/:email GET:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch vendor tickets',
-      error: error.message,
+    // Count total tickets added by vendor
+    const totalTicketsAdded = await tickets.countDocuments({
+      vendorEmail: email,
     });
-  }
-});
-
-// Get All Approved Tickets (Public/Protected)
-// Supports search, filter, sort, pagination
-app.get('/api/tickets', async (req, res) => {
-  try {
-    const { tickets } = getCollections();
-    
-    // Query parameters for search, filter, sort, pagination
-    const {
-      fromLocation,
-      toLocation,
-      transportType,
-      sortBy, // 'price-low', 'price-high'
-      page = 1,
-      limit = 9,
-    } = req.query;
-
-    // Build query - only approved tickets
-    let query = { verificationStatus: 'approved' };
-
-    // Search by location
-    if (fromLocation) {
-      query.fromLocation = { $regex: fromLocation, $options: 'i' };
-    }
-    if (toLocation) {
-      query.toLocation = { $regex: toLocation, $options: 'i' };
-    }
-
-    // Filter by transport type
-    if (transportType) {
-      query.transportType = transportType;
-    }
-
-    // Sort options
-    let sort = { createdAt: -1 }; // Default: newest first
-    if (sortBy === 'price-low') {
-      sort = { pricePerUnit: 1 }; // Low to high
-    } else if (sortBy === 'price-high') {
-      sort = { pricePerUnit: -1 }; // High to low
-    }
-
-    // Pagination
-    const pageNum = parseInt(page);
-    const limitNum = parseInt(limit);
-    const skip = (pageNum - 1) * limitNum;
-
-    // Execute query
-    const allTickets = await tickets
-      .find(query)
-      .sort(sort)
-      .skip(skip)
-      .limit(limitNum)
-      .toArray();
 
-    // Get total count for pagination
-    const totalCount = await tickets.countDocuments(query);
+    // Count pending bookings
+    const pendingBookings = await bookings.countDocuments({
+      vendorEmail: email,
+      status: 'pending',
+    });
 
     res.json({
       success: true,
-      data: allTickets,
-      pagination: {
-        currentPage: pageNum,
-        totalPages: Math.ceil(totalCount / limitNum),
-        totalTickets: totalCount,
-        ticketsPerPage: limitNum,
+      data: {
+        totalRevenue,
+        totalTicketsSold,
+        totalTicketsAdded,
+        pendingBookings,
       },
     });
   } catch (error) {
-    console.error('Error in /api/tickets GET:', error);
+    console.error('Error in /api/stats/vendor/:email GET:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to fetch tickets',
+      message: 'Failed to fetch vendor stats',
       error: error.message,
     });
   }
 });
 
-// Get Single Ticket by ID
-app.get('/api/tickets/:id', async (req, res) => {
+// Get Vendor Revenue Report (Vendor Owner or Admin)
+// Query: from, to (YYYY-MM-DD, default last 30 days), groupBy (day/week/month), top (routes to list)
+app.get('/api/stats/vendor/:email/report', verifyToken, verifyOwnerOrAdmin, async (req, res) => {
   try {
-    const { id } = req.params;
-    const { tickets } = getCollections();
+    const { email } = req.params;
+    const params = parseStatsParams(req.query);
 
-    // Validate ObjectId
-    if (!ObjectId.isValid(id)) {
+    if (params.error) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid ticket ID',
+        message: params.error,
       });
     }
 
-    const ticket = await tickets.findOne({ _id: new ObjectId(id) });
+    const { from, to, groupBy, top } = params;
+    const { bookings } = getCollections();
+    const period = { $dateTrunc: { date: '$soldAt', unit: groupBy, timezone: STATS_TIMEZONE } };
+    const sumOf = field => ({ $sum: `$${field}` });
+
+    const [[sales], byStatus] = await Promise.all([
+      bookings
+        .aggregate([
+          ...paidBookingsStages({ vendorEmail: email }, from, to),
+          {
+            $facet: {
+              totals: [{ $group: { _id: null, ...SALES_ACCUMULATORS } }, SALES_PROJECTION],
+              series: salesSeries(groupBy),
+              byRoute: salesBreakdown({ fromLocation: '$fromLocation', toLocation: '$toLocation' }, top),
+              // One series per ticket: bucket by (ticket, period), then fold the buckets into the ticket
+              byTicket: [
+                {
+                  $group: {
+                    _id: { ticketId: '$ticketId', period },
+                    ticketTitle: { $first: '$ticketTitle' },
+                    fromLocation: { $first: '$fromLocation' },
+                    toLocation: { $first: '$toLocation' },
+                    ...SALES_ACCUMULATORS,
+                  },
+                },
+                SALES_PROJECTION,
+                { $sort: { '_id.period': 1 } },
+                {
+                  $group: {
+                    _id: '$_id.ticketId',
+                    ticketTitle: { $first: '$ticketTitle' },
+                    fromLocation: { $first: '$fromLocation' },
+                    toLocation: { $first: '$toLocation' },
+                    grossRevenue: sumOf('grossRevenue'),
+                    refunds: sumOf('refunds'),
+                    netRevenue: sumOf('netRevenue'),
+                    bookings: sumOf('bookings'),
+                    ticketsSold: sumOf('ticketsSold'),
+                    series: {
+                      $push: {
+                        period: '$_id.period',
+                        grossRevenue: '$grossRevenue',
+                        refunds: '$refunds',
+                        netRevenue: '$netRevenue',
+                        bookings: '$bookings',
+                        ticketsSold: '$ticketsSold',
+                      },
+                    },
+                  },
+                },
+                { $sort: { grossRevenue: -1, _id: 1 } },
+              ],
+            },
+          },
+        ])
+        .toArray(),
+      // Every booking requested in the range, whatever happened to it
+      bookings
+        .aggregate([
+          { $match: { vendorEmail: email, createdAt: { $gte: from, $lt: to } } },
+          {
+            $group: {
+              _id: '$status',
+              bookings: { $sum: 1 },
+              tickets: { $sum: '$bookingQuantity' },
+              amount: { $sum: '$totalPrice' },
+            },
+          },
+          { $sort: { bookings: -1 } },
+        ])
+        .toArray(),
+    ]);
 
-    if (!ticket) {
-      return res.status(404).json({
-        success: false,
-        message: 'Ticket not found',
-      });
-    }
+    const emptyTotals = { grossRevenue: 0, refunds: 0, netRevenue: 0, bookings: 0, ticketsSold: 0 };
+    const { _id, ...totals } = sales.totals[0] || emptyTotals;
 
     res.json({
       success: true,
-      data: ticket,
+      data: {
+        range: { from, to, groupBy, timezone: STATS_TIMEZONE },
+        totals,
+        series: sales.series,
+        byTicket: sales.byTicket.map(({ _id, ...row }) => ({ ticketId: _id, ...row })),
+        byRoute: sales.byRoute.map(({ _id, ...row }) => ({ ..._id, ...row })),
+        byStatus: byStatus.map(({ _id, ...row }) => ({ status: _id, ...row })),
+      },
     });
   } catch (error) {
-    console.error('Error in /api/tickets/:id GET:', error);
+    console.error('Error in /api/stats/vendor/:email/report GET:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to fetch ticket',
+      message: 'Failed to fetch vendor report',
       error: error.message,
     });
   }
 });
 
-// Update Ticket (Vendor Only)
-app.patch('/api/tickets/:id', async (req, res) => {
+// Export Bookings or Payouts as CSV / XLSX (Vendor Owner or Admin)
+// Query: type (bookings/payouts), format (csv/xlsx), from, to (YYYY-MM-DD, default last 30 days)
+app.get('/api/stats/vendor/:email/export', verifyToken, verifyOwnerOrAdmin, async (req, res) => {
   try {
-    const { id } = req.params;
-    const updateData = req.body;
-    const { tickets } = getCollections();
+    const { email } = req.params;
+    const { type = 'bookings', format = 'csv' } = req.query;
+    const params = parseStatsParams(req.query);
 
-    // Validate ObjectId
-    if (!ObjectId.isValid(id)) {
+    if (params.error) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid ticket ID',
+        message: params.error,
       });
     }
 
-    // Remove fields that shouldn't be updated directly
-    delete updateData._id;
-    delete updateData.verificationStatus;
-    delete updateData.isAdvertised;
-    delete updateData.vendorEmail;
-
-    const result = await tickets.updateOne(
-      { _id: new ObjectId(id) },
-      { 
-        $set: { 
-          ...updateData,
-          updatedAt: new Date()
-        }
-      }
-    );
+    if (!Object.hasOwn(VENDOR_EXPORTS, type)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid type. Must be one of: ${Object.keys(VENDOR_EXPORTS).join(', ')}`,
+      });
+    }
 
-    if (result.matchedCount === 0) {
-      return res.status(404).json({
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
         success: false,
-        message: 'Ticket not found',
+        message: `Invalid format. Must be one of: ${EXPORT_FORMATS.join(', ')}`,
       });
     }
 
-    res.json({
-      success: true,
-      message: 'Ticket updated successfully',
-      data: result,
-    });
+    const exportDef = VENDOR_EXPORTS[type];
+    const collection = getCollections()[exportDef.collection];
+    const cursor = collection
+      .find({
+        vendorEmail: email,
+        [exportDef.dateField]: { $gte: params.from, $lt: params.to },
+      })
+      .sort({ [exportDef.dateField]: 1, _id: 1 });
+
+    const day = date => date.toISOString().slice(0, 10);
+    const filename = `${type}-${day(params.from)}-to-${day(params.to)}.${format}`;
+
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    // Headers are sent with the first row - from here on errors can only end the stream
+    try {
+      if (format === 'csv') {
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        await streamCsv(res, cursor, exportDef.columns);
+      } else {
+        res.setHeader(
+          'Content-Type',
+          'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+        );
+        await streamXlsx(res, cursor, exportDef.columns, type);
+      }
+    } finally {
+      await cursor.close();
+    }
   } catch (error) {
-    console.error('Error in /api/tickets/:id PATCH:', error);
+    console.error('Error in /api/stats/vendor/:email/export GET:', error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
     res.status(500).json({
       success: false,
-      message: 'Failed to update ticket',
+      message: 'Failed to export report',
       error: error.message,
     });
   }
 });
 
-// Delete Ticket (Vendor Only)
-app.delete('/api/tickets/:id', async (req, res) => {
+// Get Platform Analytics (Admin Only)
+// Query: from, to (YYYY-MM-DD, default last 30 days), groupBy (day/week/month), top (routes/vendors to list)
+app.get('/api/stats/admin', verifyToken, verifyAdmin, async (req, res) => {
   try {
-    const { id } = req.params;
-    const { tickets } = getCollections();
+    const params = parseStatsParams(req.query);
 
-    // Validate ObjectId
-    if (!ObjectId.isValid(id)) {
+    if (params.error) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid ticket ID',
+        message: params.error,
       });
     }
 
-    const result = await tickets.deleteOne({ _id: new ObjectId(id) });
-
-    if (result.deletedCount === 0) {
-      return res.status(404).json({
-        success: false,
-        message: 'Ticket not found',
-      });
-    }
+    const { from, to, groupBy, top } = params;
+    const { bookings, tickets, users } = getCollections();
+
+    const [[sales], funnel, ticketCounts, vendorCount] = await Promise.all([
+      bookings
+        .aggregate([
+          ...paidBookingsStages({}, from, to),
+          {
+            $facet: {
+              totals: [{ $group: { _id: null, ...SALES_ACCUMULATORS } }, SALES_PROJECTION],
+              series: salesSeries(groupBy),
+              byTransportType: salesBreakdown('$transportType'),
+              byRoute: salesBreakdown({ fromLocation: '$fromLocation', toLocation: '$toLocation' }, top),
+              byVendor: salesBreakdown('$vendorEmail', top),
+              topRoutes: [
+                ...salesBreakdown({ fromLocation: '$fromLocation', toLocation: '$toLocation' }),
+                { $sort: { ticketsSold: -1, grossRevenue: -1 } },
+                { $limit: top },
+              ],
+            },
+          },
+        ])
+        .toArray(),
+      getBookingFunnel({}, from, to),
+      tickets
+        .aggregate([{ $group: { _id: '$verificationStatus', count: { $sum: 1 } } }])
+        .toArray(),
+      users.countDocuments({ role: 'vendor' }),
+    ]);
+
+    const emptyTotals = { grossRevenue: 0, refunds: 0, netRevenue: 0, bookings: 0, ticketsSold: 0 };
+    const { _id, ...totals } = sales.totals[0] || emptyTotals;
+    const byKey = (rows, name) => rows.map(({ _id, ...row }) => ({ [name]: _id, ...row }));
+    const byRoute = rows => rows.map(({ _id, ...row }) => ({ ..._id, ...row }));
 
     res.json({
       success: true,
-      message: 'Ticket deleted successfully',
+      data: {
+        range: { from, to, groupBy, timezone: STATS_TIMEZONE },
+        totals,
+        series: sales.series,
+        byTransportType: byKey(sales.byTransportType, 'transportType'),
+        byRoute: byRoute(sales.byRoute),
+        byVendor: byKey(sales.byVendor, 'vendorEmail'),
+        topRoutes: byRoute(sales.topRoutes),
+        funnel,
+        tickets: Object.fromEntries(ticketCounts.map(({ _id, count }) => [_id || 'pending', count])),
+        vendors: vendorCount,
+      },
     });
   } catch (error) {
-    console.error('Error in /api/tickets/:id DELETE:', error);
+    console.error('Error in /api/stats/admin GET:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to delete ticket',
+      message: 'Failed to fetch platform stats',
       error: error.message,
     });
   }
 });
 
-// Verify Ticket (Admin Only) - Approve or Reject
-app.patch('/api/tickets/:id/verify', async (req, res) => {
+// Create Payment Intent (User Only) - amount is computed from the booking, never sent by the client
+app.post('/api/create-payment-intent', verifyToken, verifyUser, async (req, res) => {
   try {
-    const { id } = req.params;
-    const { verificationStatus } = req.body; // 'approved' or 'rejected'
-    const { tickets } = getCollections();
+    const { bookingId } = req.body;
+    const { bookings, tickets } = getCollections();
 
-    // Validate ObjectId
-    if (!ObjectId.isValid(id)) {
+    if (!ObjectId.isValid(bookingId)) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid ticket ID',
+        message: 'Invalid booking ID',
       });
     }
 
-    // Validate status
-    if (!['approved', 'rejected'].includes(verificationStatus)) {
-      return res.status(400).json({
+    // Users can only pay for their own bookings whose seats are still held
+    const booking = await bookings.findOne({
+      _id: new ObjectId(bookingId),
+      userEmail: req.decoded.email,
+      holdStatus: 'held',
+    });
+
+    if (!booking) {
+      return res.status(404).json({
         success: false,
-        message: 'Invalid verification status. Must be "approved" or "rejected"',
+        message: 'Booking not found or seat hold expired',
       });
     }
 
-    const result = await tickets.updateOne(
-      { _id: new ObjectId(id) },
-      { 
-        $set: { 
-          verificationStatus,
-          verifiedAt: new Date()
-        }
-      }
-    );
-
-    if (result.matchedCount === 0) {
-      return res.status(404).json({
+    // Vendor must accept the request before it can be paid
+    if (booking.status !== 'accepted') {
+      return res.status(409).json({
         success: false,
-        message: 'Ticket not found',
+        message: 'Booking must be accepted by the vendor before payment',
       });
     }
 
-    res.json({
-      success: true,
-      message: `Ticket ${verificationStatus} successfully`,
-      data: result,
-    });
-  } catch (error) {
-    console.error('Error in /api/tickets/:id/verify PATCH:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to verify ticket',
-      error: error.message,
+    const ticket = await tickets.findOne({
+      _id: new ObjectId(booking.ticketId),
     });
-  }
-});
-
-// Toggle Advertise (Admin Only)
-app.patch('/api/tickets/:id/advertise', async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { isAdvertised } = req.body;
-    const { tickets } = getCollections();
 
-    // Validate ObjectId
-    if (!ObjectId.isValid(id)) {
-      return res.status(400).json({
+    if (!ticket) {
+      return res.status(404).json({
         success: false,
-        message: 'Invalid ticket ID',
+        message: 'Ticket not found',
       });
     }
 
-    // If trying to advertise, check if already have 6 advertised
-    if (isAdvertised) {
-      const advertisedCount = await tickets.countDocuments({ 
-        isAdvertised: true,
-        verificationStatus: 'approved'
-      });
+    // The price quoted when the booking was made (rules and promo included) is what the user pays.
+    // Bookings from before price breakdowns were stored are priced from the ticket.
+    const priceBreakdown =
+      booking.priceBreakdown ||
+      calculateBookingPrice(ticket, booking.bookingQuantity, booking.seatNumbers);
+    const amount = Math.round(priceBreakdown.total * 100); // Convert to paisa
+
+    // Client retried - hand back the intent that is still open for this amount
+    if (booking.paymentIntentId) {
+      const existingIntent = await stripe.paymentIntents.retrieve(
+        booking.paymentIntentId
+      );
 
-      if (advertisedCount >= 6) {
-        return res.status(400).json({
-          success: false,
-          message: 'Cannot advertise more than 6 tickets. Please unadvertise one first.',
+      if (
+        existingIntent.amount === amount &&
+        !['succeeded', 'canceled'].includes(existingIntent.status)
+      ) {
+        return res.json({
+          success: true,
+          clientSecret: existingIntent.client_secret,
+          priceBreakdown,
         });
       }
     }
 
-    const result = await tickets.updateOne(
-      { 
-        _id: new ObjectId(id),
-        verificationStatus: 'approved' // Only approved tickets can be advertised
+    // Create payment intent - metadata links the webhook back to the booking
+    // Idempotency key makes concurrent retries for the same amount return one intent
+    const paymentIntent = await stripe.paymentIntents.create(
+      {
+        amount,
+        currency: 'bdt',
+        automatic_payment_methods: {
+          enabled: true,
+        },
+        metadata: {
+          bookingId: booking._id.toString(),
+          ticketId: booking.ticketId,
+          userEmail: booking.userEmail,
+        },
       },
-      { 
-        $set: { 
-          isAdvertised,
-          advertisedAt: isAdvertised ? new Date() : null
-        }
+      {
+        idempotencyKey: `payment-intent-${booking._id}-${amount}-${booking.paymentIntentId || 'first'}`,
       }
     );
 
-    if (result.matchedCount === 0) {
-      return res.status(404).json({
-        success: false,
-        message: 'Ticket not found or not approved',
-      });
-    }
+    await bookings.updateOne(
+      { _id: booking._id },
+      {
+        $set: {
+          paymentIntentId: paymentIntent.id,
+          unitPrice: priceBreakdown.unitPrice,
+          totalPrice: priceBreakdown.total,
+          priceBreakdown,
+        },
+      }
+    );
 
     res.json({
       success: true,
-      message: `Ticket ${isAdvertised ? 'advertised' : 'unadvertised'} successfully`,
-      data: result,
+      clientSecret: paymentIntent.client_secret,
+      priceBreakdown,
     });
   } catch (error) {
-    console.error('Error in /api/tickets/:id/advertise PATCH:', error);
+    console.error('Error creating payment intent:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create payment intent',
+      error: error.message,
+    });
+  }
+});
+
+// PAYOUT ROUTES
+// Vendors request payouts of their ledger balance; admins pay them out and approve, or reject.
+// A vendor can have one pending request at a time (unique index on payouts).
+
+// Get Vendor Balance (Vendor Owner or Admin)
+app.get('/api/payouts/vendor/:email/balance', verifyToken, verifyOwnerOrAdmin, async (req, res) => {
+  try {
+    const { email } = req.params;
+    const balance = await getVendorBalance(email);
+
+    res.json({
+      success: true,
+      data: balance,
+    });
+  } catch (error) {
+    console.error('Error in /api/payouts/vendor/:email/balance GET:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to update advertisement status',
+      message: 'Failed to fetch balance',
       error: error.message,
     });
   }
 });
 
-
-// BOOKING ROUTES
-// Create Booking (User Only)
-app.post('/api/bookings', async (req, res) => {
+// Get Vendor Ledger Entries (Vendor Owner or Admin)
+app.get('/api/payouts/vendor/:email/ledger', verifyToken, verifyOwnerOrAdmin, async (req, res) => {
   try {
-    const bookingData = req.body;
-    const { bookings } = getCollections();
-
-    console.log('📝 Creating booking:', bookingData); // Debug log
+    const { email } = req.params;
+    const { ledger } = getCollections();
 
-    const newBooking = {
-      ...bookingData,
-      createdAt: new Date(),
-    };
+    const query = { vendorEmail: email };
+    if (['sale', 'refund', 'payout'].includes(req.query.type)) {
+      query.type = req.query.type;
+    }
 
-    const result = await bookings.insertOne(newBooking);
+    const page = await findPage(ledger, query, req.query);
 
-    console.log('✅ Booking created with ID:', result.insertedId); // Debug log
+    if (!page) {
+      return sendInvalidCursor(res);
+    }
 
-    res.status(201).json({
-      success: true,
-      message: 'Booking created successfully',
-      data: result,
-    });
+    res.json({ success: true, ...page });
   } catch (error) {
-    console.error('❌ Error in /api/bookings POST:', error);
+    console.error('Error in /api/payouts/vendor/:email/ledger GET:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to create booking',
+      message: 'Failed to fetch ledger',
       error: error.message,
     });
   }
 });
 
-// Get User's Bookings
-app.get('/api/bookings/user/:email', async (req, res) => {
+// Get Vendor's Payouts (Vendor Owner or Admin)
+app.get('/api/payouts/vendor/:email', verifyToken, verifyOwnerOrAdmin, async (req, res) => {
   try {
     const { email } = req.params;
-    const { bookings } = getCollections();
+    const { payouts } = getCollections();
 
-    const userBookings = await bookings
-      .find({ userEmail: email })
-      .sort({ createdAt: -1 })
-      .toArray();
+    const page = await findPage(payouts, { vendorEmail: email }, req.query);
 
-    res.json({
-      success: true,
-      count: userBookings.length,
-      data: userBookings,
-    });
+    if (!page) {
+      return sendInvalidCursor(res);
+    }
+
+    res.json({ success: true, ...page });
   } catch (error) {
-    console.error('Error in /api/bookings/user/:email GET:', error);
+    console.error('Error in /api/payouts/vendor/:email GET:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to fetch user bookings',
+      message: 'Failed to fetch payouts',
       error: error.message,
     });
   }
 });
 
-// Get Vendor's Booking Requests
-app.get('/api/bookings/vendor/:email', async (req, res) => {
+// Get All Payouts (Admin Only) - optional ?status=pending|paid|rejected
+app.get('/api/payouts', verifyToken, verifyAdmin, async (req, res) => {
   try {
-    const { email } = req.params;
-    const { bookings } = getCollections();
+    const { payouts } = getCollections();
 
-    const vendorBookings = await bookings
-      .find({ vendorEmail: email })
-      .sort({ createdAt: -1 })
-      .toArray();
+    const query = {};
+    if (PAYOUT_STATUSES.includes(req.query.status)) {
+      query.status = req.query.status;
+    }
 
-    res.json({
-      success: true,
-      count: vendorBookings.length,
-      data: vendorBookings,
-    });
+    const page = await findPage(payouts, query, req.query);
+
+    if (!page) {
+      return sendInvalidCursor(res);
+    }
+
+    res.json({ success: true, ...page });
   } catch (error) {
-    console.error('Error in /api/bookings/vendor/:email GET:', error);
+    console.error('Error in /api/payouts GET:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to fetch vendor bookings',
+      message: 'Failed to fetch payouts',
       error: error.message,
     });
   }
 });
 
-// Accept Booking (Vendor Only)
-app.patch('/api/bookings/:id/accept', async (req, res) => {
+// Request Payout (Vendor Only)
+app.post('/api/payouts', verifyToken, verifyVendor, validateBody(payoutRequestSchema), async (req, res) => {
   try {
-    const { id } = req.params;
-    const { bookings } = getCollections();
+    const { amount, method, accountDetails, note } = req.body;
+    const { payouts } = getCollections();
+    const vendorEmail = req.decoded.email;
 
-    if (!ObjectId.isValid(id)) {
+    const { available } = await getVendorBalance(vendorEmail);
+
+    if (roundMoney(amount) > available) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid booking ID',
+        message: `Amount exceeds your available balance of ${available} BDT`,
       });
     }
 
-    const result = await bookings.updateOne(
-      { _id: new ObjectId(id) },
-      {
-        $set: {
-          status: 'accepted',
-          acceptedAt: new Date(),
-        },
-      }
-    );
+    const payout = {
+      vendorEmail,
+      vendorName: req.user.name,
+      amount: roundMoney(amount),
+      method,
+      accountDetails,
+      note: note || null,
+      status: 'pending',
+      requestedAt: new Date(),
+      createdAt: new Date(),
+    };
 
-    if (result.matchedCount === 0) {
-      return res.status(404).json({
+    try {
+      const result = await payouts.insertOne(payout);
+
+      res.status(201).json({
+        success: true,
+        message: 'Payout requested successfully',
+        data: { _id: result.insertedId, ...payout },
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      res.status(409).json({
         success: false,
-        message: 'Booking not found',
+        message: 'You already have a pending payout request',
       });
     }
-
-    res.json({
-      success: true,
-      message: 'Booking accepted successfully',
-    });
   } catch (error) {
-    console.error('Error in /api/bookings/:id/accept PATCH:', error);
+    console.error('Error in /api/payouts POST:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to accept booking',
+      message: 'Failed to request payout',
       error: error.message,
     });
   }
 });
 
-// Reject Booking (Vendor Only)
-app.patch('/api/bookings/:id/reject', async (req, res) => {
+// Approve Payout (Admin Only) - records that the money was sent and debits the vendor's balance
+app.patch('/api/payouts/:id/approve', verifyToken, verifyAdmin, validateBody(payoutApprovalSchema), async (req, res) => {
   try {
     const { id } = req.params;
-    const { bookings } = getCollections();
+    const { payouts } = getCollections();
 
     if (!ObjectId.isValid(id)) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid booking ID',
+        message: 'Invalid payout ID',
       });
     }
 
-    const result = await bookings.updateOne(
-      { _id: new ObjectId(id) },
+    const payout = await payouts.findOne({ _id: new ObjectId(id) });
+
+    if (!payout) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payout not found',
+      });
+    }
+
+    if (payout.status !== 'pending') {
+      return res.status(409).json({
+        success: false,
+        message: `Payout is already ${payout.status}`,
+      });
+    }
+
+    // Refunds since the request may have lowered the balance
+    const { balance } = await getVendorBalance(payout.vendorEmail);
+    if (payout.amount > balance) {
+      return res.status(409).json({
+        success: false,
+        message: `Vendor balance (${balance} BDT) no longer covers this payout`,
+      });
+    }
+
+    const approved = await payouts.findOneAndUpdate(
+      { _id: payout._id, status: 'pending' },
       {
         $set: {
-          status: 'rejected',
-          rejectedAt: new Date(),
+          status: 'paid',
+          reference: req.body.reference || null,
+          reviewedBy: req.decoded.email,
+          reviewedAt: new Date(),
         },
-      }
+      },
+      { returnDocument: 'after' }
     );
 
-    if (result.matchedCount === 0) {
-      return res.status(404).json({
+    if (!approved) {
+      return res.status(409).json({
         success: false,
-        message: 'Booking not found',
+        message: 'Payout status changed. Please refresh and try again.',
       });
     }
 
+    await postLedgerEntry({
+      key: `payout:${payout._id}`,
+      type: 'payout',
+      vendorEmail: payout.vendorEmail,
+      payoutId: payout._id.toString(),
+      gross: payout.amount,
+      commission: 0,
+      vendorAmount: -payout.amount,
+      lines: [
+        { account: vendorAccount(payout.vendorEmail), debit: payout.amount },
+        { account: PLATFORM_ACCOUNTS.cash, credit: payout.amount },
+      ],
+    });
+
+    setAudit(res, 'payout.approve', {
+      targetType: 'payouts',
+      targetId: id,
+      before: { status: 'pending' },
+      after: { status: 'paid', amount: approved.amount, reference: approved.reference },
+    });
+
     res.json({
       success: true,
-      message: 'Booking rejected successfully',
+      message: 'Payout approved successfully',
+      data: approved,
     });
   } catch (error) {
-    console.error('Error in /api/bookings/:id/reject PATCH:', error);
+    console.error('Error in /api/payouts/:id/approve PATCH:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to reject booking',
+      message: 'Failed to approve payout',
       error: error.message,
     });
   }
 });
 
-// Update Booking to Paid (after Stripe payment)
-app.patch('/api/bookings/:id/pay', async (req, res) => {
+// Reject Payout (Admin Only)
+app.patch('/api/payouts/:id/reject', verifyToken, verifyAdmin, validateBody(payoutRejectionSchema), async (req, res) => {
   try {
     const { id } = req.params;
-    const { transactionId } = req.body;
-    const { bookings, tickets } = getCollections();
+    const { payouts } = getCollections();
 
     if (!ObjectId.isValid(id)) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid booking ID',
-      });
-    }
-
-    // Get booking details
-    const booking = await bookings.findOne({ _id: new ObjectId(id) });
-
-    if (!booking) {
-      return res.status(404).json({
-        success: false,
-        message: 'Booking not found',
+        message: 'Invalid payout ID',
       });
     }
 
-    // Update booking status to paid
-    await bookings.updateOne(
-      { _id: new ObjectId(id) },
+    const rejected = await payouts.findOneAndUpdate(
+      { _id: new ObjectId(id), status: 'pending' },
       {
         $set: {
-          status: 'paid',
-          transactionId,
-          paidAt: new Date(),
+          status: 'rejected',
+          reason: req.body.reason || null,
+          reviewedBy: req.decoded.email,
+          reviewedAt: new Date(),
         },
-      }
+      },
+      { returnDocument: 'after' }
     );
 
-    // Reduce ticket quantity
-    await tickets.updateOne(
-      { _id: new ObjectId(booking.ticketId) },
-      {
-        $inc: { quantity: -booking.bookingQuantity },
-      }
-    );
+    if (!rejected) {
+      return res.status(409).json({
+        success: false,
+        message: 'Payout not found or no longer pending',
+      });
+    }
+
+    setAudit(res, 'payout.reject', {
+      targetType: 'payouts',
+      targetId: id,
+      before: { status: 'pending' },
+      after: { status: 'rejected', reason: rejected.reason },
+    });
 
     res.json({
       success: true,
-      message: 'Payment recorded successfully',
+      message: 'Payout rejected successfully',
+      data: rejected,
     });
   } catch (error) {
-    console.error('Error in /api/bookings/:id/pay PATCH:', error);
+    console.error('Error in /api/payouts/:id/reject PATCH:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to record payment',
+      message: 'Failed to reject payout',
       error: error.message,
     });
   }
 });
 
-
-// STATS ROUTES
-// Get Vendor Stats
-app.get('/api/stats/vendor/:email', async (req, res) => {
+// Get Commission Rates (Admin Only)
+app.get('/api/commission', verifyToken, verifyAdmin, async (req, res) => {
   try {
-    const { email } = req.params;
-    const { bookings, tickets } = getCollections();
-
-    // Get all paid bookings for this vendor
-    const paidBookings = await bookings
-      .find({ vendorEmail: email, status: 'paid' })
-      .toArray();
-
-    // Calculate total revenue
-    const totalRevenue = paidBookings.reduce(
-      (sum, booking) => sum + booking.totalPrice,
-      0
-    );
-
-    // Calculate total tickets sold
-    const totalTicketsSold = paidBookings.reduce(
-      (sum, booking) => sum + booking.bookingQuantity,
-      0
-    );
-
-    // Count total tickets added by vendor
-    const totalTicketsAdded = await tickets.countDocuments({
-      vendorEmail: email,
-    });
-
-    // Count pending bookings
-    const pendingBookings = await bookings.countDocuments({
-      vendorEmail: email,
-      status: 'pending',
-    });
+    const { settings } = getCollections();
+    const commission = await settings.findOne({ _id: 'commission' });
 
     res.json({
       success: true,
       data: {
-        totalRevenue,
-        totalTicketsSold,
-        totalTicketsAdded,
-        pendingBookings,
+        defaultPercent: commission?.defaultPercent ?? DEFAULT_COMMISSION_PERCENT,
+        byTransportType: commission?.byTransportType || {},
       },
     });
   } catch (error) {
-    console.error('Error in /api/stats/vendor/:email GET:', error);
+    console.error('Error in /api/commission GET:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to fetch vendor stats',
+      message: 'Failed to fetch commission rates',
       error: error.message,
     });
   }
 });
 
-// Create Payment Intent
-app.post('/api/create-payment-intent', async (req, res) => {
+// Set Commission Rates (Admin Only) - applies to sales from now on
+app.put('/api/commission', verifyToken, verifyAdmin, validateBody(commissionSchema), async (req, res) => {
   try {
-    const { amount } = req.body; // amount in BDT
+    const { settings } = getCollections();
+    const commission = {
+      defaultPercent: req.body.defaultPercent,
+      byTransportType: req.body.byTransportType || {},
+    };
 
-    // Create payment intent 
-    const paymentIntent = await stripe.paymentIntents.create({
-      amount: Math.round(amount * 100), // Convert to paisa
-      currency: 'bdt',
-      automatic_payment_methods: {
-        enabled: true,
-      },
+    const previous = await settings.findOneAndUpdate(
+      { _id: 'commission' },
+      { $set: { ...commission, updatedBy: req.decoded.email, updatedAt: new Date() } },
+      { upsert: true }
+    );
+
+    setAudit(res, 'settings.commission', {
+      targetType: 'settings',
+      targetId: 'commission',
+      before: previous && pickFields(previous, ['defaultPercent', 'byTransportType']),
+      after: commission,
     });
 
     res.json({
       success: true,
-      clientSecret: paymentIntent.client_secret,
+      message: 'Commission rates updated successfully',
+      data: commission,
     });
   } catch (error) {
-    console.error('Error creating payment intent:', error);
+    console.error('Error in /api/commission PUT:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to create payment intent',
+      message: 'Failed to update commission rates',
       error: error.message,
     });
   }
 });
 
-// Save Transaction
-app.post('/api/transactions', async (req, res) => {
-  try {
-    const transactionData = req.body;
-    const { transactions } = getCollections();
+// STRIPE WEBHOOK
+// The only path that marks bookings paid and writes transactions.
+// Local testing: stripe listen --forward-to localhost:5000/api/webhooks/stripe
+
+// Record a payment once per PaymentIntent (Stripe may deliver an event more than once)
+async function savePaymentTransaction(booking, paymentIntent) {
+  const { transactions } = getCollections();
+
+  await transactions.updateOne(
+    { transactionId: paymentIntent.id, type: 'payment' },
+    {
+      $setOnInsert: {
+        transactionId: paymentIntent.id,
+        type: 'payment',
+        bookingId: booking._id.toString(),
+        ticketId: booking.ticketId,
+        ticketTitle: booking.ticketTitle,
+        userEmail: booking.userEmail,
+        vendorEmail: booking.vendorEmail,
+        amount: paymentIntent.amount_received / 100, // paisa to BDT
+        currency: paymentIntent.currency,
+        paymentDate: new Date(paymentIntent.created * 1000),
+        createdAt: new Date(),
+      },
+    },
+    { upsert: true }
+  );
+}
 
-    const newTransaction = {
-      ...transactionData,
-      createdAt: new Date(),
-    };
+// One refund document per payment holding the total refunded so far -
+// shared by cancellations and charge.refunded so the same refund isn't counted twice
+async function saveRefundTransaction(booking, transactionId, amount) {
+  const { transactions } = getCollections();
+
+  await transactions.updateOne(
+    { paymentIntentId: booking.paymentIntentId, type: 'refund' },
+    {
+      $set: {
+        amount, // BDT
+        updatedAt: new Date(),
+      },
+      $setOnInsert: {
+        transactionId,
+        type: 'refund',
+        paymentIntentId: booking.paymentIntentId,
+        bookingId: booking._id.toString(),
+        ticketId: booking.ticketId,
+        ticketTitle: booking.ticketTitle,
+        userEmail: booking.userEmail,
+        vendorEmail: booking.vendorEmail,
+        currency: 'bdt',
+        paymentDate: new Date(),
+        createdAt: new Date(),
+      },
+    },
+    { upsert: true }
+  );
 
-    const result = await transactions.insertOne(newTransaction);
+  await postRefundEntry(booking, amount);
+}
 
-    res.status(201).json({
-      success: true,
-      message: 'Transaction saved successfully',
-      data: result,
-    });
-  } catch (error) {
-    console.error('Error in /api/transactions POST:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to save transaction',
-      error: error.message,
-    });
+// payment_intent.succeeded - convert the seat hold to sold and record the payment
+async function handlePaymentSucceeded(paymentIntent) {
+  const { bookingId } = paymentIntent.metadata || {};
+  const { bookings } = getCollections();
+
+  if (!ObjectId.isValid(bookingId)) {
+    console.warn('⚠️ PaymentIntent without booking metadata:', paymentIntent.id);
+    return;
   }
-});
 
-// Get User Transactions
-app.get('/api/transactions/:email', async (req, res) => {
+  const booking = await bookings.findOne({ _id: new ObjectId(bookingId) });
+
+  if (!booking) {
+    console.warn('⚠️ Booking not found for PaymentIntent:', paymentIntent.id);
+    return;
+  }
+
+  // Already recorded by an earlier delivery of this event
+  if (booking.transactionId === paymentIntent.id && booking.holdStatus === 'sold') {
+    await savePaymentTransaction(booking, paymentIntent);
+    await postSaleEntry(booking);
+    return;
+  }
+
+  const paidSet = {
+    holdStatus: 'sold',
+    transactionId: paymentIntent.id,
+    paymentIntentId: paymentIntent.id,
+    paymentStatus: 'succeeded',
+    paidAt: new Date(),
+  };
+
+  // Money has moved, so a hold that is still in place is honoured even past its expiry
+  let paid = await transitionBooking(booking, 'paid', {
+    by: 'stripe',
+    filter: { holdStatus: 'held' },
+    set: paidSet,
+  });
+
+  // Hold expired before payment landed - take the seats again if they're still free
+  if (!paid) {
+    const latest = await bookings.findOne({ _id: booking._id });
+
+    // A concurrent delivery of the same event marked it paid first
+    if (latest.transactionId === paymentIntent.id && latest.holdStatus === 'sold') {
+      await savePaymentTransaction(latest, paymentIntent);
+      await postSaleEntry(latest);
+      return;
+    }
+
+    if (
+      canTransitionBooking(latest.status, 'paid') &&
+      latest.holdStatus === 'released' &&
+      (await reserveSeats(latest.ticketId, latest.bookingQuantity, {
+        bookingId: latest._id,
+        seatNumbers: latest.seatNumbers,
+      }))
+    ) {
+      paid = await transitionBooking(latest, 'paid', {
+        by: 'stripe',
+        note: 'Payment received after seat hold expired',
+        filter: { holdStatus: 'released' },
+        set: paidSet,
+      });
+
+      if (!paid) {
+        await returnSeats(latest);
+      }
+    }
+  }
+
+  // Booking can't be paid (seats gone, rejected or cancelled meanwhile) - give the money back
+  if (!paid) {
+    console.warn('⚠️ Paid booking could not be confirmed, refunding:', booking._id);
+    await stripe.refunds.create(
+      { payment_intent: paymentIntent.id },
+      { idempotencyKey: `unavailable-refund-${paymentIntent.id}` }
+    );
+    await bookings.updateOne(
+      { _id: booking._id },
+      {
+        $set: {
+          paymentIntentId: paymentIntent.id,
+          paymentStatus: 'refunded',
+          refundReason: 'Booking could not be confirmed',
+        },
+      }
+    );
+    return;
+  }
+
+  await markSeatsSold(booking);
+  await savePaymentTransaction(booking, paymentIntent);
+  await postSaleEntry(booking);
+  console.log('💳 Booking paid via webhook:', booking._id); // Debug log
+}
+
+// payment_intent.payment_failed - keep the hold so the user can retry until it expires
+async function handlePaymentFailed(paymentIntent) {
+  const { bookingId } = paymentIntent.metadata || {};
+  const { bookings } = getCollections();
+
+  if (!ObjectId.isValid(bookingId)) {
+    return;
+  }
+
+  await bookings.updateOne(
+    { _id: new ObjectId(bookingId), holdStatus: 'held' },
+    {
+      $set: {
+        paymentIntentId: paymentIntent.id,
+        paymentStatus: 'failed',
+        paymentError: paymentIntent.last_payment_error?.message || null,
+      },
+    }
+  );
+}
+
+// charge.refunded - record the refund and put fully refunded seats back on sale
+async function handleChargeRefunded(charge) {
+  const { bookings } = getCollections();
+
+  const booking = await bookings.findOne({
+    paymentIntentId: charge.payment_intent,
+  });
+
+  if (!booking) {
+    // Campaign refunds are recorded by the route that issued them
+    const { campaigns } = getCollections();
+    const campaign = await campaigns.findOne({ paymentIntentId: charge.payment_intent });
+    if (campaign) {
+      await campaigns.updateOne(
+        { _id: campaign._id },
+        { $set: { refundedAmount: charge.amount_refunded / 100 } }
+      );
+      return;
+    }
+
+    console.warn('⚠️ Booking not found for refunded charge:', charge.id);
+    return;
+  }
+
+  // amount_refunded is cumulative across partial refunds
+  await saveRefundTransaction(booking, charge.id, charge.amount_refunded / 100);
+
+  await bookings.updateOne(
+    { _id: booking._id },
+    { $set: { refundedAmount: charge.amount_refunded / 100 } }
+  );
+
+  if (!charge.refunded) {
+    return; // partial refund - booking stays valid
+  }
+
+  // Cancelled bookings already gave their seats back
+  const refunded = await transitionBooking(booking, 'refunded', {
+    by: 'stripe',
+    note: 'Charge refunded',
+    filter: { holdStatus: 'sold' },
+    set: {
+      holdStatus: 'released',
+      holdReleasedAt: new Date(),
+      paymentStatus: 'refunded',
+      refundedAt: new Date(),
+    },
+  });
+
+  if (refunded) {
+    await returnSeats(booking);
+  }
+}
+
+// Stripe Webhook - signature is checked against the raw request body
+app.post(
+  '/api/webhooks/stripe',
+  express.raw({ type: 'application/json' }),
+  async (req, res) => {
+    let event;
+
+    try {
+      event = stripe.webhooks.constructEvent(
+        req.body,
+        req.headers['stripe-signature'],
+        process.env.STRIPE_WEBHOOK_SECRET
+      );
+    } catch (error) {
+      console.error('❌ Stripe webhook signature verification failed:', error.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid webhook signature',
+        error: error.message,
+      });
+    }
+
+    try {
+      switch (event.type) {
+        case 'payment_intent.succeeded':
+          // Vendors paying for advertising use the same Stripe account
+          if (event.data.object.metadata?.campaignId) {
+            await handleCampaignPaymentSucceeded(event.data.object);
+          } else {
+            await handlePaymentSucceeded(event.data.object);
+          }
+          break;
+        case 'payment_intent.payment_failed':
+          await handlePaymentFailed(event.data.object);
+          break;
+        case 'charge.refunded':
+          await handleChargeRefunded(event.data.object);
+          break;
+        default:
+          // Acknowledged without an audit entry - only events that change a booking or campaign are logged
+          console.log('ℹ️ Unhandled Stripe event:', event.type); // Debug log
+          return res.json({ received: true });
+      }
+
+      setAudit(res, `stripe.${event.type}`, {
+        targetType: event.data.object.object, // payment_intent or charge
+        targetId: event.data.object.id,
+        after: { eventId: event.id, bookingId: event.data.object.metadata?.bookingId || null },
+        actor: 'stripe',
+      });
+
+      res.json({ received: true });
+    } catch (error) {
+      // Non-2xx makes Stripe retry the event later
+      console.error('Error in /api/webhooks/stripe POST:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to process webhook',
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Get User Transactions (Owner or Admin)
+app.get('/api/transactions/:email', verifyToken, verifyOwnerOrAdmin, async (req, res) => {
   try {
     const { email } = req.params;
     const { transactions } = getCollections();
 
-    const userTransactions = await transactions
-      .find({ userEmail: email })
-      .sort({ createdAt: -1 })
-      .toArray();
+    const page = await findPage(transactions, { userEmail: email }, req.query);
+
+    if (!page) {
+      return sendInvalidCursor(res);
+    }
 
     res.json({
       success: true,
-      count: userTransactions.length,
-      data: userTransactions,
+      ...page,
     });
   } catch (error) {
     console.error('Error in /api/transactions/:email GET:', error);
@@ -1201,10 +10038,12 @@ app.use((err, req, res, next) => {
   });
 });
 
-// START SERVER
-app.listen(port, () => {
-  console.log(`🚀 Server is running on port ${port}`);
-});
+// START SERVER - only when run directly; tests and serverless hosts import the app
+if (require.main === module) {
+  app.listen(port, () => {
+    console.log(`🚀 Server is running on port ${port}`);
+  });
+}
 
 // GRACEFUL SHUTDOWN
 process.on('SIGINT', async () => {
@@ -1218,3 +10057,5 @@ process.on('SIGINT', async () => {
     process.exit(1);
   }
 });
+
+module.exports = app;
@@ -0,0 +1,121 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  startServer,
+  stopServer,
+  request,
+  admin,
+  vendor,
+  passenger,
+  otherPassenger,
+  traveller,
+  seedUsers,
+  createTicket,
+  book,
+  createPaidBooking,
+} = require('./helpers/app');
+
+before(async () => {
+  await startServer();
+  await seedUsers();
+
+  // Two routes: 3 paid bookings (one later cancelled with a full refund), one rejected, one pending
+  const bus = await createTicket({ quantity: 10 });
+  const train = await createTicket({ quantity: 10, transportType: 'Train', toLocation: 'Sylhet', pricePerUnit: 500 });
+  await createPaidBooking(bus, { bookingQuantity: 2 });
+  await createPaidBooking(train, { bookingQuantity: 1, passengers: [traveller] }, otherPassenger.email);
+  const cancelled = await createPaidBooking(bus, { bookingQuantity: 1 }, otherPassenger.email);
+  await request('PATCH', `/api/bookings/${cancelled._id}/cancel`, { as: otherPassenger.email, body: {} });
+  const { body } = await book(train, { bookingQuantity: 1, passengers: [traveller] });
+  await request('PATCH', `/api/bookings/${body.data.insertedId}/reject`, { as: vendor.email });
+  await book(bus, { bookingQuantity: 1 });
+});
+
+after(stopServer);
+
+test('platform totals count paid revenue, refunds and seats still sold', async () => {
+  const { status, body } = await request('GET', '/api/stats/admin', { as: admin.email });
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.data.totals, {
+    grossRevenue: 2900,
+    refunds: 800,
+    netRevenue: 2100,
+    bookings: 3,
+    ticketsSold: 3,
+  });
+  assert.deepEqual(body.data.tickets, { approved: 2 });
+  assert.equal(body.data.vendors, 1);
+});
+
+test('sales break down by transport type and route', async () => {
+  const { body } = await request('GET', '/api/stats/admin?top=1', { as: admin.email });
+
+  assert.deepEqual(
+    body.data.byTransportType.map(({ transportType, grossRevenue, refunds, ticketsSold }) => ({
+      transportType,
+      grossRevenue,
+      refunds,
+      ticketsSold,
+    })),
+    [
+      { transportType: 'Bus', grossRevenue: 2400, refunds: 800, ticketsSold: 2 },
+      { transportType: 'Train', grossRevenue: 500, refunds: 0, ticketsSold: 1 },
+    ]
+  );
+  assert.deepEqual(
+    body.data.topRoutes.map(({ fromLocation, toLocation, ticketsSold }) => ({ fromLocation, toLocation, ticketsSold })),
+    [{ fromLocation: 'Dhaka', toLocation: 'Chattogram', ticketsSold: 2 }]
+  );
+  assert.deepEqual(
+    body.data.byVendor.map(({ vendorEmail, netRevenue }) => ({ vendorEmail, netRevenue })),
+    [{ vendorEmail: vendor.email, netRevenue: 2100 }]
+  );
+});
+
+test("the series puts today's sales in one bucket", async () => {
+  const { body } = await request('GET', '/api/stats/admin?groupBy=month', { as: admin.email });
+
+  assert.equal(body.data.range.groupBy, 'month');
+  assert.equal(body.data.series.length, 1);
+  assert.equal(body.data.series[0].grossRevenue, 2900);
+});
+
+test('the funnel follows requests through acceptance to payment', async () => {
+  const { body } = await request('GET', '/api/stats/admin', { as: admin.email });
+
+  assert.deepEqual(body.data.funnel, {
+    requested: 5,
+    accepted: 3,
+    paid: 3,
+    rejected: 1,
+    expired: 0,
+    cancelled: 1,
+    acceptanceRate: 60,
+    paymentRate: 100,
+    conversionRate: 60,
+  });
+});
+
+test('a range without sales is empty, not an error', async () => {
+  const { status, body } = await request('GET', '/api/stats/admin?from=2020-01-01&to=2020-01-31', {
+    as: admin.email,
+  });
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.data.totals, { grossRevenue: 0, refunds: 0, netRevenue: 0, bookings: 0, ticketsSold: 0 });
+  assert.equal(body.data.funnel.requested, 0);
+});
+
+test('bad parameters are refused and only admins see platform stats', async () => {
+  const badRange = await request('GET', '/api/stats/admin?from=2025-02-01&to=2025-01-01', { as: admin.email });
+  const badGroup = await request('GET', '/api/stats/admin?groupBy=hour', { as: admin.email });
+  const asVendor = await request('GET', '/api/stats/admin', { as: vendor.email });
+  const asPassenger = await request('GET', '/api/stats/admin', { as: passenger.email });
+
+  assert.equal(badRange.status, 400);
+  assert.equal(badGroup.status, 400);
+  assert.equal(badGroup.body.message, 'Invalid groupBy. Must be one of: day, week, month');
+  assert.equal(asVendor.status, 403);
+  assert.equal(asPassenger.status, 403);
+});
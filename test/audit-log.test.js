@@ -0,0 +1,206 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  db,
+  startServer,
+  stopServer,
+  request,
+  admin,
+  vendor,
+  passenger,
+  otherPassenger,
+  seedUsers,
+  createTicket,
+  book,
+  deliverStripeEvent,
+  createPaidBooking,
+} = require('./helpers/app');
+
+before(async () => {
+  await startServer();
+  await seedUsers();
+});
+
+after(stopServer);
+
+// Entries are written after the response is sent - poll until `query` finds one
+async function waitForAudit(query) {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    const entry = await db.collection('auditLogs').findOne(query);
+    if (entry) return entry;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  assert.fail(`no audit entry for ${JSON.stringify(query)}`);
+}
+
+test("every response carries a request id, the caller's own when it is sane", async () => {
+  const generated = await request('GET', '/api/tickets');
+  const kept = await request('GET', '/api/tickets', { headers: { 'X-Request-Id': 'client-req.42' } });
+  const replaced = await request('GET', '/api/tickets', { headers: { 'X-Request-Id': 'no spaces <allowed>' } });
+
+  assert.match(generated.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+  assert.equal(kept.headers.get('x-request-id'), 'client-req.42');
+  assert.notEqual(replaced.headers.get('x-request-id'), 'no spaces <allowed>');
+});
+
+test('a role change is logged with the actor, the diff and the request id', async () => {
+  const { status } = await request('PATCH', `/api/users/${otherPassenger.email}/role`, {
+    as: admin.email,
+    body: { role: 'vendor' },
+    headers: { 'X-Request-Id': 'role-change-1' },
+  });
+
+  assert.equal(status, 200);
+  const entry = await waitForAudit({ requestId: 'role-change-1' });
+  assert.deepEqual(
+    {
+      action: entry.action,
+      actorEmail: entry.actorEmail,
+      actorRole: entry.actorRole,
+      targetType: entry.targetType,
+      targetId: entry.targetId,
+      changes: entry.changes,
+      method: entry.method,
+      statusCode: entry.statusCode,
+    },
+    {
+      action: 'user.role',
+      actorEmail: admin.email,
+      actorRole: 'admin',
+      targetType: 'users',
+      targetId: otherPassenger.email,
+      changes: { role: { from: 'user', to: 'vendor' } },
+      method: 'PATCH',
+      statusCode: 200,
+    }
+  );
+  const search = await request('GET', `/api/audit-logs?requestId=role-change-1`, { as: admin.email });
+  assert.deepEqual(search.body.data.map(log => log.action), ['user.role']);
+});
+
+test('ticket edits record what changed and deletes keep a snapshot', async () => {
+  const ticket = await createTicket({ title: 'Audited trip' });
+
+  await request('PATCH', `/api/tickets/${ticket._id}`, {
+    as: vendor.email,
+    body: { pricePerUnit: 950 },
+    headers: { 'X-Request-Id': 'ticket-edit' },
+  });
+  await request('DELETE', `/api/tickets/${ticket._id}`, {
+    as: vendor.email,
+    headers: { 'X-Request-Id': 'ticket-delete' },
+  });
+
+  const edit = await waitForAudit({ requestId: 'ticket-edit' });
+  const removal = await waitForAudit({ requestId: 'ticket-delete' });
+  assert.deepEqual(edit.changes.pricePerUnit, { from: 800, to: 950 });
+  assert.deepEqual(edit.changes.verificationStatus, { from: 'approved', to: 'pending' }); // back to review
+  assert.equal(removal.action, 'ticket.delete');
+  assert.equal(removal.before.title, 'Audited trip');
+  assert.equal(removal.before.pricePerUnit, 950);
+});
+
+test("a vendor's refund policy change is logged with the tiers it replaced", async () => {
+  const refundPolicy = [{ minHoursBeforeDeparture: 72, refundPercent: 90 }];
+  const { status } = await request('PATCH', `/api/users/${vendor.email}/refund-policy`, {
+    as: vendor.email,
+    body: { refundPolicy },
+    headers: { 'X-Request-Id': 'refund-policy' },
+  });
+
+  assert.equal(status, 200);
+  const entry = await waitForAudit({ requestId: 'refund-policy' });
+  assert.equal(entry.action, 'vendor.refund_policy');
+  assert.equal(entry.targetId, vendor.email);
+  assert.deepEqual(entry.before.refundPolicy, [
+    { minHoursBeforeDeparture: 48, refundPercent: 100 },
+    { minHoursBeforeDeparture: 12, refundPercent: 50 },
+  ]);
+  assert.deepEqual(entry.after.refundPolicy, refundPolicy);
+});
+
+test('routes without a description log their path and body, minus secrets', async () => {
+  const ticket = await createTicket({ quantity: 5 });
+  await createPaidBooking(ticket, { bookingQuantity: 1 });
+
+  const booked = await book(ticket, {
+    bookingQuantity: 1,
+    passengers: [{ name: 'Rahim Uddin', idNumber: 'NID-4242', phone: '+8801700000001' }],
+  });
+  const payout = await request('POST', '/api/payouts', {
+    as: vendor.email,
+    body: { amount: 100, method: 'bank', accountDetails: 'IBAN 123' },
+  });
+
+  const booking = await waitForAudit({ requestId: booked.headers.get('x-request-id') });
+  const payoutRequest = await waitForAudit({ requestId: payout.headers.get('x-request-id') });
+  assert.equal(booking.action, 'POST /api/bookings');
+  assert.equal(booking.targetType, 'bookings');
+  assert.equal(booking.after.bookingQuantity, 1);
+  assert.deepEqual(booking.after.passengers, [{ name: 'Rahim Uddin', idNumber: '[redacted]', phone: '[redacted]' }]);
+  assert.equal(payoutRequest.after.amount, 100);
+  assert.equal(payoutRequest.after.accountDetails, '[redacted]');
+});
+
+test('stripe webhooks are logged as the stripe actor', async () => {
+  const ticket = await createTicket({ quantity: 5 });
+  const booking = await createPaidBooking(ticket, { bookingQuantity: 1 });
+
+  const entry = await waitForAudit({ action: 'stripe.payment_intent.succeeded', targetId: `pi_${booking._id}` });
+
+  assert.equal(entry.actorEmail, 'stripe');
+  assert.equal(entry.actorRole, 'system');
+  assert.equal(entry.after.bookingId, booking._id.toString());
+});
+
+test('reads, failed requests, price quotes, anonymous ad clicks and ignored stripe events are not logged', async () => {
+  const ticket = await createTicket();
+  const advertised = await request('PATCH', `/api/tickets/${ticket._id}/advertise`, {
+    as: admin.email,
+    body: { isAdvertised: true },
+  });
+
+  await request('GET', `/api/tickets/${ticket._id}`, { headers: { 'X-Request-Id': 'just-reading' } });
+  await request('PATCH', `/api/users/${passenger.email}/role`, {
+    as: vendor.email,
+    body: { role: 'admin' },
+    headers: { 'X-Request-Id': 'refused' },
+  });
+  await request('POST', '/api/bookings/quote', {
+    as: passenger.email,
+    body: { ticketId: ticket._id.toString(), bookingQuantity: 1 },
+    headers: { 'X-Request-Id': 'quoting' },
+  });
+  const click = await request('POST', `/api/campaigns/${advertised.body.data._id}/click`, {
+    headers: { 'X-Request-Id': 'ad-click' },
+  });
+  const ignored = await deliverStripeEvent({
+    id: 'evt_ignored',
+    object: 'event',
+    type: 'customer.created',
+    data: { object: { id: 'cus_ignored', object: 'customer' } },
+  });
+  // Entries are written after the response - give any stray write a moment to land
+  await new Promise(resolve => setTimeout(resolve, 100));
+
+  const logged = await db
+    .collection('auditLogs')
+    .countDocuments({ requestId: { $in: ['just-reading', 'refused', 'quoting', 'ad-click'] } });
+  assert.equal(click.status, 200);
+  assert.equal(logged, 0);
+  assert.equal(ignored.status, 200);
+  assert.equal(await db.collection('auditLogs').countDocuments({ action: 'stripe.customer.created' }), 0);
+});
+
+test('only admins search the log, by valid dates', async () => {
+  const asVendor = await request('GET', '/api/audit-logs', { as: vendor.email });
+  const badDate = await request('GET', '/api/audit-logs?from=yesterday', { as: admin.email });
+  const byActor = await request('GET', `/api/audit-logs?actor=${vendor.email}&targetType=tickets`, {
+    as: admin.email,
+  });
+
+  assert.equal(asVendor.status, 403);
+  assert.equal(badDate.status, 400);
+  assert.ok(byActor.body.data.length >= 2);
+  assert.ok(byActor.body.data.every(log => log.actorEmail === vendor.email && log.targetType === 'tickets'));
+});
@@ -0,0 +1,128 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { getApps, deleteApp } = require('firebase-admin/app');
+const {
+  db,
+  startServer,
+  stopServer,
+  signToken,
+  request,
+  admin,
+  vendor,
+  passenger,
+  otherPassenger,
+  seedUsers,
+} = require('./helpers/app');
+
+before(async () => {
+  await startServer();
+  await seedUsers();
+});
+
+after(stopServer);
+
+test('a JWT is issued only for a verified Firebase ID token', async () => {
+  const { status, headers, body } = await request('POST', '/api/jwt', {
+    body: { idToken: `firebase:${passenger.email}`, email: admin.email },
+  });
+
+  assert.equal(status, 200);
+  // The email comes from the verified token, never from the body
+  assert.equal(jwt.verify(body.token, process.env.JWT_SECRET).email, passenger.email);
+  assert.match(headers.get('set-cookie'), /^token=.+HttpOnly/);
+});
+
+test('an email without an ID token gets no JWT', async () => {
+  const { status, body } = await request('POST', '/api/jwt', { body: { email: admin.email } });
+
+  assert.equal(status, 400);
+  assert.equal(body.message, 'idToken is required');
+  assert.equal(body.token, undefined);
+});
+
+test('an ID token Firebase rejects is a 401', async () => {
+  const { status, headers, body } = await request('POST', '/api/jwt', { body: { idToken: 'forged' } });
+
+  assert.equal(status, 401);
+  assert.equal(body.token, undefined);
+  assert.equal(headers.get('set-cookie'), null);
+});
+
+test('a broken Firebase service account is a server error, not a bad login', async t => {
+  const serviceAccount = process.env.FIREBASE_SERVICE_ACCOUNT;
+  process.env.FIREBASE_SERVICE_ACCOUNT = '{ not json';
+  await Promise.all(getApps().map(deleteApp)); // initialise again on the next login
+  t.after(() => {
+    process.env.FIREBASE_SERVICE_ACCOUNT = serviceAccount;
+  });
+
+  const { status, body } = await request('POST', '/api/jwt', {
+    body: { idToken: `firebase:${passenger.email}` },
+  });
+
+  assert.equal(status, 500);
+  assert.equal(body.message, 'Failed to issue token');
+});
+
+test('protected routes need a valid JWT from the header or the cookie', async () => {
+  const missing = await request('GET', `/api/users/${passenger.email}`);
+  const forged = await request('GET', `/api/users/${passenger.email}`, {
+    headers: { Authorization: `Bearer ${jwt.sign({ email: passenger.email }, 'wrong-secret')}` },
+  });
+  const cookie = await request('GET', `/api/users/${passenger.email}`, {
+    headers: { Cookie: `token=${signToken(passenger.email)}` },
+  });
+
+  assert.equal(missing.status, 401);
+  assert.equal(forged.status, 401);
+  assert.equal(cookie.status, 200);
+  assert.equal(cookie.body.data.email, passenger.email);
+});
+
+test('role guards load the role from the database', async () => {
+  const asPassenger = await request('GET', '/api/users', { as: passenger.email });
+  const asAdmin = await request('GET', '/api/users', { as: admin.email });
+  const asUnknown = await request('GET', '/api/users', { as: 'nobody@test.dev' });
+
+  assert.equal(asPassenger.status, 403);
+  assert.equal(asAdmin.status, 200);
+  assert.equal(asUnknown.status, 403);
+
+  // A role change applies to the next request without a new JWT
+  await db.collection('users').updateOne({ email: otherPassenger.email }, { $set: { role: 'admin' } });
+  assert.equal((await request('GET', '/api/users', { as: otherPassenger.email })).status, 200);
+  await db.collection('users').updateOne({ email: otherPassenger.email }, { $set: { role: 'user' } });
+});
+
+test('a user profile is visible to its owner and admins only', async () => {
+  const owner = await request('GET', `/api/users/${passenger.email}`, { as: passenger.email });
+  const stranger = await request('GET', `/api/users/${passenger.email}`, { as: vendor.email });
+  const asAdmin = await request('GET', `/api/users/${passenger.email}`, { as: admin.email });
+
+  assert.equal(owner.status, 200);
+  assert.equal(stranger.status, 403);
+  assert.equal(asAdmin.status, 200);
+});
+
+test('saving a user takes the email from the JWT', async () => {
+  const { status } = await request('POST', '/api/users', {
+    as: 'new@test.dev',
+    body: { email: admin.email, name: 'New User', role: 'admin' },
+  });
+
+  assert.equal(status, 201);
+  const saved = await db.collection('users').findOne({ email: 'new@test.dev' });
+  assert.equal(saved.role, 'user');
+  assert.equal((await db.collection('users').findOne({ email: admin.email })).name, admin.name);
+});
+
+test('only admins can change roles', async () => {
+  const asVendor = await request('PATCH', `/api/users/${vendor.email}/role`, {
+    as: vendor.email,
+    body: { role: 'admin' },
+  });
+
+  assert.equal(asVendor.status, 403);
+  assert.equal((await db.collection('users').findOne({ email: vendor.email })).role, 'vendor');
+});
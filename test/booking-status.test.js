@@ -0,0 +1,157 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  db,
+  startServer,
+  stopServer,
+  request,
+  vendor,
+  passenger,
+  seedUsers,
+  createTicket,
+  getTicket,
+  getBooking,
+  book,
+} = require('./helpers/app');
+
+before(async () => {
+  await startServer();
+  await seedUsers();
+});
+
+after(stopServer);
+
+// A pending booking for one seat of a fresh two-seat ticket
+async function createPendingBooking() {
+  const ticket = await createTicket({ quantity: 2 });
+  const { status, body } = await book(ticket, { bookingQuantity: 1 });
+  assert.equal(status, 201);
+  return { ticket, bookingId: body.data.insertedId };
+}
+
+function accept(bookingId) {
+  return request('PATCH', `/api/bookings/${bookingId}/accept`, { as: vendor.email });
+}
+
+function reject(bookingId) {
+  return request('PATCH', `/api/bookings/${bookingId}/reject`, {
+    as: vendor.email,
+    body: { reason: 'Bus withdrawn' },
+  });
+}
+
+function cancel(bookingId) {
+  return request('PATCH', `/api/bookings/${bookingId}/cancel`, {
+    as: passenger.email,
+    body: { reason: 'Plans changed' },
+  });
+}
+
+test('accepting a booking records the transition and starts the payment window', async () => {
+  const { bookingId } = await createPendingBooking();
+
+  const { status } = await accept(bookingId);
+
+  assert.equal(status, 200);
+  const booking = await getBooking(bookingId);
+  assert.equal(booking.status, 'accepted');
+  assert.equal(booking.holdStatus, 'held');
+  assert.ok(booking.holdExpiresAt - Date.now() > 25 * 60 * 1000);
+  assert.deepEqual(
+    booking.statusHistory.map(({ from, to, by }) => ({ from, to, by })),
+    [
+      { from: null, to: 'pending', by: passenger.email },
+      { from: 'pending', to: 'accepted', by: vendor.email },
+    ]
+  );
+});
+
+test('a booking cannot be accepted twice', async () => {
+  const { bookingId } = await createPendingBooking();
+  await accept(bookingId);
+
+  const { status, body } = await accept(bookingId);
+
+  assert.equal(status, 409);
+  assert.equal(body.message, 'Cannot change booking from accepted to accepted');
+  assert.equal((await getBooking(bookingId)).statusHistory.length, 2);
+});
+
+test('an accepted booking cannot be rejected', async () => {
+  const { ticket, bookingId } = await createPendingBooking();
+  await accept(bookingId);
+
+  const { status, body } = await reject(bookingId);
+
+  assert.equal(status, 409);
+  assert.equal(body.message, 'Cannot change booking from accepted to rejected');
+  const booking = await getBooking(bookingId);
+  assert.equal(booking.status, 'accepted');
+  assert.equal(booking.holdStatus, 'held');
+  assert.equal((await getTicket(ticket._id)).quantity, 1);
+});
+
+test('an accept that loses the race to a reject is refused', async () => {
+  const { ticket, bookingId } = await createPendingBooking();
+
+  // Both read the booking as pending; the reject writes first
+  let rejected;
+  db.collection('bookings').beforeNextUpdate(async () => {
+    rejected = await reject(bookingId);
+  });
+  const accepted = await accept(bookingId);
+
+  assert.equal(rejected.status, 200);
+  assert.equal(accepted.status, 409);
+  assert.equal(accepted.body.message, 'Booking status changed. Please refresh and try again.');
+  const booking = await getBooking(bookingId);
+  assert.equal(booking.status, 'rejected');
+  assert.equal(booking.holdStatus, 'released');
+  assert.deepEqual(booking.statusHistory.map(entry => entry.to), ['pending', 'rejected']);
+  assert.equal((await getTicket(ticket._id)).quantity, 2);
+});
+
+test('a cancellation that loses the race to an accept is refused', async () => {
+  const { ticket, bookingId } = await createPendingBooking();
+
+  let accepted;
+  db.collection('bookings').beforeNextUpdate(async () => {
+    accepted = await accept(bookingId);
+  });
+  const cancelled = await cancel(bookingId);
+
+  assert.equal(accepted.status, 200);
+  assert.equal(cancelled.status, 409);
+  const booking = await getBooking(bookingId);
+  assert.equal(booking.status, 'accepted');
+  assert.equal(booking.holdStatus, 'held');
+  assert.equal((await getTicket(ticket._id)).quantity, 1);
+});
+
+test('cancelling an unpaid booking releases its seats once', async () => {
+  const { ticket, bookingId } = await createPendingBooking();
+  await accept(bookingId);
+
+  const first = await cancel(bookingId);
+  const second = await cancel(bookingId);
+
+  assert.equal(first.status, 200);
+  assert.deepEqual(first.body.data, { refundPercent: 0, refundAmount: 0 });
+  assert.equal(second.status, 409);
+  assert.equal(second.body.message, 'Cannot change booking from cancelled to cancelled');
+  const booking = await getBooking(bookingId);
+  assert.equal(booking.status, 'cancelled');
+  assert.equal(booking.holdStatus, 'released');
+  assert.equal((await getTicket(ticket._id)).quantity, 2);
+});
+
+test('only the ticket vendor can move a booking', async () => {
+  const { bookingId } = await createPendingBooking();
+
+  const asPassenger = await request('PATCH', `/api/bookings/${bookingId}/accept`, { as: passenger.email });
+  const anonymous = await request('PATCH', `/api/bookings/${bookingId}/accept`);
+
+  assert.equal(asPassenger.status, 403);
+  assert.equal(anonymous.status, 401);
+  assert.equal((await getBooking(bookingId)).status, 'pending');
+});
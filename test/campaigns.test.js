@@ -0,0 +1,239 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const {
+  db,
+  stripeCalls,
+  startServer,
+  stopServer,
+  request,
+  admin,
+  vendor,
+  passenger,
+  seedUsers,
+  createTicket,
+  getTicket,
+  deliverStripeEvent,
+} = require('./helpers/app');
+
+before(async () => {
+  await startServer();
+  await seedUsers();
+  await db.collection('users').insertOne({ email: 'rival@test.dev', name: 'Rival', role: 'vendor' });
+});
+
+after(stopServer);
+
+// YYYY-MM-DD `days` from today in the platform time zone
+function dateIn(days) {
+  const today = new Intl.DateTimeFormat('en-CA', { timeZone: 'Asia/Dhaka' }).format(new Date());
+  const date = new Date(`${today}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+function createCampaign(ticket, fields = {}, as = admin.email) {
+  return request('POST', '/api/campaigns', {
+    as,
+    body: { ticketId: ticket._id.toString(), startDate: dateIn(0), endDate: dateIn(0), ...fields },
+  });
+}
+
+function setSlots(slots, dailyPrice = 500) {
+  return request('PUT', '/api/advertising/settings', { as: admin.email, body: { slots, dailyPrice } });
+}
+
+function getCampaign(id) {
+  return db.collection('campaigns').findOne({ _id: new ObjectId(id) });
+}
+
+async function slotsTaken(date) {
+  return (await db.collection('adSlots').findOne({ _id: date }))?.count ?? 0;
+}
+
+// Start paying a vendor campaign the way the client does - returns { id, amount } of the intent
+async function startPayment(campaign) {
+  const { body } = await request('POST', `/api/campaigns/${campaign._id}/payment-intent`, { as: vendor.email });
+  return { id: body.clientSecret.replace(/_secret$/, ''), amount: body.amount };
+}
+
+// Stripe reporting the intent paid
+function confirmPayment(campaign, paymentIntent) {
+  return deliverStripeEvent({
+    id: `evt_${paymentIntent.id}`,
+    object: 'event',
+    type: 'payment_intent.succeeded',
+    data: {
+      object: {
+        id: paymentIntent.id,
+        object: 'payment_intent',
+        amount_received: Math.round(paymentIntent.amount * 100),
+        currency: 'bdt',
+        created: Math.floor(Date.now() / 1000),
+        metadata: { campaignId: campaign._id.toString() },
+      },
+    },
+  });
+}
+
+test('the admin shortcut starts a campaign today and cancelling it frees the slot', async () => {
+  const ticket = await createTicket({ title: 'Shortcut trip' });
+
+  const started = await request('PATCH', `/api/tickets/${ticket._id}/advertise`, {
+    as: admin.email,
+    body: { isAdvertised: true, days: 3 },
+  });
+  const advertised = await getTicket(ticket._id);
+  const stopped = await request('PATCH', `/api/tickets/${ticket._id}/advertise`, {
+    as: admin.email,
+    body: { isAdvertised: false },
+  });
+
+  assert.equal(started.status, 200);
+  assert.deepEqual(
+    [started.body.data.status, started.body.data.startDate, started.body.data.endDate],
+    ['confirmed', dateIn(0), dateIn(2)]
+  );
+  assert.equal(advertised.isAdvertised, true);
+  assert.equal(stopped.body.data.cancelledCampaigns, 1);
+  assert.equal((await getTicket(ticket._id)).isAdvertised, false);
+  assert.equal((await getCampaign(started.body.data._id)).status, 'cancelled');
+  assert.equal(await slotsTaken(dateIn(0)), 0);
+});
+
+test('a vendor pays per day for a campaign, and an admin cancelling it refunds the days not yet run', async () => {
+  const ticket = await createTicket({ title: 'Paid ad' });
+
+  const reserved = await createCampaign(ticket, { startDate: dateIn(3), endDate: dateIn(4), priority: 90 }, vendor.email);
+  const paymentIntent = await startPayment(reserved.body.data);
+  await confirmPayment(reserved.body.data, paymentIntent);
+  const confirmed = await getCampaign(reserved.body.data._id);
+  const byVendor = await request('DELETE', `/api/campaigns/${confirmed._id}`, { as: vendor.email });
+  const byAdmin = await request('DELETE', `/api/campaigns/${confirmed._id}`, { as: admin.email });
+
+  assert.equal(reserved.status, 201);
+  assert.deepEqual(
+    [reserved.body.data.status, reserved.body.data.price, reserved.body.data.priority],
+    ['pending_payment', 1000, 0] // priority is for admins to set
+  );
+  assert.equal(confirmed.status, 'confirmed');
+  assert.equal(confirmed.paymentIntentId, paymentIntent.id);
+  const sale = await db.collection('ledger').findOne({ key: `campaign:${confirmed._id}` });
+  assert.deepEqual(sale.lines, [
+    { account: 'platform:cash', debit: 1000 },
+    { account: 'platform:advertising', credit: 1000 },
+  ]);
+  assert.equal(byVendor.status, 409);
+  assert.equal(byAdmin.status, 200);
+  assert.equal(byAdmin.body.data.refunded, 1000);
+  const refund = stripeCalls.filter(call => call.method === 'refunds.create').at(-1);
+  assert.equal(refund.params.payment_intent, paymentIntent.id);
+  assert.equal(refund.params.amount, 100000);
+  assert.equal(await slotsTaken(dateIn(3)), 0);
+});
+
+test('a full day is refused, and an unpaid campaign gives its slots back when the payment window ends', async () => {
+  await setSlots(1);
+  const ticket = await createTicket({ title: 'Unpaid ad' });
+  const other = await createTicket({ title: 'Waiting ad' });
+
+  const unpaid = await createCampaign(ticket, { startDate: dateIn(5), endDate: dateIn(5) }, vendor.email);
+  const paymentIntent = await startPayment(unpaid.body.data);
+  const full = await createCampaign(other, { startDate: dateIn(5), endDate: dateIn(5) });
+  await db
+    .collection('campaigns')
+    .updateOne({ _id: new ObjectId(unpaid.body.data._id) }, { $set: { holdExpiresAt: new Date(Date.now() - 1000) } });
+  const freed = await createCampaign(other, { startDate: dateIn(5), endDate: dateIn(5) });
+  await confirmPayment(unpaid.body.data, paymentIntent); // paid too late, the day is someone else's now
+
+  assert.equal(full.status, 409);
+  assert.equal(full.body.message, `All 1 advertising slots are taken on ${dateIn(5)}`);
+  assert.equal(freed.status, 201);
+  const lapsed = await getCampaign(unpaid.body.data._id);
+  assert.equal(lapsed.cancelReason, 'payment_window_expired');
+  assert.equal(await slotsTaken(dateIn(5)), 1);
+  const refund = stripeCalls.filter(call => call.method === 'refunds.create').at(-1);
+  assert.equal(refund.params.payment_intent, paymentIntent.id);
+  assert.equal(lapsed.paymentStatus, 'refunded');
+});
+
+test("the homepage shows today's campaigns by priority up to the slot count", async () => {
+  await setSlots(3);
+  const low = await createTicket({ title: 'Low priority' });
+  const high = await createTicket({ title: 'High priority' });
+  const spare = await createTicket({ title: 'Spare' });
+  await createCampaign(low, { priority: 1 });
+  await createCampaign(high, { priority: 5 });
+  await createCampaign(spare, { priority: 0 });
+  await setSlots(2); // fewer slots leaves booked campaigns alone, only fewer are shown
+
+  const { body } = await request('GET', '/api/tickets/advertised');
+
+  assert.deepEqual(
+    body.data.map(ticket => [ticket.title, ticket.position]),
+    [
+      ['High priority', 1],
+      ['Low priority', 2],
+    ]
+  );
+});
+
+test("views and clicks count once per viewer and day, never the vendor's own", async () => {
+  await setSlots(6);
+  const ticket = await createTicket({ title: 'Tracked ad' });
+  const { body } = await request('PATCH', `/api/tickets/${ticket._id}/advertise`, {
+    as: admin.email,
+    body: { isAdvertised: true, days: 1 },
+  });
+  const campaignIds = [body.data._id];
+
+  const seen = await request('POST', '/api/campaigns/impressions', { as: passenger.email, body: { campaignIds } });
+  await request('POST', '/api/campaigns/impressions', { as: passenger.email, body: { campaignIds } });
+  await request('POST', '/api/campaigns/impressions', { body: { campaignIds } }); // anonymous, by IP
+  await request('POST', '/api/campaigns/impressions', { as: vendor.email, body: { campaignIds } });
+  const click = await request('POST', `/api/campaigns/${body.data._id}/click`, { as: passenger.email });
+  await request('POST', `/api/campaigns/${body.data._id}/click`, { as: passenger.email });
+  await request('POST', `/api/campaigns/${body.data._id}/click`, { as: vendor.email });
+  const stats = await request('GET', `/api/campaigns/vendor/${vendor.email}`, { as: vendor.email });
+
+  assert.equal(seen.body.data.counted, 1);
+  assert.equal(click.body.data.ticketId, ticket._id.toString());
+  const tracked = stats.body.data.find(campaign => campaign._id === body.data._id);
+  assert.deepEqual([tracked.impressions, tracked.clicks, tracked.clickThroughRate], [2, 1, 50]);
+});
+
+test('campaigns are checked against the ticket, its owner and its dates', async () => {
+  const ticket = await createTicket({ title: 'Checked ad' });
+  const pending = await createTicket({ title: 'Unreviewed', verificationStatus: 'pending' });
+
+  const rival = await createCampaign(ticket, {}, 'rival@test.dev');
+  const past = await createCampaign(ticket, { startDate: dateIn(-1) });
+  const afterDeparture = await createCampaign(ticket, { endDate: dateIn(30) });
+  const unapproved = await createCampaign(pending);
+  const asPassenger = await createCampaign(ticket, {}, passenger.email);
+  const noFlag = await request('PATCH', `/api/tickets/${ticket._id}/advertise`, { as: admin.email, body: { days: 3 } });
+  const noDays = await request('PATCH', `/api/tickets/${ticket._id}/advertise`, {
+    as: admin.email,
+    body: { isAdvertised: true, days: 0 },
+  });
+  const vendorPriority = await request('PATCH', `/api/campaigns/${new ObjectId()}`, {
+    as: vendor.email,
+    body: { priority: 100 },
+  });
+  const vendorSettings = await request('PUT', '/api/advertising/settings', {
+    as: vendor.email,
+    body: { slots: 50, dailyPrice: 0 },
+  });
+
+  assert.equal(rival.status, 403);
+  assert.equal(past.status, 400);
+  assert.equal(past.body.errors[0].field, 'startDate');
+  assert.equal(afterDeparture.status, 400);
+  assert.equal(afterDeparture.body.errors[0].message, 'endDate must be on or before the departure date');
+  assert.equal(unapproved.status, 404);
+  assert.equal(asPassenger.status, 403);
+  assert.equal(noFlag.body.errors[0].field, 'isAdvertised');
+  assert.equal(noDays.body.errors[0].field, 'days');
+  assert.equal(vendorPriority.status, 403);
+  assert.equal(vendorSettings.status, 403);
+});
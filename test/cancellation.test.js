@@ -0,0 +1,197 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  db,
+  stripeCalls,
+  startServer,
+  stopServer,
+  request,
+  admin,
+  vendor,
+  passenger,
+  otherPassenger,
+  seedUsers,
+  createTicket,
+  getTicket,
+  getBooking,
+  book,
+  createPaidBooking,
+} = require('./helpers/app');
+
+const HOUR = 60 * 60 * 1000;
+
+before(async () => {
+  await startServer();
+  await seedUsers();
+});
+
+after(stopServer);
+
+function cancel(bookingId, as = passenger.email) {
+  return request('PATCH', `/api/bookings/${bookingId}/cancel`, { as, body: { reason: 'Plans changed' } });
+}
+
+function refundsFor(booking) {
+  return stripeCalls.filter(
+    call => call.method === 'refunds.create' && call.params.metadata?.bookingId === booking._id.toString()
+  );
+}
+
+// Move a ticket's departure relative to now
+async function departIn(ticket, milliseconds) {
+  const departure = new Date(Date.now() + milliseconds);
+  await db.collection('tickets').updateOne(
+    { _id: ticket._id },
+    { $set: { departureDateTime: departure.toISOString(), departureAt: departure } }
+  );
+}
+
+test('cancelling well before departure refunds the full price through Stripe', async () => {
+  const ticket = await createTicket({ quantity: 3 });
+  const booking = await createPaidBooking(ticket, { bookingQuantity: 2 });
+
+  const { status, body } = await cancel(booking._id);
+
+  assert.equal(status, 200);
+  assert.deepEqual(
+    { refundPercent: body.data.refundPercent, refundAmount: body.data.refundAmount },
+    { refundPercent: 100, refundAmount: 1600 }
+  );
+  const [refund] = refundsFor(booking);
+  assert.equal(refund.params.payment_intent, booking.paymentIntentId);
+  assert.equal(refund.params.amount, 160000); // paisa
+  assert.equal(refund.options.idempotencyKey, `cancel-refund-${booking._id}`);
+
+  const cancelled = await getBooking(booking._id);
+  assert.equal(cancelled.status, 'cancelled');
+  assert.equal(cancelled.cancellationReason, 'Plans changed');
+  assert.equal(cancelled.refundStatus, 'refunded');
+  assert.equal(cancelled.paymentStatus, 'refunded');
+  assert.equal((await getTicket(ticket._id)).quantity, 3);
+  const transaction = await db.collection('transactions').findOne({
+    paymentIntentId: booking.paymentIntentId,
+    type: 'refund',
+  });
+  assert.equal(transaction.amount, 1600);
+});
+
+test("the vendor's own refund tiers decide the refund", async t => {
+  t.after(() => db.collection('users').updateOne({ email: vendor.email }, { $unset: { refundPolicy: '' } }));
+  const policy = await request('PATCH', `/api/users/${vendor.email}/refund-policy`, {
+    as: vendor.email,
+    body: {
+      refundPolicy: [
+        { minHoursBeforeDeparture: 24, refundPercent: 25 },
+        { minHoursBeforeDeparture: 240, refundPercent: 100 },
+      ],
+    },
+  });
+  assert.equal(policy.status, 200);
+  const ticket = await createTicket({ quantity: 2 }); // departs in 7 days - between the tiers
+  const booking = await createPaidBooking(ticket);
+
+  const { body } = await cancel(booking._id);
+
+  assert.equal(body.data.refundPercent, 25);
+  assert.equal(body.data.refundAmount, 200);
+  assert.equal(refundsFor(booking)[0].params.amount, 20000);
+  assert.equal((await getBooking(booking._id)).paymentStatus, 'partially_refunded');
+});
+
+test('cancelling close to departure gives the seats back without a refund', async () => {
+  const ticket = await createTicket({ quantity: 2 });
+  const booking = await createPaidBooking(ticket);
+  await departIn(ticket, 6 * HOUR);
+
+  const { status, body } = await cancel(booking._id);
+
+  assert.equal(status, 200);
+  assert.equal(body.message, 'Booking cancelled. No refund applies this close to departure.');
+  assert.equal(refundsFor(booking).length, 0);
+  const cancelled = await getBooking(booking._id);
+  assert.equal(cancelled.refundStatus, 'none');
+  assert.equal(cancelled.refundAmount, 0);
+  assert.equal((await getTicket(ticket._id)).quantity, 2);
+});
+
+test('a booking cannot be cancelled after departure', async () => {
+  const ticket = await createTicket({ quantity: 2 });
+  const booking = await createPaidBooking(ticket);
+  await departIn(ticket, -HOUR);
+
+  const { status, body } = await cancel(booking._id);
+
+  assert.equal(status, 409);
+  assert.equal(body.message, 'Cannot cancel after departure');
+  assert.equal((await getBooking(booking._id)).status, 'paid');
+});
+
+test('an unpaid booking is cancelled without a refund and its hold is released', async () => {
+  const ticket = await createTicket({ quantity: 2 });
+  const { body } = await book(ticket, { bookingQuantity: 1 });
+
+  const { status, body: cancelled } = await cancel(body.data.insertedId);
+
+  assert.equal(status, 200);
+  assert.deepEqual(cancelled.data, { refundPercent: 0, refundAmount: 0 });
+  assert.equal((await getBooking(body.data.insertedId)).status, 'cancelled');
+  assert.equal((await getTicket(ticket._id)).quantity, 2);
+});
+
+test('two cancellations at once refund once', async () => {
+  const ticket = await createTicket({ quantity: 2 });
+  const booking = await createPaidBooking(ticket);
+
+  // Both requests read the booking as paid; the second one claims it first
+  let second;
+  db.collection('bookings').beforeNextUpdate(async () => {
+    second = await cancel(booking._id);
+  });
+  const first = await cancel(booking._id);
+
+  assert.deepEqual([first.status, second.status].sort(), [200, 409]);
+  assert.equal(refundsFor(booking).length, 1);
+  assert.equal((await getTicket(ticket._id)).quantity, 2);
+});
+
+test("a user cannot cancel someone else's booking", async () => {
+  const ticket = await createTicket({ quantity: 2 });
+  const booking = await createPaidBooking(ticket);
+
+  const { status } = await cancel(booking._id, otherPassenger.email);
+
+  assert.equal(status, 404);
+  assert.equal((await getBooking(booking._id)).status, 'paid');
+});
+
+test('vendors set only their own refund policy, and only with valid tiers', async () => {
+  const invalid = await request('PATCH', `/api/users/${vendor.email}/refund-policy`, {
+    as: vendor.email,
+    body: { refundPolicy: [{ minHoursBeforeDeparture: 24, refundPercent: 150 }] },
+  });
+  const nullTier = await request('PATCH', `/api/users/${vendor.email}/refund-policy`, {
+    as: vendor.email,
+    body: { refundPolicy: [null] },
+  });
+  const tooMany = await request('PATCH', `/api/users/${vendor.email}/refund-policy`, {
+    as: vendor.email,
+    body: {
+      refundPolicy: Array.from({ length: 11 }, (_, hours) => ({ minHoursBeforeDeparture: hours, refundPercent: 50 })),
+    },
+  });
+  const someoneElse = await request('PATCH', `/api/users/${admin.email}/refund-policy`, {
+    as: vendor.email,
+    body: { refundPolicy: [] },
+  });
+  const current = await request('GET', `/api/users/${vendor.email}/refund-policy`, { as: passenger.email });
+
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.errors[0].field, 'refundPolicy');
+  assert.equal(nullTier.status, 400);
+  assert.equal(tooMany.status, 400);
+  assert.equal(someoneElse.status, 403);
+  assert.deepEqual(current.body.data, [
+    { minHoursBeforeDeparture: 48, refundPercent: 100 },
+    { minHoursBeforeDeparture: 12, refundPercent: 50 },
+  ]);
+});
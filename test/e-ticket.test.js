@@ -0,0 +1,122 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const {
+  db,
+  startServer,
+  stopServer,
+  request,
+  signToken,
+  vendor,
+  passenger,
+  otherPassenger,
+  seedUsers,
+  createTicket,
+  getBooking,
+  book,
+  createPaidBooking,
+} = require('./helpers/app');
+
+before(async () => {
+  await startServer();
+  await seedUsers();
+});
+
+after(stopServer);
+
+// What the QR code on the e-ticket carries
+function boardingToken(booking, secret = process.env.TICKET_QR_SECRET) {
+  return jwt.sign(
+    {
+      typ: 'boarding',
+      bookingId: booking._id.toString(),
+      ticketId: booking.ticketId,
+      vendorEmail: booking.vendorEmail,
+    },
+    secret
+  );
+}
+
+function checkIn(token, as = vendor.email) {
+  return request('POST', '/api/bookings/check-in', { as, body: { token } });
+}
+
+test('a paid booking downloads as a PDF e-ticket', async () => {
+  const ticket = await createTicket({ seats: ['1A', '1B'] });
+  const booking = await createPaidBooking(ticket, { seatNumbers: ['1A'] });
+
+  const { status, headers, body } = await request('GET', `/api/bookings/${booking._id}/e-ticket`, {
+    as: passenger.email,
+  });
+
+  assert.equal(status, 200);
+  assert.equal(headers.get('content-type'), 'application/pdf');
+  assert.equal(headers.get('content-disposition'), `attachment; filename="nexticket-${booking._id}.pdf"`);
+  assert.ok(body.startsWith('%PDF'));
+});
+
+test("an unpaid booking or someone else's has no e-ticket", async () => {
+  const ticket = await createTicket({ quantity: 2 });
+  const { body } = await book(ticket, { bookingQuantity: 1 });
+  const paid = await createPaidBooking(ticket);
+
+  const unpaid = await request('GET', `/api/bookings/${body.data.insertedId}/e-ticket`, { as: passenger.email });
+  const stranger = await request('GET', `/api/bookings/${paid._id}/e-ticket`, { as: otherPassenger.email });
+
+  assert.equal(unpaid.status, 409);
+  assert.equal(unpaid.body.message, 'E-ticket is available once the booking is paid');
+  assert.equal(stranger.status, 404);
+});
+
+test('scanning the QR code checks the passenger in once', async () => {
+  const ticket = await createTicket({ quantity: 2 });
+  const booking = await createPaidBooking(ticket);
+
+  const first = await checkIn(boardingToken(booking));
+  const again = await checkIn(boardingToken(booking));
+
+  assert.equal(first.status, 200);
+  assert.equal(first.body.data.passenger, passenger.name);
+  assert.equal(again.status, 409);
+  assert.equal(again.body.message, 'Passenger already checked in');
+  const boarded = await getBooking(booking._id);
+  assert.equal(boarded.status, 'boarded');
+  assert.ok(boarded.boardedAt);
+  const { from, to, by } = boarded.statusHistory.at(-1);
+  assert.deepEqual({ from, to, by }, { from: 'paid', to: 'boarded', by: vendor.email });
+});
+
+test('a forged token or a login JWT is not a boarding pass', async () => {
+  const ticket = await createTicket({ quantity: 2 });
+  const booking = await createPaidBooking(ticket);
+
+  const forged = await checkIn(boardingToken(booking, 'guessed-secret'));
+  const loginToken = await checkIn(signToken(passenger.email));
+
+  assert.equal(forged.status, 400);
+  assert.equal(forged.body.message, 'Invalid or tampered e-ticket');
+  assert.equal(loginToken.status, 400);
+  assert.equal((await getBooking(booking._id)).status, 'paid');
+});
+
+test("a vendor cannot board another vendor's passengers", async () => {
+  await db.collection('users').insertOne({ email: 'rival@test.dev', name: 'Rival', role: 'vendor' });
+  const ticket = await createTicket({ quantity: 2 });
+  const booking = await createPaidBooking(ticket);
+
+  const { status, body } = await checkIn(boardingToken(booking), 'rival@test.dev');
+
+  assert.equal(status, 403);
+  assert.equal(body.message, 'This e-ticket belongs to another vendor');
+});
+
+test('a cancelled booking cannot board', async () => {
+  const ticket = await createTicket({ quantity: 2 });
+  const booking = await createPaidBooking(ticket);
+  await request('PATCH', `/api/bookings/${booking._id}/cancel`, { as: passenger.email, body: {} });
+
+  const { status, body } = await checkIn(boardingToken(booking));
+
+  assert.equal(status, 409);
+  assert.equal(body.message, 'Cannot change booking from cancelled to boarded');
+});
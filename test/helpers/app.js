@@ -0,0 +1,286 @@
+// Boots the server against an in-memory database and talks to it over HTTP.
+// Each test file runs in its own process (node --test), so each gets a fresh app and database.
+// Firebase and the Stripe API are faked; Stripe webhook signing stays real.
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const { MongoClient, ObjectId } = require('mongodb');
+const { MemoryDb } = require('./memory-db');
+
+process.env.MONGODB_URI = 'mongodb://127.0.0.1:1';
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.STRIPE_SECRET_KEY = 'sk_test_integration';
+process.env.STRIPE_WEBHOOK_SECRET = 'whsec_integration';
+process.env.TICKET_QR_SECRET = 'test-qr-secret';
+process.env.FIREBASE_SERVICE_ACCOUNT = JSON.stringify({
+  project_id: 'nexticket-test',
+  client_email: 'firebase-adminsdk@nexticket-test.iam.gserviceaccount.com',
+  private_key: crypto
+    .generateKeyPairSync('rsa', { modulusLength: 2048 })
+    .privateKey.export({ type: 'pkcs8', format: 'pem' }),
+});
+process.env.NOTIFICATION_TRANSPORT = 'file';
+process.env.NOTIFICATION_FILE = path.join(os.tmpdir(), `nexticket-test-${process.pid}.log`);
+process.env.DOTENV_CONFIG_QUIET = 'true';
+
+// The server's debug logs share stdout with the test runner's reporter - keep only errors (stderr)
+console.log = () => {};
+
+// Firebase: 'firebase:<email>' is a valid ID token for <email>, anything else is rejected
+const firebaseAuth = require('firebase-admin/auth');
+firebaseAuth.getAuth = () => ({
+  verifyIdToken: async idToken => {
+    if (!idToken.startsWith('firebase:')) {
+      throw Object.assign(new Error('Decoding Firebase ID token failed'), { code: 'auth/argument-error' });
+    }
+    return { email: idToken.slice('firebase:'.length) };
+  },
+});
+
+// Stripe: API calls are recorded in stripeCalls and answered locally
+const stripeCalls = [];
+const Stripe = require('stripe');
+require.cache[require.resolve('stripe')].exports = (...args) => {
+  const stripe = Stripe(...args);
+  const paymentIntents = new Map();
+
+  stripe.paymentIntents.create = async (params, options) => {
+    stripeCalls.push({ method: 'paymentIntents.create', params, options });
+    const paymentIntent = {
+      id: `pi_test_${stripeCalls.length}`,
+      object: 'payment_intent',
+      client_secret: `pi_test_${stripeCalls.length}_secret`,
+      status: 'requires_payment_method',
+      ...params,
+    };
+    paymentIntents.set(paymentIntent.id, paymentIntent);
+    return paymentIntent;
+  };
+  stripe.paymentIntents.retrieve = async id => {
+    stripeCalls.push({ method: 'paymentIntents.retrieve', params: { id } });
+    return paymentIntents.get(id) || { id, object: 'payment_intent', status: 'succeeded' };
+  };
+  stripe.refunds.create = async (params, options) => {
+    stripeCalls.push({ method: 'refunds.create', params, options });
+    return { id: `re_test_${stripeCalls.length}`, object: 'refund', status: 'succeeded', ...params };
+  };
+  return stripe;
+};
+const stripeWebhooks = Stripe(process.env.STRIPE_SECRET_KEY).webhooks;
+
+const db = new MemoryDb();
+let connected;
+const isConnected = new Promise(resolve => {
+  connected = resolve;
+});
+MongoClient.prototype.connect = async function connect() {
+  connected();
+  return this;
+};
+MongoClient.prototype.db = () => db;
+MongoClient.prototype.close = async () => {};
+
+const app = require('../../index');
+
+let server;
+let baseUrl;
+
+async function startServer() {
+  // Let the startup connection (and anything it kicks off, like index creation) run first
+  await isConnected;
+  await new Promise(resolve => setImmediate(resolve));
+
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+}
+
+async function stopServer() {
+  await new Promise(resolve => server.close(resolve));
+  await fs.promises.rm(process.env.NOTIFICATION_FILE, { force: true });
+}
+
+function signToken(email) {
+  return jwt.sign({ email }, process.env.JWT_SECRET);
+}
+
+// JSON request, logged in as `as` if given - returns { status, headers, body }
+async function request(method, url, { as, body, headers = {} } = {}) {
+  const response = await fetch(`${baseUrl}${url}`, {
+    method,
+    headers: {
+      ...(as && { Authorization: `Bearer ${signToken(as)}` }),
+      ...(body !== undefined && typeof body !== 'string' && { 'Content-Type': 'application/json' }),
+      ...headers,
+    },
+    body: body === undefined || typeof body === 'string' ? body : JSON.stringify(body),
+  });
+  const text = await response.text();
+  let parsed = text;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    // not JSON (e.g. a file download)
+  }
+  return { status: response.status, headers: response.headers, body: parsed };
+}
+
+// Server-Sent Events stream, logged in as `as` - next(event) resolves with that event's next data
+async function openEventStream(url, { as } = {}) {
+  const controller = new AbortController();
+  const response = await fetch(`${baseUrl}${url}`, {
+    headers: as ? { Authorization: `Bearer ${signToken(as)}` } : {},
+    signal: controller.signal,
+  });
+  const events = [];
+
+  if (response.ok) {
+    (async () => {
+      const decoder = new TextDecoder();
+      let buffer = '';
+      for await (const chunk of response.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        const blocks = buffer.split('\n\n');
+        buffer = blocks.pop();
+        for (const block of blocks) {
+          const event = block.match(/^event: (.*)$/m)?.[1];
+          const data = block.match(/^data: (.*)$/m)?.[1];
+          if (event && data) events.push({ event, data: JSON.parse(data) });
+        }
+      }
+    })().catch(() => {}); // aborted by close()
+  }
+
+  return {
+    status: response.status,
+    async next(event) {
+      for (let attempt = 0; attempt < 100; attempt++) {
+        const index = events.findIndex(message => message.event === event);
+        if (index !== -1) return events.splice(index, 1)[0].data;
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+      throw new Error(`No ${event} event received`);
+    },
+    close: () => controller.abort(),
+  };
+}
+
+const admin = { email: 'admin@test.dev', name: 'Test Admin', role: 'admin' };
+const vendor = { email: 'vendor@test.dev', name: 'Test Vendor', role: 'vendor' };
+const passenger = { email: 'user@test.dev', name: 'Test User', role: 'user' };
+const otherPassenger = { email: 'other@test.dev', name: 'Other User', role: 'user' };
+
+// Passenger details Train and Flight bookings need (one per seat)
+const traveller = { name: 'Test Traveller', age: 30, gender: 'female', idType: 'nid', idNumber: 'NID-1001', phone: '+8801700000000' };
+
+async function seedUsers() {
+  await db
+    .collection('users')
+    .insertMany([admin, vendor, passenger, otherPassenger].map(user => ({ ...user, createdAt: new Date() })));
+}
+
+// An approved bus ticket departing in a week - pass seat numbers for a seat map
+async function createTicket({ quantity = 2, seats, ...fields } = {}) {
+  const departure = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+  const ticket = {
+    _id: new ObjectId(),
+    title: 'Dhaka to Chattogram',
+    fromLocation: 'Dhaka',
+    toLocation: 'Chattogram',
+    transportType: 'Bus',
+    pricePerUnit: 800,
+    quantity: seats ? seats.length : quantity,
+    departureDateTime: departure.toISOString(),
+    departureAt: departure,
+    vendorEmail: vendor.email,
+    vendorName: vendor.name,
+    verificationStatus: 'approved',
+    createdAt: new Date(),
+    ...fields,
+  };
+  if (seats) {
+    ticket.seats = seats.map(seatNumber => ({ seatNumber, status: 'available', bookingId: null }));
+  }
+  await db.collection('tickets').insertOne(ticket);
+  return ticket;
+}
+
+async function getTicket(ticketId) {
+  return db.collection('tickets').findOne({ _id: new ObjectId(ticketId) });
+}
+
+async function getBooking(bookingId) {
+  return db.collection('bookings').findOne({ _id: new ObjectId(bookingId) });
+}
+
+// Book as a passenger - returns { status, body }
+function book(ticket, bookingData = { bookingQuantity: 1 }, as = passenger.email) {
+  return request('POST', '/api/bookings', {
+    as,
+    body: { ticketId: ticket._id.toString(), ...bookingData },
+  });
+}
+
+// Deliver a Stripe event the way Stripe does - raw JSON body with a signature header
+function deliverStripeEvent(event, { secret = process.env.STRIPE_WEBHOOK_SECRET } = {}) {
+  const payload = JSON.stringify(event);
+  return request('POST', '/api/webhooks/stripe', {
+    body: payload,
+    headers: {
+      'Content-Type': 'application/json',
+      'stripe-signature': stripeWebhooks.generateTestHeaderString({ payload, secret }),
+    },
+  });
+}
+
+function paymentSucceededEvent(booking) {
+  return {
+    id: `evt_${booking._id}`,
+    object: 'event',
+    type: 'payment_intent.succeeded',
+    data: {
+      object: {
+        id: `pi_${booking._id}`,
+        object: 'payment_intent',
+        amount_received: Math.round(booking.totalPrice * 100),
+        currency: 'bdt',
+        created: Math.floor(Date.now() / 1000),
+        metadata: { bookingId: booking._id.toString() },
+      },
+    },
+  };
+}
+
+// Book, have the vendor accept and pay through the webhook - returns the paid booking
+async function createPaidBooking(ticket, bookingData = { bookingQuantity: 1 }, as = passenger.email) {
+  const { body } = await book(ticket, bookingData, as);
+  const bookingId = body.data.insertedId;
+  await request('PATCH', `/api/bookings/${bookingId}/accept`, { as: ticket.vendorEmail });
+  await deliverStripeEvent(paymentSucceededEvent(await getBooking(bookingId)));
+  return getBooking(bookingId);
+}
+
+module.exports = {
+  db,
+  stripeCalls,
+  startServer,
+  stopServer,
+  signToken,
+  request,
+  openEventStream,
+  admin,
+  vendor,
+  passenger,
+  otherPassenger,
+  traveller,
+  seedUsers,
+  createTicket,
+  getTicket,
+  getBooking,
+  book,
+  deliverStripeEvent,
+  paymentSucceededEvent,
+  createPaidBooking,
+};
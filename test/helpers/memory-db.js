@@ -0,0 +1,358 @@
+// In-memory stand-in for the MongoDB driver's Db, built on mingo.
+// Covers the collection methods the server uses. Every operation runs synchronously
+// behind a promise, so each call is atomic - the same guarantee a single Mongo document
+// write gives - while concurrent requests still interleave between calls.
+const mingo = require('mingo');
+const { ObjectId } = require('mongodb');
+
+function clone(value) {
+  if (value instanceof ObjectId) return value;
+  if (value instanceof Date) return new Date(value);
+  if (Array.isArray(value)) return value.map(clone);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, clone(v)]));
+  }
+  return value;
+}
+
+function getPath(doc, path) {
+  return path.split('.').reduce((value, key) => value?.[key], doc);
+}
+
+function duplicateKeyError(collectionName, key) {
+  const error = new Error(`E11000 duplicate key error collection: ${collectionName} dup key: ${key}`);
+  error.code = 11000;
+  return error;
+}
+
+// Rewrite 'seats.$[seat].status' into one concrete path per matching element -
+// mingo refuses two $set paths through the same filtered array
+function resolveArrayFilters(doc, modifier, arrayFilters = []) {
+  const resolved = {};
+
+  for (const [operator, fields] of Object.entries(modifier)) {
+    resolved[operator] = {};
+    for (const [path, value] of Object.entries(fields)) {
+      const match = path.match(/^(.*?)\.\$\[(\w+)\]((?:\..*)?)$/);
+      if (!match) {
+        resolved[operator][path] = value;
+        continue;
+      }
+
+      const [, prefix, identifier, suffix] = match;
+      const condition = {};
+      for (const filter of arrayFilters) {
+        for (const [key, test] of Object.entries(filter)) {
+          if (key === identifier) condition.value = test;
+          else if (key.startsWith(`${identifier}.`)) condition[`value.${key.slice(identifier.length + 1)}`] = test;
+        }
+      }
+      const query = new mingo.Query(condition);
+      (getPath(doc, prefix) || []).forEach((element, index) => {
+        if (query.test({ value: element })) {
+          resolved[operator][`${prefix}.${index}${suffix}`] = value;
+        }
+      });
+    }
+  }
+
+  return resolved;
+}
+
+// Apply an update document or pipeline in place - returns whether anything changed
+function applyUpdate(doc, update, { arrayFilters, filter, inserting = false } = {}) {
+  const before = JSON.stringify(doc);
+
+  if (Array.isArray(update)) {
+    const [updated] = mingo.aggregate([clone(doc)], update);
+    for (const key of Object.keys(doc)) delete doc[key];
+    Object.assign(doc, updated);
+  } else {
+    const { $setOnInsert, ...modifier } = update;
+    if (inserting && $setOnInsert) {
+      modifier.$set = { ...$setOnInsert, ...modifier.$set };
+    }
+    const resolved = resolveArrayFilters(doc, clone(modifier), arrayFilters);
+    for (const [operator, fields] of Object.entries(resolved)) {
+      if (!Object.keys(fields).length) continue;
+      // mingo resolves the positional operator (field.$) against the filter
+      const positional = Object.keys(fields).some(field => field.includes('.$.') || field.endsWith('.$'));
+      mingo.update(doc, { [operator]: fields }, undefined, positional ? filter : undefined);
+    }
+  }
+
+  return JSON.stringify(doc) !== before;
+}
+
+// Plain equality fields of a filter, the starting point of an upserted document
+function upsertBase(filter) {
+  const doc = {};
+  for (const [key, value] of Object.entries(filter)) {
+    if (key.startsWith('$')) continue;
+    if (value && typeof value === 'object' && !(value instanceof ObjectId) && !(value instanceof Date)) {
+      if (Object.keys(value).some(k => k.startsWith('$'))) continue;
+    }
+    // mingo refuses to $set _id, which is immutable once a document exists
+    if (key === '_id') doc._id = clone(value);
+    else mingo.update(doc, { $set: { [key]: clone(value) } });
+  }
+  return doc;
+}
+
+class MemoryCursor {
+  constructor(load) {
+    this.load = load;
+    this.options = {};
+  }
+
+  sort(sort) {
+    this.options.sort = sort;
+    return this;
+  }
+
+  skip(skip) {
+    this.options.skip = skip;
+    return this;
+  }
+
+  limit(limit) {
+    this.options.limit = limit;
+    return this;
+  }
+
+  project(projection) {
+    this.options.projection = projection;
+    return this;
+  }
+
+  async toArray() {
+    return this.load(this.options);
+  }
+
+  async *[Symbol.asyncIterator]() {
+    yield* await this.toArray();
+  }
+}
+
+class MemoryCollection {
+  constructor(db, name) {
+    this.db = db;
+    this.collectionName = name;
+    this.docs = [];
+    this.uniqueIndexes = [];
+    this.writeHooks = [];
+  }
+
+  // Run fn (once) just before the next update reaches this collection - lets a test
+  // slip a competing request in between a route's read and its write
+  beforeNextUpdate(fn) {
+    this.writeHooks.push(fn);
+  }
+
+  async runWriteHooks() {
+    const hooks = this.writeHooks.splice(0);
+    for (const hook of hooks) await hook();
+  }
+
+  // Matching documents themselves (not copies), in sort order
+  match(filter = {}, sort) {
+    let cursor = mingo.find(this.docs, filter);
+    if (sort) cursor = cursor.sort(sort);
+    return cursor.all();
+  }
+
+  select(docs, { projection, skip, limit } = {}) {
+    let selected = docs;
+    if (skip) selected = selected.slice(skip);
+    if (limit) selected = selected.slice(0, limit);
+    if (projection && Object.keys(projection).length) {
+      selected = mingo.find(selected, {}, projection).all();
+    }
+    return selected.map(clone);
+  }
+
+  checkUnique(candidate) {
+    for (const { keys, partialFilterExpression } of this.uniqueIndexes) {
+      const partial = partialFilterExpression && new mingo.Query(partialFilterExpression);
+      if (partial && !partial.test(candidate)) continue;
+
+      const key = JSON.stringify(keys.map(field => getPath(candidate, field) ?? null));
+      const clash = this.docs.some(
+        doc =>
+          doc !== candidate &&
+          (!partial || partial.test(doc)) &&
+          JSON.stringify(keys.map(field => getPath(doc, field) ?? null)) === key
+      );
+      if (clash) throw duplicateKeyError(this.collectionName, key);
+    }
+  }
+
+  insertDocument(input) {
+    const doc = clone(input);
+    if (doc._id === undefined) doc._id = new ObjectId();
+    if (this.docs.some(existing => String(existing._id) === String(doc._id))) {
+      throw duplicateKeyError(this.collectionName, `{ _id: ${doc._id} }`);
+    }
+    this.checkUnique(doc);
+    this.docs.push(doc);
+    return doc;
+  }
+
+  upsertDocument(filter, update, options) {
+    const doc = upsertBase(filter);
+    applyUpdate(doc, update, { ...options, inserting: true });
+    return this.insertDocument(doc);
+  }
+
+  async createIndex(keys, options = {}) {
+    if (options.unique) {
+      this.uniqueIndexes.push({
+        keys: Object.keys(keys),
+        partialFilterExpression: options.partialFilterExpression,
+      });
+    }
+    return options.name || Object.entries(keys).map(entry => entry.join('_')).join('_');
+  }
+
+  find(filter = {}, options = {}) {
+    const cursor = new MemoryCursor(cursorOptions =>
+      this.select(this.match(filter, cursorOptions.sort), cursorOptions)
+    );
+    if (options.projection) cursor.project(options.projection);
+    if (options.sort) cursor.sort(options.sort);
+    if (options.skip) cursor.skip(options.skip);
+    if (options.limit) cursor.limit(options.limit);
+    return cursor;
+  }
+
+  async findOne(filter = {}, options = {}) {
+    const [doc] = this.match(filter, options.sort);
+    return doc ? this.select([doc], options)[0] : null;
+  }
+
+  async countDocuments(filter = {}) {
+    return this.match(filter).length;
+  }
+
+  async distinct(field, filter = {}) {
+    const values = this.match(filter).flatMap(doc => [].concat(getPath(doc, field) ?? []));
+    return values.filter((value, index) => values.findIndex(v => String(v) === String(value)) === index);
+  }
+
+  async insertOne(input) {
+    const doc = this.insertDocument(input);
+    input._id = doc._id;
+    return { acknowledged: true, insertedId: doc._id };
+  }
+
+  async insertMany(inputs) {
+    const insertedIds = {};
+    for (const [index, input] of inputs.entries()) {
+      insertedIds[index] = (await this.insertOne(input)).insertedId;
+    }
+    return { acknowledged: true, insertedCount: inputs.length, insertedIds };
+  }
+
+  updateMatches(docs, filter, update, options = {}) {
+    if (!docs.length && options.upsert) {
+      const doc = this.upsertDocument(filter, update, options);
+      return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: doc._id };
+    }
+
+    let modifiedCount = 0;
+    for (const doc of docs) {
+      const original = clone(doc);
+      if (applyUpdate(doc, update, { ...options, filter })) {
+        try {
+          this.checkUnique(doc);
+        } catch (error) {
+          Object.keys(doc).forEach(key => delete doc[key]);
+          Object.assign(doc, original);
+          throw error;
+        }
+        modifiedCount++;
+      }
+    }
+    return { acknowledged: true, matchedCount: docs.length, modifiedCount, upsertedCount: 0, upsertedId: null };
+  }
+
+  async updateOne(filter, update, options = {}) {
+    await this.runWriteHooks();
+    return this.updateMatches(this.match(filter, options.sort).slice(0, 1), filter, update, options);
+  }
+
+  async updateMany(filter, update, options = {}) {
+    await this.runWriteHooks();
+    return this.updateMatches(this.match(filter), filter, update, options);
+  }
+
+  async findOneAndUpdate(filter, update, options = {}) {
+    await this.runWriteHooks();
+    const [doc] = this.match(filter, options.sort);
+    if (!doc) {
+      if (!options.upsert) return null;
+      const inserted = this.upsertDocument(filter, update, options);
+      return options.returnDocument === 'after' ? this.select([inserted], options)[0] : null;
+    }
+
+    const before = this.select([doc], options)[0];
+    this.updateMatches([doc], filter, update, options);
+    return options.returnDocument === 'after' ? this.select([doc], options)[0] : before;
+  }
+
+  async deleteOne(filter = {}) {
+    const [doc] = this.match(filter);
+    if (doc) this.docs.splice(this.docs.indexOf(doc), 1);
+    return { acknowledged: true, deletedCount: doc ? 1 : 0 };
+  }
+
+  async deleteMany(filter = {}) {
+    const matches = new Set(this.match(filter));
+    this.docs = this.docs.filter(doc => !matches.has(doc));
+    return { acknowledged: true, deletedCount: matches.size };
+  }
+
+  aggregate(pipeline) {
+    return new MemoryCursor(() =>
+      mingo.aggregate(clone(this.docs), pipeline, {
+        collectionResolver: name => clone(this.db.collection(name).docs),
+      })
+    );
+  }
+
+  async bulkWrite(operations) {
+    const result = { insertedCount: 0, matchedCount: 0, modifiedCount: 0, deletedCount: 0, upsertedCount: 0 };
+    for (const operation of operations) {
+      const [[type, args]] = Object.entries(operation);
+      if (type === 'insertOne') {
+        await this.insertOne(args.document);
+        result.insertedCount++;
+      } else if (type === 'updateOne' || type === 'updateMany') {
+        const updated = await this[type](args.filter, args.update, args);
+        result.matchedCount += updated.matchedCount;
+        result.modifiedCount += updated.modifiedCount;
+        result.upsertedCount += updated.upsertedCount;
+      } else if (type === 'deleteOne' || type === 'deleteMany') {
+        result.deletedCount += (await this[type](args.filter)).deletedCount;
+      } else {
+        throw new Error(`bulkWrite ${type} is not supported`);
+      }
+    }
+    return result;
+  }
+}
+
+class MemoryDb {
+  constructor() {
+    this.collections = new Map();
+  }
+
+  collection(name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, new MemoryCollection(this, name));
+    }
+    return this.collections.get(name);
+  }
+}
+
+module.exports = { MemoryDb };
@@ -0,0 +1,229 @@
+process.env.SERVICE_FEE_PERCENT = '5';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  db,
+  startServer,
+  stopServer,
+  request,
+  admin,
+  vendor,
+  passenger,
+  traveller,
+  seedUsers,
+  createTicket,
+  deliverStripeEvent,
+  paymentSucceededEvent,
+  createPaidBooking,
+} = require('./helpers/app');
+
+before(async () => {
+  await startServer();
+  await seedUsers();
+});
+
+after(stopServer);
+
+// A vendor of their own so each test starts from a zero balance
+async function createVendor(name) {
+  const email = `${name}@test.dev`;
+  await db.collection('users').insertOne({ email, name, role: 'vendor', createdAt: new Date() });
+  return { email, name };
+}
+
+function createVendorTicket(owner, fields = {}) {
+  return createTicket({ quantity: 10, vendorEmail: owner.email, vendorName: owner.name, ...fields });
+}
+
+async function getBalance(owner) {
+  const { body } = await request('GET', `/api/payouts/vendor/${owner.email}/balance`, { as: owner.email });
+  return body.data;
+}
+
+function ledgerEntries(bookingId) {
+  return db.collection('ledger').find({ bookingId: bookingId.toString() }).toArray();
+}
+
+function isBalanced(entry) {
+  const debits = entry.lines.reduce((sum, line) => sum + (line.debit || 0), 0);
+  const credits = entry.lines.reduce((sum, line) => sum + (line.credit || 0), 0);
+  return Math.abs(debits - credits) < 0.005;
+}
+
+function requestPayout(owner, amount) {
+  return request('POST', '/api/payouts', {
+    as: owner.email,
+    body: { amount, method: 'bkash', accountDetails: '01700000000' },
+  });
+}
+
+test('a sale credits the vendor less commission, and a redelivered payment posts nothing', async () => {
+  const seller = await createVendor('seller');
+  const ticket = await createVendorTicket(seller);
+
+  const booking = await createPaidBooking(ticket, { bookingQuantity: 2 });
+  await deliverStripeEvent({ ...paymentSucceededEvent(booking), id: 'evt_redelivered' });
+
+  const entries = await ledgerEntries(booking._id);
+  assert.equal(entries.length, 1);
+  assert.ok(isBalanced(entries[0]));
+  assert.deepEqual(
+    entries[0].lines.map(({ account, debit, credit }) => [account, debit || -credit]),
+    [
+      ['platform:cash', 1680],
+      [`vendor:${seller.email}`, -1440],
+      ['platform:commission', -160],
+      ['platform:service-fees', -80],
+    ]
+  );
+  assert.deepEqual(await getBalance(seller), {
+    sales: 1680,
+    refunds: 0,
+    commission: 160,
+    paidOut: 0,
+    balance: 1440,
+    pendingPayout: 0,
+    available: 1440,
+  });
+});
+
+test('commission comes from the vendor override, then the transport type, then the default', async () => {
+  const trainSeller = await createVendor('trains');
+  const favoured = await createVendor('favoured');
+  const rates = await request('PUT', '/api/commission', {
+    as: admin.email,
+    body: { defaultPercent: 10, byTransportType: { Train: 5 } },
+  });
+  const override = await request('PATCH', `/api/users/${favoured.email}/commission`, {
+    as: admin.email,
+    body: { commissionPercent: 2 },
+  });
+  assert.equal(rates.status, 200);
+  assert.equal(override.status, 200);
+
+  const trainBooking = { bookingQuantity: 1, passengers: [traveller] };
+  const train = await createPaidBooking(await createVendorTicket(trainSeller, { transportType: 'Train' }), trainBooking);
+  const overridden = await createPaidBooking(await createVendorTicket(favoured, { transportType: 'Train' }), trainBooking);
+
+  const [trainSale] = await ledgerEntries(train._id);
+  const [overriddenSale] = await ledgerEntries(overridden._id);
+  assert.equal(trainSale.commissionPercent, 5);
+  assert.equal(trainSale.commission, 40);
+  assert.equal(overriddenSale.commissionPercent, 2);
+  assert.equal(overriddenSale.commission, 16);
+});
+
+test('a refund reverses the sale in the same proportions', async () => {
+  const seller = await createVendor('refunder');
+  const booking = await createPaidBooking(await createVendorTicket(seller), { bookingQuantity: 2 });
+
+  const { status } = await request('PATCH', `/api/bookings/${booking._id}/cancel`, { as: passenger.email, body: {} });
+
+  assert.equal(status, 200);
+  const refund = (await ledgerEntries(booking._id)).find(entry => entry.type === 'refund');
+  assert.ok(isBalanced(refund));
+  assert.equal(refund.gross, 1680);
+  assert.equal(refund.vendorAmount, -1440);
+  assert.equal(refund.commission, -160);
+  const balance = await getBalance(seller);
+  assert.equal(balance.balance, 0);
+  assert.equal(balance.refunds, 1680);
+});
+
+test('a vendor can request one payout of their available balance at a time', async () => {
+  const seller = await createVendor('requester');
+  await createPaidBooking(await createVendorTicket(seller));
+
+  const tooMuch = await requestPayout(seller, 1000);
+  const first = await requestPayout(seller, 500);
+  const second = await requestPayout(seller, 100);
+
+  assert.equal(tooMuch.status, 400);
+  assert.equal(tooMuch.body.message, 'Amount exceeds your available balance of 720 BDT');
+  assert.equal(first.status, 201);
+  assert.equal(second.status, 409);
+  assert.equal((await getBalance(seller)).available, 220);
+});
+
+test('an approved payout is debited from the vendor, a rejected one frees the balance', async () => {
+  const seller = await createVendor('payee');
+  await createPaidBooking(await createVendorTicket(seller));
+
+  const paid = await requestPayout(seller, 700);
+  const approved = await request('PATCH', `/api/payouts/${paid.body.data._id}/approve`, {
+    as: admin.email,
+    body: { reference: 'BKASH-1' },
+  });
+  const again = await request('PATCH', `/api/payouts/${paid.body.data._id}/approve`, { as: admin.email });
+  const leftover = await requestPayout(seller, 20);
+  const rejected = await request('PATCH', `/api/payouts/${leftover.body.data._id}/reject`, {
+    as: admin.email,
+    body: { reason: 'Wrong account' },
+  });
+
+  assert.equal(approved.status, 200);
+  assert.equal(approved.body.data.status, 'paid');
+  assert.equal(again.status, 409);
+  assert.equal(rejected.body.data.status, 'rejected');
+  const payoutEntry = await db.collection('ledger').findOne({ payoutId: paid.body.data._id });
+  assert.ok(isBalanced(payoutEntry));
+  assert.deepEqual(await getBalance(seller), {
+    sales: 840,
+    refunds: 0,
+    commission: 80,
+    paidOut: 700,
+    balance: 20,
+    pendingPayout: 0,
+    available: 20,
+  });
+});
+
+test('payout references and rejection reasons are validated and trimmed', async () => {
+  const seller = await createVendor('checked');
+  await createPaidBooking(await createVendorTicket(seller));
+  const payout = await requestPayout(seller, 100);
+
+  const longReference = await request('PATCH', `/api/payouts/${payout.body.data._id}/approve`, {
+    as: admin.email,
+    body: { reference: 'x'.repeat(201) },
+  });
+  const longReason = await request('PATCH', `/api/payouts/${payout.body.data._id}/reject`, {
+    as: admin.email,
+    body: { reason: 'x'.repeat(1001) },
+  });
+  const approved = await request('PATCH', `/api/payouts/${payout.body.data._id}/approve`, {
+    as: admin.email,
+    body: { reference: '  BKASH-2  ' },
+  });
+
+  assert.equal(longReference.status, 400);
+  assert.equal(longReference.body.errors[0].field, 'reference');
+  assert.equal(longReason.status, 400);
+  assert.equal(longReason.body.errors[0].field, 'reason');
+  assert.equal(approved.body.data.reference, 'BKASH-2');
+});
+
+test('a payout the balance no longer covers after a refund cannot be approved', async () => {
+  const seller = await createVendor('overdrawn');
+  const booking = await createPaidBooking(await createVendorTicket(seller));
+  const payout = await requestPayout(seller, 700);
+  await request('PATCH', `/api/bookings/${booking._id}/cancel`, { as: passenger.email, body: {} });
+
+  const { status, body } = await request('PATCH', `/api/payouts/${payout.body.data._id}/approve`, {
+    as: admin.email,
+  });
+
+  assert.equal(status, 409);
+  assert.equal(body.message, 'Vendor balance (0 BDT) no longer covers this payout');
+});
+
+test('balances are private to the vendor and payouts need a vendor account', async () => {
+  const balance = await request('GET', `/api/payouts/vendor/${vendor.email}/balance`, { as: passenger.email });
+  const payout = await requestPayout(passenger, 100);
+  const rates = await request('PUT', '/api/commission', { as: vendor.email, body: { defaultPercent: 0 } });
+
+  assert.equal(balance.status, 403);
+  assert.equal(payout.status, 403);
+  assert.equal(rates.status, 403);
+});
@@ -0,0 +1,164 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  db,
+  startServer,
+  stopServer,
+  request,
+  admin,
+  vendor,
+  seedUsers,
+  createTicket,
+  getTicket,
+} = require('./helpers/app');
+
+const otherAdmin = { email: 'admin2@test.dev', name: 'Second Admin', role: 'admin' };
+const MINUTE = 60 * 1000;
+
+before(async () => {
+  await startServer();
+  await seedUsers();
+  await db.collection('users').insertOne({ ...otherAdmin, createdAt: new Date() });
+});
+
+after(stopServer);
+
+// A ticket waiting in the queue since `minutesAgo`
+function createPendingTicket(title, minutesAgo = 0, fields = {}) {
+  return createTicket({
+    title,
+    verificationStatus: 'pending',
+    submittedAt: new Date(Date.now() - minutesAgo * MINUTE),
+    ...fields,
+  });
+}
+
+function claim(ticket, as = admin.email) {
+  return request('PATCH', `/api/tickets/${ticket._id}/claim`, { as });
+}
+
+function verify(ticket, body, as = admin.email) {
+  return request('PATCH', `/api/tickets/${ticket._id}/verify`, { as, body });
+}
+
+async function queue(params = '', as = admin.email) {
+  const { body } = await request('GET', `/api/tickets/pending${params}`, { as });
+  return body.data.map(ticket => ticket.title);
+}
+
+test('the queue is first in, first out, and a claim keeps other admins off a ticket', async () => {
+  const newer = await createPendingTicket('Newer', 5);
+  const older = await createPendingTicket('Older', 60);
+
+  const claimed = await claim(older);
+  const contested = await claim(older, otherAdmin.email);
+  const decidedByOther = await verify(older, { verificationStatus: 'approved' }, otherAdmin.email);
+
+  assert.deepEqual(await queue(), ['Older', 'Newer']);
+  assert.equal(claimed.status, 200);
+  assert.equal(contested.status, 409);
+  assert.equal(contested.body.message, `Ticket is being reviewed by ${admin.email}`);
+  assert.equal(decidedByOther.status, 409);
+  assert.deepEqual(await queue('?claim=mine'), ['Older']);
+  assert.deepEqual(await queue('?claim=unclaimed'), ['Newer']);
+
+  const approved = await verify(older, { verificationStatus: 'approved' });
+  const afterDecision = await claim(older, otherAdmin.email);
+  assert.equal(approved.status, 200);
+  assert.equal(afterDecision.body.message, 'Ticket is already approved');
+  await verify(newer, { verificationStatus: 'approved' });
+});
+
+test('a released or lapsed claim lets another admin take the ticket', async () => {
+  const released = await createPendingTicket('Released');
+  const lapsed = await createPendingTicket('Lapsed');
+  await claim(released);
+  await claim(lapsed);
+
+  const release = await request('DELETE', `/api/tickets/${released._id}/claim`, { as: admin.email });
+  const notMine = await request('DELETE', `/api/tickets/${lapsed._id}/claim`, { as: otherAdmin.email });
+  await db
+    .collection('tickets')
+    .updateOne({ _id: lapsed._id }, { $set: { claimExpiresAt: new Date(Date.now() - MINUTE) } });
+
+  assert.equal(release.status, 200);
+  assert.equal(notMine.status, 404);
+  assert.equal((await claim(released, otherAdmin.email)).status, 200);
+  assert.equal((await claim(lapsed, otherAdmin.email)).status, 200);
+});
+
+test('a rejection needs a reason, which the vendor sees, and the vendor can resubmit once fixed', async () => {
+  const ticket = await createPendingTicket('Blurry photo');
+
+  const noReason = await verify(ticket, { verificationStatus: 'rejected' });
+  const rejected = await verify(ticket, {
+    verificationStatus: 'rejected',
+    reason: 'The photo is unreadable',
+    note: 'Looks like a stock image',
+  });
+  const longNote = await request('POST', `/api/tickets/${ticket._id}/resubmit`, {
+    as: vendor.email,
+    body: { note: 'x'.repeat(1001) },
+  });
+  const resubmitted = await request('POST', `/api/tickets/${ticket._id}/resubmit`, {
+    as: vendor.email,
+    body: { note: 'New photo uploaded' },
+  });
+  const again = await request('POST', `/api/tickets/${ticket._id}/resubmit`, { as: vendor.email });
+
+  assert.equal(noReason.status, 400);
+  assert.equal(noReason.body.errors[0].field, 'reason');
+  assert.equal(rejected.status, 200);
+  assert.equal(rejected.body.data.rejectionReason, 'The photo is unreadable');
+  assert.equal(rejected.body.data.moderationNote, undefined);
+  assert.equal(longNote.status, 400);
+  assert.equal(longNote.body.errors[0].field, 'note');
+  assert.equal(resubmitted.status, 200);
+  assert.equal(again.status, 409);
+  const pending = await getTicket(ticket._id);
+  assert.equal(pending.verificationStatus, 'pending');
+  assert.equal(pending.resubmissionCount, 1);
+  assert.ok(pending.submittedAt > ticket.submittedAt);
+  const email = await db.collection('notifications').findOne({ event: 'ticket_rejected', to: vendor.email });
+  assert.match(email.text, /Reason: The photo is unreadable/);
+});
+
+test('the revision history shows every step, internal notes to admins only', async () => {
+  const ticket = await createPendingTicket('History');
+  await verify(ticket, { verificationStatus: 'rejected', reason: 'Wrong price', note: 'Internal only' });
+  await request('PATCH', `/api/tickets/${ticket._id}`, { as: vendor.email, body: { pricePerUnit: 650 } });
+  await request('POST', `/api/tickets/${ticket._id}/resubmit`, { as: vendor.email });
+
+  const asAdmin = await request('GET', `/api/tickets/${ticket._id}/revisions`, { as: admin.email });
+  const asVendor = await request('GET', `/api/tickets/${ticket._id}/revisions`, { as: vendor.email });
+
+  assert.deepEqual(asAdmin.body.data.map(revision => revision.type), ['resubmitted', 'edited', 'rejected']);
+  assert.equal(asAdmin.body.data[2].note, 'Internal only');
+  assert.deepEqual(asAdmin.body.data[1].changes, { pricePerUnit: { from: 800, to: 650 } });
+  assert.equal(asVendor.body.data[2].note, undefined);
+  assert.equal(asVendor.body.data[2].reason, 'Wrong price');
+});
+
+test('changing the price of an approved ticket sends it back to the queue, a new title does not', async () => {
+  const ticket = await createTicket({ title: 'Live trip' });
+
+  const renamed = await request('PATCH', `/api/tickets/${ticket._id}`, { as: vendor.email, body: { title: 'Live coach' } });
+  const repriced = await request('PATCH', `/api/tickets/${ticket._id}`, { as: vendor.email, body: { pricePerUnit: 999 } });
+
+  assert.equal(renamed.body.message, 'Ticket updated successfully');
+  assert.equal(repriced.body.message, 'Ticket updated and sent back for admin review');
+  assert.equal((await getTicket(ticket._id)).verificationStatus, 'pending');
+  assert.ok((await queue()).includes('Live coach'));
+});
+
+test("a suspended vendor's ticket cannot be approved", async () => {
+  const ticket = await createPendingTicket('Suspended listing', 0, {
+    verificationStatus: 'rejected',
+    preSuspensionStatus: 'pending',
+  });
+
+  const { status, body } = await verify(ticket, { verificationStatus: 'approved' });
+
+  assert.equal(status, 409);
+  assert.equal(body.message, 'The vendor of this ticket is suspended');
+});
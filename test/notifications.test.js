@@ -0,0 +1,121 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const {
+  db,
+  startServer,
+  stopServer,
+  request,
+  admin,
+  vendor,
+  passenger,
+  otherPassenger,
+  seedUsers,
+  createTicket,
+  book,
+} = require('./helpers/app');
+
+before(async () => {
+  await startServer();
+  await seedUsers();
+});
+
+after(stopServer);
+
+// Delivery runs after the response is sent - poll until `check` returns something truthy
+async function waitFor(check) {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    const result = await check();
+    if (result) return result;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  assert.fail('condition not met in time');
+}
+
+function sentMessages() {
+  if (!fs.existsSync(process.env.NOTIFICATION_FILE)) return [];
+  return fs
+    .readFileSync(process.env.NOTIFICATION_FILE, 'utf8')
+    .trim()
+    .split('\n')
+    .map(line => JSON.parse(line));
+}
+
+function findNotification(event, to) {
+  return db.collection('notifications').findOne({ event, to, status: 'sent' });
+}
+
+test('a booking request emails the vendor and the answer emails the passenger', async () => {
+  const ticket = await createTicket({ title: 'Mail trip', quantity: 2 });
+  const { body } = await book(ticket, { bookingQuantity: 1 });
+
+  const requested = await waitFor(() => findNotification('booking_requested', vendor.email));
+  await request('PATCH', `/api/bookings/${body.data.insertedId}/accept`, { as: vendor.email });
+  const accepted = await waitFor(() => findNotification('booking_accepted', passenger.email));
+
+  assert.equal(requested.subject, 'New booking request for Mail trip');
+  assert.equal(requested.attempts, 1);
+  assert.match(accepted.text, /complete payment of 800 BDT/);
+  const delivered = sentMessages().map(message => [message.to, message.subject]);
+  assert.deepEqual(delivered.slice(-2), [
+    [vendor.email, 'New booking request for Mail trip'],
+    [passenger.email, 'Your booking for Mail trip was accepted'],
+  ]);
+});
+
+test('ticket moderation results are emailed to the vendor', async () => {
+  const ticket = await createTicket({ title: 'Review me', verificationStatus: 'pending' });
+
+  await request('PATCH', `/api/tickets/${ticket._id}/verify`, {
+    as: admin.email,
+    body: { verificationStatus: 'approved' },
+  });
+
+  const approved = await waitFor(() => findNotification('ticket_approved', vendor.email));
+  assert.equal(approved.subject, 'Your ticket "Review me" was approved');
+});
+
+test('a user who turned a category off gets no emails for it', async () => {
+  const preferences = await request('PATCH', `/api/users/${otherPassenger.email}/notification-preferences`, {
+    as: otherPassenger.email,
+    body: { bookings: false },
+  });
+  assert.deepEqual(preferences.body.data, { bookings: false, moderation: true });
+  const ticket = await createTicket({ quantity: 2 });
+  const { body } = await book(ticket, { bookingQuantity: 1 }, otherPassenger.email);
+
+  await request('PATCH', `/api/bookings/${body.data.insertedId}/reject`, { as: vendor.email });
+
+  await waitFor(() => findNotification('booking_requested', vendor.email));
+  assert.equal(await db.collection('notifications').countDocuments({ to: otherPassenger.email }), 0);
+});
+
+test("only the owner can change a user's preferences", async () => {
+  const { status } = await request('PATCH', `/api/users/${passenger.email}/notification-preferences`, {
+    as: otherPassenger.email,
+    body: { bookings: false },
+  });
+
+  assert.equal(status, 403);
+});
+
+test('a failed delivery stays in the outbox for a later retry', async t => {
+  const file = process.env.NOTIFICATION_FILE;
+  process.env.NOTIFICATION_FILE = path.join(os.tmpdir(), 'nexticket-missing-dir', 'notifications.log');
+  t.after(() => {
+    process.env.NOTIFICATION_FILE = file;
+  });
+  const ticket = await createTicket({ title: 'Offline trip', quantity: 2 });
+
+  const { status } = await book(ticket, { bookingQuantity: 1 });
+
+  assert.equal(status, 201);
+  const queued = await waitFor(() =>
+    db.collection('notifications').findOne({ subject: 'New booking request for Offline trip', attempts: 1 })
+  );
+  assert.equal(queued.status, 'pending');
+  assert.match(queued.lastError, /ENOENT/);
+  assert.ok(queued.nextAttemptAt - Date.now() > 60 * 1000);
+});
@@ -0,0 +1,100 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, stopServer, request, vendor, seedUsers, createTicket } = require('./helpers/app');
+
+before(async () => {
+  await startServer();
+  await seedUsers();
+});
+
+after(stopServer);
+
+// Follow nextCursor to the end - returns every page's titles
+async function walkPages(params) {
+  const pages = [];
+  let cursor;
+  do {
+    const query = new URLSearchParams({ ...params, ...(cursor && { cursor }) });
+    const { status, body } = await request('GET', `/api/tickets?${query}`);
+    assert.equal(status, 200);
+    pages.push(body.data.map(ticket => ticket.title));
+    cursor = body.pagination.nextCursor;
+    assert.equal(body.pagination.hasMore, Boolean(cursor));
+  } while (cursor);
+  return pages;
+}
+
+test('cursor pages cover every ticket once, even when sort values tie', async () => {
+  const toLocation = 'Tiepur';
+  for (const [title, pricePerUnit] of [['A', 500], ['B', 700], ['C', 700], ['D', 700], ['E', 900]]) {
+    await createTicket({ title, toLocation, pricePerUnit });
+  }
+
+  const pages = await walkPages({ toLocation, sortBy: 'price-low', limit: 2 });
+
+  assert.equal(pages.length, 3);
+  assert.deepEqual(pages.flat().sort(), ['A', 'B', 'C', 'D', 'E']);
+  assert.equal(pages.flat()[0], 'A');
+  assert.equal(pages.flat()[4], 'E');
+});
+
+test('tickets without a sort value are paged too', async () => {
+  const toLocation = 'Nullabad';
+  await createTicket({ title: 'Short', toLocation, durationMinutes: 60 });
+  await createTicket({ title: 'Unknown 1', toLocation });
+  await createTicket({ title: 'Long', toLocation, durationMinutes: 600 });
+  await createTicket({ title: 'Unknown 2', toLocation });
+
+  const ascending = (await walkPages({ toLocation, sortBy: 'duration-short', limit: 1 })).flat();
+  const descending = (await walkPages({ toLocation, sortBy: 'duration-long', limit: 3 })).flat();
+
+  assert.deepEqual(ascending.slice(2), ['Short', 'Long']);
+  assert.deepEqual(ascending.slice(0, 2).sort(), ['Unknown 1', 'Unknown 2']);
+  assert.deepEqual(descending.slice(0, 2), ['Long', 'Short']);
+  assert.deepEqual(descending.slice(2).sort(), ['Unknown 1', 'Unknown 2']);
+});
+
+test('a malformed cursor or one from another sort is refused', async () => {
+  await createTicket({ title: 'One', toLocation: 'Cursorpur' });
+  await createTicket({ title: 'Two', toLocation: 'Cursorpur' });
+  const { body } = await request('GET', '/api/tickets?toLocation=Cursorpur&limit=1&sortBy=price-low');
+
+  const garbage = await request('GET', '/api/tickets?cursor=not-a-cursor');
+  const otherSort = await request(
+    'GET',
+    `/api/tickets?toLocation=Cursorpur&limit=1&sortBy=departure-early&cursor=${body.pagination.nextCursor}`
+  );
+
+  assert.equal(garbage.status, 400);
+  assert.equal(garbage.body.message, 'Invalid pagination cursor');
+  assert.equal(otherSort.status, 400);
+});
+
+test('fields picks the returned fields but never reveals hidden ones', async () => {
+  await createTicket({ title: 'Projected', toLocation: 'Fieldpur', seats: ['1A'] });
+
+  const { body } = await request('GET', '/api/tickets?toLocation=Fieldpur&fields=title,seats,$where');
+
+  assert.deepEqual(Object.keys(body.data[0]).sort(), ['_id', 'createdAt', 'title', 'vendorRating']);
+});
+
+test('page=N gives numbered pages with totals, and limit is capped', async () => {
+  const toLocation = 'Pagepur';
+  for (const title of ['P1', 'P2', 'P3']) {
+    await createTicket({ title, toLocation });
+  }
+
+  const { body } = await request('GET', `/api/tickets?toLocation=${toLocation}&page=2&limit=2`);
+  const capped = await request('GET', `/api/tickets/vendor/${vendor.email}?limit=1000`, { as: vendor.email });
+
+  assert.equal(body.data.length, 1);
+  assert.deepEqual(body.pagination, {
+    limit: 2,
+    hasMore: false,
+    nextCursor: null,
+    page: 2,
+    totalPages: 2,
+    total: 3,
+  });
+  assert.equal(capped.body.pagination.limit, 100);
+});
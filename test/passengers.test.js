@@ -0,0 +1,128 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const {
+  db,
+  startServer,
+  stopServer,
+  request,
+  vendor,
+  passenger,
+  otherPassenger,
+  traveller,
+  seedUsers,
+  createTicket,
+  getBooking,
+  book,
+} = require('./helpers/app');
+
+before(async () => {
+  await startServer();
+  await seedUsers();
+});
+
+after(stopServer);
+
+function createTrain(fields = {}) {
+  return createTicket({ quantity: 10, transportType: 'Train', toLocation: 'Sylhet', ...fields });
+}
+
+function saveTraveller(body, as = passenger.email) {
+  return request('POST', `/api/users/${as}/travellers`, { as, body });
+}
+
+test('train bookings need every passenger with ID and a contact phone, matched to the seats in order', async () => {
+  const ticket = await createTrain({ seats: ['1A', '1B', '2A'] });
+  const second = { ...traveller, name: 'Second Traveller', idNumber: 'NID-2002', phone: undefined };
+
+  const none = await book(ticket, { seatNumbers: ['1A'] });
+  const tooFew = await book(ticket, { seatNumbers: ['1A', '1B'], passengers: [traveller] });
+  const noId = await book(ticket, { seatNumbers: ['1A'], passengers: [{ ...traveller, idNumber: undefined }] });
+  const noPhone = await book(ticket, { seatNumbers: ['1A'], passengers: [{ ...traveller, phone: undefined }] });
+  const sameId = await book(ticket, { seatNumbers: ['1A', '1B'], passengers: [traveller, { ...second, idNumber: traveller.idNumber }] });
+  const booked = await book(ticket, { seatNumbers: ['1B', '2A'], passengers: [traveller, second] });
+
+  assert.deepEqual(none.body.errors, [{ field: 'passengers', message: 'passengers are required for Train tickets' }]);
+  assert.equal(tooFew.body.errors[0].message, 'passengers must list exactly 2 traveller(s)');
+  assert.equal(noId.body.errors[0].field, 'passengers[0].idNumber');
+  assert.equal(noPhone.body.errors[0].field, 'passengers[0].phone');
+  assert.equal(sameId.body.errors[0].message, 'Each passenger needs their own ID number');
+  assert.equal(booked.status, 201);
+  const booking = await getBooking(booked.body.data.insertedId);
+  assert.deepEqual(
+    booking.passengers.map(({ name, seatNumber }) => [name, seatNumber]),
+    [
+      ['Test Traveller', '1B'],
+      ['Second Traveller', '2A'],
+    ]
+  );
+});
+
+test('bus passengers are optional and vendors see who travels on each booking', async () => {
+  const ticket = await createTicket({ quantity: 10, toLocation: 'Namepur' });
+
+  const anonymous = await book(ticket, { bookingQuantity: 1 });
+  const named = await book(ticket, { bookingQuantity: 1, passengers: [{ name: 'Rahim Uddin' }] }, otherPassenger.email);
+  const nameless = await book(ticket, { bookingQuantity: 1, passengers: [{ age: 30 }] });
+  const { body } = await request('GET', `/api/bookings/vendor/${vendor.email}`, { as: vendor.email });
+
+  assert.equal(anonymous.status, 201);
+  assert.equal(named.status, 201);
+  assert.equal(nameless.body.errors[0].field, 'passengers[0].name');
+  const names = Object.fromEntries(body.data.map(booking => [booking._id, booking.passengerNames]));
+  assert.deepEqual(names[anonymous.body.data.insertedId], [passenger.name]);
+  assert.deepEqual(names[named.body.data.insertedId], ['Rahim Uddin']);
+});
+
+test('a saved traveller fills in a booking by travellerId and can be edited or removed by its owner only', async () => {
+  const ticket = await createTrain();
+
+  const saved = await saveTraveller(traveller);
+  const travellerId = saved.body.data._id;
+  const edited = await request('PATCH', `/api/users/${passenger.email}/travellers/${travellerId}`, {
+    as: passenger.email,
+    body: { phone: '+8801811111111' },
+  });
+  const booked = await book(ticket, { bookingQuantity: 1, passengers: [{ travellerId }] });
+  const unknown = await book(ticket, { bookingQuantity: 1, passengers: [{ travellerId: new ObjectId().toString() }] });
+  const notTheirs = await request('DELETE', `/api/users/${passenger.email}/travellers/${travellerId}`, {
+    as: otherPassenger.email,
+  });
+  const removed = await request('DELETE', `/api/users/${passenger.email}/travellers/${travellerId}`, {
+    as: passenger.email,
+  });
+  const list = await request('GET', `/api/users/${passenger.email}/travellers`, { as: passenger.email });
+
+  assert.equal(saved.status, 201);
+  assert.equal(edited.status, 200);
+  const [onBooking] = (await getBooking(booked.body.data.insertedId)).passengers;
+  assert.deepEqual([onBooking.name, onBooking.idNumber, onBooking.phone], [traveller.name, traveller.idNumber, '+8801811111111']);
+  assert.equal(onBooking._id, undefined);
+  assert.equal(unknown.body.errors[0].field, 'passengers[0].travellerId');
+  assert.equal(notTheirs.status, 403);
+  assert.equal(removed.status, 200);
+  assert.deepEqual(list.body.data, []);
+});
+
+test('travellers are validated and capped at 20 per user', async () => {
+  const badId = await saveTraveller({ name: 'Bad Id', idNumber: 'no spaces allowed' }, otherPassenger.email);
+  await db.collection('users').updateOne(
+    { email: otherPassenger.email },
+    {
+      $set: {
+        savedTravellers: Array.from({ length: 20 }, (_, index) => ({ _id: new ObjectId(), name: `Traveller ${index}` })),
+      },
+    }
+  );
+  const full = await saveTraveller({ name: 'One Too Many' }, otherPassenger.email);
+  const forSomeoneElse = await request('POST', `/api/users/${passenger.email}/travellers`, {
+    as: otherPassenger.email,
+    body: { name: 'Intruder' },
+  });
+
+  assert.equal(badId.status, 400);
+  assert.equal(badId.body.errors[0].field, 'idNumber');
+  assert.equal(full.status, 409);
+  assert.equal(full.body.message, 'You can save up to 20 travellers');
+  assert.equal(forSomeoneElse.status, 403);
+});
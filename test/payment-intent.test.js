@@ -0,0 +1,99 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  stripeCalls,
+  startServer,
+  stopServer,
+  request,
+  vendor,
+  passenger,
+  otherPassenger,
+  seedUsers,
+  createTicket,
+  getBooking,
+  book,
+} = require('./helpers/app');
+
+before(async () => {
+  await startServer();
+  await seedUsers();
+});
+
+after(stopServer);
+
+function createPaymentIntent(bookingId, body = {}, as = passenger.email) {
+  return request('POST', '/api/create-payment-intent', { as, body: { bookingId, ...body } });
+}
+
+function intentsCreatedFor(bookingId) {
+  return stripeCalls.filter(
+    call => call.method === 'paymentIntents.create' && call.params.metadata.bookingId === bookingId
+  );
+}
+
+test('a booking is priced from the ticket, not from the request', async () => {
+  const ticket = await createTicket({ quantity: 3 });
+
+  const { body } = await book(ticket, { bookingQuantity: 2, totalPrice: 1, unitPrice: 1 });
+
+  const booking = await getBooking(body.data.insertedId);
+  assert.equal(booking.unitPrice, 800);
+  assert.equal(booking.totalPrice, 1600);
+  assert.equal(booking.priceBreakdown.subtotal, 1600);
+  assert.equal(booking.priceBreakdown.serviceFee, 0);
+  assert.equal(booking.priceBreakdown.total, 1600);
+});
+
+test('the payment intent amount is computed on the server', async () => {
+  const ticket = await createTicket({ quantity: 3 });
+  const { body } = await book(ticket, { bookingQuantity: 2 });
+  const bookingId = body.data.insertedId;
+  await request('PATCH', `/api/bookings/${bookingId}/accept`, { as: vendor.email });
+
+  const { status, body: intent } = await createPaymentIntent(bookingId, { amount: 1 });
+
+  assert.equal(status, 200);
+  assert.ok(intent.clientSecret);
+  assert.equal(intent.priceBreakdown.total, 1600);
+  const [created] = intentsCreatedFor(bookingId);
+  assert.equal(created.params.amount, 160000); // paisa
+  assert.equal(created.params.currency, 'bdt');
+  const { paymentIntentId } = await getBooking(bookingId);
+  assert.equal(intent.clientSecret, `${paymentIntentId}_secret`);
+});
+
+test('a retry gets the intent that is still open instead of a new one', async () => {
+  const ticket = await createTicket({ quantity: 2 });
+  const { body } = await book(ticket, { bookingQuantity: 1 });
+  const bookingId = body.data.insertedId;
+  await request('PATCH', `/api/bookings/${bookingId}/accept`, { as: vendor.email });
+
+  const first = await createPaymentIntent(bookingId);
+  const retry = await createPaymentIntent(bookingId);
+
+  assert.equal(retry.status, 200);
+  assert.equal(retry.body.clientSecret, first.body.clientSecret);
+  assert.equal(intentsCreatedFor(bookingId).length, 1);
+});
+
+test('a booking the vendor has not accepted cannot be paid', async () => {
+  const ticket = await createTicket({ quantity: 2 });
+  const { body } = await book(ticket, { bookingQuantity: 1 });
+
+  const { status, body: refused } = await createPaymentIntent(body.data.insertedId);
+
+  assert.equal(status, 409);
+  assert.equal(refused.message, 'Booking must be accepted by the vendor before payment');
+  assert.equal(intentsCreatedFor(body.data.insertedId).length, 0);
+});
+
+test("a user cannot pay for someone else's booking", async () => {
+  const ticket = await createTicket({ quantity: 2 });
+  const { body } = await book(ticket, { bookingQuantity: 1 });
+  await request('PATCH', `/api/bookings/${body.data.insertedId}/accept`, { as: vendor.email });
+
+  const { status } = await createPaymentIntent(body.data.insertedId, {}, otherPassenger.email);
+
+  assert.equal(status, 404);
+  assert.equal(intentsCreatedFor(body.data.insertedId).length, 0);
+});
@@ -0,0 +1,242 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const {
+  db,
+  startServer,
+  stopServer,
+  request,
+  admin,
+  passenger,
+  otherPassenger,
+  seedUsers,
+  createTicket,
+  getTicket,
+  getBooking,
+  book,
+  createPaidBooking,
+} = require('./helpers/app');
+
+before(async () => {
+  await startServer();
+  await seedUsers();
+});
+
+after(stopServer);
+
+// A vendor of their own so each test's pricing rules and codes stay apart
+async function createVendor(name) {
+  const email = `${name}@test.dev`;
+  await db.collection('users').insertOne({ email, name, role: 'vendor', createdAt: new Date() });
+  return { email, name };
+}
+
+function createVendorTicket(owner, fields = {}) {
+  return createTicket({ quantity: 10, vendorEmail: owner.email, vendorName: owner.name, ...fields });
+}
+
+function setPricingRules(owner, pricingRules) {
+  return request('PUT', `/api/users/${owner.email}/pricing-rules`, { as: owner.email, body: { pricingRules } });
+}
+
+function quote(ticket, body = { bookingQuantity: 1 }, as = passenger.email) {
+  return request('POST', '/api/bookings/quote', { as, body: { ticketId: ticket._id.toString(), ...body } });
+}
+
+// YYYY-MM-DD of the first `weekday` (0 = Sunday) at least three days from now
+function nextWeekday(weekday) {
+  const date = new Date(Date.now() + 3 * 24 * 60 * 60 * 1000);
+  date.setUTCDate(date.getUTCDate() + ((weekday - date.getUTCDay() + 7) % 7));
+  return date.toISOString().slice(0, 10);
+}
+
+async function createPromo(as, fields) {
+  const { status, body } = await request('POST', '/api/promo-codes', {
+    as,
+    body: { discountType: 'percent', value: 10, ...fields },
+  });
+  assert.equal(status, 201);
+  return body.data;
+}
+
+test('a quote lists the fare and each matching rule, the strongest tier of a type winning', async () => {
+  const owner = await createVendor('ruler');
+  // A week before departure, 6 of 10 seats taken
+  const ticket = await createVendorTicket(owner, { quantity: 4, capacity: 10 });
+  const rules = await setPricingRules(owner, [
+    { name: 'Early bird', type: 'early_bird', percent: -5, minDaysBefore: 3 },
+    { name: 'Very early bird', type: 'early_bird', percent: -10, minDaysBefore: 5 },
+    { name: 'Too early', type: 'early_bird', percent: -30, minDaysBefore: 30 },
+    { name: 'Filling up', type: 'occupancy', percent: 20, minOccupancy: 50 },
+    { name: 'Trains only', type: 'last_minute', percent: 50, maxHoursBefore: 720, transportTypes: ['Train'] },
+  ]);
+
+  const { status, body } = await quote(ticket, { bookingQuantity: 2 });
+
+  assert.equal(rules.status, 200);
+  assert.equal(status, 200);
+  assert.deepEqual(
+    body.data.lineItems.map(({ type, label, amount }) => [type, label, amount]),
+    [
+      ['fare', 'Fare', 1600],
+      ['rule', 'Very early bird', -160],
+      ['rule', 'Filling up', 320],
+    ]
+  );
+  assert.equal(body.data.baseFare, 1600);
+  assert.equal(body.data.total, 1760);
+  assert.equal(body.data.discount, null);
+  assert.equal((await getTicket(ticket._id)).quantity, 4); // nothing reserved
+});
+
+test('a weekend rule goes by the departure day in the platform time zone', async () => {
+  const owner = await createVendor('weekender');
+  // Friday 02:00 in Dhaka is still Thursday in UTC, Sunday 01:00 still Saturday
+  const fridayNight = new Date(`${nextWeekday(5)}T02:00:00+06:00`);
+  const sundayNight = new Date(`${nextWeekday(0)}T01:00:00+06:00`);
+  const [friday, sunday] = await Promise.all(
+    [fridayNight, sundayNight].map(departureAt =>
+      createVendorTicket(owner, { departureAt, departureDateTime: departureAt.toISOString() })
+    )
+  );
+  await setPricingRules(owner, [{ name: 'Weekend', type: 'weekend', percent: 10 }]);
+
+  const onFriday = await quote(friday);
+  const onSunday = await quote(sunday);
+
+  assert.equal(onFriday.body.data.total, 880);
+  assert.equal(onSunday.body.data.total, 800);
+});
+
+test('a booking stores the quoted breakdown and is charged its total', async () => {
+  const owner = await createVendor('charger');
+  const ticket = await createVendorTicket(owner);
+  await setPricingRules(owner, [{ name: 'Early bird', type: 'early_bird', percent: -25, minDaysBefore: 2 }]);
+  await createPromo(admin.email, { code: 'charged10' });
+
+  const quoted = await quote(ticket, { bookingQuantity: 1, promoCode: 'CHARGED10' });
+  const booking = await createPaidBooking(ticket, { bookingQuantity: 1, promoCode: 'Charged10' });
+
+  assert.equal(quoted.body.data.total, 540);
+  assert.deepEqual(booking.priceBreakdown, quoted.body.data);
+  assert.equal(booking.totalPrice, 540);
+  assert.equal(booking.status, 'paid');
+});
+
+test('rules need the threshold of their type and only the vendor can set them', async () => {
+  const owner = await createVendor('validator');
+
+  const missing = await setPricingRules(owner, [{ name: 'Busy', type: 'occupancy', percent: 10 }]);
+  const stranger = await request('PUT', `/api/users/${owner.email}/pricing-rules`, {
+    as: passenger.email,
+    body: { pricingRules: [] },
+  });
+
+  assert.equal(missing.status, 400);
+  assert.deepEqual(missing.body.errors, [
+    { field: 'pricingRules[0].minOccupancy', message: 'minOccupancy is required for occupancy rules' },
+  ]);
+  assert.equal(stranger.status, 403);
+});
+
+test('percent codes are capped by maxDiscount and refused below minSpend', async () => {
+  const owner = await createVendor('capper');
+  const ticket = await createVendorTicket(owner);
+  await createPromo(owner.email, { code: 'HALF', value: 50, maxDiscount: 300, minSpend: 1000 });
+
+  const capped = await quote(ticket, { bookingQuantity: 2, promoCode: 'half' });
+  const tooSmall = await quote(ticket, { bookingQuantity: 1, promoCode: 'half' });
+
+  assert.deepEqual(capped.body.data.discount, {
+    code: 'HALF',
+    promoId: capped.body.data.discount.promoId,
+    amount: 300,
+    fundedBy: 'vendor',
+  });
+  assert.equal(capped.body.data.total, 1300);
+  assert.equal(tooSmall.status, 400);
+  assert.equal(tooSmall.body.message, 'Promo code HALF needs a minimum spend of 1000 BDT');
+});
+
+test('a code runs out at maxUses, and a booking that ends unpaid gives its use back', async () => {
+  const owner = await createVendor('limiter');
+  const ticket = await createVendorTicket(owner);
+  const promo = await createPromo(owner.email, { code: 'ONCE', maxUses: 1 });
+
+  const first = await book(ticket, { bookingQuantity: 1, promoCode: 'ONCE' });
+  const second = await book(ticket, { bookingQuantity: 1, promoCode: 'ONCE' }, otherPassenger.email);
+  const seatsLeft = (await getTicket(ticket._id)).quantity;
+  await request('PATCH', `/api/bookings/${first.body.data.insertedId}/reject`, { as: owner.email });
+  const third = await book(ticket, { bookingQuantity: 1, promoCode: 'ONCE' }, otherPassenger.email);
+
+  assert.equal(first.status, 201);
+  assert.equal(second.status, 400);
+  assert.equal(second.body.message, 'This promo code has been fully used');
+  assert.equal(seatsLeft, 9); // the refused booking took no seat
+  assert.equal(third.status, 201);
+  const code = await db.collection('promoCodes').findOne({ _id: new ObjectId(promo._id) });
+  assert.equal(code.usedCount, 1);
+});
+
+test('a code is limited per user, and only works on its own vendor, tickets and dates', async () => {
+  const owner = await createVendor('scoper');
+  const rival = await createVendor('scoper-rival');
+  const ticket = await createVendorTicket(owner);
+  await createPromo(owner.email, { code: 'PERUSER', perUserLimit: 1 });
+  await createPromo(owner.email, { code: 'EXPIRED', expiresAt: new Date(Date.now() - 1000).toISOString() });
+  await createPromo(admin.email, { code: 'SYLHET', routes: [{ fromLocation: 'Dhaka', toLocation: 'Sylhet' }] });
+
+  const used = await book(ticket, { bookingQuantity: 1, promoCode: 'PERUSER' });
+  const again = await quote(ticket, { bookingQuantity: 1, promoCode: 'PERUSER' });
+  const otherVendor = await quote(await createVendorTicket(rival), { bookingQuantity: 1, promoCode: 'PERUSER' });
+  const expired = await quote(ticket, { bookingQuantity: 1, promoCode: 'EXPIRED' });
+  const wrongRoute = await quote(ticket, { bookingQuantity: 1, promoCode: 'SYLHET' });
+  const unknown = await quote(ticket, { bookingQuantity: 1, promoCode: 'NOPE' });
+
+  assert.equal(used.status, 201);
+  assert.equal(again.body.message, 'You have already used this promo code');
+  assert.equal(otherVendor.body.message, 'This promo code does not apply to this ticket');
+  assert.equal(expired.body.message, 'This promo code is not valid right now');
+  assert.equal(wrongRoute.body.message, 'This promo code does not apply to this route');
+  assert.equal(unknown.body.message, 'Invalid promo code');
+  assert.equal((await getBooking(used.body.data.insertedId)).priceBreakdown.discount.code, 'PERUSER');
+});
+
+test('the vendor is paid the undiscounted fare when the platform funds the code', async () => {
+  const owner = await createVendor('funded');
+  const ticket = await createVendorTicket(owner);
+  await createPromo(admin.email, { code: 'PLATFORM', discountType: 'flat', value: 200 });
+
+  const booking = await createPaidBooking(ticket, { bookingQuantity: 1, promoCode: 'PLATFORM' });
+
+  const sale = await db.collection('ledger').findOne({ bookingId: booking._id.toString(), type: 'sale' });
+  assert.equal(booking.totalPrice, 600);
+  assert.equal(sale.platformDiscount, 200);
+  assert.equal(sale.vendorAmount, 720); // 800 less 10% commission
+});
+
+test("promo codes are checked on creation and a vendor cannot change another vendor's code", async () => {
+  const owner = await createVendor('creator');
+  const rival = await createVendor('creator-rival');
+  const promo = await createPromo(owner.email, { code: 'MINE' });
+
+  const tooMuch = await request('POST', '/api/promo-codes', {
+    as: owner.email,
+    body: { code: 'WHOLE', discountType: 'percent', value: 150 },
+  });
+  const duplicate = await request('POST', '/api/promo-codes', {
+    as: rival.email,
+    body: { code: 'mine', discountType: 'flat', value: 50 },
+  });
+  const hijack = await request('PATCH', `/api/promo-codes/${promo._id}`, { as: rival.email, body: { value: 90 } });
+  const asPassenger = await request('POST', '/api/promo-codes', {
+    as: passenger.email,
+    body: { code: 'FREE', discountType: 'flat', value: 50 },
+  });
+
+  assert.equal(tooMuch.status, 400);
+  assert.equal(tooMuch.body.errors[0].field, 'value');
+  assert.equal(duplicate.status, 409);
+  assert.equal(hijack.status, 403);
+  assert.equal(asPassenger.status, 403);
+});
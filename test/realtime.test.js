@@ -0,0 +1,94 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  startServer,
+  stopServer,
+  request,
+  openEventStream,
+  vendor,
+  passenger,
+  otherPassenger,
+  seedUsers,
+  createTicket,
+  book,
+} = require('./helpers/app');
+
+before(async () => {
+  await startServer();
+  await seedUsers();
+});
+
+after(stopServer);
+
+async function subscribe(t, url, as) {
+  const stream = await openEventStream(url, { as });
+  t.after(stream.close);
+  return stream;
+}
+
+test('ticket subscribers see seats being held and released', async t => {
+  const ticket = await createTicket({ quantity: 2 });
+  const stream = await subscribe(t, `/api/events/tickets/${ticket._id}`, otherPassenger.email);
+
+  const initial = await stream.next('availability');
+  const { body } = await book(ticket, { bookingQuantity: 2 });
+  const held = await stream.next('availability');
+  await request('PATCH', `/api/bookings/${body.data.insertedId}/reject`, { as: vendor.email });
+  const released = await stream.next('availability');
+
+  assert.equal(stream.status, 200);
+  assert.deepEqual(
+    [initial, held, released].map(({ quantity, soldOut }) => ({ quantity, soldOut })),
+    [
+      { quantity: 2, soldOut: false },
+      { quantity: 0, soldOut: true },
+      { quantity: 2, soldOut: false },
+    ]
+  );
+});
+
+test('seat-map subscribers get each seat status without booking IDs', async t => {
+  const ticket = await createTicket({ seats: ['1A', '1B'] });
+  const stream = await subscribe(t, `/api/events/tickets/${ticket._id}`, otherPassenger.email);
+  await stream.next('availability');
+
+  await book(ticket, { seatNumbers: ['1B'] });
+
+  const { seats } = await stream.next('availability');
+  assert.deepEqual(seats, [
+    { seatNumber: '1A', status: 'available' },
+    { seatNumber: '1B', status: 'held' },
+  ]);
+});
+
+test('passengers and vendors hear about their own bookings only', async t => {
+  const ticket = await createTicket({ quantity: 2 });
+  const vendorStream = await subscribe(t, '/api/events/bookings', vendor.email);
+  const passengerStream = await subscribe(t, '/api/events/bookings', passenger.email);
+  const otherStream = await subscribe(t, '/api/events/bookings', otherPassenger.email);
+
+  const { body } = await book(ticket, { bookingQuantity: 1 });
+  const requested = await vendorStream.next('booking');
+  await request('PATCH', `/api/bookings/${body.data.insertedId}/accept`, { as: vendor.email });
+  await passengerStream.next('booking'); // the request itself
+  const accepted = await passengerStream.next('booking');
+
+  assert.equal(requested.bookingId, body.data.insertedId);
+  assert.equal(requested.status, 'pending');
+  assert.equal(accepted.status, 'accepted');
+  assert.equal(accepted.previousStatus, 'pending');
+  await assert.rejects(otherStream.next('booking'), /No booking event received/);
+});
+
+test('streams need a login and unapproved tickets stay private to their vendor', async t => {
+  const ticket = await createTicket({ verificationStatus: 'pending' });
+
+  const anonymous = await subscribe(t, `/api/events/tickets/${ticket._id}`);
+  const stranger = await subscribe(t, `/api/events/tickets/${ticket._id}`, passenger.email);
+  const owner = await subscribe(t, `/api/events/tickets/${ticket._id}`, vendor.email);
+
+  assert.equal(anonymous.status, 401);
+  assert.equal(stranger.status, 404);
+  assert.equal(owner.status, 200);
+  assert.equal((await owner.next('availability')).verificationStatus, 'pending');
+});
@@ -0,0 +1,125 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  db,
+  startServer,
+  stopServer,
+  request,
+  admin,
+  vendor,
+  passenger,
+  otherPassenger,
+  seedUsers,
+  createTicket,
+  createPaidBooking,
+} = require('./helpers/app');
+
+let ticket;
+
+before(async () => {
+  await startServer();
+  await seedUsers();
+  await db.collection('users').insertOne({ email: 'rival@test.dev', name: 'Rival', role: 'vendor' });
+  ticket = await createTicket({ title: 'Reviewed trip', toLocation: 'Reviewpur', quantity: 10 });
+});
+
+after(stopServer);
+
+// A paid booking whose trip has departed (what the booking sweep does)
+async function createCompletedBooking(as = passenger.email) {
+  const booking = await createPaidBooking(ticket, { bookingQuantity: 1 }, as);
+  await db.collection('bookings').updateOne({ _id: booking._id }, { $set: { status: 'completed' } });
+  return booking;
+}
+
+function review(booking, fields = {}, as = passenger.email) {
+  return request('POST', '/api/reviews', {
+    as,
+    body: { bookingId: booking._id.toString(), rating: 5, ...fields },
+  });
+}
+
+async function vendorReviews() {
+  const { body } = await request('GET', `/api/reviews/vendor/${vendor.email}`);
+  return body;
+}
+
+test('a completed trip can be reviewed once and sets the vendor rating shown on tickets', async () => {
+  const first = await createCompletedBooking();
+  const second = await createCompletedBooking(otherPassenger.email);
+
+  const created = await review(first, { rating: 5, comment: 'Smooth ride' });
+  const duplicate = await review(first, { rating: 1 });
+  await review(second, { rating: 2 }, otherPassenger.email);
+
+  assert.equal(created.status, 201);
+  assert.equal(duplicate.status, 409);
+  const { rating, data } = await vendorReviews();
+  assert.deepEqual(rating, { average: 3.5, count: 2 });
+  assert.equal(data.length, 2);
+  assert.equal(data[0].userEmail, undefined); // reviewers' emails stay private
+  const search = await request('GET', '/api/tickets?toLocation=Reviewpur');
+  assert.deepEqual(search.body.data[0].vendorRating, { average: 3.5, count: 2 });
+  const trip = await request('GET', `/api/reviews/ticket/${ticket._id}`);
+  assert.equal(trip.body.data.length, 2);
+});
+
+test('only the passenger of a completed booking can review it, with a 1-5 rating', async () => {
+  const paid = await createPaidBooking(ticket, { bookingQuantity: 1 });
+  const completed = await createCompletedBooking();
+
+  const early = await review(paid);
+  const stranger = await review(completed, {}, otherPassenger.email);
+  const outOfRange = await review(completed, { rating: 6 });
+
+  assert.equal(early.status, 409);
+  assert.equal(early.body.message, 'You can review a trip once it is completed');
+  assert.equal(stranger.status, 404);
+  assert.equal(outOfRange.status, 400);
+});
+
+test("a vendor replies to reviews of their own trips but not another vendor's", async () => {
+  const booking = await createCompletedBooking();
+  const { body } = await review(booking, { rating: 4 });
+
+  const reply = await request('PATCH', `/api/reviews/${body.data._id}/reply`, {
+    as: vendor.email,
+    body: { reply: 'Thanks for travelling with us' },
+  });
+  const rival = await request('PATCH', `/api/reviews/${body.data._id}/reply`, {
+    as: 'rival@test.dev',
+    body: { reply: 'Try us instead' },
+  });
+
+  assert.equal(reply.status, 200);
+  assert.equal(reply.body.data.vendorReply.text, 'Thanks for travelling with us');
+  assert.equal(rival.status, 404);
+});
+
+test('reports count once per user and a hidden review leaves the rating', async () => {
+  const booking = await createCompletedBooking();
+  const { body } = await review(booking, { rating: 1, comment: 'Rude words' });
+  const { rating } = await vendorReviews();
+
+  await request('POST', `/api/reviews/${body.data._id}/report`, { as: otherPassenger.email });
+  await request('POST', `/api/reviews/${body.data._id}/report`, { as: otherPassenger.email });
+  const reported = await request('GET', '/api/reviews?reported=true', { as: admin.email });
+  const hidden = await request('PATCH', `/api/reviews/${body.data._id}/moderate`, {
+    as: admin.email,
+    body: { status: 'hidden', reason: 'Abusive' },
+  });
+  const asVendor = await request('PATCH', `/api/reviews/${body.data._id}/moderate`, {
+    as: vendor.email,
+    body: { status: 'published' },
+  });
+
+  assert.deepEqual(
+    reported.body.data.map(r => [r._id, r.reportCount]),
+    [[body.data._id, 1]]
+  );
+  assert.equal(hidden.status, 200);
+  assert.equal(asVendor.status, 403);
+  const remaining = await vendorReviews();
+  assert.equal(remaining.rating.count, rating.count - 1);
+  assert.ok(!remaining.data.some(r => r._id === body.data._id));
+});
@@ -0,0 +1,233 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { db, startServer, stopServer, request, admin, vendor, passenger, seedUsers, book, getTicket } = require('./helpers/app');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+before(async () => {
+  await startServer();
+  await seedUsers();
+  await db.collection('users').insertOne({ email: 'rival@test.dev', name: 'Rival', role: 'vendor' });
+});
+
+after(stopServer);
+
+// YYYY-MM-DD a number of days from now
+function dateIn(days) {
+  return new Date(Date.now() + days * DAY).toISOString().slice(0, 10);
+}
+
+function weekdayOf(date) {
+  return new Date(`${date}T00:00:00Z`).getUTCDay();
+}
+
+// Two weeks running on the weekdays of the 1st and 3rd day, twice a day
+async function createSchedule(fields = {}, { approve = true } = {}) {
+  const validFrom = dateIn(10);
+  const { status, body } = await request('POST', '/api/schedules', {
+    as: vendor.email,
+    body: {
+      title: 'Daily coach',
+      fromLocation: 'Dhaka',
+      toLocation: 'Chattogram',
+      transportType: 'Bus',
+      pricePerUnit: 700,
+      quantity: 40,
+      daysOfWeek: [weekdayOf(validFrom), weekdayOf(dateIn(12))],
+      departureTimes: ['20:00', '08:00'],
+      durationMinutes: 360,
+      validFrom,
+      validTo: dateIn(23),
+      ...fields,
+    },
+  });
+  assert.equal(status, 201);
+  const id = body.data.insertedId;
+  if (approve) {
+    await request('PATCH', `/api/schedules/${id}/verify`, { as: admin.email, body: { verificationStatus: 'approved' } });
+  }
+  return id;
+}
+
+async function listDepartures(id, as = passenger.email) {
+  const { status, body } = await request('GET', `/api/schedules/${id}/departures?from=${dateIn(10)}&to=${dateIn(23)}`, {
+    as,
+  });
+  assert.equal(status, 200);
+  return body.data;
+}
+
+test('an approved schedule lists one departure per running day and time, generated once', async () => {
+  const id = await createSchedule({ toLocation: 'Listpur' });
+
+  const departures = await listDepartures(id);
+  await listDepartures(id);
+
+  assert.equal(departures.length, 8);
+  assert.deepEqual(
+    departures.slice(0, 4).map(d => [d.departureDate, d.departureTime]),
+    [
+      [dateIn(10), '08:00'],
+      [dateIn(10), '20:00'],
+      [dateIn(12), '08:00'],
+      [dateIn(12), '20:00'],
+    ]
+  );
+  assert.ok(departures.every(d => d.verificationStatus === 'approved' && d.quantity === 40));
+  assert.equal(departures[0].durationMinutes, 360);
+  assert.equal(await db.collection('tickets').countDocuments({ scheduleId: id }), 8);
+});
+
+test('the default week of departures starts today in the platform time zone', async t => {
+  // 20:00 UTC is already the next day in Dhaka (UTC+6)
+  const evening = new Date();
+  evening.setUTCHours(20, 0, 0, 0);
+  if (evening <= new Date()) evening.setUTCDate(evening.getUTCDate() + 1);
+  t.mock.timers.enable({ apis: ['Date'], now: evening });
+  const today = dateIn(1);
+  const id = await createSchedule({
+    toLocation: 'Weekpur',
+    daysOfWeek: [0, 1, 2, 3, 4, 5, 6],
+    departureTimes: ['08:00'],
+    validFrom: today,
+    validTo: dateIn(30),
+  });
+
+  const { body } = await request('GET', `/api/schedules/${id}/departures`, { as: passenger.email });
+
+  assert.deepEqual(
+    [body.data.length, body.data[0].departureDate, body.data.at(-1).departureDate],
+    [7, today, dateIn(7)]
+  );
+});
+
+test('a travel date search includes departures of matching schedules', async () => {
+  await createSchedule({ toLocation: 'Searchpur' });
+
+  const running = await request('GET', `/api/tickets?toLocation=Searchpur&sortBy=departure-early&travelDate=${dateIn(10)}`);
+  const idle = await request('GET', `/api/tickets?toLocation=Searchpur&travelDate=${dateIn(11)}`);
+  const invalid = await request('GET', '/api/tickets?travelDate=tomorrow');
+
+  assert.deepEqual(running.body.data.map(t => t.departureTime), ['08:00', '20:00']);
+  assert.deepEqual(idle.body.data, []);
+  assert.equal(invalid.status, 400);
+});
+
+test('a cancelled date drops its departures, and a booked date only takes a price change', async () => {
+  const id = await createSchedule({ toLocation: 'Exceptionpur' });
+  const [booked] = await listDepartures(id);
+  await book(booked, { bookingQuantity: 1 });
+
+  const cancelBooked = await request('PATCH', `/api/schedules/${id}/dates/${dateIn(10)}`, {
+    as: vendor.email,
+    body: { cancelled: true },
+  });
+  const repriced = await request('PATCH', `/api/schedules/${id}/dates/${dateIn(10)}`, {
+    as: vendor.email,
+    body: { pricePerUnit: 900 },
+  });
+  const cancelled = await request('PATCH', `/api/schedules/${id}/dates/${dateIn(12)}`, {
+    as: vendor.email,
+    body: { cancelled: true },
+  });
+  const notRunning = await request('PATCH', `/api/schedules/${id}/dates/${dateIn(11)}`, {
+    as: vendor.email,
+    body: { cancelled: true },
+  });
+
+  assert.equal(cancelBooked.status, 409);
+  assert.equal(cancelBooked.body.message, 'This date has 1 active booking(s). Only the price can be changed.');
+  assert.equal(repriced.status, 200);
+  assert.equal((await getTicket(booked._id)).pricePerUnit, 900);
+  assert.equal(cancelled.status, 200);
+  assert.equal(notRunning.status, 400);
+  const dates = (await listDepartures(id)).map(d => d.departureDate);
+  assert.ok(!dates.includes(dateIn(12)));
+  assert.equal(dates.length, 6);
+});
+
+test('editing a schedule regenerates unbooked departures and keeps booked ones', async () => {
+  const id = await createSchedule({ toLocation: 'Editpur' });
+  const [booked] = await listDepartures(id);
+  await book(booked, { bookingQuantity: 2 });
+
+  const { status, body } = await request('PATCH', `/api/schedules/${id}`, {
+    as: vendor.email,
+    body: { title: 'Renamed coach', quantity: 30 },
+  });
+
+  assert.equal(status, 200);
+  assert.equal(body.data.keptDepartures, 1);
+  const kept = await getTicket(booked._id);
+  assert.equal(kept.title, 'Renamed coach');
+  assert.equal(kept.quantity, 38); // its inventory is untouched
+  const regenerated = (await listDepartures(id)).filter(d => d._id !== booked._id);
+  assert.equal(regenerated.length, 7);
+  assert.ok(regenerated.every(d => d.quantity === 30 && d.title === 'Renamed coach'));
+});
+
+test('repricing an approved schedule sends it back for review, booked departures keep their price', async () => {
+  const id = await createSchedule({ toLocation: 'Repricepur' });
+  const [booked] = await listDepartures(id);
+  await book(booked, { bookingQuantity: 1 });
+
+  const { body } = await request('PATCH', `/api/schedules/${id}`, { as: vendor.email, body: { pricePerUnit: 900 } });
+  const search = await request('GET', '/api/tickets?toLocation=Repricepur');
+
+  assert.equal(body.message, 'Schedule updated and sent back for admin review');
+  assert.equal((await db.collection('schedules').findOne({ _id: new ObjectId(id) })).verificationStatus, 'pending');
+  assert.equal((await getTicket(booked._id)).pricePerUnit, 700);
+  assert.deepEqual(search.body.data.map(ticket => ticket._id), [booked._id]); // new departures wait for review
+});
+
+test('a schedule needs running days and a validity period that ends after it starts', async () => {
+  const backwards = await request('POST', '/api/schedules', {
+    as: vendor.email,
+    body: {
+      title: 'Backwards',
+      fromLocation: 'Dhaka',
+      toLocation: 'Sylhet',
+      transportType: 'Bus',
+      pricePerUnit: 500,
+      quantity: 10,
+      daysOfWeek: [],
+      departureTimes: ['08:00'],
+      validFrom: dateIn(10),
+      validTo: dateIn(5),
+    },
+  });
+  const badTime = await request('PATCH', `/api/schedules/${await createSchedule()}`, {
+    as: vendor.email,
+    body: { departureTimes: ['25:00'] },
+  });
+
+  assert.equal(backwards.status, 400);
+  assert.equal(backwards.body.errors[0].field, 'daysOfWeek');
+  assert.equal(badTime.status, 400);
+});
+
+test('a pending schedule is hidden from passengers, and only its vendor can change it', async () => {
+  const id = await createSchedule({ toLocation: 'Pendingpur' }, { approve: false });
+
+  const asPassenger = await request('GET', `/api/schedules/${id}/departures`, { as: passenger.email });
+  const asVendor = await request('GET', `/api/schedules/${id}/departures?from=${dateIn(10)}&to=${dateIn(23)}`, {
+    as: vendor.email,
+  });
+  const queue = await request('GET', '/api/tickets/pending', { as: admin.email });
+  const asRival = await request('PATCH', `/api/schedules/${id}`, { as: 'rival@test.dev', body: { title: 'Mine' } });
+  const search = await request('GET', `/api/tickets?toLocation=Pendingpur&travelDate=${dateIn(10)}`);
+  const undecided = await request('PATCH', `/api/schedules/${id}/verify`, {
+    as: admin.email,
+    body: { verificationStatus: 'maybe' },
+  });
+
+  assert.equal(asPassenger.status, 404);
+  assert.deepEqual(asVendor.body.data, []); // nothing to review or book until the schedule is approved
+  assert.equal(await db.collection('tickets').countDocuments({ scheduleId: id }), 0);
+  assert.ok(queue.body.data.every(ticket => ticket.scheduleId !== id));
+  assert.equal(asRival.status, 403);
+  assert.deepEqual(search.body.data, []);
+  assert.equal(undecided.status, 400);
+  assert.equal(undecided.body.errors[0].field, 'verificationStatus');
+});
@@ -0,0 +1,190 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  db,
+  startServer,
+  stopServer,
+  request,
+  vendor,
+  passenger,
+  otherPassenger,
+  seedUsers,
+  createTicket,
+  getTicket,
+  getBooking,
+  book,
+} = require('./helpers/app');
+
+before(async () => {
+  await startServer();
+  await seedUsers();
+});
+
+after(stopServer);
+
+async function expireHold(bookingId) {
+  await db.collection('bookings').updateOne(
+    { _id: (await getBooking(bookingId))._id },
+    { $set: { holdExpiresAt: new Date(Date.now() - 1000) } }
+  );
+}
+
+test('a booking holds its seats until the vendor responds', async () => {
+  const ticket = await createTicket({ quantity: 3 });
+
+  const { status, body } = await book(ticket, { bookingQuantity: 2 });
+
+  assert.equal(status, 201);
+  const booking = await getBooking(body.data.insertedId);
+  assert.equal(booking.status, 'pending');
+  assert.equal(booking.holdStatus, 'held');
+  assert.ok(booking.holdExpiresAt > new Date());
+  assert.equal((await getTicket(ticket._id)).quantity, 1);
+});
+
+test('a booking for more seats than are left is refused', async () => {
+  const ticket = await createTicket({ quantity: 1 });
+
+  const { status, body } = await book(ticket, { bookingQuantity: 2 });
+
+  assert.equal(status, 409);
+  assert.equal(body.message, 'Not enough seats available');
+  assert.equal((await getTicket(ticket._id)).quantity, 1);
+});
+
+test('only one of two concurrent bookings gets the last seat', async () => {
+  const ticket = await createTicket({ quantity: 1 });
+
+  const results = await Promise.all([
+    book(ticket, { bookingQuantity: 1 }, passenger.email),
+    book(ticket, { bookingQuantity: 1 }, otherPassenger.email),
+  ]);
+
+  assert.deepEqual(results.map(result => result.status).sort(), [201, 409]);
+  assert.equal((await getTicket(ticket._id)).quantity, 0);
+  assert.equal(await db.collection('bookings').countDocuments({ ticketId: ticket._id.toString() }), 1);
+});
+
+test('a rejected booking puts its seats back on sale once', async () => {
+  const ticket = await createTicket({ quantity: 2 });
+  const { body } = await book(ticket, { bookingQuantity: 1 });
+  const bookingId = body.data.insertedId;
+
+  const first = await request('PATCH', `/api/bookings/${bookingId}/reject`, { as: vendor.email });
+  await request('PATCH', `/api/bookings/${bookingId}/reject`, { as: vendor.email });
+
+  assert.equal(first.status, 200);
+  const booking = await getBooking(bookingId);
+  assert.equal(booking.status, 'rejected');
+  assert.equal(booking.holdStatus, 'released');
+  assert.equal((await getTicket(ticket._id)).quantity, 2);
+});
+
+test('accepting a booking gives the user a payment window', async () => {
+  const ticket = await createTicket({ quantity: 2 });
+  const { body } = await book(ticket, { bookingQuantity: 1 });
+  const bookingId = body.data.insertedId;
+
+  const { status } = await request('PATCH', `/api/bookings/${bookingId}/accept`, { as: vendor.email });
+
+  assert.equal(status, 200);
+  const booking = await getBooking(bookingId);
+  assert.equal(booking.status, 'accepted');
+  assert.equal(booking.holdStatus, 'held');
+  assert.ok(booking.holdExpiresAt - Date.now() > 25 * 60 * 1000);
+});
+
+test('an expired hold is released before the next booking checks availability', async () => {
+  const ticket = await createTicket({ quantity: 1 });
+  const { body } = await book(ticket, { bookingQuantity: 1 }, passenger.email);
+  const expiredId = body.data.insertedId;
+  await expireHold(expiredId);
+
+  const next = await book(ticket, { bookingQuantity: 1 }, otherPassenger.email);
+
+  assert.equal(next.status, 201);
+  const expired = await getBooking(expiredId);
+  assert.equal(expired.status, 'expired');
+  assert.equal(expired.holdStatus, 'released');
+  assert.equal((await getTicket(ticket._id)).quantity, 0);
+});
+
+test('a released hold cannot be accepted', async () => {
+  const ticket = await createTicket({ quantity: 1 });
+  const { body } = await book(ticket, { bookingQuantity: 1 });
+  const bookingId = body.data.insertedId;
+  await expireHold(bookingId);
+  await book(ticket, { bookingQuantity: 1 }, otherPassenger.email); // sweeps the hold
+
+  const { status, body: refused } = await request('PATCH', `/api/bookings/${bookingId}/accept`, {
+    as: vendor.email,
+  });
+
+  assert.equal(status, 409);
+  assert.equal(refused.message, 'Cannot change booking from expired to accepted');
+  assert.equal((await getBooking(bookingId)).status, 'expired');
+});
+
+test('a hold is released only once when two requests sweep it', async () => {
+  const ticket = await createTicket({ quantity: 2 });
+  const { body } = await book(ticket, { bookingQuantity: 1 });
+  const bookingId = body.data.insertedId;
+  await expireHold(bookingId);
+
+  await Promise.all([
+    book(ticket, { bookingQuantity: 1 }, otherPassenger.email),
+    book(ticket, { bookingQuantity: 1 }, otherPassenger.email),
+  ]);
+
+  // 2 seats - 1 expired (returned once) - 2 new bookings
+  assert.equal((await getTicket(ticket._id)).quantity, 0);
+  assert.equal((await getBooking(bookingId)).holdStatus, 'released');
+});
+
+function editQuantity(ticket, quantity, baseQuantity) {
+  return request('PATCH', `/api/tickets/${ticket._id}`, { as: vendor.email, body: { quantity, baseQuantity } });
+}
+
+test('a quantity edit from a form loaded before a booking is refused instead of overwriting it', async () => {
+  const ticket = await createTicket({ quantity: 10, capacity: 10 });
+  await book(ticket, { bookingQuantity: 3 }); // lands while the vendor's form still shows 10
+
+  const stale = await editQuantity(ticket, 12, 10);
+  const reloaded = await editQuantity(ticket, 9, stale.body.data.quantity);
+  const noBase = await request('PATCH', `/api/tickets/${ticket._id}`, { as: vendor.email, body: { quantity: 5 } });
+
+  assert.equal(stale.status, 409);
+  assert.equal(stale.body.data.quantity, 7);
+  assert.equal(reloaded.status, 200);
+  const edited = await getTicket(ticket._id);
+  assert.deepEqual([edited.quantity, edited.capacity], [9, 12]); // 2 seats added to the 3 booked
+  assert.equal(noBase.status, 400);
+  assert.equal(noBase.body.errors[0].field, 'baseQuantity');
+});
+
+test('a booking landing between the check and the write still fails the quantity edit', async () => {
+  const ticket = await createTicket({ quantity: 5 });
+  db.collection('tickets').beforeNextUpdate(async () => {
+    await db.collection('tickets').updateOne({ _id: ticket._id }, { $inc: { quantity: -1 } });
+  });
+
+  const { status } = await editQuantity(ticket, 3, 5);
+
+  assert.equal(status, 409);
+  assert.equal((await getTicket(ticket._id)).quantity, 4);
+});
+
+test('a ticket with held seats cannot be deleted until the hold runs out', async () => {
+  const ticket = await createTicket({ quantity: 2 });
+  const { body } = await book(ticket, { bookingQuantity: 1 }, passenger.email);
+
+  const whileHeld = await request('DELETE', `/api/tickets/${ticket._id}`, { as: vendor.email });
+  await expireHold(body.data.insertedId);
+  const afterExpiry = await request('DELETE', `/api/tickets/${ticket._id}`, { as: vendor.email });
+
+  assert.equal(whileHeld.status, 409);
+  assert.equal(whileHeld.body.message, 'This ticket has 1 active booking(s) and cannot be deleted');
+  assert.equal(afterExpiry.status, 200);
+  assert.equal(await getTicket(ticket._id), null);
+  assert.equal((await getBooking(body.data.insertedId)).status, 'expired');
+});
@@ -0,0 +1,146 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  db,
+  startServer,
+  stopServer,
+  request,
+  vendor,
+  passenger,
+  otherPassenger,
+  seedUsers,
+  createTicket,
+  getTicket,
+  getBooking,
+  book,
+  createPaidBooking,
+} = require('./helpers/app');
+
+before(async () => {
+  await startServer();
+  await seedUsers();
+});
+
+after(stopServer);
+
+function seatStatuses(ticket) {
+  return Object.fromEntries(ticket.seats.map(seat => [seat.seatNumber, seat.status]));
+}
+
+test('a seat layout expands into numbered seats with class prices', async () => {
+  const ticket = await createTicket({ quantity: 10 });
+
+  const { status, body } = await request('PUT', `/api/tickets/${ticket._id}/seat-layout`, {
+    as: vendor.email,
+    body: {
+      rows: 3,
+      columns: 2,
+      classes: [{ name: 'AC', fromRow: 1, toRow: 1, pricePerUnit: 1200 }],
+      blockedSeats: ['3B'],
+    },
+  });
+
+  assert.equal(status, 200);
+  assert.equal(body.data.totalSeats, 5);
+  const seats = await request('GET', `/api/tickets/${ticket._id}/seats`, { as: passenger.email });
+  assert.equal(seats.body.data.availableCount, 5);
+  assert.deepEqual(
+    seats.body.data.seats.map(seat => [seat.seatNumber, seat.seatClass, seat.price]),
+    [
+      ['1A', 'AC', 1200],
+      ['1B', 'AC', 1200],
+      ['2A', null, null],
+      ['2B', null, null],
+      ['3A', null, null],
+    ]
+  );
+  assert.ok(seats.body.data.seats.every(seat => !('bookingId' in seat)));
+});
+
+test('a class must fit inside the layout', async () => {
+  const ticket = await createTicket({ quantity: 10 });
+
+  const { status, body } = await request('PUT', `/api/tickets/${ticket._id}/seat-layout`, {
+    as: vendor.email,
+    body: { rows: 2, columns: 2, classes: [{ name: 'Cabin', fromRow: 2, toRow: 4 }] },
+  });
+
+  assert.equal(status, 400);
+  assert.equal(body.errors[0].message, 'Class Cabin must cover rows between 1 and 2');
+});
+
+test('booking seats holds exactly those seats at their class price', async () => {
+  const ticket = await createTicket({ seats: ['1A', '1B', '2A'] });
+  await db.collection('tickets').updateOne(
+    { _id: ticket._id },
+    { $set: { 'seats.0.seatClass': 'AC', 'seats.0.price': 1200 } }
+  );
+
+  const { status, body } = await book(ticket, { seatNumbers: ['1A', '2A'] });
+
+  assert.equal(status, 201);
+  const booking = await getBooking(body.data.insertedId);
+  assert.equal(booking.bookingQuantity, 2);
+  assert.equal(booking.totalPrice, 2000);
+  const held = await getTicket(ticket._id);
+  assert.deepEqual(seatStatuses(held), { '1A': 'held', '1B': 'available', '2A': 'held' });
+  assert.equal(held.quantity, 1);
+});
+
+test('two users can never get the same seat', async () => {
+  const ticket = await createTicket({ seats: ['1A', '1B', '1C'] });
+
+  const results = await Promise.all([
+    book(ticket, { seatNumbers: ['1A'] }, passenger.email),
+    book(ticket, { seatNumbers: ['1A', '1B'] }, otherPassenger.email),
+  ]);
+
+  assert.deepEqual(results.map(result => result.status).sort(), [201, 409]);
+  const loser = results.find(result => result.status === 409);
+  assert.equal(loser.body.message, 'One or more selected seats are no longer available');
+  const winner = await getBooking(results.find(result => result.status === 201).body.data.insertedId);
+  const taken = await getTicket(ticket._id);
+  assert.deepEqual(
+    taken.seats.filter(seat => seat.status === 'held').map(seat => seat.bookingId),
+    winner.seatNumbers.map(() => winner._id.toString())
+  );
+  assert.equal(taken.quantity, 3 - winner.bookingQuantity);
+});
+
+test('a seat-map ticket is booked by known seat numbers', async () => {
+  const ticket = await createTicket({ seats: ['1A', '1B'] });
+
+  const byCount = await book(ticket, { bookingQuantity: 1 });
+  const unknown = await book(ticket, { seatNumbers: ['9Z'] });
+
+  assert.equal(byCount.status, 400);
+  assert.equal(byCount.body.errors[0].message, 'seatNumbers is required for this ticket');
+  assert.equal(unknown.status, 400);
+  assert.equal(unknown.body.errors[0].message, 'Unknown seats: 9Z');
+});
+
+test('released seats are available again and paid seats are sold', async () => {
+  const ticket = await createTicket({ seats: ['1A', '1B'] });
+  const { body } = await book(ticket, { seatNumbers: ['1A'] });
+  await request('PATCH', `/api/bookings/${body.data.insertedId}/reject`, { as: vendor.email });
+  const paid = await createPaidBooking(ticket, { seatNumbers: ['1B'] }, otherPassenger.email);
+
+  assert.equal(paid.status, 'paid');
+  const seats = await getTicket(ticket._id);
+  assert.deepEqual(seatStatuses(seats), { '1A': 'available', '1B': 'sold' });
+  assert.equal(seats.seats[0].bookingId, null);
+  assert.equal(seats.quantity, 1);
+});
+
+test('the seat map cannot change while the ticket has active bookings', async () => {
+  const ticket = await createTicket({ seats: ['1A', '1B'] });
+  await book(ticket, { seatNumbers: ['1A'] });
+
+  const { status } = await request('PUT', `/api/tickets/${ticket._id}/seat-layout`, {
+    as: vendor.email,
+    body: { rows: 1, columns: 4 },
+  });
+
+  assert.equal(status, 409);
+  assert.equal((await getTicket(ticket._id)).seats.length, 2);
+});
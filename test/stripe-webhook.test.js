@@ -0,0 +1,215 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  db,
+  stripeCalls,
+  startServer,
+  stopServer,
+  request,
+  vendor,
+  otherPassenger,
+  seedUsers,
+  createTicket,
+  getTicket,
+  getBooking,
+  book,
+  deliverStripeEvent,
+  paymentSucceededEvent,
+} = require('./helpers/app');
+
+const FARE = 800; // one seat on createTicket's ticket
+
+before(async () => {
+  await startServer();
+  await seedUsers();
+});
+
+after(stopServer);
+
+// A booking the vendor accepted, waiting for payment
+async function createAcceptedBooking(ticket) {
+  const { body } = await book(ticket, { bookingQuantity: 1 });
+  const bookingId = body.data.insertedId;
+  const accepted = await request('PATCH', `/api/bookings/${bookingId}/accept`, { as: vendor.email });
+  assert.equal(accepted.status, 200);
+  return getBooking(bookingId);
+}
+
+// The next booking on the ticket sweeps the booking's expired hold
+async function releaseHold(booking, ticket) {
+  await db.collection('bookings').updateOne(
+    { _id: booking._id },
+    { $set: { holdExpiresAt: new Date(Date.now() - 1000) } }
+  );
+  await book(ticket, { bookingQuantity: 1 }, otherPassenger.email);
+  assert.equal((await getBooking(booking._id)).holdStatus, 'released');
+}
+
+function chargeRefundedEvent(booking, { refunded = true, amountRefunded = FARE * 100 } = {}) {
+  return {
+    id: `evt_refund_${booking._id}`,
+    object: 'event',
+    type: 'charge.refunded',
+    data: {
+      object: {
+        id: `ch_${booking._id}`,
+        object: 'charge',
+        payment_intent: `pi_${booking._id}`,
+        amount_refunded: amountRefunded,
+        refunded,
+        currency: 'bdt',
+      },
+    },
+  };
+}
+
+function countPayments(booking) {
+  return db.collection('transactions').countDocuments({ transactionId: `pi_${booking._id}` });
+}
+
+test('a successful payment marks the booking paid and records it once', async () => {
+  const ticket = await createTicket({ quantity: 2 });
+  const booking = await createAcceptedBooking(ticket);
+
+  const { status, body } = await deliverStripeEvent(paymentSucceededEvent(booking));
+
+  assert.equal(status, 200);
+  assert.deepEqual(body, { received: true });
+  const paid = await getBooking(booking._id);
+  assert.equal(paid.status, 'paid');
+  assert.equal(paid.holdStatus, 'sold');
+  assert.equal(paid.transactionId, `pi_${booking._id}`);
+  assert.equal(await countPayments(booking), 1);
+  const transaction = await db.collection('transactions').findOne({ transactionId: `pi_${booking._id}` });
+  assert.equal(transaction.amount, FARE);
+  assert.equal((await getTicket(ticket._id)).quantity, 1);
+});
+
+test('a redelivered payment event changes nothing', async () => {
+  const ticket = await createTicket({ quantity: 2 });
+  const booking = await createAcceptedBooking(ticket);
+  const event = paymentSucceededEvent(booking);
+  await deliverStripeEvent(event);
+
+  const { status } = await deliverStripeEvent(event);
+
+  assert.equal(status, 200);
+  const paid = await getBooking(booking._id);
+  assert.equal(paid.status, 'paid');
+  assert.deepEqual(paid.statusHistory.map(entry => entry.to), ['pending', 'accepted', 'paid']);
+  assert.equal(await countPayments(booking), 1);
+  assert.equal((await getTicket(ticket._id)).quantity, 1);
+  assert.equal(stripeCalls.filter(call => call.method === 'refunds.create').length, 0);
+});
+
+test('two deliveries of the same event at once record the payment once and refund nothing', async () => {
+  const ticket = await createTicket({ seats: ['1A', '1B'] });
+  const { body } = await book(ticket, { seatNumbers: ['1A'] });
+  await request('PATCH', `/api/bookings/${body.data.insertedId}/accept`, { as: vendor.email });
+  const booking = await getBooking(body.data.insertedId);
+  const event = paymentSucceededEvent(booking);
+
+  // Both deliveries read the booking as accepted; the second one writes first
+  let second;
+  db.collection('bookings').beforeNextUpdate(async () => {
+    second = await deliverStripeEvent(event);
+  });
+  const first = await deliverStripeEvent(event);
+
+  assert.equal(first.status, 200);
+  assert.equal(second.status, 200);
+  const paid = await getBooking(booking._id);
+  assert.equal(paid.paymentStatus, 'succeeded');
+  assert.equal(paid.refundReason, undefined);
+  assert.deepEqual(paid.statusHistory.map(entry => entry.to), ['pending', 'accepted', 'paid']);
+  assert.equal(await countPayments(booking), 1);
+  assert.equal(await db.collection('ledger').countDocuments({ key: `sale:${booking._id}` }), 1);
+  assert.equal(stripeCalls.filter(call => call.params?.payment_intent === `pi_${booking._id}`).length, 0);
+  assert.deepEqual(
+    (await getTicket(ticket._id)).seats.map(seat => [seat.seatNumber, seat.status]),
+    [
+      ['1A', 'sold'],
+      ['1B', 'available'],
+    ]
+  );
+});
+
+test('a payment landing after the hold was released takes the seats again if they are free', async () => {
+  const ticket = await createTicket({ quantity: 2 });
+  const booking = await createAcceptedBooking(ticket);
+  await releaseHold(booking, ticket);
+
+  const { status } = await deliverStripeEvent(paymentSucceededEvent(booking));
+
+  assert.equal(status, 200);
+  const paid = await getBooking(booking._id);
+  assert.equal(paid.status, 'paid');
+  assert.equal(paid.holdStatus, 'sold');
+  assert.deepEqual(paid.statusHistory.map(entry => entry.to), ['pending', 'accepted', 'expired', 'paid']);
+  assert.equal(paid.statusHistory.at(-1).note, 'Payment received after seat hold expired');
+  assert.equal(await countPayments(booking), 1);
+  assert.equal((await getTicket(ticket._id)).quantity, 0);
+});
+
+test('a payment for seats that were sold to someone else is refunded', async () => {
+  const ticket = await createTicket({ quantity: 1 });
+  const booking = await createAcceptedBooking(ticket);
+  await releaseHold(booking, ticket); // the other booking takes the only seat
+
+  const { status } = await deliverStripeEvent(paymentSucceededEvent(booking));
+
+  assert.equal(status, 200);
+  const refunded = await getBooking(booking._id);
+  assert.equal(refunded.holdStatus, 'released');
+  assert.equal(refunded.paymentStatus, 'refunded');
+  assert.equal(refunded.refundReason, 'Booking could not be confirmed');
+  assert.equal(await countPayments(booking), 0);
+  assert.equal((await getTicket(ticket._id)).quantity, 0);
+  const refund = stripeCalls.find(
+    call => call.method === 'refunds.create' && call.params.payment_intent === `pi_${booking._id}`
+  );
+  assert.equal(refund.options.idempotencyKey, `unavailable-refund-pi_${booking._id}`);
+});
+
+test('a full refund from Stripe puts the seats back on sale once', async () => {
+  const ticket = await createTicket({ quantity: 2 });
+  const booking = await createAcceptedBooking(ticket);
+  await deliverStripeEvent(paymentSucceededEvent(booking));
+  const event = chargeRefundedEvent(booking);
+
+  await deliverStripeEvent(event);
+  const { status } = await deliverStripeEvent(event);
+
+  assert.equal(status, 200);
+  const refunded = await getBooking(booking._id);
+  assert.equal(refunded.status, 'refunded');
+  assert.equal(refunded.holdStatus, 'released');
+  assert.equal(refunded.refundedAmount, FARE);
+  assert.equal(await db.collection('transactions').countDocuments({ transactionId: `ch_${booking._id}` }), 1);
+  assert.equal((await getTicket(ticket._id)).quantity, 2);
+});
+
+test('a partial refund keeps the booking valid', async () => {
+  const ticket = await createTicket({ quantity: 2 });
+  const booking = await createAcceptedBooking(ticket);
+  await deliverStripeEvent(paymentSucceededEvent(booking));
+
+  await deliverStripeEvent(chargeRefundedEvent(booking, { refunded: false, amountRefunded: 20000 }));
+
+  const partlyRefunded = await getBooking(booking._id);
+  assert.equal(partlyRefunded.status, 'paid');
+  assert.equal(partlyRefunded.refundedAmount, 200);
+  assert.equal((await getTicket(ticket._id)).quantity, 1);
+});
+
+test('an event with a bad signature is refused', async () => {
+  const ticket = await createTicket({ quantity: 2 });
+  const booking = await createAcceptedBooking(ticket);
+
+  const { status, body } = await deliverStripeEvent(paymentSucceededEvent(booking), { secret: 'whsec_wrong' });
+
+  assert.equal(status, 400);
+  assert.equal(body.message, 'Invalid webhook signature');
+  assert.equal((await getBooking(booking._id)).status, 'accepted');
+  assert.equal(await countPayments(booking), 0);
+});
@@ -0,0 +1,110 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { db, startServer, stopServer, request, vendor, seedUsers, createTicket } = require('./helpers/app');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+before(async () => {
+  await startServer();
+  await seedUsers();
+});
+
+after(stopServer);
+
+async function search(params) {
+  const { status, body } = await request('GET', `/api/tickets?${new URLSearchParams(params)}`);
+  assert.equal(status, 200);
+  return body.data.map(ticket => ticket.title);
+}
+
+// A ticket on its own route so each test only sees its own results
+function createTrip(title, fields = {}) {
+  const departure = fields.departureAt || new Date(Date.now() + 7 * DAY);
+  return createTicket({
+    title,
+    departureAt: departure,
+    departureDateTime: departure.toISOString(),
+    ...fields,
+  });
+}
+
+test('a city alias or a small typo still finds the route', async () => {
+  await createTrip('Alias trip', { fromLocation: 'Chattogram', toLocation: 'Aliaspur' });
+
+  assert.deepEqual(await search({ fromLocation: 'Ctg', toLocation: 'Aliaspur' }), ['Alias trip']);
+  assert.deepEqual(await search({ fromLocation: 'Chatogram', toLocation: 'Aliaspur' }), ['Alias trip']);
+  assert.deepEqual(await search({ fromLocation: 'Sylhet', toLocation: 'Aliaspur' }), []);
+});
+
+test('price, seats, perks and transport type narrow the results', async () => {
+  const toLocation = 'Filterganj';
+  await createTrip('Cheap bus', { toLocation, pricePerUnit: 500, quantity: 2, perks: ['WiFi'] });
+  await createTrip('AC bus', { toLocation, pricePerUnit: 1200, quantity: 20, perks: ['WiFi', 'AC'] });
+  await createTrip('Night train', { toLocation, transportType: 'Train', pricePerUnit: 900, quantity: 40 });
+
+  assert.deepEqual(await search({ toLocation, minPrice: 600, maxPrice: 1000 }), ['Night train']);
+  assert.deepEqual(await search({ toLocation, minSeats: 10, transportType: 'bus' }), ['AC bus']);
+  assert.deepEqual(await search({ toLocation, perks: 'wifi, ac' }), ['AC bus']);
+});
+
+test('a departure date range covers whole days in the platform time zone', async () => {
+  const toLocation = 'Datepur';
+  const date = new Date(Date.now() + 10 * DAY).toISOString().slice(0, 10);
+  // Both on that day in Dhaka - the early one is still the day before in UTC
+  await createTrip('Early departure', { toLocation, departureAt: new Date(`${date}T04:00:00+06:00`) });
+  await createTrip('Late departure', { toLocation, departureAt: new Date(`${date}T23:30:00+06:00`) });
+  await createTrip('Next week', { toLocation, departureAt: new Date(Date.now() + 17 * DAY) });
+
+  assert.deepEqual(await search({ toLocation, departureFrom: date, departureTo: date, sortBy: 'departure-early' }), [
+    'Early departure',
+    'Late departure',
+  ]);
+});
+
+test('results sort by price, departure and trip duration', async () => {
+  const toLocation = 'Sortabad';
+  const soon = new Date(Date.now() + 2 * DAY);
+  const later = new Date(Date.now() + 4 * DAY);
+  await createTrip('Soon and slow', { toLocation, pricePerUnit: 700, departureAt: soon, durationMinutes: 600 });
+  await createTrip('Later and quick', { toLocation, pricePerUnit: 900, departureAt: later, durationMinutes: 300 });
+
+  assert.deepEqual(await search({ toLocation, sortBy: 'price-high' }), ['Later and quick', 'Soon and slow']);
+  assert.deepEqual(await search({ toLocation, sortBy: 'departure-early' }), ['Soon and slow', 'Later and quick']);
+  assert.deepEqual(await search({ toLocation, sortBy: 'duration-short' }), ['Later and quick', 'Soon and slow']);
+});
+
+test('search results never include the seat map or unapproved tickets', async () => {
+  const toLocation = 'Hiddenpur';
+  await createTrip('Seat map trip', { toLocation, seats: ['1A'] });
+  await createTrip('Pending trip', { toLocation, verificationStatus: 'pending' });
+
+  const { body } = await request('GET', `/api/tickets?toLocation=${toLocation}`);
+
+  assert.deepEqual(body.data.map(ticket => ticket.title), ['Seat map trip']);
+  assert.equal(body.data[0].seats, undefined);
+});
+
+test('a new ticket stores its departure and trip duration for searching', async () => {
+  const departure = new Date(Date.now() + 3 * DAY);
+  const arrival = new Date(departure.getTime() + 5.5 * 60 * 60 * 1000);
+
+  const { status, body } = await request('POST', '/api/tickets', {
+    as: vendor.email,
+    body: {
+      title: 'Timed trip',
+      fromLocation: 'Dhaka',
+      toLocation: 'Khulna',
+      transportType: 'Bus',
+      pricePerUnit: 700,
+      quantity: 30,
+      departureDateTime: departure.toISOString(),
+      arrivalDateTime: arrival.toISOString(),
+    },
+  });
+
+  assert.equal(status, 201);
+  const ticket = await db.collection('tickets').findOne({ _id: new ObjectId(body.data.insertedId) });
+  assert.equal(ticket.departureAt.getTime(), departure.getTime());
+  assert.equal(ticket.durationMinutes, 330);
+});
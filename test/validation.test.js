@@ -0,0 +1,178 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  db,
+  startServer,
+  stopServer,
+  request,
+  admin,
+  vendor,
+  passenger,
+  seedUsers,
+  createTicket,
+  getTicket,
+  getBooking,
+  book,
+} = require('./helpers/app');
+
+before(async () => {
+  await startServer();
+  await seedUsers();
+});
+
+after(stopServer);
+
+function ticketBody(fields = {}) {
+  return {
+    title: 'Dhaka to Sylhet',
+    fromLocation: 'Dhaka',
+    toLocation: 'Sylhet',
+    transportType: 'bus',
+    pricePerUnit: '650',
+    quantity: 30,
+    departureDateTime: new Date(Date.now() + 3 * 24 * 60 * 60 * 1000).toISOString(),
+    ...fields,
+  };
+}
+
+test('a new ticket keeps only schema fields, coerced to their canonical form', async () => {
+  const { status, body } = await request('POST', '/api/tickets', {
+    as: vendor.email,
+    body: ticketBody({ verificationStatus: 'approved', vendorEmail: admin.email, isAdvertised: true }),
+  });
+
+  assert.equal(status, 201);
+  const ticket = await getTicket(body.data.insertedId);
+  assert.equal(ticket.transportType, 'Bus');
+  assert.equal(ticket.pricePerUnit, 650);
+  assert.equal(ticket.verificationStatus, 'pending');
+  assert.equal(ticket.vendorEmail, vendor.email);
+  assert.notEqual(ticket.isAdvertised, true);
+});
+
+test('a departure time without an offset is local time in the platform zone', async () => {
+  const date = new Date(Date.now() + 3 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+  const { body } = await request('POST', '/api/tickets', {
+    as: vendor.email,
+    body: ticketBody({ departureDateTime: undefined, departureDate: date, departureTime: '08:30' }),
+  });
+
+  const ticket = await getTicket(body.data.insertedId);
+  assert.equal(ticket.departureAt.toISOString(), `${date}T02:30:00.000Z`); // Asia/Dhaka is UTC+6
+});
+
+test('an invalid ticket is refused with one error per field', async () => {
+  const { status, body } = await request('POST', '/api/tickets', {
+    as: vendor.email,
+    body: ticketBody({ title: undefined, transportType: 'Rocket', quantity: 1.5 }),
+  });
+
+  assert.equal(status, 400);
+  assert.equal(body.message, 'Validation failed');
+  assert.deepEqual(
+    body.errors.map(error => error.field),
+    ['title', 'transportType', 'quantity']
+  );
+});
+
+test('a ticket must depart in the future', async () => {
+  const { status, body } = await request('POST', '/api/tickets', {
+    as: vendor.email,
+    body: ticketBody({ departureDateTime: new Date(Date.now() - 60 * 1000).toISOString() }),
+  });
+
+  assert.equal(status, 400);
+  assert.equal(body.errors[0].field, 'departureDateTime');
+});
+
+test('a ticket update cannot approve itself', async () => {
+  const ticket = await createTicket({ verificationStatus: 'pending' });
+
+  const { status } = await request('PATCH', `/api/tickets/${ticket._id}`, {
+    as: vendor.email,
+    body: { pricePerUnit: 900, verificationStatus: 'approved' },
+  });
+
+  assert.equal(status, 200);
+  const updated = await getTicket(ticket._id);
+  assert.equal(updated.pricePerUnit, 900);
+  assert.equal(updated.verificationStatus, 'pending');
+});
+
+test('operator keys in a body never reach the database', async () => {
+  const ticket = await createTicket({ quantity: 2 });
+
+  const { status, body } = await book(ticket, {
+    bookingQuantity: 1,
+    userName: { $gt: '' },
+  });
+
+  assert.equal(status, 400);
+  assert.deepEqual(body.errors, [{ field: 'userName', message: 'userName must be a string' }]);
+
+  const stripped = await request('POST', '/api/users', {
+    as: 'operator@test.dev',
+    body: { name: 'Operator', $where: 'sleep(1000)', 'role.name': 'admin' },
+  });
+  assert.equal(stripped.status, 201);
+  const saved = await db.collection('users').findOne({ email: 'operator@test.dev' });
+  assert.equal(saved.role, 'user');
+  assert.equal(saved.$where, undefined);
+});
+
+test('a booking needs a valid ticket ID and a whole number of seats', async () => {
+  const ticket = await createTicket({ quantity: 2 });
+
+  const badId = await request('POST', '/api/bookings', {
+    as: passenger.email,
+    body: { ticketId: 'not-an-id', bookingQuantity: 1 },
+  });
+  const zeroSeats = await book(ticket, { bookingQuantity: 0 });
+  const numericString = await book(ticket, { bookingQuantity: '2' });
+
+  assert.equal(badId.status, 400);
+  assert.equal(zeroSeats.status, 400);
+  assert.equal(numericString.status, 201);
+  assert.equal((await getBooking(numericString.body.data.insertedId)).bookingQuantity, 2);
+});
+
+test('a rejection or cancellation reason is text of at most 500 characters', async () => {
+  const ticket = await createTicket({ quantity: 2 });
+  const first = await book(ticket, { bookingQuantity: 1 });
+  const second = await book(ticket, { bookingQuantity: 1 });
+
+  const notText = await request('PATCH', `/api/bookings/${first.body.data.insertedId}/reject`, {
+    as: vendor.email,
+    body: { reason: { $ne: null } },
+  });
+  const tooLong = await request('PATCH', `/api/bookings/${second.body.data.insertedId}/cancel`, {
+    as: passenger.email,
+    body: { reason: 'x'.repeat(501) },
+  });
+  const rejected = await request('PATCH', `/api/bookings/${first.body.data.insertedId}/reject`, {
+    as: vendor.email,
+    body: { reason: '  Bus is under repair  ' },
+  });
+
+  assert.equal(notText.status, 400);
+  assert.equal(tooLong.status, 400);
+  assert.equal(tooLong.body.errors[0].field, 'reason');
+  assert.equal(rejected.status, 200);
+  assert.equal((await getBooking(first.body.data.insertedId)).statusHistory.at(-1).note, 'Bus is under repair');
+});
+
+test('query strings cannot smuggle operators or arrays into a filter', async () => {
+  await createTicket({ transportType: 'Train', fromLocation: 'Rajshahi' });
+
+  const operator = await request('GET', '/api/tickets?transportType[$ne]=Bus&fromLocation=Rajshahi');
+  const repeated = await request('GET', '/api/tickets?transportType=train&transportType=bus&fromLocation=Rajshahi');
+
+  assert.equal(operator.status, 200);
+  assert.equal(operator.body.data.length, 1);
+  assert.equal(repeated.status, 200);
+  assert.deepEqual(
+    repeated.body.data.map(ticket => ticket.transportType),
+    ['Train']
+  );
+});
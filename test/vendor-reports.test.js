@@ -0,0 +1,166 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  db,
+  startServer,
+  stopServer,
+  request,
+  admin,
+  vendor,
+  otherPassenger,
+  traveller,
+  seedUsers,
+  createTicket,
+  book,
+  createPaidBooking,
+} = require('./helpers/app');
+
+let bus;
+let train;
+
+before(async () => {
+  await startServer();
+  await seedUsers();
+  await db.collection('users').insertOne({ email: 'rival@test.dev', name: 'Rival', role: 'vendor' });
+
+  // Paid: 2 bus seats and 1 train seat; 1 more bus seat paid then cancelled with a full refund; 1 pending
+  bus = await createTicket({ title: 'Bus trip', quantity: 10 });
+  train = await createTicket({ title: 'Train trip', quantity: 10, transportType: 'Train', toLocation: 'Sylhet', pricePerUnit: 500 });
+  await createPaidBooking(bus, { bookingQuantity: 2, userName: '=HYPERLINK("http://evil.test")' });
+  await createPaidBooking(train, { bookingQuantity: 1, passengers: [traveller] }, otherPassenger.email);
+  const cancelled = await createPaidBooking(bus, { bookingQuantity: 1 }, otherPassenger.email);
+  await request('PATCH', `/api/bookings/${cancelled._id}/cancel`, { as: otherPassenger.email, body: {} });
+  await book(bus, { bookingQuantity: 1 }, otherPassenger.email);
+});
+
+after(stopServer);
+
+function parseCsv(text) {
+  return text
+    .trim()
+    .split('\r\n')
+    .map(line => line.match(/("([^"]|"")*"|[^,]*)(,|$)/g).slice(0, -1).map(cell => cell.replace(/,$/, '')));
+}
+
+test('the dashboard stats sum paid seats and revenue, and are zero for a vendor without sales', async () => {
+  const own = await request('GET', `/api/stats/vendor/${vendor.email}`, { as: vendor.email });
+  const empty = await request('GET', '/api/stats/vendor/rival@test.dev', { as: 'rival@test.dev' });
+
+  assert.deepEqual(own.body.data, { totalRevenue: 2100, totalTicketsSold: 3, totalTicketsAdded: 2, pendingBookings: 1 });
+  assert.deepEqual(empty.body.data, { totalRevenue: 0, totalTicketsSold: 0, totalTicketsAdded: 0, pendingBookings: 0 });
+});
+
+test('the report breaks revenue down per ticket, route and booking status', async () => {
+  const { status, body } = await request('GET', `/api/stats/vendor/${vendor.email}/report`, { as: vendor.email });
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.data.totals, { grossRevenue: 2900, refunds: 800, netRevenue: 2100, bookings: 3, ticketsSold: 3 });
+  assert.deepEqual(
+    body.data.byTicket.map(({ ticketId, ticketTitle, netRevenue, ticketsSold, series }) => ({
+      ticketId,
+      ticketTitle,
+      netRevenue,
+      ticketsSold,
+      periods: series.length,
+    })),
+    [
+      { ticketId: bus._id.toString(), ticketTitle: 'Bus trip', netRevenue: 1600, ticketsSold: 2, periods: 1 },
+      { ticketId: train._id.toString(), ticketTitle: 'Train trip', netRevenue: 500, ticketsSold: 1, periods: 1 },
+    ]
+  );
+  assert.deepEqual(
+    body.data.byRoute.map(({ toLocation, grossRevenue }) => ({ toLocation, grossRevenue })),
+    [
+      { toLocation: 'Chattogram', grossRevenue: 2400 },
+      { toLocation: 'Sylhet', grossRevenue: 500 },
+    ]
+  );
+  assert.deepEqual(
+    Object.fromEntries(body.data.byStatus.map(row => [row.status, row.bookings])),
+    { paid: 2, cancelled: 1, pending: 1 }
+  );
+});
+
+test('bookings export as CSV with spreadsheet formulas neutralised', async () => {
+  const { status, headers, body } = await request(
+    'GET',
+    `/api/stats/vendor/${vendor.email}/export?type=bookings&format=csv`,
+    { as: vendor.email }
+  );
+
+  assert.equal(status, 200);
+  assert.equal(headers.get('content-type'), 'text/csv; charset=utf-8');
+  assert.match(headers.get('content-disposition'), /^attachment; filename="bookings-\d{4}-\d{2}-\d{2}-to-\d{4}-\d{2}-\d{2}\.csv"$/);
+  const [header, ...rows] = parseCsv(body);
+  assert.equal(header[0], 'Booking ID');
+  assert.equal(rows.length, 4);
+  const passengerColumn = header.indexOf('Passengers');
+  assert.equal(rows[0][passengerColumn], `"'=HYPERLINK(""http://evil.test"")"`);
+  assert.deepEqual(
+    rows.map(row => row[header.indexOf('Status')]),
+    ['paid', 'paid', 'cancelled', 'pending']
+  );
+});
+
+test('transactions export payments and refunds, refunds as negative amounts', async () => {
+  const { body } = await request('GET', `/api/stats/vendor/${vendor.email}/export?type=transactions`, {
+    as: vendor.email,
+  });
+
+  const [header, ...rows] = parseCsv(body);
+  const amount = header.indexOf('Amount (BDT)');
+  const type = header.indexOf('Type');
+  assert.deepEqual(
+    rows.map(row => [row[type], Number(row[amount])]),
+    [
+      ['payment', 1600],
+      ['payment', 500],
+      ['payment', 800],
+      ['refund', -800],
+    ]
+  );
+});
+
+test("the payouts export is the vendor's ledger statement", async () => {
+  const { body } = await request('GET', `/api/stats/vendor/${vendor.email}/export?type=payouts`, {
+    as: vendor.email,
+  });
+
+  const [header, ...rows] = parseCsv(body);
+  const vendorAmount = header.indexOf('Vendor Amount (BDT)');
+  const type = header.indexOf('Type');
+  assert.deepEqual(
+    rows.map(row => [row[type], Number(row[vendorAmount])]),
+    [
+      ['sale', 1440],
+      ['sale', 450],
+      ['sale', 720],
+      ['refund', -720],
+    ]
+  );
+});
+
+test('exports also stream as XLSX', async () => {
+  const { status, headers, body } = await request(
+    'GET',
+    `/api/stats/vendor/${vendor.email}/export?type=bookings&format=xlsx`,
+    { as: admin.email }
+  );
+
+  assert.equal(status, 200);
+  assert.equal(headers.get('content-type'), 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  assert.ok(body.startsWith('PK')); // zip container
+});
+
+test("a vendor cannot read another vendor's reports, and bad options are refused", async () => {
+  const report = await request('GET', `/api/stats/vendor/${vendor.email}/report`, { as: 'rival@test.dev' });
+  const exported = await request('GET', `/api/stats/vendor/${vendor.email}/export`, { as: 'rival@test.dev' });
+  const badType = await request('GET', `/api/stats/vendor/${vendor.email}/export?type=users`, { as: vendor.email });
+  const badFormat = await request('GET', `/api/stats/vendor/${vendor.email}/export?format=pdf`, { as: vendor.email });
+
+  assert.equal(report.status, 403);
+  assert.equal(exported.status, 403);
+  assert.equal(badType.status, 400);
+  assert.equal(badType.body.message, 'Invalid type. Must be one of: bookings, payouts, transactions');
+  assert.equal(badFormat.status, 400);
+});
@@ -0,0 +1,227 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  db,
+  stripeCalls,
+  startServer,
+  stopServer,
+  request,
+  admin,
+  passenger,
+  otherPassenger,
+  seedUsers,
+  createTicket,
+  getTicket,
+  getBooking,
+  book,
+  createPaidBooking,
+} = require('./helpers/app');
+
+before(async () => {
+  await startServer();
+  await seedUsers();
+});
+
+after(stopServer);
+
+// A vendor of their own so each test's suspension stays apart
+async function createVendor(name) {
+  const email = `${name}@test.dev`;
+  await db.collection('users').insertOne({ email, name, role: 'vendor', createdAt: new Date() });
+  return { email, name };
+}
+
+function createVendorTicket(owner, fields = {}) {
+  return createTicket({ quantity: 10, vendorEmail: owner.email, vendorName: owner.name, ...fields });
+}
+
+function suspend(owner, body = { reason: 'Selling seats that do not exist' }) {
+  return request('PATCH', `/api/users/${owner.email}/fraud`, { as: admin.email, body });
+}
+
+function appeal(owner, message = 'The trips were real, here are the receipts') {
+  return request('POST', `/api/users/${owner.email}/appeal`, { as: owner.email, body: { message } });
+}
+
+test('suspending a vendor hides their listings and cancels upcoming bookings, refunding paid ones', async () => {
+  const owner = await createVendor('suspended');
+  const ticket = await createVendorTicket(owner, { toLocation: 'Suspendpur' });
+  const paid = await createPaidBooking(ticket, { bookingQuantity: 2 });
+  const { body } = await book(ticket, { bookingQuantity: 1 }, otherPassenger.email);
+
+  const suspended = await suspend(owner);
+  const again = await suspend(owner);
+
+  assert.equal(suspended.status, 200);
+  assert.deepEqual(
+    { cancelled: suspended.body.data.cancelled, refunded: suspended.body.data.refunded },
+    { cancelled: 2, refunded: 1 }
+  );
+  assert.equal(again.status, 409);
+  assert.equal((await getBooking(paid._id)).refundAmount, 1600);
+  assert.equal((await getBooking(body.data.insertedId)).status, 'cancelled');
+  const refunds = stripeCalls.filter(call => call.method === 'refunds.create');
+  assert.equal(refunds.at(-1).params.payment_intent, `pi_${paid._id}`);
+  const hidden = await getTicket(ticket._id);
+  assert.equal(hidden.verificationStatus, 'rejected');
+  assert.equal(hidden.quantity, 10); // every seat is back
+  const search = await request('GET', '/api/tickets?toLocation=Suspendpur');
+  assert.deepEqual(search.body.data, []);
+  const told = await db.collection('notifications').countDocuments({ event: 'booking_cancelled' });
+  assert.equal(told, 2);
+});
+
+test('a suspended vendor cannot publish new tickets', async () => {
+  const owner = await createVendor('blocked');
+  await suspend(owner);
+
+  const { status, body } = await request('POST', '/api/tickets', {
+    as: owner.email,
+    body: {
+      title: 'Sneaky trip',
+      fromLocation: 'Dhaka',
+      toLocation: 'Sylhet',
+      transportType: 'Bus',
+      pricePerUnit: 500,
+      quantity: 10,
+      departureDateTime: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString(),
+    },
+  });
+
+  assert.equal(status, 403);
+  assert.equal(body.message, 'Your vendor account is suspended');
+});
+
+test('an accepted appeal reinstates the vendor and restores each listing as it was', async () => {
+  const owner = await createVendor('appealer');
+  const live = await createVendorTicket(owner);
+  const waiting = await createVendorTicket(owner, { verificationStatus: 'pending' });
+  await suspend(owner);
+
+  const submitted = await appeal(owner);
+  const twice = await appeal(owner);
+  const decided = await request('PATCH', `/api/users/${owner.email}/appeal`, {
+    as: admin.email,
+    body: { decision: 'accepted', response: 'Receipts check out' },
+  });
+
+  assert.equal(submitted.status, 201);
+  assert.equal(twice.status, 409);
+  assert.equal(decided.status, 200);
+  assert.equal((await getTicket(live._id)).verificationStatus, 'approved');
+  assert.equal((await getTicket(waiting._id)).verificationStatus, 'pending');
+  const vendorDoc = await db.collection('users').findOne({ email: owner.email });
+  assert.equal(vendorDoc.isFraud, false);
+  assert.equal(vendorDoc.suspensionHistory[0].appeal.status, 'accepted');
+});
+
+test('a rejected appeal keeps the suspension until an admin reinstates the vendor', async () => {
+  const owner = await createVendor('rejected');
+  await suspend(owner, { reason: 'Fake listings', expiresAt: new Date(Date.now() + 60 * 60 * 1000).toISOString() });
+  await appeal(owner);
+
+  const rejected = await request('PATCH', `/api/users/${owner.email}/appeal`, {
+    as: admin.email,
+    body: { decision: 'rejected' },
+  });
+  const retry = await appeal(owner);
+  const longNote = await request('PATCH', `/api/users/${owner.email}/reinstate`, {
+    as: admin.email,
+    body: { note: 'x'.repeat(1001) },
+  });
+  const reinstated = await request('PATCH', `/api/users/${owner.email}/reinstate`, {
+    as: admin.email,
+    body: { note: 'Served enough' },
+  });
+  const notSuspended = await request('PATCH', `/api/users/${owner.email}/reinstate`, { as: admin.email });
+
+  assert.equal(rejected.status, 200);
+  assert.equal(retry.status, 409);
+  assert.equal(longNote.status, 400);
+  assert.equal(longNote.body.errors[0].field, 'note');
+  assert.equal(reinstated.status, 200);
+  assert.equal(notSuspended.status, 409);
+});
+
+test("a suspended vendor's schedule stays hidden, departures generated meanwhile included, until reinstatement", async () => {
+  const owner = await createVendor('scheduler');
+  const validFrom = new Date(Date.now() + 10 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const { body } = await request('POST', '/api/schedules', {
+    as: owner.email,
+    body: {
+      title: 'Suspended coach',
+      fromLocation: 'Dhaka',
+      toLocation: 'Sylhet',
+      transportType: 'Bus',
+      pricePerUnit: 500,
+      quantity: 10,
+      daysOfWeek: [0, 1, 2, 3, 4, 5, 6],
+      departureTimes: ['08:00'],
+      validFrom,
+      validTo: validFrom,
+    },
+  });
+  const scheduleId = body.data.insertedId;
+  await request('PATCH', `/api/schedules/${scheduleId}/verify`, { as: admin.email, body: { verificationStatus: 'approved' } });
+  await suspend(owner);
+
+  const approveWhileSuspended = await request('PATCH', `/api/schedules/${scheduleId}/verify`, {
+    as: admin.email,
+    body: { verificationStatus: 'approved' },
+  });
+  await request('GET', `/api/schedules/${scheduleId}/departures?from=${validFrom}&to=${validFrom}`, { as: owner.email });
+  const [hidden] = await db.collection('tickets').find({ scheduleId }).toArray();
+  await appeal(owner);
+  await request('PATCH', `/api/users/${owner.email}/appeal`, { as: admin.email, body: { decision: 'accepted' } });
+
+  assert.equal(approveWhileSuspended.status, 409);
+  assert.equal(approveWhileSuspended.body.message, 'The vendor of this schedule is suspended');
+  assert.deepEqual([hidden.verificationStatus, hidden.preSuspensionStatus], ['rejected', 'approved']);
+  assert.equal((await getTicket(hidden._id)).verificationStatus, 'approved');
+});
+
+test('a suspension needs a reason and an expiry in the future, and only admins suspend', async () => {
+  const owner = await createVendor('validated');
+
+  const noReason = await suspend(owner, {});
+  const past = await suspend(owner, { reason: 'Fake listings', expiresAt: '2020-01-01T00:00:00.000Z' });
+  const asVendor = await request('PATCH', `/api/users/${owner.email}/fraud`, {
+    as: owner.email,
+    body: { reason: 'Fake listings' },
+  });
+  const notVendor = await request('PATCH', `/api/users/${passenger.email}/fraud`, {
+    as: admin.email,
+    body: { reason: 'Fake listings' },
+  });
+
+  assert.equal(noReason.status, 400);
+  assert.equal(past.status, 400);
+  assert.equal(past.body.errors[0].field, 'expiresAt');
+  assert.equal(asVendor.status, 403);
+  assert.equal(notVendor.status, 404);
+});
+
+test('risk signals flag rejections, duplicate listings and outlier prices without suspending', async () => {
+  const owner = await createVendor('risky');
+  const departureAt = new Date(Date.now() + 5 * 24 * 60 * 60 * 1000);
+  const ticket = await createVendorTicket(owner, { quantity: 20, departureAt, toLocation: 'Riskpur' });
+  await createVendorTicket(owner, { departureAt, toLocation: 'Riskpur' }); // same departure listed twice
+  await createTicket({ toLocation: 'Riskpur', pricePerUnit: 100 }); // another vendor, far cheaper
+  for (let i = 0; i < 10; i++) {
+    const { body } = await book(ticket, { bookingQuantity: 1 });
+    if (i < 6) await request('PATCH', `/api/bookings/${body.data.insertedId}/reject`, { as: owner.email });
+  }
+
+  const { status, body } = await request('GET', `/api/users/${owner.email}/risk`, { as: admin.email });
+  const list = await request('GET', '/api/risk/vendors', { as: admin.email });
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.data.riskSignals.map(signal => signal.type), [
+    'high_rejection_rate',
+    'price_outliers',
+    'duplicate_listings',
+  ]);
+  assert.equal(body.data.riskScore, 5);
+  assert.equal(body.data.isFraud, false);
+  assert.equal(list.body.data[0].email, owner.email);
+});
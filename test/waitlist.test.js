@@ -0,0 +1,144 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const {
+  db,
+  startServer,
+  stopServer,
+  request,
+  vendor,
+  passenger,
+  otherPassenger,
+  seedUsers,
+  createTicket,
+  getTicket,
+  getBooking,
+  book,
+} = require('./helpers/app');
+
+const thirdPassenger = { email: 'third@test.dev', name: 'Third User', role: 'user' };
+
+before(async () => {
+  await startServer();
+  await seedUsers();
+  await db.collection('users').insertOne({ ...thirdPassenger, createdAt: new Date() });
+});
+
+after(stopServer);
+
+// A ticket with every seat taken by a pending booking - returns { ticket, bookingId }
+async function createSoldOutTicket(quantity = 1, fields = {}) {
+  const ticket = await createTicket({ quantity, ...fields });
+  const { body } = await book(ticket, { bookingQuantity: quantity }, thirdPassenger.email);
+  return { ticket, bookingId: body.data.insertedId };
+}
+
+function join(ticket, quantity = 1, as = passenger.email) {
+  return request('POST', '/api/waitlist', { as, body: { ticketId: ticket._id.toString(), quantity } });
+}
+
+function reject(bookingId) {
+  return request('PATCH', `/api/bookings/${bookingId}/reject`, { as: vendor.email });
+}
+
+function getEntry(id) {
+  return db.collection('waitlist').findOne({ _id: new ObjectId(id) });
+}
+
+test('a user joins only when seats run short, and freed seats are held for them to book', async () => {
+  const ticket = await createTicket({ quantity: 2 });
+  const tooEarly = await join(ticket);
+  const { body } = await book(ticket, { bookingQuantity: 2 }, thirdPassenger.email);
+
+  const joined = await join(ticket);
+  const twice = await join(ticket);
+  await reject(body.data.insertedId);
+  const offered = await getEntry(joined.body.data._id);
+  const accepted = await request('POST', `/api/waitlist/${joined.body.data._id}/accept`, { as: passenger.email });
+
+  assert.equal(tooEarly.status, 409);
+  assert.equal(tooEarly.body.message, 'Enough seats are available - book them directly');
+  assert.equal(joined.status, 201);
+  assert.equal(joined.body.data.position, 1);
+  assert.equal(twice.status, 409);
+  assert.equal(offered.status, 'offered');
+  assert.equal((await getTicket(ticket._id)).quantity, 1); // the offer holds its seat
+  const email = await db.collection('notifications').findOne({ event: 'waitlist_offer', to: passenger.email });
+  assert.match(email.subject, /^Seats are available on /);
+  assert.equal(accepted.status, 201);
+  const booking = await getBooking(accepted.body.data.insertedId);
+  assert.deepEqual(
+    [booking.userEmail, booking.bookingQuantity, booking.status, booking.waitlistId],
+    [passenger.email, 1, 'pending', joined.body.data._id]
+  );
+  assert.equal((await getEntry(joined.body.data._id)).status, 'booked');
+  assert.equal((await getTicket(ticket._id)).quantity, 1); // booking the offer took no extra seat
+});
+
+test('an entry wanting more seats than are free keeps its place while a smaller one is offered', async () => {
+  const { ticket, bookingId } = await createSoldOutTicket(1);
+  const large = await join(ticket, 2);
+  const small = await join(ticket, 1, otherPassenger.email);
+
+  await reject(bookingId);
+  const { body } = await request('GET', `/api/waitlist/user/${passenger.email}`, { as: passenger.email });
+
+  assert.equal(small.body.data.position, 2);
+  assert.equal((await getEntry(small.body.data._id)).status, 'offered');
+  const waiting = body.data.find(entry => entry._id === large.body.data._id);
+  assert.deepEqual([waiting.status, waiting.position], ['waiting', 1]);
+});
+
+test('an expired offer passes its seats to the next in line and cannot be booked', async () => {
+  const { ticket, bookingId } = await createSoldOutTicket(1);
+  const first = await join(ticket);
+  const second = await join(ticket, 1, otherPassenger.email);
+  await reject(bookingId);
+  await db
+    .collection('waitlist')
+    .updateOne({ _id: new ObjectId(first.body.data._id) }, { $set: { offerExpiresAt: new Date(Date.now() - 1000) } });
+
+  const late = await request('POST', `/api/waitlist/${first.body.data._id}/accept`, { as: passenger.email });
+
+  assert.equal(late.status, 409);
+  assert.equal(late.body.message, 'This offer has expired');
+  assert.equal((await getEntry(first.body.data._id)).status, 'expired');
+  assert.equal((await getEntry(second.body.data._id)).status, 'offered');
+  assert.equal((await getTicket(ticket._id)).quantity, 0);
+});
+
+test('declining an offer or the vendor adding seats offers them to the waitlist', async () => {
+  const { ticket, bookingId } = await createSoldOutTicket(1);
+  const first = await join(ticket);
+  const second = await join(ticket, 1, otherPassenger.email);
+  await reject(bookingId);
+
+  const declined = await request('DELETE', `/api/waitlist/${first.body.data._id}`, { as: passenger.email });
+  const passedOn = await getEntry(second.body.data._id);
+  const rejoined = await join(ticket);
+  await request('PATCH', `/api/tickets/${ticket._id}`, { as: vendor.email, body: { quantity: 1, baseQuantity: 0 } });
+
+  assert.equal(declined.body.message, 'Offer declined and removed from the waitlist');
+  assert.equal(passedOn.status, 'offered');
+  assert.equal(rejoined.status, 201); // a cancelled entry does not block joining again
+  assert.equal((await getEntry(rejoined.body.data._id)).status, 'offered');
+});
+
+test('a ticket waitlist is shown to its vendor only, and entries need a bookable trip', async () => {
+  const { ticket } = await createSoldOutTicket(1);
+  await join(ticket);
+  await join(ticket, 1, otherPassenger.email);
+  await db.collection('users').insertOne({ email: 'rival@test.dev', name: 'Rival', role: 'vendor' });
+  const departed = await createTicket({ quantity: 0, departureAt: new Date(Date.now() - 60 * 1000) });
+
+  const asVendor = await request('GET', `/api/waitlist/ticket/${ticket._id}`, { as: vendor.email });
+  const asRival = await request('GET', `/api/waitlist/ticket/${ticket._id}`, { as: 'rival@test.dev' });
+  const tooLate = await join(departed);
+  const tooMany = await join(ticket, 11);
+
+  assert.deepEqual(asVendor.body.data.map(entry => entry.userEmail), [passenger.email, otherPassenger.email]);
+  assert.equal(asVendor.body.data[0].offerBookingId, undefined);
+  assert.equal(asRival.status, 403);
+  assert.equal(tooLate.status, 400);
+  assert.equal(tooMany.status, 400);
+});